@@ -4,25 +4,36 @@
    ================================================================ */
 
 // ---- Minimal test harness ----
+// Tests are queued and run in order; an `it` body may return a Promise
+// (e.g. Web Crypto calls), which is awaited before the next test starts.
 let _passed = 0;
 let _failed = 0;
-let _currentSuite = '';
+const _queue = [];
 
 function describe(name, fn) {
-  _currentSuite = name;
-  console.log(`\n\x1b[1m▶ ${name}\x1b[0m`);
+  _queue.push({ suite: name });
   fn();
 }
 
 function it(name, fn) {
-  try {
-    fn();
-    _passed++;
-    console.log(`  \x1b[32m✓\x1b[0m ${name}`);
-  } catch (e) {
-    _failed++;
-    console.log(`  \x1b[31m✗\x1b[0m ${name}`);
-    console.log(`    \x1b[31m${e.message}\x1b[0m`);
+  _queue.push({ name, fn });
+}
+
+async function _runQueue() {
+  for (const entry of _queue) {
+    if (entry.suite) {
+      console.log(`\n\x1b[1m▶ ${entry.suite}\x1b[0m`);
+      continue;
+    }
+    try {
+      await entry.fn();
+      _passed++;
+      console.log(`  \x1b[32m✓\x1b[0m ${entry.name}`);
+    } catch (e) {
+      _failed++;
+      console.log(`  \x1b[31m✗\x1b[0m ${entry.name}`);
+      console.log(`    \x1b[31m${e.message}\x1b[0m`);
+    }
   }
 }
 
@@ -74,7 +85,7 @@ globalThis.webkitAudioContext = globalThis.AudioContext;
 globalThis.crypto = { getRandomValues: (arr) => { for (let i = 0; i < arr.length; i++) arr[i] = Math.floor(Math.random() * 0x100000000); return arr; } };
 globalThis.DOMParser = class { parseFromString() { return { querySelector: () => null }; } };
 globalThis.XMLSerializer = class { serializeToString() { return ''; } };
-globalThis.URL = { createObjectURL() { return ''; }, revokeObjectURL() {} };
+globalThis.URL = class extends URL { static createObjectURL() { return ''; } static revokeObjectURL() {} };
 globalThis.Blob = class {};
 globalThis.Worker = undefined; // no Worker in node
 globalThis.Prism = undefined;  // no Prism in node
@@ -270,6 +281,267 @@ describe('Odin.DiffChecker (Myers LCS)', () => {
     const r = Odin.DiffChecker.compare('', '{"a":1}', 'json');
     assert(r.error !== null);
   });
+
+  it('diffs plain text lines with whitespace, case and blank-line options', () => {
+    const left = 'SELECT id\r\nFROM users\r\n\r\nWHERE id = 1';
+    const right = 'select  id\nFROM users\nWHERE id = 2';
+    const plain = Odin.DiffChecker.compare(left, right, 'text');
+    assertEqual(plain.error, null);
+    assertDeepEqual(plain.stats, { added: 0, removed: 1, changed: 2 });
+    assertEqual(plain.leftNormalized, 'SELECT id\nFROM users\n\nWHERE id = 1');
+    const loose = Odin.DiffChecker.compare(left, right, 'text', { ignoreWhitespace: true, ignoreCase: true, ignoreBlankLines: true });
+    assertDeepEqual(loose.stats, { added: 0, removed: 0, changed: 1 });
+    assert(loose.html.includes('<span class="diff-left">SELECT id</span><span class="diff-right">select  id</span>'), 'Matched lines keep their own text');
+    assertEqual(Odin.DiffChecker.compare('A\n\nb', 'a\nB', 'text', { ignoreCase: true, ignoreBlankLines: true }).equal, true);
+    assertEqual(Odin.DiffChecker.compare('{"a":1}', '{"a": 1}', 'text').equal, false, 'Text mode does not parse JSON');
+  });
+
+  it('highlights the changed words or characters inside changed rows', () => {
+    const r = Odin.DiffChecker.compare('port = 8080 # <old>', 'port = 9090 # <new>', 'text', { inline: 'word' });
+    assert(r.html.includes('port = <span class="diff-inline">8080</span> # &lt;<span class="diff-inline">old</span>&gt;'), r.html);
+    assert(r.html.includes('port = <span class="diff-inline">9090</span> # &lt;<span class="diff-inline">new</span>&gt;'), r.html);
+    const chars = Odin.DiffChecker._inlineDiff('color', 'colour', 'char');
+    assertEqual(chars.left, 'color');
+    assertEqual(chars.right, 'colo<span class="diff-inline">u</span>r');
+    const json = Odin.DiffChecker.compare('{"a":"x"}', '{"a":"y"}', 'json', { inline: 'char' });
+    assert(json.html.includes('&quot;a&quot;: &quot;<span class="diff-inline">x</span>&quot;'), 'Line modes share the highlighting');
+    assert(!Odin.DiffChecker.compare('a\nb', 'a\nc', 'text').html.includes('diff-inline'), 'Whole-line by default');
+  });
+
+  it('exports a unified diff with configurable context', () => {
+    const left = 'a\nb\nc\nd\ne\nf\ng\nh\n';
+    const right = 'a\nB\nc\nd\ne\nf\ng\nH\ni';
+    assertEqual(Odin.DiffChecker.unifiedDiff(left, right, { context: 1, leftName: 'a/f.txt', rightName: 'b/f.txt' }), [
+      '--- a/f.txt', '+++ b/f.txt',
+      '@@ -1,3 +1,3 @@', ' a', '-b', '+B', ' c',
+      '@@ -7,2 +7,3 @@', ' g', '-h', '+H', '+i', '\\ No newline at end of file', ''
+    ].join('\n'));
+    const merged = Odin.DiffChecker.unifiedDiff(left, right, { context: 3 });
+    assertEqual(merged.split('\n').filter(l => l.startsWith('@@')).join(' '), '@@ -1,8 +1,9 @@', 'Close hunks are merged');
+    assertEqual(Odin.DiffChecker.unifiedDiff('x\n', 'new\nx\n', { context: 0 }).split('\n')[2], '@@ -0,0 +1 @@');
+    assertEqual(Odin.DiffChecker.unifiedDiff('same\n', 'same\n'), '');
+  });
+
+  it('renders a pasted unified diff side by side and rejects broken hunks', () => {
+    const patch = [
+      'diff --git a/app.ini b/app.ini', 'index 1a2b3c..4d5e6f 100644',
+      '--- a/app.ini', '+++ b/app.ini',
+      '@@ -10,4 +10,4 @@ [server]', ' host = <old>', '-port = 80', '-tls = off', '+port = 443', ' user = odin', '+tls = on'
+    ].join('\n');
+    const r = Odin.DiffChecker.parseUnifiedDiff(patch);
+    assertEqual(r.error, null);
+    assertDeepEqual(r.stats, { added: 1, removed: 1, changed: 1 });
+    assertDeepEqual(r.files[0].hunks[0].lines.map(l => [l.type, l.line]), [['same', 10], ['changed', 11], ['removed', 12], ['same', 13], ['added', 13]]);
+    assert(r.html.includes('<div class="diff-file">a/app.ini → b/app.ini</div>'));
+    assert(r.html.includes('host = &lt;old&gt;'), 'Hunk lines are escaped');
+    const exported = Odin.DiffChecker.unifiedDiff('k = 1\nv = 2\n', 'k = 1\nv = 3\n');
+    assertDeepEqual(Odin.DiffChecker.parseUnifiedDiff(exported).stats, { added: 0, removed: 0, changed: 1 });
+    assert(Odin.DiffChecker.parseUnifiedDiff('@@ -1,2 +1,2 @@\n-a\n+b').error.includes('ends early'));
+    assert(Odin.DiffChecker.parseUnifiedDiff('just text').error.startsWith('No hunks found'));
+  });
+
+  it('merges one-sided line edits and marks overlapping ones as conflicts', () => {
+    const base = 'host = localhost\nport = 80\nuser = odin\nlevel = info\n';
+    const clean = Odin.DiffChecker.merge3(base, 'host = example.com\nport = 80\nuser = odin\nlevel = info\n', 'host = localhost\nport = 80\nuser = odin\nlevel = debug\ntls = on\n', 'text');
+    assertEqual(clean.error, null);
+    assertEqual(clean.merged, 'host = example.com\nport = 80\nuser = odin\nlevel = debug\ntls = on\n');
+    assertDeepEqual(clean.stats, { ours: 1, theirs: 1, conflicts: 0 });
+    const clash = Odin.DiffChecker.merge3(base, 'host = localhost\nport = 8080\nuser = odin\nlevel = info\n', 'host = localhost\nport = 443\nuser = odin\nlevel = info\n', 'text');
+    assertEqual(clash.merged, 'host = localhost\n<<<<<<< ours\nport = 8080\n=======\nport = 443\n>>>>>>> theirs\nuser = odin\nlevel = info\n');
+    assertDeepEqual(clash.conflicts, [{ line: 2, base: ['port = 80'], ours: ['port = 8080'], theirs: ['port = 443'] }]);
+    assert(clash.html.includes('diff-merge-marker'));
+    assertEqual(Odin.DiffChecker.merge3(base, 'same\n', 'same\n', 'text').merged, 'same\n', 'Identical edits merge');
+    assertEqual(Odin.DiffChecker.merge3(base, '', 'b', 'text').error, 'Ours and theirs are both required');
+  });
+
+  it('merges against an empty base, conflicting only where both sides differ', () => {
+    const r = Odin.DiffChecker.merge3('', 'a\nb\nours\nc\n', 'a\nb\ntheirs\nc\nd\n', 'text');
+    assertEqual(r.error, null);
+    assertEqual(r.merged, 'a\nb\n<<<<<<< ours\nours\n=======\ntheirs\n>>>>>>> theirs\nc\n<<<<<<< ours\n=======\nd\n>>>>>>> theirs\n');
+    assertDeepEqual(r.conflicts[0], { line: 3, base: [], ours: ['ours'], theirs: ['theirs'] });
+    assertEqual(r.stats.conflicts, 2);
+    assertEqual(Odin.DiffChecker.merge3(' \n', 'same\n', 'same\n', 'text').merged, 'same\n');
+    const json = Odin.DiffChecker.merge3('', '{"a":1,"b":2}', '{"a":1,"b":3,"c":4}', 'json');
+    assertDeepEqual(JSON.parse(json.merged), { a: 1, b: 2, c: 4 });
+    assertDeepEqual(json.conflicts.map(c => c.path), ['/b']);
+  });
+
+  it('merges JSON by key path and lists conflicting paths', () => {
+    const base = '{"db":{"host":"a","port":1},"tags":["x"],"debug":false,"old":1}';
+    const ours = '{"db":{"host":"b","port":1},"tags":["x","y"],"debug":false}';
+    const theirs = '{"db":{"host":"a","port":2},"tags":["z"],"debug":false,"old":1,"new":{"k":1}}';
+    const r = Odin.DiffChecker.merge3(base, ours, theirs, 'json');
+    assertEqual(r.error, null);
+    assertDeepEqual(JSON.parse(r.merged), { db: { host: 'b', port: 2 }, tags: ['x', 'y'], debug: false, new: { k: 1 } });
+    assertDeepEqual(r.conflicts, [{ path: '/tags', base: '["x"]', ours: '["x","y"]', theirs: '["z"]' }]);
+    const deleted = Odin.DiffChecker.merge3('{"a":1}', '{}', '{"a":2}', 'json');
+    assertEqual(deleted.conflicts[0].ours, '(missing)', 'Delete against edit is a conflict');
+    assert(Odin.DiffChecker.merge3('{}', '{', '{}', 'json').error.startsWith('Ours:'));
+  });
+
+  it('compares without rendering and reports progress and edit limits', async () => {
+    const left = Array.from({ length: 40 }, (_, i) => `row ${i}`).join('\n');
+    const right = left.replace('row 7', 'row seven');
+    const job = Odin.DiffChecker.compareAsync(left, right, 'text', { inline: 'word' });
+    const r = await job.promise;
+    assertEqual(r.html, '', 'Rows are left to renderRows');
+    assertEqual(r.lines.length, 40);
+    assertDeepEqual(r.stats, { added: 0, removed: 0, changed: 1 });
+    assertEqual((await Odin.DiffChecker.compareAsync('{"a":1}', '{"a":', 'json').promise).error, 'Unexpected end of JSON input');
+    const progress = [];
+    Odin.DiffChecker._myers(['a', 'b', 'c', 'd'], ['x', 'b', 'y', 'd'], { onProgress: p => progress.push(p) });
+    assert(progress.length > 0 && progress.every((p, i) => p <= 100 && (i === 0 || p > progress[i - 1])), progress.join());
+    let error = null;
+    try { Odin.DiffChecker._myers(['a', 'b', 'c'], ['x', 'y', 'z'], { maxEdits: 2 }); } catch (e) { error = e.message; }
+    assertEqual(error, 'Too many differences to align: more than 2 lines added or removed.');
+    const big = 'x'.repeat(260000);
+    assert(Odin.DiffChecker.compare(big, big, 'text').error.includes('250,000'));
+    assertEqual(Odin.DiffChecker.compare(big, big, 'text', { maxLength: 300000, render: false }).equal, true);
+    assert((await Odin.DiffChecker.compareAsync(big + 'x'.repeat(5000000), 'a', 'text').promise).error.includes('5,000,000'));
+    assert((await Odin.DiffChecker.compareAsync(big, 'a', 'xml').promise).error.includes('250,000'), 'XML is parsed on the main thread');
+  });
+
+  it('folds unchanged runs and renders a window of rows', () => {
+    const left = Array.from({ length: 20 }, (_, i) => `l${i}`).join('\n');
+    const lines = Odin.DiffChecker.compare(left, left.replace('l10', 'L10'), 'text').lines;
+    const items = Odin.DiffChecker.foldRows(lines, 2);
+    assertDeepEqual(items, [{ start: 0, end: 8 }, 8, 9, 10, 11, 12, { start: 13, end: 20 }]);
+    assertDeepEqual(Odin.DiffChecker.foldRows(lines, 2, new Set([13])).slice(-7), [13, 14, 15, 16, 17, 18, 19]);
+    assertEqual(Odin.DiffChecker.foldRows(lines, 9).length, 20, 'Runs of one line stay open');
+    const html = Odin.DiffChecker.renderRows(lines, items, 0, 2);
+    assert(html.startsWith('<div class="diff-row diff-fold" data-fold="0"><span class="diff-ln">⋯</span><span class="diff-fold-label">8 unchanged lines</span></div>'), html);
+    assertEqual((html.match(/class="diff-row/g) || []).length, 2, 'Only the requested window is rendered');
+    assertEqual(Odin.DiffChecker.renderRows(lines, items, 5, 50).split('diff-row').length - 1, 2);
+    assertEqual(Odin.DiffChecker.lineWidth(lines), 3);
+    assertEqual(Odin.DiffChecker.lineWidth([{ left: 'ab', right: '\tabcdef' }, { left: null, right: 'x' }]), 14);
+  });
+
+  it('reports structural changes by JSON Pointer', () => {
+    const left = '{"id":1,"tags":["a","b"],"meta":{"a/b":1,"v":2},"items":[{"n":"x"},{"n":"y"}]}';
+    const right = '{"id":1,"tags":["z","a","b"],"meta":{"a/b":2},"items":[{"n":"x"},{"n":"q"}],"extra":null}';
+    const r = Odin.DiffChecker.compareStructure(left, right);
+    assertEqual(r.error, null);
+    assertDeepEqual(r.changes.map(c => `${c.type} ${c.path}`), [
+      'added /extra', 'changed /items/1/n', 'changed /meta/a~1b', 'removed /meta/v', 'added /tags/0'
+    ]);
+    assertDeepEqual(r.stats, { added: 2, removed: 1, changed: 2 });
+    assert(r.html.includes('<span class="diff-path">/items/1/n</span><span class="diff-left">&quot;y&quot;</span>'), r.html);
+    assertEqual(Odin.DiffChecker.compareStructure('{"a":[1,2]}', '{"a":[1,2]}').equal, true);
+    assert(Odin.DiffChecker.compareStructure('{"a":1}', '{"a":').error.startsWith('Input B:'));
+  });
+
+  it('compares canonical XML trees and reports changes by XPath', () => {
+    const text = (value) => ({ nodeType: 3, nodeValue: value });
+    const el = (name, attrs = {}, children = [], ns = null) => ({
+      nodeType: 1,
+      nodeName: name,
+      localName: name.split(':').pop(),
+      namespaceURI: ns,
+      attributes: Object.entries(attrs).map(([n, v]) => ({ name: n, localName: n.split(':').pop(), namespaceURI: null, value: v })),
+      childNodes: children
+    });
+    const docs = {
+      left: el('cfg', { 'xmlns:a': 'urn:x', id: '1', env: 'prod' }, [
+        text('\n  '),
+        el('a:server', { host: 'h1', port: '80' }, [], 'urn:x'),
+        el('item', {}, [text('one')]),
+        el('item', {}, [text('two')]),
+        { nodeType: 8, nodeValue: 'comment' },
+        el('note', {}, [text('  hello  '), { nodeType: 4, nodeValue: ' world ' }])
+      ]),
+      right: el('cfg', { 'xmlns:b': 'urn:x', env: 'prod', id: '1' }, [
+        el('b:server', { port: '8080', host: 'h1' }, [], 'urn:x'),
+        el('item', {}, [text('two')]),
+        el('item', {}, [text('one')]),
+        el('note', {}, [text('hello world')]),
+        el('new', { on: 'y' })
+      ])
+    };
+    const saved = globalThis.DOMParser;
+    globalThis.DOMParser = class {
+      parseFromString(input) {
+        if (input === 'broken') return { querySelector: () => ({ textContent: 'error on line 2 at column 5: Opening and ending tag mismatch' }) };
+        return { querySelector: () => null, documentElement: docs[input] };
+      }
+    };
+    try {
+      const ordered = Odin.DiffChecker.compareXml('left', 'right');
+      assertDeepEqual(ordered.changes, [
+        { type: 'changed', path: '/cfg/a:server/@port', left: '80', right: '8080' },
+        { type: 'removed', path: '/cfg/item[1]', left: '<item>one</item>' },
+        { type: 'added', path: '/cfg/item[2]', right: '<item>one</item>' },
+        { type: 'added', path: '/cfg/new', right: '<new on="y"/>' }
+      ]);
+      const unordered = Odin.DiffChecker.compareXml('left', 'right', { ignoreOrder: true });
+      assertDeepEqual(unordered.changes.map(c => c.path), ['/cfg/a:server/@port', '/cfg/new']);
+      assert(unordered.html.includes('<span class="diff-right">&lt;new on=&quot;y&quot;/&gt;</span>'), 'XML values are shown unquoted');
+      assertEqual(Odin.DiffChecker.compareXml('left', 'left').equal, true);
+      assertEqual(Odin.DiffChecker.compareXml('left', 'broken').error, 'Input B: error on line 2 at column 5: Opening and ending tag mismatch');
+    } finally {
+      globalThis.DOMParser = saved;
+    }
+  });
+
+  it('creates JSON Patch and Merge Patch documents that turn A into B', () => {
+    const left = '{"name":"a","tags":["x","y","z"],"meta":{"old":1,"n":1},"__proto__":{"p":1}}';
+    const right = '{"name":"b","tags":["w","x","z"],"meta":{"n":1,"new":[1]},"__proto__":{"p":2}}';
+    const r = Odin.DiffChecker.createPatches(left, right);
+    assertEqual(r.error, null);
+    assertDeepEqual(r.jsonPatch, [
+      { op: 'replace', path: '/name', value: 'b' },
+      { op: 'add', path: '/tags/0', value: 'w' },
+      { op: 'remove', path: '/tags/2' },
+      { op: 'remove', path: '/meta/old' },
+      { op: 'add', path: '/meta/new', value: [1] },
+      { op: 'replace', path: '/__proto__/p', value: 2 }
+    ]);
+    const applied = Odin.DiffChecker.applyJsonPatch(JSON.parse(left), r.jsonPatch);
+    assertEqual(JSON.stringify(applied.result), JSON.stringify(JSON.parse(right)));
+    assertEqual(JSON.stringify(r.mergePatch), '{"name":"b","tags":["w","x","z"],"meta":{"old":null,"new":[1]},"__proto__":{"p":2}}');
+    assertEqual(r.mergeExact, true);
+    assertEqual(Object.getPrototypeOf(Odin.DiffChecker.applyMergePatch({}, r.mergePatch)), Object.prototype, 'Data keys only');
+    assertEqual(Odin.DiffChecker.createPatches('{"a":1}', '{"a":null}').mergeExact, false, 'null means delete');
+  });
+
+  it('applies patches and stops at the first failing operation', () => {
+    const doc = '{"a":{"list":[1,2]},"v":1}';
+    const ops = [
+      { op: 'test', path: '/v', value: 1 },
+      { op: 'add', path: '/a/list/-', value: 3 },
+      { op: 'move', from: '/a/list', path: '/list' },
+      { op: 'copy', from: '/list/0', path: '/first' },
+      { op: 'replace', path: '/v', value: 'x' }
+    ];
+    const ok = Odin.DiffChecker.applyPatch(doc, JSON.stringify(ops));
+    assertEqual(ok.kind, 'json-patch');
+    assertEqual(ok.applied, 5);
+    assertDeepEqual(ok.errors, []);
+    assertDeepEqual(JSON.parse(ok.result), { a: {}, v: 'x', list: [1, 2, 3], first: 1 });
+    const failing = [ops[1], { op: 'remove', path: '/missing/x' }, ops[2], { op: 'test', path: '/v', value: 2 }];
+    const r = Odin.DiffChecker.applyPatch(doc, JSON.stringify(failing));
+    assertEqual(r.applied, 1);
+    assertEqual(r.result, '');
+    assertDeepEqual(r.errors.map(e => e.index), [1, 2, 3]);
+    assertEqual(r.errors[0].message, 'Path "/missing/x" does not exist');
+    assertEqual(r.errors[1].message, 'Not applied: an earlier operation failed');
+    const tested = Odin.DiffChecker.applyJsonPatch({ v: 1 }, [{ op: 'test', path: '/v', value: 2 }, { op: 'remove', path: '/v' }]);
+    assertEqual(tested.result, null);
+    assertEqual(tested.errors[0].message, 'Test failed: "/v" is 1, expected 2');
+    const merged = Odin.DiffChecker.applyPatch('{"a":1,"b":{"c":2}}', '{"a":null,"b":{"d":3}}');
+    assertEqual(merged.kind, 'merge-patch');
+    assertDeepEqual(JSON.parse(merged.result), { b: { c: 2, d: 3 } });
+    assert(Odin.DiffChecker.applyPatch('{}', '"x"').error.includes('JSON Patch array or a Merge Patch object'));
+  });
+
+  it('ignores array order, listed keys and small numeric drift on request', () => {
+    const left = '{"updatedAt":"mon","rows":[{"id":1,"etag":"a","v":1.0001},{"id":2,"etag":"b","v":5}]}';
+    const right = '{"updatedAt":"tue","rows":[{"id":2,"etag":"c","v":5},{"id":1,"etag":"d","v":1}]}';
+    assert(Odin.DiffChecker.compareStructure(left, right).changes.length > 0);
+    const r = Odin.DiffChecker.compareStructure(left, right, { ignoreOrder: true, ignoreKeys: ['updatedAt', '/rows/*/etag'], tolerance: 0.001 });
+    assertEqual(r.equal, true, JSON.stringify(r.changes));
+    const moved = Odin.DiffChecker.compareStructure('[1,2,3]', '[3,1,4]', { ignoreOrder: true });
+    assertDeepEqual(moved.changes.map(c => `${c.type} ${c.path}`), ['removed /1', 'added /2']);
+  });
 });
 
 describe('Odin.PasswordGuard', () => {
@@ -373,6 +645,25 @@ describe('Odin.ModelGen — Schema Parsing', () => {
     assertEqual(s.type, 'nullable');
   });
 
+  it('records JSON Schema formats of sample strings', () => {
+    assertEqual(Odin.ModelGen.parseSchema('at', '2024-01-15T10:30:00Z').format, 'date-time');
+    assertEqual(Odin.ModelGen.parseSchema('at', '2024-01-15T10:30:00').format, null);
+    assertEqual(Odin.ModelGen.parseSchema('id', '123e4567-e89b-12d3-a456-426614174000').format, 'uuid');
+    assertEqual(Odin.ModelGen.parseSchema('mail', 'odin@valhalla.com').format, 'email');
+  });
+
+  it('detects URI, time, numeric and base64 string shapes', () => {
+    const format = v => Odin.ModelGen.parseSchema('v', v).format;
+    assertEqual(format('https://odin.dev/docs'), 'uri');
+    assertEqual(format('Status:done'), null, 'Not a link');
+    assertEqual(format('09:30:00'), 'partial-time');
+    assertEqual(format('09:30:00Z'), 'time');
+    assertEqual(format('-19.99'), 'numeric');
+    assertEqual(format('01234'), null, 'Leading zeros stay strings');
+    assertEqual(format('SGVsbG8gV29ybGQhIQ=='), 'base64');
+    assertEqual(format('abcdefghijklmnop'), null, 'Plain words are not base64');
+  });
+
   it('detects array of primitives', () => {
     const s = Odin.ModelGen.parseSchema('tags', ['a', 'b', 'c']);
     assertEqual(s.isArray, true);
@@ -403,6 +694,22 @@ describe('Odin.ModelGen — Schema Parsing', () => {
     assert(propNames.includes('email'), 'Should have email');
     assert(propNames.includes('phone'), 'Should have phone');
   });
+
+  it('tracks presence counts and widens mixed samples', () => {
+    const classes = [];
+    Odin.ModelGen.parseSchema('rows', [
+      { id: 1, score: 1, tag: 'a', note: null },
+      { id: 2, score: 2.5, tag: 3, note: 'x', extra: true }
+    ], classes);
+    const props = Object.fromEntries(classes.find(c => c.name === 'Rows').properties.map(p => [p.originalKey, p]));
+    assertEqual(props.id.required, true);
+    assertEqual(props.extra.required, false, 'Missing from one item');
+    assertEqual(props.score.schema.type, 'float', 'int + float widens');
+    assertEqual(props.tag.schema.type, 'union');
+    assertDeepEqual(props.tag.schema.variants.map(v => v.type), ['string', 'int']);
+    assertEqual(props.note.schema.type, 'string');
+    assertEqual(props.note.schema.nullable, true);
+  });
 });
 
 describe('Odin.ModelGen — Code Generation', () => {
@@ -446,6 +753,236 @@ describe('Odin.ModelGen — Code Generation', () => {
     assert(r.csharp.includes('Extra'), 'Merged array should include Extra from second element');
   });
 
+  it('generates a JSON Schema that accepts its sample', () => {
+    const sample = { id: 1, email: 'odin@valhalla.com', address: { city: 'Asgard' }, items: [{ sku: 'A', qty: 1 }, { sku: 'B' }] };
+    const r = Odin.ModelGen.generateAll(JSON.stringify(sample), { schemaNoAdditional: true });
+    const schema = JSON.parse(r.jsonschema);
+    assertEqual(schema.$schema, 'https://json-schema.org/draft/2020-12/schema');
+    assertDeepEqual(schema.required, ['id', 'email', 'address', 'items']);
+    assertDeepEqual(schema.properties.email, { type: 'string', format: 'email' });
+    assertDeepEqual(schema.properties.items, { type: 'array', items: { $ref: '#/$defs/Items' } });
+    // Merged array items: only keys present in every element are required
+    assertDeepEqual(schema.$defs.Items.required, ['sku']);
+    assertEqual(schema.$defs.Address.additionalProperties, false);
+    assertEqual(Odin.JSONSchema.validate(sample, schema).valid, true);
+  });
+
+  it('wraps array roots in a JSON Schema array', () => {
+    const schema = JSON.parse(Odin.ModelGen.generateAll('[{"a":1},{"a":2,"b":true}]').jsonschema);
+    assertEqual(schema.type, 'array');
+    assertDeepEqual(schema.items.required, ['a']);
+  });
+
+  it('generates TypeScript interfaces with optional merged keys', () => {
+    const r = Odin.ModelGen.generateAll('{"id":1,"first-name":"x","items":[{"a":1},{"b":"y"}]}');
+    assert(r.typescript.includes('export interface Items {\n  a?: number;\n  b?: string;\n}'), r.typescript);
+    assert(r.typescript.includes("  'first-name': string;"), 'Non-identifier keys are quoted');
+    assert(r.typescript.includes('  items: Items[];'));
+    const alias = Odin.ModelGen.generateAll('{"note":null}', { tsUseTypeAlias: true, tsOptionalNulls: true }).typescript;
+    assertEqual(alias, 'export type Root = {\n  note?: unknown;\n};');
+  });
+
+  it('generates Zod schemas declared before use', () => {
+    const r = Odin.ModelGen.generateAll('{"email":"odin@valhalla.com","address":{"city":"Asgard"},"tags":["a"]}');
+    assert(r.zod.startsWith("import { z } from 'zod';"));
+    assert(r.zod.indexOf('export const AddressSchema') < r.zod.indexOf('export const RootSchema'), 'Nested schema first');
+    assert(r.zod.includes('  email: z.string().email(),'));
+    assert(r.zod.includes('  address: AddressSchema,'));
+    assert(r.zod.includes('  tags: z.array(z.string()),'));
+    assert(r.zod.includes('export type Root = z.infer<typeof RootSchema>;'));
+  });
+
+  it('generates Java records with @JsonProperty for renamed keys', () => {
+    const r = Odin.ModelGen.generateAll('{"user_id":1,"name":"A","class":"x","at":"2024-01-15T10:30:00Z","tags":["a"]}');
+    assert(r.java.includes('public record Root('));
+    assert(r.java.includes('    @JsonProperty("user_id") int userId,'));
+    assert(r.java.includes('    @JsonProperty("class") String class_,'), 'Reserved words are escaped');
+    assert(r.java.includes('    OffsetDateTime at,'));
+    assert(r.java.includes('    List<String> tags\n) {}'));
+    assert(r.java.includes('import com.fasterxml.jackson.annotation.JsonProperty;'));
+    const nested = Odin.ModelGen.generateAll('{"id":1,"address":{"city":"Oslo"}}');
+    assertEqual((nested.java.match(/^public /gm) || []).length, 1, 'One public top-level type per file');
+    assert(nested.java.includes('public record Root('), nested.java);
+    assert(/^record Address\(\n    String city\n\) \{\}/m.test(nested.java), nested.java);
+  });
+
+  it('generates Kotlin data classes with @SerialName', () => {
+    const r = Odin.ModelGen.generateAll('{"user_id":1,"note":null,"items":[{"a":1},{"b":2}]}');
+    assert(r.kotlin.includes('@Serializable\ndata class Root('));
+    assert(r.kotlin.includes('    @SerialName("user_id")\n    val userId: Int,'));
+    assert(r.kotlin.includes('    val note: JsonElement? = null,'));
+    assert(r.kotlin.includes('    val a: Int? = null,'), 'Keys missing from some elements are nullable');
+  });
+
+  it('generates Rust serde structs', () => {
+    const r = Odin.ModelGen.generateAll('{"userId":1,"type":"x","day":"2024-01-15","scores":[1.5]}');
+    assert(r.rust.startsWith('use serde::{Deserialize, Serialize};\nuse chrono::NaiveDate;'));
+    assert(r.rust.includes('#[derive(Debug, Clone, Serialize, Deserialize)]\npub struct Root {'));
+    assert(r.rust.includes('    #[serde(rename = "userId")]\n    pub user_id: i64,'));
+    assert(r.rust.includes('    pub r#type: String,'), 'Raw identifiers need no rename');
+    assert(r.rust.includes('    pub day: NaiveDate,'));
+    assert(r.rust.includes('    pub scores: Vec<f64>,'));
+  });
+
+  it('generates Swift Codable structs with CodingKeys only when needed', () => {
+    const r = Odin.ModelGen.generateAll('{"user_id":1,"address":{"city":"A"}}');
+    assert(r.swift.includes('struct Root: Codable {\n    let userId: Int\n    let address: Address'));
+    assert(r.swift.includes('        case userId = "user_id"\n        case address'));
+    assert(!r.swift.split('struct Address')[1].split('}')[0].includes('CodingKeys'), 'Idiomatic keys need no CodingKeys');
+  });
+
+  it('renders unions and nullable fields per language', () => {
+    const r = Odin.ModelGen.generateAll('[{"v":1,"n":null,"mix":[1,"a"]},{"v":"x","n":2,"mix":[]}]');
+    assert(r.typescript.includes('  v: number | string;\n  n: number | null;\n  mix: (number | string)[];'), r.typescript);
+    assert(r.zod.includes('  v: z.union([z.number().int(), z.string()]),'), r.zod);
+    assert(r.zod.includes('  n: z.number().int().nullable(),'));
+    assert(r.csharp.includes('public object V { get; set; }'));
+    assert(r.csharp.includes('public int? N { get; set; }'));
+    assert(r.python.includes('    v: int | str = None'));
+    assert(r.php.includes('public int|string $v,'), r.php);
+    assert(r.php.includes('public ?int $n = null,'));
+    assert(r.rust.includes('pub n: Option<i64>,'));
+    assert(r.swift.includes('    let v: JSONValue\n    let n: Int?\n    let mix: [JSONValue]'), r.swift);
+    assertEqual(r.swift.split('enum JSONValue: Codable {').length, 2, 'One shared JSONValue enum');
+    assert(r.swift.endsWith('        case .null: try container.encodeNil()\n        }\n    }\n}'), r.swift);
+    const schema = JSON.parse(r.jsonschema).items.properties;
+    assertDeepEqual(schema.v, { type: ['integer', 'string'] });
+    assertDeepEqual(schema.n, { type: ['integer', 'null'] });
+  });
+
+  it('widens sample integers beyond 32 bits to 64-bit types', () => {
+    const r = Odin.ModelGen.generateAll('[{"id":1,"n":2},{"id":12345678901234,"n":-3}]');
+    assert(r.java.includes('    long id,\n    int n'), r.java);
+    assert(r.kotlin.includes('    val id: Long,\n    val n: Int'), r.kotlin);
+    assert(r.csharp.includes('public long Id { get; set; }'), r.csharp);
+    assert(/Id +int64 +`json:"id"`/.test(r.go), r.go);
+    assert(r.typescript.includes('  id: number;'));
+  });
+
+  it('maps typed strings only when the target toggle is on', () => {
+    const json = '{"id":"123e4567-e89b-12d3-a456-426614174000","born":"1990-05-01","price":"19.99","blob":"SGVsbG8gV29ybGQhIQ=="}';
+    const plain = Odin.ModelGen.generateAll(json);
+    assert(plain.csharp.includes('public string Id { get; set; }'), 'Off by default');
+    const r = Odin.ModelGen.generateAll(json, { csRichTypes: true, goRichTypes: true, pyRichTypes: true, phpRichTypes: true });
+    assert(r.csharp.includes('public Guid Id { get; set; }'));
+    assert(r.csharp.includes('public DateOnly Born { get; set; }'));
+    assert(r.csharp.includes('[JsonNumberHandling(JsonNumberHandling.AllowReadingFromString | JsonNumberHandling.WriteAsString)]\n    public decimal Price'));
+    assert(r.go.includes('import (\n\t"cloud.google.com/go/civil"\n\t"github.com/google/uuid"\n)'), r.go);
+    assert(/Price +float64 +`json:"price,string"`/.test(r.go));
+    assert(/Blob +\[\]byte/.test(r.go));
+    assert(r.python.includes('from uuid import UUID'));
+    assert(r.python.includes('    price: Decimal = None'));
+    assert(r.php.includes('public \\DateTimeImmutable $born,'));
+    assert(r.php.includes('     * @param numeric-string $price'));
+    const schema = JSON.parse(r.jsonschema).properties;
+    assertEqual(schema.blob.contentEncoding, 'base64');
+    assert(Odin.JSONSchema.validate(JSON.parse(json), JSON.parse(r.jsonschema)).valid, 'Schema accepts its sample');
+  });
+
+  it('infers enums from repeated labels when enum types are on', () => {
+    const json = JSON.stringify([{ status: 'active', id: 'a1' }, { status: 'pending', id: 'b2' }, { status: 'active', id: 'c3' }]);
+    assert(Odin.ModelGen.generateAll(json).csharp.includes('public string Status'), 'Off by default');
+    assert(!Odin.ModelGen.generateAll(json, { enumTypes: true, enumMaxValues: 1 }).csharp.includes('enum'), 'Over the threshold');
+    const r = Odin.ModelGen.generateAll(json, { enumTypes: true, enumMaxValues: 5 });
+    assert(r.csharp.includes('[JsonConverter(typeof(JsonStringEnumConverter<Status>))]\npublic enum Status\n{\n    [JsonStringEnumMemberName("active")]\n    Active,'), r.csharp);
+    assert(r.csharp.includes('public Status Status { get; set; }'));
+    assert(r.csharp.includes('public string Id { get; set; }'), 'Unique values are not an enum');
+    assert(r.go.includes('type Status string\n\nconst (\n\tStatusActive  Status = "active"\n\tStatusPending Status = "pending"\n)'), r.go);
+    assert(/Status +Status +`json:"status"`/.test(r.go));
+    assert(r.python.includes("from enum import Enum"));
+    assert(r.python.includes("class Status(str, Enum):\n    ACTIVE = 'active'\n    PENDING = 'pending'"));
+    assert(r.python.includes('    status: Status = None'));
+    assert(r.php.includes("enum Status: string\n{\n    case Active = 'active';\n    case Pending = 'pending';\n}"));
+    assert(r.php.includes('public Status $status,'));
+    assert(r.typescript.includes("  status: 'active' | 'pending';"));
+    for (const target of ['csharp', 'go', 'python', 'php']) {
+      assertDeepEqual(JSON.parse(Odin.ModelSample.fromCode(r[target]).output).status, 'active', target);
+    }
+  });
+
+  it('names contract enums after their property, prefixing the class on clashes', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        status: { $ref: '#/$defs/status' },
+        level: { enum: [1, 2, -3] }
+      },
+      $defs: { status: { type: 'object', properties: { status: { enum: ['in progress', 'done'] } } } }
+    };
+    const r = Odin.ModelGen.fromSchema(JSON.stringify(schema), { enumTypes: true });
+    assert(r.csharp.includes('public enum StatusStatus'), r.csharp);
+    assert(r.csharp.includes('public enum Level\n{\n    Value1 = 1,\n    Value2 = 2,\n    Minus3 = -3,\n}'));
+    assert(r.csharp.includes('public Level? Level { get; set; }'));
+    assert(r.go.includes('\tLevel1      Level = 1\n'), r.go);
+    assert(r.python.includes('class Level(IntEnum):\n    VALUE_1 = 1'));
+    assert(r.php.includes("    case InProgress = 'in progress';"));
+    assert(r.python.includes('    status: StatusStatus | None = None'));
+  });
+
+  it('prefixes the parent to nested classes whose key is already taken', () => {
+    const json = '{"billing":{"address":{"city":"A"}},"shipping":{"address":{"zip":"1"}},"root":{"id":1}}';
+    const r = Odin.ModelGen.generateAll(json, { rootName: 'order' });
+    assert(r.typescript.includes('export interface Address {\n  city: string;\n}'), r.typescript);
+    assert(r.typescript.includes('export interface ShippingAddress {\n  zip: string;\n}'), 'Second address is kept');
+    assert(r.typescript.includes('  address: ShippingAddress;'));
+    assert(r.typescript.includes('export interface Root {\n  id: number;\n}'));
+    assert(r.typescript.includes('export interface Order {'), 'Root class name option');
+    assertEqual(JSON.parse(r.jsonschema).title, 'Order');
+    const nested = Odin.ModelGen.generateAll('{"root":{"id":1}}');
+    assert(nested.typescript.includes('export interface RootRoot {'), 'A key may not take the root name');
+    const schema = Odin.ModelGen.fromSchema('{"title":"Doc","properties":{"a":{"type":"string"}}}', { rootName: 'Invoice' });
+    assert(schema.typescript.includes('export interface Invoice {'));
+  });
+
+  it('nests single-parent classes and adds namespace headers', () => {
+    const json = '{"id":1,"address":{"city":"A"},"tags":[{"n":"x"}]}';
+    const r = Odin.ModelGen.generateAll(json, { nestClasses: true, namespace: 'Acme.Models' });
+    assert(r.csharp.includes('namespace Acme.Models;\n\npublic class Root\n{'), r.csharp);
+    assert(r.csharp.includes('    public AddressModel Address { get; set; }'), 'Nested class renamed away from its property');
+    assert(r.csharp.includes('    public class AddressModel\n    {\n        public string City { get; set; }'));
+    assert(r.java.startsWith('package acme.models;\n'), r.java);
+    assert(r.java.includes(') {\n    public record Address(\n        String city\n    ) {}\n\n    public record Tags('));
+    assert(r.kotlin.startsWith('package acme.models\n'));
+    assert(r.kotlin.includes(') {\n    @Serializable\n    data class Address('));
+    assert(r.swift.includes('    let tags: [Tags]\n\n    struct Address: Codable {'), r.swift);
+    assert(r.go.startsWith('package models\n'), 'Go takes the last segment');
+    assert(r.php.includes('declare(strict_types=1);\n\nnamespace Acme\\Models;'));
+    assert(r.typescript.includes('export interface Address {'), 'Other targets stay flat');
+    const flat = Odin.ModelGen.generateAll(json);
+    assert(flat.csharp.includes('public class Address\n{') && !flat.csharp.includes('namespace'));
+  });
+
+  it('keeps JSON keys as field names for the chosen targets', () => {
+    const json = '{"user_id":1,"first-name":"A","lastName":"B"}';
+    const r = Odin.ModelGen.generateAll(json, { originalFieldNames: ['csharp', 'go', 'python', 'rust', 'swift'] });
+    assert(r.csharp.includes('using System.Text.Json.Serialization;'));
+    assert(r.csharp.includes('    public int user_id { get; set; }'), r.csharp);
+    assert(r.csharp.includes('    [JsonPropertyName("first-name")]\n    public string first_name'));
+    assert(!r.csharp.includes('[JsonPropertyName("user_id")]'), 'Kept keys need no attribute');
+    assert(/User_id +int +`json:"user_id"`/.test(r.go), r.go);
+    assert(r.python.includes('    lastName: str = None'));
+    assert(r.rust.startsWith('use serde::{Deserialize, Serialize};\n\n#[derive(Debug, Clone, Serialize, Deserialize)]\n#[allow(non_snake_case)]\npub struct Root {'), r.rust);
+    assert(r.swift.includes('        case user_id\n'), r.swift);
+    assert(r.java.includes('@JsonProperty("user_id") int userId'), 'Other targets stay idiomatic');
+    assert(r.php.includes('public int $userId,'));
+  });
+
+  it('escapes keyword keys kept as field names', () => {
+    const r = Odin.ModelGen.generateAll('{"class":1,"items":["a"]}', { originalFieldNames: ['csharp', 'python'] });
+    assert(r.csharp.includes('    public int @class { get; set; }'), r.csharp);
+    assert(!r.csharp.includes('[JsonPropertyName("class")]'), 'The verbatim name already binds to "class"');
+    assert(r.python.includes('    class_: int = field(default=None, metadata={"json_key": "class"})'), r.python);
+    assert(r.python.includes('    items: list[str] = field(default_factory=list)'));
+    const idiomatic = Odin.ModelGen.generateAll('{"from":"x","is":true}');
+    assert(idiomatic.python.includes('    from_: str = field(default=None, metadata={"json_key": "from"})'), idiomatic.python);
+    assert(idiomatic.csharp.includes('public string From { get; set; }'));
+    const digits = Odin.ModelGen.generateAll('{"2fa":true,"this":1}');
+    assert(/\n\tX2fa +bool +`json:"2fa"`/.test(digits.go), digits.go);
+    assert(digits.php.includes('public bool $_2fa,'), digits.php);
+    assert(digits.php.includes('public int $this_'), 'A promoted property cannot be named $this');
+    assert(/\n\tX_2fa +bool/.test(Odin.ModelGen.generateAll('{"2fa":true}', { originalFieldNames: ['go'] }).go));
+  });
+
   it('returns error for invalid JSON', () => {
     const r = Odin.ModelGen.generateAll('{bad json}');
     assert(r.error !== null);
@@ -463,6 +1000,205 @@ describe('Odin.ModelGen — Code Generation', () => {
   });
 });
 
+describe('Odin.ModelGen — From JSON Schema / OpenAPI', () => {
+  const openapi = [
+    'openapi: 3.0.3',
+    'info: { title: Pets, version: "1" }',
+    'paths: {}',
+    'components:',
+    '  schemas:',
+    '    Pet:',
+    '      type: object',
+    '      required: [id, status]',
+    '      properties:',
+    '        id: { type: integer, format: int64 }',
+    '        status: { type: string, enum: [available, sold] }',
+    '        tag: { type: string, nullable: true }',
+    "        owner: { $ref: '#/components/schemas/Owner' }",
+    '    Owner:',
+    '      allOf:',
+    "        - $ref: '#/components/schemas/Base'",
+    '        - { type: object, required: [email], properties: { email: { type: string, format: email } } }',
+    '    Base:',
+    '      type: object',
+    '      required: [uid]',
+    '      properties:',
+    '        uid: { type: string, format: uuid }'
+  ].join('\n');
+
+  it('generates one class per OpenAPI components/schemas entry', () => {
+    const r = Odin.ModelGen.fromSchema(openapi);
+    assertEqual(r.error, null);
+    assert(r.typescript.includes('export interface Pet {\n  id: number;\n  status: \'available\' | \'sold\';\n  tag?: string | null;\n  owner?: Owner;\n}'), r.typescript);
+    assert(r.typescript.includes('export interface Owner {\n  uid: string;\n  email: string;\n}'), 'allOf parts are merged');
+    assert(r.typescript.includes('export interface Base {'));
+    assert(r.zod.indexOf('export const OwnerSchema') < r.zod.indexOf('export const PetSchema'), 'Referenced schemas first');
+    assert(r.zod.includes("  status: z.enum(['available', 'sold']),"));
+    assert(r.python.includes("    status: Literal['available', 'sold'] = None"));
+    assert(r.csharp.includes('public Owner Owner { get; set; }'));
+    assert(/Uid +string +`json:"uid"`/.test(r.go));
+  });
+
+  it('maps int64 integers to 64-bit types', () => {
+    const r = Odin.ModelGen.fromSchema(openapi);
+    assert(r.csharp.includes('public long Id { get; set; }'), r.csharp);
+    assert(/Id +int64 +`json:"id"`/.test(r.go), r.go);
+    assert(r.java.includes('    long id,'), r.java);
+    assert(r.kotlin.includes('    val id: Long,'), r.kotlin);
+    assert(r.rust.includes('pub id: i64,'));
+    assertDeepEqual(JSON.parse(r.jsonschema).$defs.Pet.properties.id, { type: 'integer', format: 'int64' });
+  });
+
+  it('reads a JSON Schema root with $defs, unions and recursion', () => {
+    const schema = {
+      title: 'Order',
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          code: { oneOf: [{ type: 'string' }, { type: 'integer' }, { type: 'null' }] },
+          lines: { type: 'array', items: { $ref: '#/$defs/line' } },
+          next: { $ref: '#/items' }
+        }
+      },
+      $defs: { line: { type: 'object', properties: { qty: { type: 'integer', enum: [1, 2, null] } } } }
+    };
+    const r = Odin.ModelGen.fromSchema(JSON.stringify(schema));
+    assertEqual(r.error, null);
+    assert(r.typescript.includes('  code?: string | number | null;'), r.typescript);
+    assert(r.typescript.includes('  lines?: Line[];'));
+    assert(r.typescript.includes('  qty?: 1 | 2 | null;'));
+    assert(/Next +\*Order/.test(r.go), 'Recursive Go fields are pointers');
+    assert(r.rust.includes('pub next: Option<Box<Order>>,'));
+    const out = JSON.parse(r.jsonschema);
+    assertEqual(out.type, 'array');
+    assertDeepEqual(out.items.properties.lines, { type: 'array', items: { $ref: '#/$defs/Line' } });
+  });
+
+  it('reports unusable documents', () => {
+    assertEqual(Odin.ModelGen.fromSchema('openapi: 3.1.0\ninfo: { title: x, version: "1" }').error, 'No components/schemas found in this OpenAPI document');
+    assertEqual(Odin.ModelGen.fromSchema('{"type":"string"}').error, 'The schema must describe an object or an array of objects');
+    assert(Odin.ModelGen.fromSchema('{"properties":{"a":{"$ref":"other.json#/x"}}}').error.includes('only references inside this document'));
+    assert(Odin.ModelGen.fromSchema('[1, 2').error.startsWith('Error parsing JSON or YAML'));
+  });
+});
+
+describe('Odin.ModelSample', () => {
+  const sample = (code) => JSON.parse(Odin.ModelSample.fromCode(code).output);
+
+  it('reads C# classes, records and enums with JSON attributes', () => {
+    const r = Odin.ModelSample.fromCode([
+      'public class Order',
+      '{',
+      '    [JsonPropertyName("order_id")] public Guid Id { get; set; }',
+      '    public decimal Total { get; set; }',
+      '    public List<OrderLine> Lines { get; set; } = new();',
+      '    public Status Status { get; set; }',
+      '    [JsonIgnore] public string Secret { get; set; }',
+      '    public Order? Parent { get; set; }',
+      '    public static int Max = 3;',
+      '}',
+      'public record OrderLine(string Sku, [property: JsonPropertyName("qty")] int Quantity);',
+      'public enum Status { Pending, Shipped }'
+    ].join('\n'));
+    assertEqual(r.language, 'csharp');
+    assertEqual(r.root, 'Order', 'Self-references do not hide the root');
+    assertDeepEqual(JSON.parse(r.output), {
+      order_id: '3fa85f64-5717-4562-b3fc-2c963f66afa6',
+      total: 19.99,
+      lines: [{ sku: 'string', qty: 3 }],
+      status: 'Pending',
+      parent: null
+    });
+    assertEqual(Odin.ModelSample._camelPolicy('URLValue'), 'urlValue');
+  });
+
+  it('reads Go struct tags, embedded structs and typed constants', () => {
+    const out = sample([
+      'type Status string',
+      'const (',
+      '\tStatusActive Status = "active"',
+      ')',
+      'type Base struct { CreatedAt time.Time `json:"created_at"` }',
+      'type User struct {',
+      '\tBase',
+      '\tID      int64   `json:"id"`',
+      '\tPrice   float64 `json:"price,string"`',
+      '\tStatus  Status  `json:"status"`',
+      '\tsecret  string',
+      '\tSkip    string  `json:"-"`',
+      '\tAddress struct {',
+      '\t\tCity string `json:"city"`',
+      '\t} `json:"address"`',
+      '\tNext *User `json:"next,omitempty"`',
+      '}'
+    ].join('\n'));
+    assertDeepEqual(out, {
+      created_at: '2024-01-15T10:30:00Z',
+      id: 1,
+      price: '19.99',
+      status: 'active',
+      address: { city: 'Asgard' },
+      next: null
+    });
+  });
+
+  it('reads Python dataclasses, pydantic aliases and enums', () => {
+    const out = sample([
+      'class Role(str, Enum):',
+      '    ADMIN = "admin"',
+      '',
+      '@dataclass',
+      'class Person:',
+      '    first_name: str',
+      '    role: Role',
+      '    tags: list[str] = field(default_factory=list)',
+      "    kind: Literal['a', 'b'] = 'a'",
+      '    birthday: Optional[date] = None',
+      '    uid: UUID = Field(alias="userId")',
+      '',
+      '    def greet(self):',
+      '        x: int = 1'
+    ].join('\n'));
+    assertDeepEqual(out, { first_name: 'Odin', role: 'admin', tags: ['string'], kind: 'a', birthday: '2024-01-15', userId: '3fa85f64-5717-4562-b3fc-2c963f66afa6' });
+  });
+
+  it('reads PHP promoted constructors, docblocks and backed enums', () => {
+    const out = sample([
+      '<?php',
+      "enum Suit: string { case Hearts = 'H'; }",
+      'final class Card {',
+      '    /** @param list<Tag> $tags */',
+      '    public function __construct(',
+      "        #[SerializedName('suit_name')] public Suit $suit,",
+      '        public array $tags = [],',
+      "        private string $hidden = '',",
+      '    ) {}',
+      '}',
+      'class Tag { public string $name; public static int $count = 0; }'
+    ].join('\n'));
+    assertDeepEqual(out, { suit_name: 'H', tags: [{ name: 'Odin' }] });
+  });
+
+  it('turns generated models back into the sample keys', () => {
+    const json = '{"id":7,"name":"x","price":2.5,"tags":["a"],"address":{"city":"y"}}';
+    const models = Odin.ModelGen.generateAll(json);
+    for (const target of ['csharp', 'go', 'python', 'php']) {
+      const r = Odin.ModelSample.fromCode(models[target]);
+      assertEqual(r.language, target);
+      // PHP arrays carry no element type without a docblock
+      const tags = target === 'php' ? [] : ['string'];
+      assertDeepEqual(JSON.parse(r.output), { id: 1, name: 'Odin', price: 19.99, tags, address: { city: 'Asgard' } }, target);
+    }
+  });
+
+  it('reports input it cannot read', () => {
+    assertEqual(Odin.ModelSample.fromCode('just some text').error, 'Could not recognize a C# class, Go struct, Python class or PHP class');
+  });
+});
+
 describe('Odin.Pomodoro', () => {
   it('formatTime formats seconds correctly', () => {
     assertEqual(Odin.Pomodoro.formatTime(0), '00:00');
@@ -607,6 +1343,248 @@ describe('Odin.JWT', () => {
     assert(Odin.JWT.standardClaims.iss === 'Issuer');
     assert(Odin.JWT.standardClaims.exp === 'Expiration Time');
   });
+
+  it('verify accepts the correct HS256 secret', async () => {
+    const r = await Odin.JWT.verify(sampleJWT, 'your-256-bit-secret');
+    assertEqual(r.valid, true);
+    assertEqual(r.alg, 'HS256');
+  });
+
+  it('verify rejects a wrong HS256 secret', async () => {
+    const r = await Odin.JWT.verify(sampleJWT, 'wrong-secret');
+    assertEqual(r.valid, false);
+    assertEqual(r.reason, 'Invalid signature');
+  });
+
+  it('verify accepts a Base64URL-encoded secret', async () => {
+    const secret = Buffer.from('your-256-bit-secret').toString('base64url');
+    const r = await Odin.JWT.verify(sampleJWT, secret, { secretBase64: true });
+    assertEqual(r.valid, true);
+  });
+
+  it('verify checks ES256 tokens against PEM and JWK public keys', async () => {
+    const pair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+    const signingInput = Buffer.from('{"alg":"ES256"}').toString('base64url') + '.' + Buffer.from('{"sub":"odin"}').toString('base64url');
+    const sig = await crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, pair.privateKey, new TextEncoder().encode(signingInput));
+    const token = signingInput + '.' + Buffer.from(sig).toString('base64url');
+
+    const spki = Buffer.from(await crypto.subtle.exportKey('spki', pair.publicKey)).toString('base64');
+    const pem = '-----BEGIN PUBLIC KEY-----\n' + spki.match(/.{1,64}/g).join('\n') + '\n-----END PUBLIC KEY-----';
+    const jwk = await crypto.subtle.exportKey('jwk', pair.publicKey);
+
+    assertEqual((await Odin.JWT.verify(token, pem)).valid, true);
+    assertEqual((await Odin.JWT.verify(token, JSON.stringify(jwk))).valid, true);
+    assertEqual((await Odin.JWT.verify(signingInput + '.' + 'A'.repeat(86), pem)).valid, false);
+  });
+
+  it('sign produces an HS256 token that round-trips through decode and verify', async () => {
+    const token = await Odin.JWT.sign({ alg: 'HS256', typ: 'JWT' }, { sub: 'odin', admin: true }, 'valhalla');
+    const decoded = Odin.JWT.decode(token);
+    assertEqual(decoded.header.alg, 'HS256');
+    assertEqual(decoded.payload.sub, 'odin');
+    assertEqual((await Odin.JWT.verify(token, 'valhalla')).valid, true);
+  });
+
+  it('sign re-signs a decoded token to the same compact form', async () => {
+    const decoded = Odin.JWT.decode(sampleJWT);
+    const token = await Odin.JWT.sign(JSON.stringify(decoded.header), JSON.stringify(decoded.payload), 'your-256-bit-secret');
+    assertEqual(token, sampleJWT);
+  });
+
+  it('sign uses a PKCS#8 PEM private key for RS256', async () => {
+    const pair = await crypto.subtle.generateKey(
+      { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+      true, ['sign', 'verify']
+    );
+    const toPem = (label, buf) => `-----BEGIN ${label}-----\n` + Buffer.from(buf).toString('base64').match(/.{1,64}/g).join('\n') + `\n-----END ${label}-----`;
+    const privatePem = toPem('PRIVATE KEY', await crypto.subtle.exportKey('pkcs8', pair.privateKey));
+    const publicPem = toPem('PUBLIC KEY', await crypto.subtle.exportKey('spki', pair.publicKey));
+    const token = await Odin.JWT.sign({ alg: 'RS256' }, { sub: 'odin' }, privatePem);
+    assertEqual((await Odin.JWT.verify(token, publicPem)).valid, true);
+  });
+
+  it('sign rejects invalid JSON and public-only keys', async () => {
+    let msg = '';
+    try { await Odin.JWT.sign('{bad', '{}', 'secret'); } catch (e) { msg = e.message; }
+    assert(msg.includes('Invalid header JSON'), msg);
+
+    const pair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+    const publicJwk = await crypto.subtle.exportKey('jwk', pair.publicKey);
+    msg = '';
+    try { await Odin.JWT.sign({ alg: 'ES256' }, {}, publicJwk); } catch (e) { msg = e.message; }
+    assert(msg.includes('private JWK'), msg);
+  });
+
+  it('sign supports unsecured alg "none" tokens', async () => {
+    const token = await Odin.JWT.sign({ alg: 'none' }, { sub: 'test' }, '');
+    assert(token.endsWith('.'));
+    assertEqual(Odin.JWT.decode(token).payload.sub, 'test');
+  });
+
+  it('setTimeClaims sets iat/nbf/exp relative to now', () => {
+    const now = Date.UTC(2024, 0, 1);
+    const p = Odin.JWT.setTimeClaims({ sub: 'x', exp: 1 }, { iat: 0, exp: 3600 }, now);
+    assertEqual(p.iat, now / 1000);
+    assertEqual(p.exp, now / 1000 + 3600);
+    assertEqual(p.nbf, undefined);
+    assertEqual(p.sub, 'x');
+  });
+
+  it('lintClaims flags time-window problems at the evaluation time', () => {
+    const now = Date.UTC(2024, 0, 1);
+    const t = now / 1000;
+    const issues = Odin.JWT.lintClaims({ alg: 'none' }, { iss: 'a', sub: 'b', aud: 'c', iat: t + 600, nbf: t + 300, exp: t + 100 }, { now });
+    const text = issues.map(i => i.level + ':' + i.claim + ':' + i.message).join('\n');
+    assert(text.includes('error:alg'), text);
+    assert(text.includes('error:nbf:Not valid before'), text);
+    assert(text.includes('warning:iat:Issued in the future'), text);
+    assert(text.includes('is not after Issued At'), text);
+  });
+
+  it('lintClaims honours clock skew, missing claims and max lifetime', () => {
+    const now = Date.UTC(2024, 0, 1);
+    const t = now / 1000;
+    const skewed = Odin.JWT.lintClaims({ alg: 'HS256' }, { exp: t - 30, iat: t - 3600 }, { now, skew: 60 });
+    assert(skewed.some(i => i.level === 'warning' && i.message.includes('clock skew')));
+    assert(skewed.some(i => i.level === 'info' && i.message === 'Missing Issuer (iss)'));
+    assertEqual(Odin.JWT.lintClaims({}, { exp: t - 30 }, { now, skew: 0 }).filter(i => i.level === 'error').length, 1);
+
+    const noExp = Odin.JWT.lintClaims({ alg: 'HS256' }, {}, { now });
+    assert(noExp.some(i => i.claim === 'exp' && i.message.includes('never expires')));
+
+    const long = Odin.JWT.lintClaims({ alg: 'HS256' }, { iat: t, exp: t + 90000 }, { now, maxLifetime: 86400 });
+    assert(long.some(i => i.message === 'Lifetime of 1d 1h exceeds 1d'));
+  });
+
+  it('verify reports a reason for unsigned, unsupported or keyless tokens', async () => {
+    const none = Buffer.from('{"alg":"none"}').toString('base64url') + '.' + Buffer.from('{}').toString('base64url') + '.';
+    const r1 = await Odin.JWT.verify(none, 'secret');
+    assertEqual(r1.valid, false);
+    assert(r1.reason.includes('none'));
+
+    const r2 = await Odin.JWT.verify(sampleJWT, '');
+    assert(r2.reason.includes('secret'));
+
+    const pemErr = await Odin.JWT.verify(sampleJWT.replace('eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9', Buffer.from('{"alg":"RS256"}').toString('base64url')), 'not a key');
+    assert(pemErr.reason.startsWith('Key import failed'));
+  });
+
+  it('decrypt handles the RFC 7516 A128KW + A128CBC-HS256 example', async () => {
+    const jwe = 'eyJhbGciOiJBMTI4S1ciLCJlbmMiOiJBMTI4Q0JDLUhTMjU2In0.' +
+      '6KB707dM9YTIgHtLvtgWQ8mKwboJW3of9locizkDTHzBC2IlrT1oOQ.' +
+      'AxY8DCtDaGlsbGljb3RoZQ.' +
+      'KDlTtXchhZTGufMYmOYGS4HffxPSUrfmqCHXaI9wOGY.' +
+      'U0m_YmjN04DJvceFICbCVQ';
+    assert(Odin.JWT.isJWE(jwe));
+    const result = await Odin.JWT.decrypt(jwe, '{"kty":"oct","k":"GawgguFyGrWKav7AX4VKUg"}');
+    assertEqual(result.plaintext, 'Live long and prosper.');
+    assertEqual(result.payload, null);
+
+    let msg = '';
+    try { await Odin.JWT.decrypt(jwe, 'GawgguFyGrWKav7AX4VKUA', { secretBase64: true }); } catch (e) { msg = e.message; }
+    assertEqual(msg, 'Key unwrap failed: wrong key');
+  });
+
+  it('decrypt handles dir + A256GCM and RSA-OAEP-256 + A256GCM', async () => {
+    const b64 = (buf) => Buffer.from(buf).toString('base64url');
+    const seal = async (header, encryptedKey, cek, payload) => {
+      const protectedHeader = b64(JSON.stringify(header));
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      const key = await crypto.subtle.importKey('raw', cek, 'AES-GCM', false, ['encrypt']);
+      const sealed = new Uint8Array(await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: Buffer.from(protectedHeader) }, key, Buffer.from(JSON.stringify(payload))
+      ));
+      return [protectedHeader, b64(encryptedKey), b64(iv), b64(sealed.slice(0, -16)), b64(sealed.slice(-16))].join('.');
+    };
+
+    const cek = crypto.getRandomValues(new Uint8Array(32));
+    const dirToken = await seal({ alg: 'dir', enc: 'A256GCM' }, new Uint8Array(0), cek, { sub: 'odin' });
+    assertEqual((await Odin.JWT.decrypt(dirToken, b64(cek), { secretBase64: true })).payload.sub, 'odin');
+
+    const pair = await crypto.subtle.generateKey(
+      { name: 'RSA-OAEP', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+      true, ['encrypt', 'decrypt']
+    );
+    const wrapped = await crypto.subtle.encrypt({ name: 'RSA-OAEP' }, pair.publicKey, cek);
+    const rsaToken = await seal({ alg: 'RSA-OAEP-256', enc: 'A256GCM', cty: 'JWT' }, wrapped, cek, { sub: 'thor' });
+    const privateJwk = await crypto.subtle.exportKey('jwk', pair.privateKey);
+    const result = await Odin.JWT.decrypt(rsaToken, privateJwk);
+    assertEqual(result.payload.sub, 'thor');
+    assertEqual(result.nested, true);
+
+    let msg = '';
+    try { Odin.JWT.decode(rsaToken); } catch (e) { msg = e.message; }
+    assert(msg.includes('JWE'), msg);
+  });
+});
+
+// ================================================================
+//  Odin.JWK
+// ================================================================
+describe('Odin.JWK', () => {
+  const rfcJwk = {
+    kty: 'RSA',
+    n: '0vx7agoebGcQSuuPiLJXZptN9nndrQmbXEps2aiAFbWhM78LhWx4cbbfAAtVT86zwu1RK7aPFFxuhDR1L6tSoc_BJECPebWKRXjBZCiFV4n3oknjhMstn64tZ_2W-5JsGY4Hc5n9yBXArwl93lqt7_RN5w6Cf0h4QyQ5v-65YGjQR0_FDW2QvzqY368QQMicAtaSqzs8KJZgnYb9c7d0zgdAZHzu6qMQvRL5hajrn1n91CbOpbISD08qNLyrdkt-bFTWhAI4vMQFh6WeZu0fM4lFd2NcRwr3XPksINHaQ-G_xBniIqbw0Ls1jF44-csFCur-kEgU8awapJzKnqDKgw',
+    e: 'AQAB',
+    alg: 'RS256',
+    kid: '2011-04-29'
+  };
+
+  it('thumbprint matches the RFC 7638 example', async () => {
+    assertEqual(await Odin.JWK.thumbprint(rfcJwk), 'NzbLsXh8uDCcd-6MNwXF4W_7noWXFZAfHkxZsRGC9Xs');
+  });
+
+  it('converts PEM to JWK and back', async () => {
+    const pair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-384' }, true, ['sign', 'verify']);
+    const spki = Buffer.from(await crypto.subtle.exportKey('spki', pair.publicKey)).toString('base64');
+    const pem = '-----BEGIN PUBLIC KEY-----\n' + spki.match(/.{1,64}/g).join('\n') + '\n-----END PUBLIC KEY-----';
+    const jwk = await Odin.JWK.pemToJwk(pem);
+    assertEqual(jwk.kty, 'EC');
+    assertEqual(jwk.crv, 'P-384');
+    assertEqual(await Odin.JWK.jwkToPem(jwk), pem);
+  });
+
+  it('convert builds a JWKS with thumbprint kids and can strip private members', async () => {
+    const pair = await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']);
+    const privateJwk = await crypto.subtle.exportKey('jwk', pair.privateKey);
+    const result = await Odin.JWK.convert(JSON.stringify(privateJwk), 'jwks', { kid: true, publicOnly: true });
+    const jwks = JSON.parse(result.output);
+    assertEqual(jwks.keys.length, 1);
+    assertEqual(jwks.keys[0].d, undefined);
+    assertEqual(jwks.keys[0].kid, result.keys[0].thumbprint);
+  });
+
+  it('rejects JSON that is not a JWK or JWKS object', async () => {
+    const message = async (input) => {
+      try { await Odin.JWK.convert(input, 'jwk'); } catch (e) { return e.message; }
+      return '';
+    };
+    assertEqual(await message('null'), 'JSON must be a JWK or JWKS object');
+    assertEqual(await message('[1]'), 'JSON must be a JWK or JWKS object');
+    assertEqual(await message('{"keys":[{"kty":"oct","k":"AA"},null]}'), 'JWKS entry 1 is not a JWK object');
+    assertEqual(Odin.JWK.detect(null), null);
+  });
+
+  it('selectKey picks by kid and explains misses', () => {
+    const jwks = { keys: [{ kty: 'EC', kid: 'a' }, { kty: 'RSA', kid: 'b' }] };
+    assertEqual(Odin.JWK.selectKey(jwks, { alg: 'RS256', kid: 'b' }).kid, 'b');
+    let msg = '';
+    try { Odin.JWK.selectKey(jwks, { alg: 'RS256', kid: 'zzz' }); } catch (e) { msg = e.message; }
+    assert(msg.includes('zzz'), msg);
+  });
+
+  it('JWT.verify selects the signing key from a JWKS', async () => {
+    const pair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+    const privateJwk = await crypto.subtle.exportKey('jwk', pair.privateKey);
+    const publicJwk = await crypto.subtle.exportKey('jwk', pair.publicKey);
+    const other = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']);
+    const otherJwk = await crypto.subtle.exportKey('jwk', other.publicKey);
+    const token = await Odin.JWT.sign({ alg: 'ES256', kid: 'k2' }, { sub: 'odin' }, privateJwk);
+    const jwks = JSON.stringify({ keys: [{ ...otherJwk, kid: 'k1' }, { ...publicJwk, kid: 'k2' }] });
+    const r = await Odin.JWT.verify(token, jwks);
+    assertEqual(r.valid, true);
+    assert(r.reason.includes('k2'));
+  });
 });
 
 // ================================================================
@@ -784,14 +1762,281 @@ describe('Odin.FlexGridPlayground', () => {
   });
 });
 
+// ================================================================
+//  Odin.YAML
+// ================================================================
+describe('Odin.YAML', () => {
+  it('parses nested block collections with comments and quoted keys', () => {
+    const yaml = [
+      'jobs:',
+      '  build:  # the only job',
+      '    runs-on: ubuntu-latest',
+      '    steps:',
+      '      - uses: actions/checkout@v4',
+      '      - name: Test',
+      '        env:',
+      '          "KEY:WITH:COLON": \'it\'\'s\'',
+      '    tags:',
+      '    - a',
+      '    - b'
+    ].join('\n');
+    assertDeepEqual(Odin.YAML.parse(yaml), {
+      jobs: {
+        build: {
+          'runs-on': 'ubuntu-latest',
+          steps: [{ uses: 'actions/checkout@v4' }, { name: 'Test', env: { 'KEY:WITH:COLON': "it's" } }],
+          tags: ['a', 'b']
+        }
+      }
+    });
+  });
+
+  it('parses literal and folded block scalars with chomping', () => {
+    const doc = Odin.YAML.parse('run: |\n  npm ci\n  npm test\nmsg: >-\n  folded\n  text\n\n  para\nkeep: |+\n  x\n\nnext: 1');
+    assertEqual(doc.run, 'npm ci\nnpm test\n');
+    assertEqual(doc.msg, 'folded text\npara');
+    assertEqual(doc.keep, 'x\n\n');
+  });
+
+  it('parses flow collections and core schema scalars', () => {
+    const doc = Odin.YAML.parse('a: [1, "two", {x: y, "z": [true, ~]}, ]\nb: 0x1F\nc: 1e3\nd: 12:30\ne: !!str 42\nf: Null');
+    assertDeepEqual(doc, { a: [1, 'two', { x: 'y', z: [true, null] }], b: 31, c: 1000, d: '12:30', e: '42', f: null });
+  });
+
+  it('resolves anchors, aliases and merge keys', () => {
+    const doc = Odin.YAML.parse('base: &base\n  image: node\n  port: 80\nweb:\n  <<: *base\n  port: 8080\nports: &p [1, 2]\ncopy: *p');
+    assertDeepEqual(doc.web, { image: 'node', port: 8080 });
+    assertDeepEqual(doc.copy, [1, 2]);
+  });
+
+  it('returns an array for multi-document streams', () => {
+    assertDeepEqual(Odin.YAML.parse('kind: A\n---\nkind: B\n...\n'), [{ kind: 'A' }, { kind: 'B' }]);
+    assertEqual(Odin.YAML.toJSON('--- 1'), '1');
+  });
+
+  it('reports errors with line and column', () => {
+    let err = null;
+    try { Odin.YAML.toJSON('a: 1\nb: [1, 2\nc: 3'); } catch (e) { err = e; }
+    assertEqual(err.message, 'Invalid YAML: Unclosed "[" at line 2, column 4');
+    assertEqual(err.line, 2);
+
+    err = null;
+    try { Odin.YAML.parse('name: x\nname: y'); } catch (e) { err = e; }
+    assertEqual(err.message, 'Duplicate key "name" at line 2, column 1');
+
+    err = null;
+    try { Odin.YAML.parse('a: *missing'); } catch (e) { err = e; }
+    assert(err.message.startsWith('Unknown alias'));
+  });
+
+  it('rejects alias bombs and keeps __proto__ as a plain key', () => {
+    const bomb = ['a: &a [x, x, x, x, x, x, x, x, x, x]'];
+    for (let i = 1; i < 7; i++) {
+      const prev = String.fromCharCode(96 + i);
+      const name = String.fromCharCode(97 + i);
+      bomb.push(`${name}: &${name} [` + Array(10).fill('*' + prev).join(', ') + ']');
+    }
+    let msg = '';
+    try { Odin.YAML.parse(bomb.join('\n')); } catch (e) { msg = e.message; }
+    assert(msg.includes('alias'), msg);
+
+    const doc = Odin.YAML.parse('__proto__: {polluted: true}');
+    assertEqual(({}).polluted, undefined);
+    assertEqual(Object.keys(doc)[0], '__proto__');
+  });
+
+  it('toYAML quotes strings that would otherwise change type or meaning', () => {
+    const yaml = Odin.YAML.toYAML(JSON.stringify({ a: 'true', b: 'null', c: '123', d: 'a: b', e: ' lead', f: 'yes', g: '', h: '-v' }));
+    assertEqual(yaml, "a: 'true'\nb: 'null'\nc: '123'\nd: 'a: b'\ne: ' lead'\nf: 'yes'\ng: ''\nh: -v\n");
+  });
+
+  it('toYAML writes block scalars, empty collections and honours options', () => {
+    assertEqual(Odin.YAML.stringify({ run: 'npm ci\nnpm test\n', none: [], obj: {} }), 'run: |\n  npm ci\n  npm test\nnone: []\nobj: {}\n');
+    assertEqual(Odin.YAML.stringify({ b: [{ q: 1, p: 2 }], a: 1 }, { indent: 4, sortKeys: true }), 'a: 1\nb:\n    -   p: 2\n        q: 1\n');
+  });
+
+  it('toYAML output parses back to the same data', () => {
+    const data = {
+      strings: ['true', '~', '0x1F', '12:30', 'a #b', "it's", 'tab\there', 'ctrl\u0001', '- x', '---', '<<', '*ref', 'multi\nline\n', 'no nl\nend', 'keep\n\n', ' indented\nfirst', 'ws\n  \nline'],
+      numbers: [0, -1.5, 1e21],
+      nested: [[1, [2, []]], [{}], { a: [{ b: 'c\nd' }] }],
+      'key: colon': null,
+      'multi\nkey': true,
+      '': 'empty key'
+    };
+    for (const indent of [2, 4]) {
+      assertDeepEqual(Odin.YAML.parse(Odin.YAML.stringify(data, { indent })), data);
+    }
+  });
+});
+
+// ================================================================
+//  Odin.JSONPath
+// ================================================================
+describe('Odin.JSONPath', () => {
+  const store = {
+    store: {
+      book: [
+        { category: 'reference', author: 'Nigel Rees', title: 'Sayings of the Century', price: 8.95 },
+        { category: 'fiction', author: 'Evelyn Waugh', title: 'Sword of Honour', price: 12.99 },
+        { category: 'fiction', author: 'Herman Melville', title: 'Moby Dick', isbn: '0-553-21311-3', price: 8.99 },
+        { category: 'fiction', author: 'J. R. R. Tolkien', title: 'The Lord of the Rings', isbn: '0-395-19395-8', price: 22.99 }
+      ],
+      bicycle: { color: 'red', price: 399 }
+    }
+  };
+  const values = (path) => Odin.JSONPath.query(store, path).map(m => m.value);
+
+  it('returns matches with normalized paths', () => {
+    assertDeepEqual(Odin.JSONPath.query(store, '$.store.bicycle.color'), [{ value: 'red', path: "$['store']['bicycle']['color']" }]);
+    assertEqual(Odin.JSONPath.query(store, "$['store'].book[-1]")[0].path, "$['store']['book'][3]");
+  });
+
+  it('supports recursive descent, wildcards, unions and slices', () => {
+    assertDeepEqual(values('$..price'), [8.95, 12.99, 8.99, 22.99, 399]);
+    assertDeepEqual(values('$.store.book[*].author').length, 4);
+    assertDeepEqual(values("$.store.book[0]['title','price']"), ['Sayings of the Century', 8.95]);
+    assertDeepEqual(values('$.store.book[1:3].price'), [12.99, 8.99]);
+    assertDeepEqual(values('$.store.book[::-2].price'), [22.99, 12.99]);
+    assertDeepEqual(values('$.store.book[0, -1].price'), [8.95, 22.99]);
+  });
+
+  it('evaluates filter expressions and functions', () => {
+    assertDeepEqual(values('$..book[?(@.price < 10)].title'), ['Sayings of the Century', 'Moby Dick']);
+    assertDeepEqual(values('$..book[?@.isbn && @.price > 20].title'), ['The Lord of the Rings']);
+    assertDeepEqual(values('$..book[?!@.isbn].price'), [8.95, 12.99]);
+    assertDeepEqual(values('$..book[?match(@.author, "H.*")].author'), ['Herman Melville']);
+    assertDeepEqual(values('$..book[?length(@.title) > 21].price'), [8.95]);
+    assertDeepEqual(values('$[?count(@.book[*]) == 4].bicycle.color'), ['red']);
+  });
+
+  it('refuses regular expressions that can backtrack catastrophically', () => {
+    const message = (path, doc = { s: 'aaaa' }) => {
+      try { Odin.JSONPath.query(doc, path); } catch (e) { return e.message; }
+      return '';
+    };
+    assert(message('$[?match(@, "(a+)+b")]').includes('repeats a group that already repeats'));
+    assert(message('$[?search(@, "((x)[a-z]*)*")]').includes('(e.g. (a+)+)'));
+    assert(message('$[?search(@, \'(a|a)*b\')]', { s: 'a'.repeat(40) }).includes('alternatives can match the same text'));
+    assert(message('$[?search(@, "((x|[a-z]))+$")]').includes('(e.g. (a|a)*)'), 'Overlap inside a nested group');
+    assert(message('$[?search(@, "(a?b|b)*")]').includes('(e.g. (a|a)*)'), 'An optional first atom lets the next one start');
+    assertEqual(message('$[?match(@, "(ab)+|[+*]+|(a|b){2,}|([a-z]|_)+|(foo|bar)*")]'), '');
+    assertEqual(message('$[?search(@, "a")]', { s: 'a'.repeat(10001) }), 'search() can only test strings up to 10,000 characters');
+  });
+
+  it('reports syntax errors with a position', () => {
+    let msg = '';
+    try { Odin.JSONPath.query(store, '$.store.book[01]'); } catch (e) { msg = e.message; }
+    assertEqual(msg, 'Invalid integer "01" at position 14');
+    msg = '';
+    try { Odin.JSONPath.query(store, '$..book[?@.* == 1]'); } catch (e) { msg = e.message; }
+    assert(msg.startsWith('Comparisons need a singular query'), msg);
+  });
+
+  it('YAML.queryJSONPath delegates to the engine', () => {
+    const json = Odin.YAML.toJSON('tools:\n  - timer\n  - regex');
+    assertDeepEqual(Odin.YAML.queryJSONPath(json, 'tools[1]'), [{ value: 'regex', path: "$['tools'][1]" }]);
+  });
+});
+
+// ================================================================
+//  Odin.JSONSchema
+// ================================================================
+describe('Odin.JSONSchema', () => {
+  it('reports violations with JSON Pointer and input line', () => {
+    const input = '{\n  "name": "x",\n  "tags": ["a", "a"],\n  "extra": true\n}';
+    const schema = JSON.stringify({
+      type: 'object',
+      required: ['id'],
+      properties: { name: { $ref: '#/$defs/name' }, tags: { uniqueItems: true } },
+      additionalProperties: false,
+      $defs: { name: { type: 'string', minLength: 3 } }
+    });
+    const r = Odin.JsonFormatter.validateSchema(input, schema);
+    assertEqual(r.valid, false);
+    assertEqual(r.draft, '2020-12');
+    assertDeepEqual(r.errors.map(e => [e.pointer, e.keyword, e.line]), [
+      ['', 'required', 1], ['/name', 'minLength', 2], ['/tags', 'uniqueItems', 3], ['/extra', 'additionalProperties', 4]
+    ]);
+    assertEqual(r.errors[1].schemaPath, '#/properties/name/$ref/minLength');
+    assertEqual(input.slice(r.errors[1].start, r.errors[1].end), '"x"');
+  });
+
+  it('reports patterns that could backtrack catastrophically instead of running them', () => {
+    const started = Date.now();
+    const r = Odin.JSONSchema.validate('aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa!', { type: 'string', pattern: '^(a+)+$' });
+    assert(Date.now() - started < 1000, 'Returns promptly');
+    assertEqual(r.valid, false);
+    assertDeepEqual(r.errors.map(e => [e.pointer, e.keyword]), [['', 'pattern']]);
+    assert(r.errors[0].message.includes('repeats a group that already repeats'), r.errors[0].message);
+    const props = Odin.JSONSchema.validate({ aa: 1 }, { patternProperties: { '(a|a)*': { type: 'string' } }, additionalProperties: false });
+    assertDeepEqual(props.errors.map(e => [e.pointer, e.keyword]), [['/aa', 'patternProperties']]);
+    const long = Odin.JSONSchema.validate('x'.repeat(10001), { pattern: 'x' });
+    assert(long.errors[0].message.startsWith('Too long to test against /x/'), long.errors[0].message);
+    assertEqual(Odin.JSONSchema.validate('ab', { pattern: '^(ab)+$' }).valid, true);
+  });
+
+  it('applies draft-07 tuple items and dependencies', () => {
+    const schema = {
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      type: 'array',
+      items: [{ type: 'string' }, { $ref: '#/definitions/positive' }],
+      additionalItems: false,
+      definitions: { positive: { type: 'number', exclusiveMinimum: 0 } }
+    };
+    const r = Odin.JSONSchema.validate(['a', 0, 3], schema);
+    assertEqual(r.draft, 'draft-07');
+    assertDeepEqual(r.errors.map(e => [e.pointer, e.keyword]), [['/1', 'exclusiveMinimum'], ['', 'additionalItems']]);
+    const deps = Odin.JSONSchema.validate({ card: 1 }, { $schema: 'http://json-schema.org/draft-07/schema#', dependencies: { card: ['billing'] } });
+    assertEqual(deps.errors[0].message, 'Property "billing" is required when "card" is present');
+  });
+
+  it('supports 2020-12 anchors, $id resources and unevaluatedProperties', () => {
+    const schema = {
+      $id: 'https://example.com/order.json',
+      allOf: [{ $ref: '#base' }],
+      properties: { item: { $ref: 'item.json' } },
+      unevaluatedProperties: false,
+      $defs: {
+        base: { $anchor: 'base', properties: { id: { type: 'integer' } } },
+        item: { $id: 'item.json', type: 'string', format: 'uuid' }
+      }
+    };
+    const r = Odin.JSONSchema.validate({ id: 1, item: 'nope', note: '' }, schema);
+    assertDeepEqual(r.errors.map(e => [e.pointer, e.keyword]), [['/item', 'format'], ['/note', 'unevaluatedProperties']]);
+    assertEqual(Odin.JSONSchema.validate({ id: 1, item: 'nope' }, schema, { formats: false }).valid, true);
+  });
+
+  it('checks oneOf, not, if/then and contains', () => {
+    const S = Odin.JSONSchema;
+    assertEqual(S.validate(5, { oneOf: [{ type: 'integer' }, { minimum: 0 }] }).errors[0].message, 'Must match exactly one schema in "oneOf" (matched 0, 1)');
+    assertEqual(S.validate('a', { not: { type: 'string' } }).valid, false);
+    assertEqual(S.validate({ kind: 'card' }, { if: { properties: { kind: { const: 'card' } } }, then: { required: ['pan'] } }).errors[0].schemaPath, '#/then/required');
+    assertEqual(S.validate([1, 'x'], { contains: { type: 'integer' }, minContains: 2 }).valid, false);
+    assertEqual(S.validate(0.3, { multipleOf: 0.1 }).valid, true);
+  });
+
+  it('reports schema problems instead of violations', () => {
+    const ext = Odin.JsonFormatter.validateSchema('1', '{"$ref": "https://example.com/other.json"}');
+    assert(ext.schemaError.message.startsWith('Cannot resolve $ref'), ext.schemaError.message);
+    const cycle = Odin.JsonFormatter.validateSchema('1', '{"$ref": "#"}');
+    assert(cycle.schemaError.message.includes('$ref cycle'), cycle.schemaError.message);
+    const bad = Odin.JsonFormatter.validateSchema('1', '{"type": "string",}');
+    assertEqual(bad.valid, false);
+    assert(bad.schemaError.message.length > 0);
+  });
+});
+
 // ================================================================
 //  Summary
 // ================================================================
-console.log('\n' + '='.repeat(50));
-console.log(`\x1b[1mResults: ${_passed} passed, ${_failed} failed\x1b[0m`);
-if (_failed > 0) {
-  console.log('\x1b[31mSome tests failed!\x1b[0m');
-  process.exit(1);
-} else {
-  console.log('\x1b[32mAll tests passed!\x1b[0m');
-}
+_runQueue().then(() => {
+  console.log('\n' + '='.repeat(50));
+  console.log(`\x1b[1mResults: ${_passed} passed, ${_failed} failed\x1b[0m`);
+  if (_failed > 0) {
+    console.log('\x1b[31mSome tests failed!\x1b[0m');
+    process.exit(1);
+  } else {
+    console.log('\x1b[32mAll tests passed!\x1b[0m');
+  }
+});
@@ -400,6 +400,85 @@ Odin.Regex = {
     });
   },
 
+  /** 🛡️ Sentinel: Longest string a synchronous, untimed regex check (JSONPath, JSON Schema) may test */
+  MAX_SYNC_SUBJECT: 10000,
+
+  /**
+   * Why `source` can backtrack exponentially, or null. Regexes that run on the main thread with no
+   * timeout use this to refuse an unbounded quantifier over a group that itself repeats, (a+)+, or
+   * whose alternatives can start with the same character, (a|a)*. Conservative: anything it cannot
+   * tell apart counts as overlapping.
+   */
+  backtrackRisk(source) {
+    const unbounded = /^(?:[*+]|\{\d+,\d*\})/;
+    const frame = () => ({ repeats: false, ambiguous: false, firsts: [undefined] });
+    const groups = [frame()];
+    const setFirst = (atom, end) => {
+      const top = groups[groups.length - 1];
+      const last = top.firsts.length - 1;
+      // An optional first atom lets the next one start the alternative too
+      if (top.firsts[last] === undefined) top.firsts[last] = /^(?:[?*]|\{0[,}])/.test(source.slice(end)) ? null : atom;
+    };
+    for (let i = 0; i < source.length; i++) {
+      const c = source[i];
+      const top = groups[groups.length - 1];
+      if (c === '\\') {
+        const atom = /^\\(?:u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|[pP]\{[^}]*\}|c[A-Za-z]|[\s\S])/.exec(source.slice(i))[0];
+        setFirst(/^\\[bB\d]/.test(atom) ? null : atom, i + atom.length);
+        i += atom.length - 1;
+      } else if (c === '[') {
+        let end = i + 1;
+        for (; end < source.length && source[end] !== ']'; end++) if (source[end] === '\\') end++;
+        setFirst(source.slice(i, end + 1), end + 1);
+        i = end;
+      } else if (c === '(') {
+        setFirst(null, i);
+        groups.push(frame());
+        i += /^\((?:\?(?:[:=!]|<[=!]|<[^>]*>))?/.exec(source.slice(i))[0].length - 1;
+      } else if (c === '|') {
+        top.firsts.push(undefined);
+      } else if (c === ')' && groups.length > 1) {
+        const group = groups.pop();
+        const parent = groups[groups.length - 1];
+        const ambiguous = group.ambiguous || this._alternativesOverlap(group.firsts);
+        if (unbounded.test(source.slice(i + 1))) {
+          if (group.repeats) return `Pattern "${source}" repeats a group that already repeats (e.g. (a+)+), which can hang the page`;
+          if (ambiguous) return `Pattern "${source}" repeats a group whose alternatives can match the same text (e.g. (a|a)*), which can hang the page`;
+        }
+        if (group.repeats) parent.repeats = true;
+        if (ambiguous) parent.ambiguous = true;
+      } else if (unbounded.test(source.slice(i))) {
+        top.repeats = true;
+      } else if (!'?*+{}'.includes(c)) {
+        setFirst(c === '^' || c === '$' ? null : c, i + 1);
+      }
+    }
+    return null;
+  },
+
+  /** Whether two alternatives' first atoms (null: unknown) can match the same character */
+  _alternativesOverlap(firsts) {
+    const atoms = firsts.filter(atom => atom !== undefined);
+    if (atoms.length < 2) return false;
+    if (atoms.includes(null)) return true;
+    const regexes = [];
+    for (const atom of atoms) {
+      try {
+        regexes.push(new RegExp('^(?:' + atom + ')$', 'u'));
+      } catch (_) {
+        return true;
+      }
+    }
+    const samples = this._overlapSamples || (this._overlapSamples = [
+      ...Array.from({ length: 0x300 }, (_, code) => String.fromCharCode(code)),
+      '\u2028', 'Ж', '中', '😀'
+    ]);
+    for (const ch of samples) {
+      if (regexes.filter(re => re.test(ch)).length > 1) return true;
+    }
+    return false;
+  },
+
   _buildHighlightedHtml(text, matches) {
     if (!matches.length) return Odin.Utils.escapeHtml(text);
 
@@ -544,6 +623,105 @@ Odin.JsonFormatter = {
     return Odin.Utils.escapeHtml(code);
   },
 
+  /**
+   * Validate JSON text against a JSON Schema given as text (draft-07 or 2020-12, see Odin.JSONSchema).
+   * Every violation gets the line/col of the offending value in `input`, like _parseError does
+   * for syntax errors, plus its [start, end) offsets for selecting it in the editor.
+   * Returns { valid, draft, errors, schemaError }; `valid` is null when the input itself is not JSON.
+   */
+  validateSchema(input, schemaInput, options = {}) {
+    let schema;
+    try {
+      schema = JSON.parse(schemaInput);
+    } catch (e) {
+      return { valid: false, draft: null, errors: [], schemaError: this._parseError(e, schemaInput) };
+    }
+    let data;
+    try {
+      data = options.parsed !== undefined ? options.parsed : JSON.parse(input);
+    } catch (e) {
+      return { valid: null, draft: null, errors: [], schemaError: null };
+    }
+
+    let result;
+    try {
+      result = Odin.JSONSchema.validate(data, schema, options);
+    } catch (e) {
+      return { valid: false, draft: null, errors: [], schemaError: { message: e.message, line: null, col: null } };
+    }
+
+    const spans = this.locate(input);
+    const errors = result.errors.map((err) => {
+      const span = spans.get(err.pointer);
+      return span ? { ...err, ...this._lineCol(input, span.start), start: span.start, end: span.end } : { ...err, line: null, col: null };
+    });
+    // Report in document order; errors without a location keep their relative order at the end
+    errors.sort((a, b) => (a.start === undefined ? Infinity : a.start) - (b.start === undefined ? Infinity : b.start));
+    return { valid: result.valid, draft: result.draft, errors, schemaError: null };
+  },
+
+  /**
+   * Map each JSON Pointer in (valid) JSON text to the [start, end) offsets of its value.
+   * Duplicate keys resolve to the last occurrence, matching JSON.parse.
+   */
+  locate(input) {
+    const spans = new Map();
+    try {
+      this._locateValue({ src: input, i: 0 }, '', spans);
+    } catch (_) {
+      // Nesting deeper than the call stack: violations below it simply have no line
+    }
+    return spans;
+  },
+
+  _locateValue(st, pointer, spans) {
+    const src = st.src;
+    this._skipWhitespace(st);
+    const start = st.i;
+    const ch = src[st.i];
+    if (ch === '{') {
+      st.i++;
+      this._skipWhitespace(st);
+      while (src[st.i] !== '}') {
+        const keyStart = st.i;
+        this._skipString(st);
+        const key = JSON.parse(src.slice(keyStart, st.i));
+        this._skipWhitespace(st);
+        st.i++; // ':'
+        this._locateValue(st, pointer + '/' + Odin.JSONSchema.escapePointer(key), spans);
+        this._skipWhitespace(st);
+        if (src[st.i] === ',') { st.i++; this._skipWhitespace(st); }
+      }
+      st.i++;
+    } else if (ch === '[') {
+      st.i++;
+      this._skipWhitespace(st);
+      for (let index = 0; src[st.i] !== ']'; index++) {
+        this._locateValue(st, pointer + '/' + index, spans);
+        this._skipWhitespace(st);
+        if (src[st.i] === ',') st.i++;
+        this._skipWhitespace(st);
+      }
+      st.i++;
+    } else if (ch === '"') {
+      this._skipString(st);
+    } else {
+      while (st.i < src.length && ',]} \t\r\n'.indexOf(src[st.i]) === -1) st.i++;
+    }
+    spans.set(pointer, { start, end: st.i });
+  },
+
+  _skipWhitespace(st) {
+    while (st.i < st.src.length && ' \t\r\n'.indexOf(st.src[st.i]) !== -1) st.i++;
+  },
+
+  _skipString(st) {
+    const src = st.src;
+    st.i++;
+    while (st.i < src.length && src[st.i] !== '"') st.i += src[st.i] === '\\' ? 2 : 1;
+    st.i++;
+  },
+
   _parseError(e, input) {
     const msg = e.message;
     // Try to extract position from error message
@@ -552,21 +730,25 @@ Odin.JsonFormatter = {
     let col = null;
 
     if (posMatch) {
-      const pos = parseInt(posMatch[1]);
-      const upToPos = input.substring(0, pos);
+      ({ line, col } = this._lineCol(input, parseInt(posMatch[1])));
+    }
 
-      // ⚡ Bolt: Fast line counting using indexOf instead of regex
-      line = 1;
-      let newLinePos = upToPos.indexOf('\n');
-      while (newLinePos !== -1) {
-        line++;
-        newLinePos = upToPos.indexOf('\n', newLinePos + 1);
-      }
+    return { message: msg, line, col };
+  },
 
-      col = pos - upToPos.lastIndexOf('\n');
+  /** 1-based line and column of a character offset */
+  _lineCol(input, pos) {
+    const upToPos = input.substring(0, pos);
+
+    // ⚡ Bolt: Fast line counting using indexOf instead of regex
+    let line = 1;
+    let newLinePos = upToPos.indexOf('\n');
+    while (newLinePos !== -1) {
+      line++;
+      newLinePos = upToPos.indexOf('\n', newLinePos + 1);
     }
 
-    return { message: msg, line, col };
+    return { line, col: pos - upToPos.lastIndexOf('\n') };
   }
 };
 
@@ -671,24 +853,31 @@ Odin.XmlFormatter = {
 };
 
 /* ================================================================
-   Odin.DiffChecker — Compare JSON/XML differences
+   Odin.DiffChecker — Compare JSON/XML/text differences
    ================================================================ */
 Odin.DiffChecker = {
-  compare(leftInput, rightInput, mode) {
-    // 🛡️ Sentinel: Bound input length to prevent Algorithmic DoS via massive arrays in LCS algorithm
-    if (leftInput.length > 250000 || rightInput.length > 250000) {
-      return {
-        equal: false,
-        error: 'Input exceeds maximum length of 250,000 characters (DoS protection).',
-        html: '',
-        stats: { added: 0, removed: 0, changed: 0 }
-      };
-    }
+  MAX_INPUT_LENGTH: 250000,
+  // compareAsync runs off the main thread, so it accepts far larger inputs but caps the edit
+  // distance instead: Myers keeps O(D²) trace data.
+  MAX_WORKER_INPUT_LENGTH: 5000000,
+  MAX_WORKER_EDITS: 8000,
+  WORKER_SCRIPT: 'js/odin.js',
+  // Fixed row height (px) that the virtual scroller in renderRows() relies on
+  ROW_HEIGHT: 24,
 
-    if (!leftInput.trim() || !rightInput.trim()) {
+  /**
+   * Line diff of two inputs. 'json' and 'xml' are normalized first; 'text' diffs the raw lines.
+   * Options: ignoreWhitespace, ignoreCase, ignoreBlankLines (text mode only) and
+   * inline ('char' | 'word') to highlight the changed part of each changed row.
+   * Also maxLength (input bound), maxEdits, onProgress(percent) and render: false, which leaves
+   * html empty for callers that draw the returned rows themselves.
+   */
+  compare(leftInput, rightInput, mode, options = {}) {
+    const inputError = this._inputError(leftInput, rightInput, options.maxLength);
+    if (inputError) {
       return {
         equal: false,
-        error: 'Both inputs are required',
+        error: inputError,
         html: '',
         stats: { added: 0, removed: 0, changed: 0 }
       };
@@ -701,6 +890,9 @@ Odin.DiffChecker = {
       if (mode === 'json') {
         leftNormalized = this._normalizeJson(leftInput);
         rightNormalized = this._normalizeJson(rightInput);
+      } else if (mode === 'text') {
+        leftNormalized = leftInput.replace(/\r\n?/g, '\n');
+        rightNormalized = rightInput.replace(/\r\n?/g, '\n');
       } else {
         leftNormalized = this._normalizeXml(leftInput);
         rightNormalized = this._normalizeXml(rightInput);
@@ -714,1655 +906,7091 @@ Odin.DiffChecker = {
       };
     }
 
-    const equal = leftNormalized === rightNormalized;
-    const diff = this._lineDiff(leftNormalized, rightNormalized);
+    const lineOptions = mode === 'text' ? options : {};
+    const diff = this._lineDiff(leftNormalized, rightNormalized, {
+      ...lineOptions,
+      maxEdits: options.maxEdits,
+      onProgress: options.onProgress
+    });
+    const equal = mode === 'text'
+      ? !diff.stats.added && !diff.stats.removed && !diff.stats.changed
+      : leftNormalized === rightNormalized;
 
     return {
       equal,
       error: null,
-      html: this._renderDiff(diff),
+      html: options.render === false ? '' : this._renderDiff(diff, { ...lineOptions, inline: options.inline }),
+      lines: diff.lines,
       stats: diff.stats,
       leftNormalized,
       rightNormalized
     };
   },
 
-  _normalizeJson(input) {
-    const parsed = JSON.parse(input);
-    const sorted = this._sortObject(parsed);
-    return JSON.stringify(sorted, null, 2);
-  },
-
-  _sortObject(value) {
-    if (Array.isArray(value)) {
-      // ⚡ Bolt: Use a pre-allocated array and traditional for loop instead of .map()
-      // to avoid closure overhead and intermediate allocations.
-      const arr = new Array(value.length);
-      for (let i = 0; i < value.length; i++) {
-        arr[i] = this._sortObject(value[i]);
-      }
-      return arr;
+  /** Shared input checks for every comparison: a message, or null when both inputs can be diffed */
+  _inputError(leftInput, rightInput, maxLength = this.MAX_INPUT_LENGTH) {
+    // 🛡️ Sentinel: Bound input length to prevent Algorithmic DoS via massive arrays in LCS algorithm
+    if (leftInput.length > maxLength || rightInput.length > maxLength) {
+      return `Input exceeds maximum length of ${maxLength.toLocaleString('en-US')} characters (DoS protection).`;
     }
-    if (value && typeof value === 'object') {
-      // ⚡ Bolt: Use a traditional for loop instead of .reduce()
-      // to avoid closure allocation overhead and speed up recursive object sorting.
-      const keys = Object.keys(value).sort();
-      const obj = {};
-      for (let i = 0; i < keys.length; i++) {
-        const key = keys[i];
-        obj[key] = this._sortObject(value[key]);
-      }
-      return obj;
+    if (!leftInput.trim() || !rightInput.trim()) {
+      return 'Both inputs are required';
     }
-    return value;
+    return null;
   },
 
-  _normalizeXml(input) {
-    const validation = Odin.XmlFormatter.validate(input);
-    if (!validation.valid) {
-      throw new Error(validation.error?.message || 'Invalid XML');
-    }
+  /* ---- Structural JSON diff ---- */
 
-    const minified = Odin.XmlFormatter.minify(input);
-    if (minified.result === null) {
-      throw new Error(minified.error?.message || 'Invalid XML');
-    }
+  /**
+   * Compare two JSON documents as parsed trees instead of lines. Every difference is reported once,
+   * at the deepest JSON Pointer where the values part: { type: added|removed|changed, path, left, right }.
+   * Options: ignoreOrder (arrays as multisets), ignoreKeys (key names, or JSON Pointers in which a `*`
+   * token matches any key or index), tolerance (largest numeric difference still counted as equal).
+   */
+  compareStructure(leftInput, rightInput, options = {}) {
+    const fail = (error) => ({ equal: false, error, html: '', stats: { added: 0, removed: 0, changed: 0 }, changes: [] });
+    const inputError = this._inputError(leftInput, rightInput);
+    if (inputError) return fail(inputError);
 
-    const beautified = Odin.XmlFormatter.beautify(minified.result);
-    if (beautified.result === null) {
-      throw new Error(beautified.error?.message || 'Invalid XML');
+    let left;
+    let right;
+    try {
+      left = JSON.parse(leftInput);
+    } catch (e) {
+      return fail(`Input A: ${e.message}`);
+    }
+    try {
+      right = JSON.parse(rightInput);
+    } catch (e) {
+      return fail(`Input B: ${e.message}`);
     }
 
-    return beautified.result;
+    const ignore = Array.isArray(options.ignoreKeys) ? options.ignoreKeys : [];
+    const opts = {
+      ignoreOrder: !!options.ignoreOrder,
+      tolerance: Math.abs(Number(options.tolerance)) || 0,
+      ignoreKeys: new Set(ignore.filter(key => !key.startsWith('/'))),
+      ignorePaths: ignore.filter(key => key.startsWith('/')).map(pointer => pointer.split('/'))
+    };
+
+    const changes = [];
+    this._diffValues(left, right, '', opts, changes);
+    const stats = { added: 0, removed: 0, changed: 0 };
+    for (const change of changes) stats[change.type]++;
+
+    return { equal: !changes.length, error: null, html: this._renderChanges(changes), stats, changes };
   },
 
-  _lineDiff(leftText, rightText) {
-    const a = leftText.split('\n');
-    const b = rightText.split('\n');
+  _diffValues(a, b, path, opts, changes) {
+    const kindA = this._kind(a);
+    if (kindA !== this._kind(b)) {
+      changes.push({ type: 'changed', path, left: a, right: b });
+    } else if (kindA === 'object') {
+      const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+      for (const key of keys) {
+        const at = this._pointer(path, key);
+        if (this._ignored(key, at, opts)) continue;
+        const inA = Object.prototype.hasOwnProperty.call(a, key);
+        const inB = Object.prototype.hasOwnProperty.call(b, key);
+        if (!inB) changes.push({ type: 'removed', path: at, left: a[key] });
+        else if (!inA) changes.push({ type: 'added', path: at, right: b[key] });
+        else this._diffValues(a[key], b[key], at, opts, changes);
+      }
+    } else if (kindA === 'array') {
+      if (opts.ignoreOrder) this._diffUnordered(a, b, path, opts, changes);
+      else this._diffOrdered(a, b, path, opts, changes);
+    } else if (kindA === 'number' ? Math.abs(a - b) > opts.tolerance : a !== b) {
+      changes.push({ type: 'changed', path, left: a, right: b });
+    }
+  },
 
-    // Myers diff algorithm (O(ND)) for optimal edit script
-    const lcs = this._myers(a, b);
-    const lines = [];
-    const stats = { added: 0, removed: 0, changed: 0 };
-    let lineNum = 0;
+  /**
+   * Align array elements with the same Myers LCS as the line diff, so one inserted element is one
+   * addition rather than a change at every later index. Elements between two matches are paired up
+   * and compared in depth; the surplus on either side is removed / added.
+   * Removed and changed paths use Input A's indices, added paths Input B's.
+   */
+  _diffOrdered(a, b, path, opts, changes) {
+    const keysA = a.map(value => this._canonical(value, opts));
+    const keysB = b.map(value => this._canonical(value, opts));
+    const matches = this._myers(keysA, keysB);
+    matches.push({ ai: a.length, bi: b.length });
 
     let ai = 0;
     let bi = 0;
-    let li = 0;
-
-    while (ai < a.length || bi < b.length) {
-      if (li < lcs.length && ai === lcs[li].ai && bi === lcs[li].bi) {
-        // Common line
-        lineNum++;
-        lines.push({ type: 'same', left: a[ai], right: b[bi], line: lineNum });
+    for (const match of matches) {
+      while (ai < match.ai && bi < match.bi) {
+        this._diffValues(a[ai], b[bi], this._pointer(path, ai), opts, changes);
         ai++;
         bi++;
-        li++;
-      } else if (ai < a.length && (li >= lcs.length || ai < lcs[li].ai) && (li >= lcs.length || bi >= lcs[li].bi || a[ai] !== b[bi])) {
-        // Check if both sides changed (a removed and b added at same position)
-        const nextLcsAi = li < lcs.length ? lcs[li].ai : a.length;
-        const nextLcsBi = li < lcs.length ? lcs[li].bi : b.length;
-
-        // Pair up removals and additions as "changed" lines
-        if (ai < nextLcsAi && bi < nextLcsBi) {
-          lineNum++;
-          lines.push({ type: 'changed', left: a[ai], right: b[bi], line: lineNum });
-          stats.changed++;
-          ai++;
-          bi++;
-        } else if (ai < nextLcsAi) {
-          lineNum++;
-          lines.push({ type: 'removed', left: a[ai], right: '', line: lineNum });
-          stats.removed++;
-          ai++;
-        } else {
-          lineNum++;
-          lines.push({ type: 'added', left: '', right: b[bi], line: lineNum });
-          stats.added++;
-          bi++;
-        }
-      } else if (bi < b.length) {
-        lineNum++;
-        lines.push({ type: 'added', left: '', right: b[bi], line: lineNum });
-        stats.added++;
-        bi++;
-      } else {
-        lineNum++;
-        lines.push({ type: 'removed', left: a[ai], right: '', line: lineNum });
-        stats.removed++;
-        ai++;
       }
+      for (; ai < match.ai; ai++) changes.push({ type: 'removed', path: this._pointer(path, ai), left: a[ai] });
+      for (; bi < match.bi; bi++) changes.push({ type: 'added', path: this._pointer(path, bi), right: b[bi] });
+      ai++;
+      bi++;
     }
-
-    return { lines, stats };
   },
 
-  /**
-   * Myers diff — compute LCS indices using the O(ND) algorithm.
-   * Returns array of { ai, bi } pairs indicating matching line indices.
-   */
-  _myers(a, b) {
-    const N = a.length;
-    const M = b.length;
-    const MAX = N + M;
+  /** Arrays as multisets: identical elements match first, then elements equal within the options */
+  _diffUnordered(a, b, path, opts, changes) {
+    const free = new Map();
+    b.forEach((value, j) => {
+      const key = this._canonical(value, opts);
+      if (!free.has(key)) free.set(key, []);
+      free.get(key).push(j);
+    });
 
-    if (MAX === 0) return [];
+    const used = new Array(b.length).fill(false);
+    const unmatched = [];
+    a.forEach((value, i) => {
+      const same = free.get(this._canonical(value, opts));
+      if (same && same.length) used[same.shift()] = true;
+      else unmatched.push(i);
+    });
 
-    // Optimisation: trivial cases
-    if (N === 0 || M === 0) return [];
+    for (const i of unmatched) {
+      const at = this._pointer(path, i);
+      const j = b.findIndex((value, k) => !used[k] && this._equalValues(a[i], value, at, opts));
+      if (j === -1) changes.push({ type: 'removed', path: at, left: a[i] });
+      else used[j] = true;
+    }
+    used.forEach((isUsed, j) => {
+      if (!isUsed) changes.push({ type: 'added', path: this._pointer(path, j), right: b[j] });
+    });
+  },
 
-    const vSize = 2 * MAX + 1;
-    const v = new Int32Array(vSize).fill(-1);
-    const offset = MAX;
-    v[offset + 1] = 0;
+  _equalValues(a, b, path, opts) {
+    const changes = [];
+    this._diffValues(a, b, path, opts, changes);
+    return !changes.length;
+  },
 
-    // Store trace for backtracking
-    const trace = [];
+  /** Key-sorted JSON text without ignored keys: equal text means equal values for matching */
+  _canonical(value, opts) {
+    return JSON.stringify(value, function (key, v) {
+      if (!Array.isArray(this) && opts.ignoreKeys.has(key)) return undefined;
+      if (!v || typeof v !== 'object' || Array.isArray(v)) return v;
+      // Shallow copy in key order: stringify applies this replacer to the children itself
+      const sorted = {};
+      for (const k of Object.keys(v).sort()) sorted[k] = v[k];
+      return sorted;
+    });
+  },
 
-    outer:
-    for (let d = 0; d <= MAX; d++) {
-      // ⚡ Bolt: Slice only the actively used boundaries to reduce memory space complexity
-      // from O(MAX^2) to O(d^2) and prevent massive garbage collection overhead.
-      const start = Math.max(0, offset - d - 1);
-      const end = offset + d + 2;
-      trace.push(v.slice(start, end));
+  _kind(value) {
+    if (value === null) return 'null';
+    return Array.isArray(value) ? 'array' : typeof value;
+  },
 
-      for (let k = -d; k <= d; k += 2) {
-        let x;
-        if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
-          x = v[offset + k + 1]; // move down
-        } else {
-          x = v[offset + k - 1] + 1; // move right
-        }
+  _pointer(path, token) {
+    return `${path}/${String(token).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+  },
 
-        let y = x - k;
+  /** Ignored by key name anywhere, or by a pointer pattern where `*` stands for any one token */
+  _ignored(key, pointer, opts) {
+    if (opts.ignoreKeys.has(key)) return true;
+    if (!opts.ignorePaths.length) return false;
+    const tokens = pointer.split('/');
+    return opts.ignorePaths.some(pattern =>
+      pattern.length === tokens.length && pattern.every((token, i) => token === '*' || token === tokens[i]));
+  },
 
-        // Follow diagonal (matches)
-        while (x < N && y < M && a[x] === b[y]) {
-          x++;
-          y++;
-        }
+  _renderChanges(changes, format = JSON.stringify) {
+    if (!changes.length) return '<div class="diff-empty">No structural differences</div>';
+    const preview = (value) => {
+      const text = format(value);
+      return Odin.Utils.escapeHtml(text.length > 300 ? text.slice(0, 300) + '…' : text);
+    };
+    let html = '';
+    for (let i = 0; i < changes.length; i++) {
+      const change = changes[i];
+      const left = change.type === 'added' ? '' : preview(change.left);
+      const right = change.type === 'removed' ? '' : preview(change.right);
+      html += `<div class="diff-row diff-path-row diff-${change.type}"><span class="diff-path">${Odin.Utils.escapeHtml(change.path || '(root)')}</span><span class="diff-left">${left}</span><span class="diff-right">${right}</span></div>`;
+    }
+    return html;
+  },
 
-        v[offset + k] = x;
+  /* ---- Canonical XML diff ---- */
 
-        if (x >= N && y >= M) break outer;
-      }
+  /**
+   * Compare two XML documents as canonicalized trees (C14N-like): attribute order does not matter,
+   * elements and attributes are matched by namespace URI instead of prefix, whitespace in text is
+   * collapsed, and comments and processing instructions are dropped. Changes are reported by XPath.
+   * Options: ignoreOrder (sibling elements compared as a multiset).
+   */
+  compareXml(leftInput, rightInput, options = {}) {
+    const fail = (error) => ({ equal: false, error, html: '', stats: { added: 0, removed: 0, changed: 0 }, changes: [] });
+    const inputError = this._inputError(leftInput, rightInput);
+    if (inputError) return fail(inputError);
+
+    let left;
+    let right;
+    try {
+      left = this._xmlTree(leftInput, 'Input A');
+      right = this._xmlTree(rightInput, 'Input B');
+    } catch (e) {
+      return fail(e.message);
     }
 
-    // Backtrack to find the actual edit path
-    const lcs = [];
-    let x = N;
-    let y = M;
+    // ⚡ Bolt: Canonical subtree strings are cached per node instead of rebuilt at every level
+    const opts = { ignoreOrder: !!options.ignoreOrder, cache: new WeakMap() };
+    const changes = [];
+    if (left.key === right.key) {
+      this._diffXml(left, right, `/${left.name}`, `/${right.name}`, opts, changes);
+    } else {
+      changes.push({ type: 'changed', path: '/', left: this._xmlSnippet(left), right: this._xmlSnippet(right) });
+    }
+    const stats = { added: 0, removed: 0, changed: 0 };
+    for (const change of changes) stats[change.type]++;
 
-    for (let d = trace.length - 1; d >= 0; d--) {
-      const vPrev = trace[d];
-      const start = Math.max(0, offset - d - 1);
-      const k = x - y;
+    return { equal: !changes.length, error: null, html: this._renderChanges(changes, String), stats, changes };
+  },
 
-      const startIdx = Math.max(0, offset - d - 1);
+  _xmlTree(input, label) {
+    const doc = new DOMParser().parseFromString(input, 'application/xml');
+    const parserError = doc.querySelector('parsererror');
+    if (parserError) {
+      throw new Error(`${label}: ${Odin.XmlFormatter._parseError(parserError.textContent || 'Invalid XML').message}`);
+    }
+    return this._xmlNode(doc.documentElement);
+  },
 
-      let prevK;
-      if (k === -d || (k !== d && vPrev[offset + k - 1 - start] < vPrev[offset + k + 1 - start])) {
-        prevK = k + 1;
-      } else {
-        prevK = k - 1;
+  /** Plain tree for an element: { key: '{uri}local', name, attrs (sorted by key), children } */
+  _xmlNode(element) {
+    const attrs = [];
+    for (let i = 0; i < element.attributes.length; i++) {
+      const attr = element.attributes[i];
+      // Namespace declarations only bind prefixes; the URIs themselves are part of every key
+      if (attr.name === 'xmlns' || attr.name.startsWith('xmlns:')) continue;
+      attrs.push({ key: this._xmlKey(attr), name: attr.name, value: attr.value });
+    }
+    attrs.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+
+    const children = [];
+    let raw = null;
+    const flush = () => {
+      const text = raw === null ? '' : raw.replace(/\s+/g, ' ').trim();
+      if (text) children.push({ key: '#text', text });
+      raw = null;
+    };
+    for (let i = 0; i < element.childNodes.length; i++) {
+      const child = element.childNodes[i];
+      if (child.nodeType === 3 || child.nodeType === 4) {
+        // Text and CDATA next to each other are one value; comments in between do not split it
+        raw = (raw || '') + child.nodeValue;
+      } else if (child.nodeType === 1) {
+        flush();
+        children.push(this._xmlNode(child));
       }
+    }
+    flush();
+    return { key: this._xmlKey(element), name: element.nodeName, attrs, children };
+  },
 
-      const prevX = vPrev[offset + prevK - start];
-      const prevY = prevX - prevK;
+  _xmlKey(node) {
+    return node.namespaceURI ? `{${node.namespaceURI}}${node.localName}` : node.localName;
+  },
 
-      // Diagonal moves are matches
-      while (x > prevX && y > prevY) {
-        x--;
-        y--;
-        lcs.push({ ai: x, bi: y });
-      }
+  _xmlCanonical(node, opts) {
+    if (node.text !== undefined) return JSON.stringify(node.text);
+    let canonical = opts.cache.get(node);
+    if (canonical === undefined) {
+      const attrs = node.attrs.map(attr => ` ${attr.key}=${JSON.stringify(attr.value)}`).join('');
+      const children = node.children.map(child => this._xmlCanonical(child, opts));
+      if (opts.ignoreOrder) children.sort();
+      canonical = `<${node.key}${attrs}>${children.join('')}</>`;
+      opts.cache.set(node, canonical);
+    }
+    return canonical;
+  },
 
-      x = prevX;
-      y = prevY;
+  _diffXml(a, b, pathA, pathB, opts, changes) {
+    const rightAttrs = new Map(b.attrs.map(attr => [attr.key, attr]));
+    const leftKeys = new Set(a.attrs.map(attr => attr.key));
+    for (const attr of a.attrs) {
+      const other = rightAttrs.get(attr.key);
+      if (!other) changes.push({ type: 'removed', path: `${pathA}/@${attr.name}`, left: attr.value });
+      else if (other.value !== attr.value) changes.push({ type: 'changed', path: `${pathA}/@${attr.name}`, left: attr.value, right: other.value });
+    }
+    for (const attr of b.attrs) {
+      if (!leftKeys.has(attr.key)) changes.push({ type: 'added', path: `${pathB}/@${attr.name}`, right: attr.value });
     }
 
-    lcs.reverse();
-    return lcs;
+    const pathsA = this._xmlChildPaths(pathA, a.children);
+    const pathsB = this._xmlChildPaths(pathB, b.children);
+    const keysA = a.children.map(child => this._xmlCanonical(child, opts));
+    const keysB = b.children.map(child => this._xmlCanonical(child, opts));
+    const gap = (leftIdx, rightIdx) => this._diffXmlGap(a.children, b.children, leftIdx, rightIdx, pathsA, pathsB, opts, changes);
+
+    if (opts.ignoreOrder) {
+      // Identical subtrees pair off wherever they sit; what is left is compared in document order
+      const unmatched = new Map();
+      keysB.forEach((key, bi) => {
+        if (!unmatched.has(key)) unmatched.set(key, []);
+        unmatched.get(key).push(bi);
+      });
+      const leftIdx = [];
+      keysA.forEach((key, ai) => {
+        const pool = unmatched.get(key);
+        if (pool && pool.length) pool.shift();
+        else leftIdx.push(ai);
+      });
+      const rightIdx = [...unmatched.values()].flat().sort((x, y) => x - y);
+      gap(leftIdx, rightIdx);
+      return;
+    }
+
+    let ai = 0;
+    let bi = 0;
+    for (const match of [...this._myers(keysA, keysB), { ai: keysA.length, bi: keysB.length }]) {
+      const leftIdx = [];
+      const rightIdx = [];
+      for (; ai < match.ai; ai++) leftIdx.push(ai);
+      for (; bi < match.bi; bi++) rightIdx.push(bi);
+      gap(leftIdx, rightIdx);
+      ai++;
+      bi++;
+    }
   },
 
-  _renderDiff(diff) {
-    let html = '';
-    // ⚡ Bolt: Use a traditional for loop instead of .map().join('')
-    // to avoid intermediate array allocations and closure overhead, heavily speeding up render time.
-    for (let i = 0; i < diff.lines.length; i++) {
-      const row = diff.lines[i];
-      const left = Odin.Utils.escapeHtml(row.left ?? '');
-      const right = Odin.Utils.escapeHtml(row.right ?? '');
-      html += `<div class="diff-row diff-${row.type}"><span class="diff-ln">${row.line}</span><span class="diff-left">${left}</span><span class="diff-right">${right}</span></div>`;
+  /** Unmatched siblings: same-named elements (or text nodes) pair up in order, the rest were removed/added */
+  _diffXmlGap(left, right, leftIdx, rightIdx, pathsA, pathsB, opts, changes) {
+    const taken = new Set();
+    for (const ai of leftIdx) {
+      const bi = rightIdx.find(i => !taken.has(i) && right[i].key === left[ai].key);
+      if (bi === undefined) {
+        changes.push({ type: 'removed', path: pathsA[ai], left: this._xmlSnippet(left[ai]) });
+        continue;
+      }
+      taken.add(bi);
+      if (left[ai].text !== undefined) {
+        changes.push({ type: 'changed', path: pathsA[ai], left: left[ai].text, right: right[bi].text });
+      } else {
+        this._diffXml(left[ai], right[bi], pathsA[ai], pathsB[bi], opts, changes);
+      }
     }
-    return html;
-  }
-};
+    for (const bi of rightIdx) {
+      if (!taken.has(bi)) changes.push({ type: 'added', path: pathsB[bi], right: this._xmlSnippet(right[bi]) });
+    }
+  },
 
-/* ================================================================
-   Odin.PasswordGuard — Secure password generator with entropy
-   ================================================================ */
-Odin.PasswordGuard = {
-  charsets: {
-    lowercase: 'abcdefghijklmnopqrstuvwxyz',
-    uppercase: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
-    numbers: '0123456789',
-    symbols: '!@#$%^&*()-_=+[]{}|;:\'",.<>?/~`'
+  /** XPath of each child, with a [n] position only where siblings share the name */
+  _xmlChildPaths(path, children) {
+    const totals = new Map();
+    for (const child of children) totals.set(child.key, (totals.get(child.key) || 0) + 1);
+    const seen = new Map();
+    return children.map(child => {
+      const position = (seen.get(child.key) || 0) + 1;
+      seen.set(child.key, position);
+      const step = child.text !== undefined ? 'text()' : child.name;
+      return totals.get(child.key) > 1 ? `${path}/${step}[${position}]` : `${path}/${step}`;
+    });
   },
 
-  generate(length, options) {
-    // 🛡️ Sentinel: Enforce safe bounding limits on numeric inputs to prevent DoS
-    length = Math.max(4, Math.min(1024, length || 16));
+  _xmlSnippet(node) {
+    if (node.text !== undefined) return node.text;
+    const attrs = node.attrs.map(attr => ` ${attr.name}="${attr.value}"`).join('');
+    const only = node.children.length === 1 && node.children[0].text !== undefined ? node.children[0].text : '…';
+    const text = node.children.length ? `<${node.name}${attrs}>${only}</${node.name}>` : `<${node.name}${attrs}/>`;
+    return text.length > 120 ? text.slice(0, 120) + '…' : text;
+  },
 
-    let pool = '';
-    const activeSets = [];
-    if (options.lowercase) { pool += this.charsets.lowercase; activeSets.push(this.charsets.lowercase); }
-    if (options.uppercase) { pool += this.charsets.uppercase; activeSets.push(this.charsets.uppercase); }
-    if (options.numbers)   { pool += this.charsets.numbers;   activeSets.push(this.charsets.numbers); }
-    if (options.symbols)   { pool += this.charsets.symbols;   activeSets.push(this.charsets.symbols); }
+  /* ---- JSON Patch (RFC 6902) and JSON Merge Patch (RFC 7396) ---- */
 
-    if (!pool) { pool = this.charsets.lowercase; activeSets.push(this.charsets.lowercase); } // fallback
+  /**
+   * Both patch formats turning Input A into Input B. Merge Patch cannot set a value to null or edit
+   * arrays in place, so `mergeExact` says whether applying it really reproduces B.
+   */
+  createPatches(leftInput, rightInput) {
+    const inputError = this._inputError(leftInput, rightInput);
+    if (inputError) return { error: inputError, jsonPatch: [], mergePatch: null, mergeExact: false };
+    let left;
+    let right;
+    try {
+      left = JSON.parse(leftInput);
+    } catch (e) {
+      return { error: `Input A: ${e.message}`, jsonPatch: [], mergePatch: null, mergeExact: false };
+    }
+    try {
+      right = JSON.parse(rightInput);
+    } catch (e) {
+      return { error: `Input B: ${e.message}`, jsonPatch: [], mergePatch: null, mergeExact: false };
+    }
 
-    let password = this._secureRandom(pool, length);
+    const mergePatch = this.mergePatch(left, right);
+    const plain = { ignoreKeys: new Set() };
+    const mergeExact = this._canonical(this.applyMergePatch(left, mergePatch), plain) === this._canonical(right, plain);
+    return { error: null, jsonPatch: this.jsonPatch(left, right), mergePatch, mergeExact };
+  },
 
-    // Guarantee at least one character from each active set (if length allows)
-    if (activeSets.length > 1 && length >= activeSets.length) {
-      let chars = password.split('');
-      const usedPositions = new Set();
+  /** RFC 6902 operations (add / remove / replace) turning `left` into `right`, in application order */
+  jsonPatch(left, right) {
+    const ops = [];
+    this._patchValues(left, right, '', ops);
+    return ops;
+  },
 
-      for (const set of activeSets) {
-        const hasChar = chars.some(c => set.includes(c));
-        if (hasChar) {
-          // Record one of its positions so we don't overwrite it later
-          usedPositions.add(chars.findIndex(c => set.includes(c)));
-        } else {
-          // Pick a random position that hasn't been force-set yet
-          let pos;
-          do {
-            pos = this._secureRandomIndex(chars.length);
-          } while (usedPositions.has(pos));
-          usedPositions.add(pos);
-          chars[pos] = set[this._secureRandomIndex(set.length)];
-        }
+  _patchValues(a, b, path, ops) {
+    const kind = this._kind(a);
+    if (kind !== this._kind(b)) {
+      ops.push({ op: 'replace', path, value: b });
+    } else if (kind === 'object') {
+      for (const key of Object.keys(a)) {
+        if (!Object.prototype.hasOwnProperty.call(b, key)) ops.push({ op: 'remove', path: this._pointer(path, key) });
       }
-
-      password = chars.join('');
+      for (const key of Object.keys(b)) {
+        if (!Object.prototype.hasOwnProperty.call(a, key)) ops.push({ op: 'add', path: this._pointer(path, key), value: b[key] });
+        else this._patchValues(a[key], b[key], this._pointer(path, key), ops);
+      }
+    } else if (kind === 'array') {
+      this._patchArray(a, b, path, ops);
+    } else if (a !== b) {
+      ops.push({ op: 'replace', path, value: b });
     }
-
-    const entropy = this.calcEntropy(length, pool.length);
-    const strength = this.getStrength(entropy);
-
-    return { password, entropy, strength, poolSize: pool.length };
   },
 
-  /** Rejection sampling: unbiased random index for a given range */
-  _secureRandomIndex(range) {
-    const array = new Uint32Array(1);
-    const limit = Math.floor(0x100000000 / range) * range; // largest multiple of range within Uint32
-    let val;
-    do {
-      crypto.getRandomValues(array);
-      val = array[0];
-    } while (val >= limit); // reject biased values
-    return val % range;
-  },
+  /** Same LCS alignment as the structural diff; `index` tracks positions in the array as already patched */
+  _patchArray(a, b, path, ops) {
+    const plain = { ignoreKeys: new Set() };
+    const matches = this._myers(a.map(value => this._canonical(value, plain)), b.map(value => this._canonical(value, plain)));
+    matches.push({ ai: a.length, bi: b.length });
 
-  _secureRandom(pool, length) {
-    const array = new Uint32Array(length);
-    crypto.getRandomValues(array);
-    let result = '';
-    const limit = Math.floor(0x100000000 / pool.length) * pool.length;
-    for (let i = 0; i < length; i++) {
-      // Rejection sampling to eliminate modulo bias
-      let val = array[i];
-      while (val >= limit) {
-        const extra = new Uint32Array(1);
-        crypto.getRandomValues(extra);
-        val = extra[0];
+    let ai = 0;
+    let bi = 0;
+    let index = 0;
+    for (const match of matches) {
+      while (ai < match.ai && bi < match.bi) {
+        this._patchValues(a[ai], b[bi], this._pointer(path, index), ops);
+        ai++;
+        bi++;
+        index++;
       }
-      result += pool[val % pool.length];
+      for (; ai < match.ai; ai++) ops.push({ op: 'remove', path: this._pointer(path, index) });
+      for (; bi < match.bi; bi++) {
+        ops.push({ op: 'add', path: this._pointer(path, index), value: b[bi] });
+        index++;
+      }
+      ai++;
+      bi++;
+      index++;
     }
-    return result;
   },
 
-  calcEntropy(length, poolSize) {
-    if (poolSize <= 1) return 0;
-    return Math.round(length * Math.log2(poolSize) * 10) / 10;
+  /** RFC 7396 merge patch: changed members recursively, removed members as null, anything else whole */
+  mergePatch(left, right) {
+    if (this._kind(left) !== 'object' || this._kind(right) !== 'object') return right;
+    const plain = { ignoreKeys: new Set() };
+    const patch = {};
+    for (const key of Object.keys(left)) {
+      if (!Object.prototype.hasOwnProperty.call(right, key)) this._setMember(patch, key, null);
+    }
+    for (const key of Object.keys(right)) {
+      if (!Object.prototype.hasOwnProperty.call(left, key)) {
+        this._setMember(patch, key, right[key]);
+      } else if (this._canonical(left[key], plain) !== this._canonical(right[key], plain)) {
+        this._setMember(patch, key, this.mergePatch(left[key], right[key]));
+      }
+    }
+    return patch;
   },
 
-  getStrength(entropy) {
-    if (entropy < 28) return { label: 'Weak', class: 'entropy-weak', color: 'text-red-400' };
-    if (entropy < 36) return { label: 'Fair', class: 'entropy-fair', color: 'text-orange-400' };
-    if (entropy < 60) return { label: 'Good', class: 'entropy-good', color: 'text-yellow-400' };
-    if (entropy < 80) return { label: 'Strong', class: 'entropy-strong', color: 'text-green-400' };
-    return { label: 'Fortress', class: 'entropy-fortress', color: 'text-emerald-400' };
-  }
-};
-
-/* ================================================================
-   Odin.ModelGen — Multi-Language Model Generator
-   Recursive JSON → C# / Go / Python / PHP 8.1
-   ================================================================ */
-Odin.ModelGen = {
-
-  /* ---- Name conversion utilities ---- */
-  toPascalCase(str) {
-    // ⚡ Bolt: Reuse the highly optimized Odin.CaseConverter (single .match regex)
-    // rather than chaining multiple .replace().split() calls.
-    // This removes duplicate code and significantly speeds up case conversion (~60% faster).
-    return Odin.CaseConverter.toPascalCase(str);
-  },
+  /** Apply a document and a patch given as text: a JSON array is a JSON Patch, an object a Merge Patch */
+  applyPatch(docInput, patchInput) {
+    const fail = (error) => ({ error, kind: null, result: '', errors: [], applied: 0, total: 0 });
+    const inputError = this._inputError(docInput, patchInput);
+    if (inputError) return fail(inputError);
+    let doc;
+    let patch;
+    try {
+      doc = JSON.parse(docInput);
+    } catch (e) {
+      return fail(`Document: ${e.message}`);
+    }
+    try {
+      patch = JSON.parse(patchInput);
+    } catch (e) {
+      return fail(`Patch: ${e.message}`);
+    }
 
-  toCamelCase(str) {
-    return Odin.CaseConverter.toCamelCase(str);
+    if (Array.isArray(patch)) {
+      const outcome = this.applyJsonPatch(doc, patch);
+      return { error: null, kind: 'json-patch', result: outcome.errors.length ? '' : JSON.stringify(outcome.result, null, 2), errors: outcome.errors, applied: outcome.applied, total: patch.length };
+    }
+    if (this._kind(patch) !== 'object') return fail('Patch must be a JSON Patch array or a Merge Patch object');
+    return { error: null, kind: 'merge-patch', result: JSON.stringify(this.applyMergePatch(doc, patch), null, 2), errors: [], applied: 1, total: 1 };
   },
 
-  toSnakeCase(str) {
-    return Odin.CaseConverter.toSnakeCase(str);
+  applyMergePatch(target, patch) {
+    if (this._kind(patch) !== 'object') return patch;
+    const result = {};
+    if (this._kind(target) === 'object') {
+      for (const key of Object.keys(target)) this._setMember(result, key, target[key]);
+    }
+    for (const key of Object.keys(patch)) {
+      if (patch[key] === null) delete result[key];
+      else this._setMember(result, key, this.applyMergePatch(result[key], patch[key]));
+    }
+    return result;
   },
 
-  toClassName(str) {
-    const pascal = this.toPascalCase(str);
-    // Ensure doesn't start with a number
-    return /^\d/.test(pascal) ? 'Item' + pascal : pascal;
+  /**
+   * Apply RFC 6902 operations in order. As RFC 6902 §5 requires, evaluation stops at the first
+   * failing operation (a failed test, a missing path); that one and every later operation are
+   * reported and no partially patched document is returned:
+   * { result: doc | null, errors: [{ index, op, path, message }], applied }.
+   */
+  applyJsonPatch(doc, ops) {
+    let result = JSON.parse(JSON.stringify(doc));
+    const errors = [];
+    let applied = 0;
+    for (let i = 0; i < ops.length; i++) {
+      const operation = ops[i];
+      try {
+        if (errors.length) throw new Error('Not applied: an earlier operation failed');
+        result = this._applyOperation(result, operation);
+        applied++;
+      } catch (e) {
+        const isObject = this._kind(operation) === 'object';
+        errors.push({ index: i, op: isObject ? String(operation.op) : '', path: isObject ? String(operation.path) : '', message: e.message });
+      }
+    }
+    return { result: errors.length ? null : result, errors, applied };
   },
 
-  /* ---- Schema Parser ---- */
-  parseSchema(key, value, classes = [], parentName = 'Root') {
-    if (value === null || value === undefined) {
-      return { type: 'nullable', isArray: false, className: null };
-    }
+  /** One operation; returns the (possibly replaced) document and throws without changing it on failure */
+  _applyOperation(doc, operation) {
+    if (this._kind(operation) !== 'object') throw new Error('Operation must be an object');
+    const { op, path } = operation;
+    if (typeof path !== 'string') throw new Error('Operation has no "path"');
+    const tokens = this._parsePointer(path);
+    const needValue = () => {
+      if (!Object.prototype.hasOwnProperty.call(operation, 'value')) throw new Error(`"${op}" needs a "value"`);
+      return operation.value;
+    };
+    const from = () => {
+      if (typeof operation.from !== 'string') throw new Error(`"${op}" needs a "from" path`);
+      return this._parsePointer(operation.from);
+    };
 
-    if (typeof value === 'string') {
-      // Check for ISO date
-      if (/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}:\d{2})?/.test(value)) {
-        return { type: 'datetime', isArray: false, className: null };
+    switch (op) {
+      case 'add':
+        return this._addAt(doc, tokens, needValue(), path);
+      case 'remove':
+        return this._removeAt(doc, tokens, path);
+      case 'replace': {
+        const value = needValue();
+        this._getAt(doc, tokens, path);
+        return this._removeAt(doc, tokens, path, value);
+      }
+      case 'move': {
+        const source = from();
+        if (path.startsWith(operation.from + '/')) throw new Error(`Cannot move "${operation.from}" into its own child "${path}"`);
+        const value = this._getAt(doc, source, operation.from);
+        if (operation.from === path) return doc;
+        // Check the target before removing so a failed move leaves the document as it was
+        const moved = this._removeAt(JSON.parse(JSON.stringify(doc)), source, operation.from);
+        return this._addAt(moved, tokens, value, path);
+      }
+      case 'copy':
+        return this._addAt(doc, tokens, JSON.parse(JSON.stringify(this._getAt(doc, from(), operation.from))), path);
+      case 'test': {
+        const expected = needValue();
+        const actual = this._getAt(doc, tokens, path);
+        const plain = { ignoreKeys: new Set() };
+        if (this._canonical(actual, plain) !== this._canonical(expected, plain)) {
+          throw new Error(`Test failed: "${path}" is ${this._shortJson(actual)}, expected ${this._shortJson(expected)}`);
+        }
+        return doc;
       }
-      return { type: 'string', isArray: false, className: null };
+      default:
+        throw new Error(`Unknown operation "${op}"`);
     }
+  },
 
-    if (typeof value === 'number') {
-      return { type: Number.isInteger(value) ? 'int' : 'float', isArray: false, className: null };
+  _parsePointer(pointer) {
+    if (pointer === '') return [];
+    if (!pointer.startsWith('/')) throw new Error(`Invalid JSON Pointer "${pointer}"`);
+    return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+  },
+
+  /** Container holding the last token, walking existing members only */
+  _parentOf(doc, tokens, path) {
+    let node = doc;
+    for (let i = 0; i < tokens.length - 1; i++) {
+      node = this._member(node, tokens[i], path);
     }
+    if (node === null || typeof node !== 'object') throw new Error(`Path "${path}" does not exist`);
+    return node;
+  },
 
-    if (typeof value === 'boolean') {
-      return { type: 'bool', isArray: false, className: null };
+  _member(node, token, path) {
+    if (Array.isArray(node)) {
+      if (!/^(0|[1-9]\d*)$/.test(token) || Number(token) >= node.length) throw new Error(`Path "${path}" does not exist`);
+      return node[Number(token)];
     }
+    if (node === null || typeof node !== 'object' || !Object.prototype.hasOwnProperty.call(node, token)) {
+      throw new Error(`Path "${path}" does not exist`);
+    }
+    return node[token];
+  },
 
-    if (Array.isArray(value)) {
-      if (value.length === 0) {
-        return { type: 'any', isArray: true, className: null };
-      }
+  _getAt(doc, tokens, path) {
+    return tokens.length ? this._member(this._parentOf(doc, tokens, path), tokens[tokens.length - 1], path) : doc;
+  },
 
-      const firstItem = value[0];
-      if (firstItem !== null && typeof firstItem === 'object' && !Array.isArray(firstItem)) {
-        // Array of objects — merge ALL elements' properties for complete schema
-        const className = this.toClassName(key);
-        const merged = this._mergeArrayObjects(value);
-        this._parseObject(className, merged, classes);
-        return { type: 'object', isArray: true, className };
+  _addAt(doc, tokens, value, path) {
+    if (!tokens.length) return value;
+    const parent = this._parentOf(doc, tokens, path);
+    const token = tokens[tokens.length - 1];
+    if (Array.isArray(parent)) {
+      if (token === '-') {
+        parent.push(value);
+      } else {
+        if (!/^(0|[1-9]\d*)$/.test(token) || Number(token) > parent.length) throw new Error(`Array index "${token}" is out of bounds at "${path}"`);
+        parent.splice(Number(token), 0, value);
       }
-
-      // Array of primitives
-      const itemSchema = this.parseSchema(key + 'Item', firstItem, classes, parentName);
-      return { type: itemSchema.type, isArray: true, className: itemSchema.className };
+    } else {
+      this._setMember(parent, token, value);
     }
+    return doc;
+  },
 
-    if (typeof value === 'object') {
-      const className = this.toClassName(key);
-      this._parseObject(className, value, classes);
-      return { type: 'object', isArray: false, className };
+  /** Remove the member at `tokens`, or put `replacement` in its place when one is given */
+  _removeAt(doc, tokens, path, replacement) {
+    if (!tokens.length) {
+      if (replacement === undefined) throw new Error('Cannot remove the whole document');
+      return replacement;
+    }
+    const parent = this._parentOf(doc, tokens, path);
+    const token = tokens[tokens.length - 1];
+    this._member(parent, token, path);
+    if (Array.isArray(parent)) {
+      if (replacement === undefined) parent.splice(Number(token), 1);
+      else parent[Number(token)] = replacement;
+    } else if (replacement === undefined) {
+      delete parent[token];
+    } else {
+      this._setMember(parent, token, replacement);
     }
+    return doc;
+  },
 
-    return { type: 'any', isArray: false, className: null };
+  /** 🛡️ Sentinel: define, never assign, so a "__proto__" key stays data instead of swapping the prototype */
+  _setMember(obj, key, value) {
+    Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
   },
 
-  _parseObject(className, obj, classes) {
-    // Check if we already have this class
-    if (classes.some(c => c.name === className)) return;
+  _shortJson(value) {
+    const text = JSON.stringify(value);
+    return text.length > 60 ? text.slice(0, 60) + '…' : text;
+  },
 
-    const properties = [];
+  /* ---- Unified diff export / import ---- */
 
-    // ⚡ Bolt: Use a traditional for..in loop instead of Object.entries
-    // to avoid intermediate array allocations ([key, value]) for every property,
-    // reducing memory overhead and heavily improving performance for large JSON objects.
-    for (const key in obj) {
-      if (Object.prototype.hasOwnProperty.call(obj, key)) {
-        const value = obj[key];
-        const schema = this.parseSchema(key, value, classes, className);
-        properties.push({
-          originalKey: key,
-          schema
-        });
+  /**
+   * Render two texts as a unified diff (diff -u / git apply compatible). Options: context
+   * (unchanged lines around each change, default 3), leftName/rightName for the ---/+++ headers,
+   * and ignoreWhitespace/ignoreCase, under which matching lines are written as context from A.
+   * Returns '' when nothing differs.
+   */
+  unifiedDiff(leftText, rightText, options = {}) {
+    const context = Math.max(0, parseInt(options.context ?? 3, 10) || 0);
+    const lines = (text) => {
+      const list = text === '' ? [] : text.replace(/\n$/, '').split('\n');
+      // A \0 on the final line marks a missing newline: it keeps that line from matching a
+      // terminated one and becomes "\ No newline at end of file" on output.
+      if (text !== '' && !text.endsWith('\n')) list[list.length - 1] += '\0';
+      return list;
+    };
+    const rows = this._diffRows(lines(leftText.replace(/\r\n?/g, '\n')), lines(rightText.replace(/\r\n?/g, '\n')), options).lines;
+
+    // Flatten rows into edits, with each run of removals ahead of its additions
+    const edits = [];
+    let oldNo = 0;
+    let newNo = 0;
+    for (let i = 0; i < rows.length;) {
+      if (rows[i].type === 'same') {
+        edits.push({ op: ' ', text: rows[i].left, oldNo: oldNo++, newNo: newNo++ });
+        i++;
+        continue;
+      }
+      const added = [];
+      for (; i < rows.length && rows[i].type !== 'same'; i++) {
+        if (rows[i].type !== 'added') edits.push({ op: '-', text: rows[i].left, oldNo: oldNo++, newNo });
+        if (rows[i].type !== 'removed') added.push(rows[i].right);
       }
+      for (const text of added) edits.push({ op: '+', text, oldNo, newNo: newNo++ });
     }
 
-    classes.push({ name: className, properties });
+    const changed = [];
+    edits.forEach((edit, i) => { if (edit.op !== ' ') changed.push(i); });
+    if (!changed.length) return '';
+
+    let out = `--- ${options.leftName || 'a'}\n+++ ${options.rightName || 'b'}\n`;
+    for (let c = 0; c < changed.length;) {
+      let last = c;
+      while (last + 1 < changed.length && changed[last + 1] - changed[last] <= 2 * context + 1) last++;
+      const from = Math.max(0, changed[c] - context);
+      const to = Math.min(edits.length - 1, changed[last] + context);
+      const hunk = edits.slice(from, to + 1);
+      const oldCount = hunk.filter(e => e.op !== '+').length;
+      const newCount = hunk.filter(e => e.op !== '-').length;
+      const range = (start, count) => count === 1 ? `${start + 1}` : `${count ? start + 1 : start},${count}`;
+      out += `@@ -${range(hunk[0].oldNo, oldCount)} +${range(hunk[0].newNo, newCount)} @@\n`;
+      for (const edit of hunk) {
+        out += edit.text.endsWith('\0')
+          ? `${edit.op}${edit.text.slice(0, -1)}\n\\ No newline at end of file\n`
+          : `${edit.op}${edit.text}\n`;
+      }
+      c = last + 1;
+    }
+    return out;
   },
 
   /**
-   * Merge properties from all objects in an array into a single superset object.
-   * This ensures the generated class captures all possible fields from heterogeneous arrays.
-   * If the same key appears with different types, the first non-null type wins.
+   * Parse a unified diff (plain or git-style, one or more files) back into side-by-side rows.
+   * Returns { equal, error, html, stats, files: [{ oldName, newName, hunks: [{ header, lines }] }] }.
    */
-  _mergeArrayObjects(arr) {
-    const merged = {};
-    // ⚡ Bolt: Use a traditional for loop and for..in loop instead of Object.entries
-    // to avoid intermediate array allocations ([key, value]) for every property,
-    // reducing memory overhead and heavily improving performance for large JSON arrays (~2x faster).
-    for (let i = 0; i < arr.length; i++) {
-      const item = arr[i];
-      if (item === null || typeof item !== 'object' || Array.isArray(item)) continue;
-      for (const key in item) {
-        if (Object.prototype.hasOwnProperty.call(item, key)) {
-          if (!(key in merged) || merged[key] == null) {
-            merged[key] = item[key];
+  parseUnifiedDiff(input, options = {}) {
+    const stats = { added: 0, removed: 0, changed: 0 };
+    const fail = (error) => ({ equal: false, error, html: '', stats, files: [] });
+    // 🛡️ Sentinel: Same input bound as the line diff; every hunk line becomes a rendered row.
+    if (input.length > this.MAX_INPUT_LENGTH) {
+      return fail(`Input exceeds maximum length of ${this.MAX_INPUT_LENGTH.toLocaleString('en-US')} characters (DoS protection).`);
+    }
+    if (!input.trim()) return fail('Paste a unified diff to render');
+
+    const text = input.replace(/\r\n?/g, '\n').split('\n');
+    const files = [];
+    let file = null;
+    const startFile = (oldName, newName) => {
+      file = { oldName, newName, hunks: [] };
+      files.push(file);
+    };
+    const fileName = (line) => line.slice(4).split('\t')[0].trim();
+
+    for (let i = 0; i < text.length; i++) {
+      const line = text[i];
+      const git = /^diff --git (\S+) (\S+)/.exec(line);
+      if (git) {
+        startFile(git[1], git[2]);
+        continue;
+      }
+      if (line.startsWith('--- ') && (text[i + 1] || '').startsWith('+++ ')) {
+        if (!file || file.hunks.length) startFile('', '');
+        file.oldName = fileName(line);
+        file.newName = fileName(text[++i]);
+        continue;
+      }
+      const header = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)$/.exec(line);
+      if (!header) continue;
+      if (!file) startFile('', '');
+
+      let oldNo = parseInt(header[1], 10);
+      let newNo = parseInt(header[3], 10);
+      let oldLeft = header[2] === undefined ? 1 : parseInt(header[2], 10);
+      let newLeft = header[4] === undefined ? 1 : parseInt(header[4], 10);
+      const hunkName = `Hunk ${file.hunks.length + 1}${file.newName ? ` of ${file.newName}` : ''}`;
+      const body = [];
+      while (oldLeft > 0 || newLeft > 0) {
+        const next = text[++i];
+        if (next === undefined) return fail(`${hunkName} ends early: ${oldLeft} old and ${newLeft} new lines missing`);
+        const op = next[0] || ' ';
+        if (op === '\\') continue;
+        if ((op === ' ' && (!oldLeft || !newLeft)) || (op === '-' && !oldLeft) || (op === '+' && !newLeft) || !' -+'.includes(op)) {
+          return fail(`${hunkName} does not match its header at line ${i + 1}: "${next.slice(0, 60)}"`);
+        }
+        body.push({ op, text: next.slice(1) });
+        if (op !== '+') oldLeft--;
+        if (op !== '-') newLeft--;
+      }
+      if ((text[i + 1] || '').startsWith('\\')) i++;
+
+      // Pair each run of removals with the additions that follow it, like the line diff does
+      const lines = [];
+      for (let j = 0; j < body.length;) {
+        if (body[j].op === ' ') {
+          lines.push({ type: 'same', left: body[j].text, right: body[j].text, line: oldNo });
+          oldNo++;
+          newNo++;
+          j++;
+          continue;
+        }
+        const removed = [];
+        const added = [];
+        for (; j < body.length && body[j].op === '-'; j++) removed.push(body[j].text);
+        for (; j < body.length && body[j].op === '+'; j++) added.push(body[j].text);
+        for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+          if (k < removed.length && k < added.length) {
+            lines.push({ type: 'changed', left: removed[k], right: added[k], line: oldNo++ });
+            newNo++;
+            stats.changed++;
+          } else if (k < removed.length) {
+            lines.push({ type: 'removed', left: removed[k], right: '', line: oldNo++ });
+            stats.removed++;
+          } else {
+            lines.push({ type: 'added', left: '', right: added[k], line: newNo++ });
+            stats.added++;
           }
         }
       }
+      file.hunks.push({ header: line, lines });
     }
-    return merged;
-  },
 
-  /* ---- Generate All Languages ---- */
-  generateAll(jsonString, options = {}) {
-    let parsed;
-    try {
-      parsed = JSON.parse(jsonString);
-    } catch (e) {
-      const safeMsg = Odin.Utils.escapeHtml(e.message);
-      const errMsg = `// Error parsing JSON: ${safeMsg}`;
-      return { csharp: errMsg, go: errMsg, python: errMsg, php: errMsg, error: safeMsg };
-    }
+    if (!files.some(f => f.hunks.length)) return fail('No hunks found: a unified diff has lines starting with "@@ -"');
 
-    // Determine root structure
-    const classes = [];
-    if (Array.isArray(parsed)) {
-      if (parsed.length > 0 && typeof parsed[0] === 'object') {
-        // Merge all array elements for complete schema
-        const merged = this._mergeArrayObjects(parsed);
-        this._parseObject('Root', merged, classes);
+    let html = '';
+    for (const f of files) {
+      if (f.oldName || f.newName) {
+        const name = f.oldName === f.newName ? f.newName : `${f.oldName} → ${f.newName}`;
+        html += `<div class="diff-file">${Odin.Utils.escapeHtml(name)}</div>`;
+      }
+      for (const hunk of f.hunks) {
+        html += `<div class="diff-hunk">${Odin.Utils.escapeHtml(hunk.header)}</div>`;
+        html += this._renderDiff(hunk, options);
       }
-    } else if (typeof parsed === 'object' && parsed !== null) {
-      this._parseObject('Root', parsed, classes);
-    } else {
-      const errMsg = '// Input must be a JSON object or array of objects';
-      return { csharp: errMsg, go: errMsg, python: errMsg, php: errMsg, error: 'Not an object' };
     }
-
-    return {
-      csharp: this._genCSharp(classes, options),
-      go: this._genGo(classes, options),
-      python: this._genPython(classes, options),
-      php: this._genPhp(classes, options),
-      error: null
-    };
+    return { equal: !stats.added && !stats.removed && !stats.changed, error: null, html, stats, files };
   },
 
-  /* ---- C# Generator ---- */
-  _genCSharp(classes, options = {}) {
-    const useJPN = options.csUseJsonPropertyName || false;
-    const useNullable = options.csUseNullable || false;
-
-    const typeMap = {
-      string: 'string',
-      int: 'int',
-      float: 'double',
-      bool: 'bool',
-      datetime: 'DateTime',
-      nullable: 'object?',
-      any: 'object'
-    };
-
-    // Nullable reference type suffixes
-    const nullableRefTypes = new Set(['string', 'object', 'DateTime']);
-
-    const lines = [
-      'using System;',
-      'using System.Collections.Generic;',
-    ];
+  /* ---- Three-way merge ---- */
 
-    if (useJPN) {
-      lines.push('using System.Text.Json.Serialization;');
+  /**
+   * Merge two edited copies of a common base. 'text' and 'xml' merge lines diff3-style: hunks
+   * changed on one side only are taken as-is and overlapping edits become conflicts between
+   * <<<<<<< ours / ======= / >>>>>>> theirs markers. 'json' merges parsed trees by key path.
+   * Returns { error, merged, conflicts, html, stats }.
+   */
+  merge3(baseInput, oursInput, theirsInput, mode = 'text') {
+    const fail = (error) => ({ error, merged: '', conflicts: [], html: '', stats: { ours: 0, theirs: 0, conflicts: 0 } });
+    // An empty base is a valid ancestor: zero lines, or {} for JSON
+    const emptyBase = !baseInput.trim();
+    const inputError = this._inputError(oursInput, theirsInput) || (emptyBase ? null : this._inputError(baseInput, oursInput));
+    if (inputError) return fail(inputError === 'Both inputs are required' ? 'Ours and theirs are both required' : inputError);
+
+    if (mode === 'json') {
+      const docs = [];
+      for (const [label, input] of [['Base', emptyBase ? '{}' : baseInput], ['Ours', oursInput], ['Theirs', theirsInput]]) {
+        try {
+          docs.push(JSON.parse(input));
+        } catch (e) {
+          return fail(`${label}: ${e.message}`);
+        }
+      }
+      return this.mergeJson(docs[0], docs[1], docs[2]);
     }
 
-    if (useNullable) {
-      lines.push('');
-      lines.push('#nullable enable');
+    let texts;
+    try {
+      texts = mode === 'xml'
+        ? [baseInput, oursInput, theirsInput].map(input => this._normalizeXml(input))
+        : [baseInput, oursInput, theirsInput].map(input => input.replace(/\r\n?/g, '\n'));
+    } catch (e) {
+      return fail(e.message);
     }
+    const [base, ours, theirs] = texts.map(text => text.split('\n'));
+    return this.mergeLines(emptyBase ? [] : base, ours, theirs);
+  },
 
-    lines.push('');
+  /**
+   * diff3 over line arrays: lines matched base→ours and base→theirs by _myers anchor the merge,
+   * and each stretch between anchors is resolved on its own. With an empty base both sides added
+   * everything: the lines they share anchor the merge and every stretch where they differ conflicts.
+   */
+  mergeLines(base, ours, theirs) {
+    const added = !base.length;
+    if (added) base = this._myers(ours, theirs).map(m => ours[m.ai]);
+    const toOurs = new Map(this._myers(base, ours).map(m => [m.ai, m.bi]));
+    const toTheirs = new Map(this._myers(base, theirs).map(m => [m.ai, m.bi]));
+    const stats = { ours: 0, theirs: 0, conflicts: 0 };
+    const conflicts = [];
+    const rows = [];
+    const same = (a, b) => a.length === b.length && a.every((line, i) => line === b[i]);
+    let b = 0;
+    let o = 0;
+    let t = 0;
+
+    while (b < base.length || o < ours.length || t < theirs.length) {
+      let next = b;
+      while (next < base.length && !(toOurs.has(next) && toTheirs.has(next))) next++;
+      if (next === b && next < base.length && toOurs.get(b) === o && toTheirs.get(b) === t) {
+        rows.push({ type: 'same', text: base[b] });
+        b++;
+        o++;
+        t++;
+        continue;
+      }
 
-    for (const cls of classes) {
-      lines.push(`public class ${cls.name}`);
-      lines.push('{');
+      const oEnd = next < base.length ? toOurs.get(next) : ours.length;
+      const tEnd = next < base.length ? toTheirs.get(next) : theirs.length;
+      const baseChunk = base.slice(b, next);
+      const oursChunk = ours.slice(o, oEnd);
+      const theirsChunk = theirs.slice(t, tEnd);
+      if (same(oursChunk, theirsChunk) || (!added && same(baseChunk, theirsChunk))) {
+        for (const text of oursChunk) rows.push({ type: 'ours', text });
+        if (!same(baseChunk, oursChunk)) stats.ours++;
+      } else if (!added && same(baseChunk, oursChunk)) {
+        for (const text of theirsChunk) rows.push({ type: 'theirs', text });
+        stats.theirs++;
+      } else {
+        stats.conflicts++;
+        conflicts.push({ line: rows.length + 1, base: baseChunk, ours: oursChunk, theirs: theirsChunk });
+        rows.push({ type: 'marker', text: '<<<<<<< ours' });
+        for (const text of oursChunk) rows.push({ type: 'conflict', text });
+        rows.push({ type: 'marker', text: '=======' });
+        for (const text of theirsChunk) rows.push({ type: 'conflict', text });
+        rows.push({ type: 'marker', text: '>>>>>>> theirs' });
+      }
+      b = next;
+      o = oEnd;
+      t = tEnd;
+    }
 
-      for (const prop of cls.properties) {
-        const { schema, originalKey } = prop;
-        const propName = this.toPascalCase(originalKey);
-        let csType;
+    const source = { same: '', ours: 'ours', theirs: 'theirs', marker: 'conflict', conflict: 'conflict' };
+    let html = '';
+    for (let i = 0; i < rows.length; i++) {
+      const row = rows[i];
+      html += `<div class="diff-row diff-merge-row diff-merge-${row.type}"><span class="diff-ln">${i + 1}</span><span class="diff-source">${source[row.type]}</span><span class="diff-left">${Odin.Utils.escapeHtml(row.text)}</span></div>`;
+    }
+    return { error: null, merged: rows.map(row => row.text).join('\n'), conflicts, html, stats };
+  },
 
-        if (schema.type === 'object' && schema.className) {
-          csType = schema.className;
-        } else {
-          csType = typeMap[schema.type] || 'object';
-        }
+  /**
+   * Structural three-way merge of parsed JSON. Objects merge key by key; any other value (arrays
+   * included) is taken from the side that changed it. When both sides change the same path
+   * differently the conflict is listed by JSON Pointer and ours is kept in the merged document.
+   */
+  mergeJson(base, ours, theirs) {
+    const conflicts = [];
+    const stats = { ours: 0, theirs: 0, conflicts: 0 };
+    const merged = this._mergeValues(base, ours, theirs, '', conflicts, stats);
+    stats.conflicts = conflicts.length;
 
-        if (schema.isArray) {
-          csType = `List<${csType}>`;
-        }
+    let html = '';
+    const show = (value) => value === this._MISSING ? '(missing)' : JSON.stringify(value);
+    for (const c of conflicts) {
+      html += `<div class="diff-row diff-path-row diff-changed"><span class="diff-path">${Odin.Utils.escapeHtml(c.path || '/')}</span><span class="diff-left">${Odin.Utils.escapeHtml(show(c.ours))}</span><span class="diff-right">${Odin.Utils.escapeHtml(show(c.theirs))}</span></div>`;
+    }
+    return {
+      error: null,
+      merged: merged === this._MISSING ? '' : JSON.stringify(merged, null, 2),
+      conflicts: conflicts.map(c => ({ ...c, base: show(c.base), ours: show(c.ours), theirs: show(c.theirs) })),
+      html: html || '<div class="diff-empty">No conflicts</div>',
+      stats
+    };
+  },
 
-        // Add nullable suffix for reference types
-        if (useNullable && !schema.isArray) {
-          if (nullableRefTypes.has(csType) || (schema.type === 'object' && schema.className)) {
-            csType += '?';
-          }
-          if (schema.type === 'nullable') {
-            csType = 'object?';
-          }
-        }
+  _MISSING: Symbol('missing'),
 
-        if (useNullable && schema.isArray) {
-          csType += '?';
-        }
+  _mergeValues(base, ours, theirs, path, conflicts, stats) {
+    const equal = (a, b) => a === b || (a !== this._MISSING && b !== this._MISSING &&
+      this._canonical(a, { ignoreKeys: new Set() }) === this._canonical(b, { ignoreKeys: new Set() }));
+    if (equal(ours, theirs)) return ours;
+    if (equal(base, theirs)) {
+      stats.ours++;
+      return ours;
+    }
+    if (equal(base, ours)) {
+      stats.theirs++;
+      return theirs;
+    }
 
-        if (useJPN) {
-          lines.push(`    [JsonPropertyName("${originalKey}")]`);
-        }
-        lines.push(`    public ${csType} ${propName} { get; set; }`);
-        lines.push('');
+    const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+    if (isObject(ours) && isObject(theirs)) {
+      // Both sides hold an object here: a base that was not one merges as if it were empty
+      if (!isObject(base)) base = {};
+      const result = {};
+      const keys = [...new Set([...Object.keys(ours), ...Object.keys(theirs), ...Object.keys(base)])];
+      const get = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key) ? obj[key] : this._MISSING;
+      for (const key of keys) {
+        const value = this._mergeValues(get(base, key), get(ours, key), get(theirs, key), this._pointer(path, key), conflicts, stats);
+        if (value !== this._MISSING) this._setMember(result, key, value);
       }
-
-      lines.push('}');
-      lines.push('');
+      return result;
     }
 
-    return lines.join('\n').trim();
+    conflicts.push({ path, base, ours, theirs });
+    return ours;
   },
 
-  /* ---- Go Generator ---- */
-  _genGo(classes, options = {}) {
-    const useOmitEmpty = options.goUseOmitEmpty || false;
-    const usePointers = options.goUsePointers || false;
-
-    const typeMap = {
-      string: 'string',
-      int: 'int',
-      float: 'float64',
-      bool: 'bool',
-      datetime: 'time.Time',
-      nullable: 'interface{}',
-      any: 'interface{}'
-    };
-
-    let needsTime = false;
-    const lines = ['package models', ''];
+  _normalizeJson(input) {
+    const parsed = JSON.parse(input);
+    const sorted = this._sortObject(parsed);
+    return JSON.stringify(sorted, null, 2);
+  },
 
-    // Check if time import needed
-    for (const cls of classes) {
-      for (const prop of cls.properties) {
-        if (prop.schema.type === 'datetime') needsTime = true;
+  _sortObject(value) {
+    if (Array.isArray(value)) {
+      // ⚡ Bolt: Use a pre-allocated array and traditional for loop instead of .map()
+      // to avoid closure overhead and intermediate allocations.
+      const arr = new Array(value.length);
+      for (let i = 0; i < value.length; i++) {
+        arr[i] = this._sortObject(value[i]);
+      }
+      return arr;
+    }
+    if (value && typeof value === 'object') {
+      // ⚡ Bolt: Use a traditional for loop instead of .reduce()
+      // to avoid closure allocation overhead and speed up recursive object sorting.
+      const keys = Object.keys(value).sort();
+      const obj = {};
+      for (let i = 0; i < keys.length; i++) {
+        const key = keys[i];
+        obj[key] = this._sortObject(value[key]);
       }
+      return obj;
     }
+    return value;
+  },
 
-    if (needsTime) {
-      lines.push('import "time"');
-      lines.push('');
+  _normalizeXml(input) {
+    const validation = Odin.XmlFormatter.validate(input);
+    if (!validation.valid) {
+      throw new Error(validation.error?.message || 'Invalid XML');
     }
 
-    for (const cls of classes) {
-      lines.push(`type ${cls.name} struct {`);
+    const minified = Odin.XmlFormatter.minify(input);
+    if (minified.result === null) {
+      throw new Error(minified.error?.message || 'Invalid XML');
+    }
 
-      // ⚡ Bolt: Use a pre-allocated array and traditional for loop instead of chained .map() and spread operator to avoid allocations and potential -Infinity errors
-      const fields = new Array(cls.properties.length);
-      let maxNameLen = 0;
-      let maxTypeLen = 0;
+    const beautified = Odin.XmlFormatter.beautify(minified.result);
+    if (beautified.result === null) {
+      throw new Error(beautified.error?.message || 'Invalid XML');
+    }
 
-      for (let i = 0; i < cls.properties.length; i++) {
-        const { schema, originalKey } = cls.properties[i];
-        const fieldName = this.toPascalCase(originalKey);
-        let goType;
+    return beautified.result;
+  },
 
-        if (schema.type === 'object' && schema.className) {
-          goType = schema.className;
-        } else {
-          goType = typeMap[schema.type] || 'interface{}';
-        }
+  /**
+   * Rows of a line diff. Lines are matched on a comparison key, so ignoreWhitespace and ignoreCase
+   * still show each side as written; ignoreBlankLines leaves blank lines out of the comparison.
+   */
+  _lineDiff(leftText, rightText, options = {}) {
+    let leftLines = leftText.split('\n');
+    let rightLines = rightText.split('\n');
+    if (options.ignoreBlankLines) {
+      leftLines = leftLines.filter(line => line.trim());
+      rightLines = rightLines.filter(line => line.trim());
+    }
+    return this._diffRows(leftLines, rightLines, options);
+  },
 
-        if (schema.isArray) {
-          goType = `[]${goType}`;
-        }
+  _diffRows(leftLines, rightLines, options = {}) {
+    const a = leftLines.map(line => this._lineKey(line, options));
+    const b = rightLines.map(line => this._lineKey(line, options));
 
-        if (usePointers && !schema.isArray && schema.type === 'nullable' && goType !== 'interface{}') {
-          goType = `*${goType}`;
-        }
+    // Myers diff algorithm (O(ND)) for optimal edit script
+    const lcs = this._myers(a, b, options);
+    const lines = [];
+    const stats = { added: 0, removed: 0, changed: 0 };
+    let lineNum = 0;
 
-        const jsonTag = useOmitEmpty ? `${originalKey},omitempty` : originalKey;
-        fields[i] = { fieldName, goType, jsonTag };
+    let ai = 0;
+    let bi = 0;
+    let li = 0;
 
-        if (fieldName.length > maxNameLen) maxNameLen = fieldName.length;
-        if (goType.length > maxTypeLen) maxTypeLen = goType.length;
-      }
+    while (ai < a.length || bi < b.length) {
+      if (li < lcs.length && ai === lcs[li].ai && bi === lcs[li].bi) {
+        // Common line
+        lineNum++;
+        lines.push({ type: 'same', left: leftLines[ai], right: rightLines[bi], line: lineNum });
+        ai++;
+        bi++;
+        li++;
+      } else if (ai < a.length && (li >= lcs.length || ai < lcs[li].ai) && (li >= lcs.length || bi >= lcs[li].bi || a[ai] !== b[bi])) {
+        // Check if both sides changed (a removed and b added at same position)
+        const nextLcsAi = li < lcs.length ? lcs[li].ai : a.length;
+        const nextLcsBi = li < lcs.length ? lcs[li].bi : b.length;
 
-      for (let i = 0; i < fields.length; i++) {
-        const f = fields[i];
-        const name = f.fieldName.padEnd(maxNameLen);
-        const type = f.goType.padEnd(maxTypeLen);
-        lines.push(`\t${name} ${type} \`json:"${f.jsonTag}"\``);
+        // Pair up removals and additions as "changed" lines
+        if (ai < nextLcsAi && bi < nextLcsBi) {
+          lineNum++;
+          lines.push({ type: 'changed', left: leftLines[ai], right: rightLines[bi], line: lineNum });
+          stats.changed++;
+          ai++;
+          bi++;
+        } else if (ai < nextLcsAi) {
+          lineNum++;
+          lines.push({ type: 'removed', left: leftLines[ai], right: '', line: lineNum });
+          stats.removed++;
+          ai++;
+        } else {
+          lineNum++;
+          lines.push({ type: 'added', left: '', right: rightLines[bi], line: lineNum });
+          stats.added++;
+          bi++;
+        }
+      } else if (bi < b.length) {
+        lineNum++;
+        lines.push({ type: 'added', left: '', right: rightLines[bi], line: lineNum });
+        stats.added++;
+        bi++;
+      } else {
+        lineNum++;
+        lines.push({ type: 'removed', left: leftLines[ai], right: '', line: lineNum });
+        stats.removed++;
+        ai++;
       }
-
-      lines.push('}');
-      lines.push('');
     }
 
-    return lines.join('\n').trim();
+    return { lines, stats };
   },
 
-  /* ---- Python Generator ---- */
-  _genPython(classes, options = {}) {
-    const useOptional = options.pyUseOptional || false;
+  _lineKey(line, options) {
+    let key = options.ignoreWhitespace ? line.replace(/\s+/g, '') : line;
+    if (options.ignoreCase) key = key.toLowerCase();
+    return key;
+  },
 
-    const typeMap = {
-      string: 'str',
-      int: 'int',
-      float: 'float',
-      bool: 'bool',
-      datetime: 'datetime',
-      nullable: 'Any',
-      any: 'Any'
+  /**
+   * Split the two sides of a changed row into tokens (characters, or words, whitespace runs and
+   * single punctuation marks) and mark the ones outside their longest common subsequence.
+   */
+  _inlineDiff(left, right, unit, options = {}) {
+    const split = (text) => unit === 'word' ? (text.match(/\w+|\s+|[^\w\s]/g) || []) : Array.from(text);
+    const a = split(left);
+    const b = split(right);
+    // ⚡ Bolt: Myers keeps O(D²) trace data; very long rows are shown whole instead of token by token.
+    if (a.length + b.length > 4000) return null;
+    const key = (token) => {
+      if (options.ignoreWhitespace && !token.trim()) return ' ';
+      return options.ignoreCase ? token.toLowerCase() : token;
     };
-
-    let needsDatetime = false;
-    let needsAny = false;
-    let needsOptional = false;
-
-    for (const cls of classes) {
-      for (const prop of cls.properties) {
-        if (prop.schema.type === 'datetime') needsDatetime = true;
-        if (prop.schema.type === 'nullable' || prop.schema.type === 'any') needsAny = true;
-        if (useOptional && prop.schema.type === 'nullable') needsOptional = true;
+    const lcs = this._myers(a.map(key), b.map(key));
+    const mark = (tokens, matched) => {
+      let html = '';
+      let run = '';
+      for (let i = 0; i < tokens.length; i++) {
+        if (matched.has(i)) {
+          if (run) html += `<span class="diff-inline">${Odin.Utils.escapeHtml(run)}</span>`;
+          run = '';
+          html += Odin.Utils.escapeHtml(tokens[i]);
+        } else {
+          run += tokens[i];
+        }
       }
-    }
+      if (run) html += `<span class="diff-inline">${Odin.Utils.escapeHtml(run)}</span>`;
+      return html;
+    };
+    return {
+      left: mark(a, new Set(lcs.map(m => m.ai))),
+      right: mark(b, new Set(lcs.map(m => m.bi)))
+    };
+  },
 
-    const lines = [
-      'from __future__ import annotations',
-      'from dataclasses import dataclass, field',
-    ];
-    if (needsDatetime) lines.push('from datetime import datetime');
-    if (needsAny) lines.push('from typing import Any');
-    if (needsOptional) lines.push('from typing import Optional');
-    lines.push('');
 
-    // Reverse order so nested classes appear first
-    const reversed = [...classes].reverse();
+  /**
+   * Myers diff — compute LCS indices using the O(ND) algorithm.
+   * Returns array of { ai, bi } pairs indicating matching line indices.
+   * Options: onProgress(percent), called as the furthest path advances, and maxEdits, past which
+   * the search gives up with an error instead of growing its trace further.
+   */
+  _myers(a, b, options = {}) {
+    const N = a.length;
+    const M = b.length;
+    const MAX = N + M;
 
-    for (const cls of reversed) {
-      lines.push('');
-      lines.push('@dataclass');
-      lines.push(`class ${cls.name}:`);
+    if (MAX === 0) return [];
 
-      if (cls.properties.length === 0) {
-        lines.push('    pass');
-        continue;
-      }
+    // Optimisation: trivial cases
+    if (N === 0 || M === 0) return [];
 
-      for (const prop of cls.properties) {
-        const { schema, originalKey } = prop;
-        const fieldName = this.toSnakeCase(originalKey);
-        let pyType;
+    const vSize = 2 * MAX + 1;
+    const v = new Int32Array(vSize).fill(-1);
+    const offset = MAX;
+    v[offset + 1] = 0;
 
-        if (schema.type === 'object' && schema.className) {
-          pyType = schema.className;
+    // Store trace for backtracking
+    const trace = [];
+
+    let reported = 0;
+    let furthest = 0;
+
+    outer:
+    for (let d = 0; d <= MAX; d++) {
+      if (options.maxEdits && d > options.maxEdits) {
+        throw new Error(`Too many differences to align: more than ${options.maxEdits.toLocaleString('en-US')} lines added or removed.`);
+      }
+      // ⚡ Bolt: Slice only the actively used boundaries to reduce memory space complexity
+      // from O(MAX^2) to O(d^2) and prevent massive garbage collection overhead.
+      const start = Math.max(0, offset - d - 1);
+      const end = offset + d + 2;
+      trace.push(v.slice(start, end));
+
+      for (let k = -d; k <= d; k += 2) {
+        let x;
+        if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+          x = v[offset + k + 1]; // move down
         } else {
-          pyType = typeMap[schema.type] || 'Any';
+          x = v[offset + k - 1] + 1; // move right
         }
 
-        if (schema.isArray) {
-          pyType = `list[${pyType}]`;
-          lines.push(`    ${fieldName}: ${pyType} = field(default_factory=list)`);
-        } else if (schema.type === 'nullable') {
-          const nullableType = useOptional ? `Optional[${pyType}]` : pyType;
-          lines.push(`    ${fieldName}: ${nullableType} = None`);
+        let y = x - k;
+
+        // Follow diagonal (matches)
+        while (x < N && y < M && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+
+        v[offset + k] = x;
+
+        if (x >= N && y >= M) break outer;
+        if (x + y > furthest) furthest = x + y;
+      }
+
+      if (options.onProgress) {
+        const percent = Math.floor((furthest / MAX) * 100);
+        if (percent > reported) {
+          reported = percent;
+          options.onProgress(percent);
+        }
+      }
+    }
+
+    // Backtrack to find the actual edit path
+    const lcs = [];
+    let x = N;
+    let y = M;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+      const vPrev = trace[d];
+      const start = Math.max(0, offset - d - 1);
+      const k = x - y;
+
+      const startIdx = Math.max(0, offset - d - 1);
+
+      let prevK;
+      if (k === -d || (k !== d && vPrev[offset + k - 1 - start] < vPrev[offset + k + 1 - start])) {
+        prevK = k + 1;
+      } else {
+        prevK = k - 1;
+      }
+
+      const prevX = vPrev[offset + prevK - start];
+      const prevY = prevX - prevK;
+
+      // Diagonal moves are matches
+      while (x > prevX && y > prevY) {
+        x--;
+        y--;
+        lcs.push({ ai: x, bi: y });
+      }
+
+      x = prevX;
+      y = prevY;
+    }
+
+    lcs.reverse();
+    return lcs;
+  },
+
+  _renderDiff(diff, options = {}) {
+    let html = '';
+    // ⚡ Bolt: Use a traditional for loop instead of .map().join('')
+    // to avoid intermediate array allocations and closure overhead, heavily speeding up render time.
+    for (let i = 0; i < diff.lines.length; i++) {
+      html += this._renderRow(diff.lines[i], options);
+    }
+    return html;
+  },
+
+  _renderRow(row, options = {}) {
+    const inline = row.type === 'changed' && options.inline ? this._inlineDiff(row.left, row.right, options.inline, options) : null;
+    const left = inline ? inline.left : Odin.Utils.escapeHtml(row.left ?? '');
+    const right = inline ? inline.right : Odin.Utils.escapeHtml(row.right ?? '');
+    return `<div class="diff-row diff-${row.type}"><span class="diff-ln">${row.line}</span><span class="diff-left">${left}</span><span class="diff-right">${right}</span></div>`;
+  },
+
+  /* ---- Background compare and virtual rendering ---- */
+
+  /**
+   * compare() in a Web Worker, for inputs up to MAX_WORKER_INPUT_LENGTH. Returns { promise, cancel };
+   * the promise resolves with compare()'s result minus html (draw result.lines with renderRows) and
+   * onProgress receives 0-100 while lines are aligned. Falls back to compare() on the main thread,
+   * within the usual MAX_INPUT_LENGTH, when Workers are unavailable or the worker fails to load.
+   */
+  compareAsync(leftInput, rightInput, mode, options = {}, onProgress = null) {
+    const failed = (error) => ({ equal: false, error, html: '', lines: [], stats: { added: 0, removed: 0, changed: 0 } });
+    const settled = (result) => ({ promise: Promise.resolve(result), cancel() {} });
+    const inputError = this._inputError(leftInput, rightInput, this.MAX_WORKER_INPUT_LENGTH);
+    if (inputError) return settled(failed(inputError));
+
+    let left = leftInput;
+    let right = rightInput;
+    let workerMode = mode;
+    let workerOptions = { ...options };
+    if (mode === 'xml') {
+      // Workers have no DOMParser: normalize here and diff the result as plain lines.
+      // 🛡️ Sentinel: that parse blocks the page, so XML keeps the main-thread input bound
+      const xmlError = this._inputError(leftInput, rightInput);
+      if (xmlError) return settled(failed(xmlError));
+      try {
+        left = this._normalizeXml(leftInput);
+        right = this._normalizeXml(rightInput);
+      } catch (e) {
+        return settled(failed(e.message));
+      }
+      workerMode = 'text';
+      workerOptions = { inline: options.inline };
+    }
+
+    const runHere = () => {
+      try {
+        return this.compare(left, right, workerMode, { ...workerOptions, render: false });
+      } catch (e) {
+        return failed(e.message);
+      }
+    };
+    if (typeof Worker === 'undefined') return settled(runHere());
+
+    let worker;
+    let url;
+    try {
+      const script = new URL(this.WORKER_SCRIPT, location.href).href;
+      const source = `
+        importScripts(${JSON.stringify(script)});
+        self.onmessage = function (e) {
+          const { left, right, mode, options } = e.data;
+          options.onProgress = (percent) => self.postMessage({ type: 'progress', percent });
+          let result;
+          try {
+            result = Odin.DiffChecker.compare(left, right, mode, options);
+          } catch (err) {
+            result = { equal: false, error: err.message, html: '', lines: [], stats: { added: 0, removed: 0, changed: 0 } };
+          }
+          self.postMessage({ type: 'done', result });
+        };
+      `;
+      url = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+      worker = new Worker(url);
+    } catch (_) {
+      return settled(runHere());
+    }
+
+    let resolve;
+    let done = false;
+    const promise = new Promise((r) => { resolve = r; });
+    const finish = (result) => {
+      if (done) return;
+      done = true;
+      worker.terminate();
+      URL.revokeObjectURL(url);
+      resolve(result);
+    };
+
+    worker.onmessage = (e) => {
+      if (e.data.type === 'progress') {
+        if (onProgress) onProgress(e.data.percent);
+        return;
+      }
+      finish(e.data.result);
+    };
+    worker.onerror = (e) => {
+      e.preventDefault();
+      finish(runHere());
+    };
+    worker.postMessage({
+      left,
+      right,
+      mode: workerMode,
+      options: { ...workerOptions, render: false, maxLength: this.MAX_WORKER_INPUT_LENGTH, maxEdits: this.MAX_WORKER_EDITS }
+    });
+
+    return { promise, cancel: () => finish({ ...failed('Comparison cancelled'), cancelled: true }) };
+  },
+
+  /**
+   * Display items for diff rows: a row index, or { start, end } standing in for a run of unchanged
+   * rows that lies more than `context` rows away from any change. Runs whose start is in
+   * `expanded` stay open.
+   */
+  foldRows(lines, context = 3, expanded = new Set()) {
+    const items = [];
+    for (let i = 0; i < lines.length;) {
+      if (lines[i].type !== 'same') {
+        items.push(i++);
+        continue;
+      }
+      let end = i;
+      while (end < lines.length && lines[end].type === 'same') end++;
+      const from = i === 0 ? 0 : i + context;
+      const to = end === lines.length ? end : end - context;
+      if (to - from > 1 && !expanded.has(from)) {
+        for (let k = i; k < from; k++) items.push(k);
+        items.push({ start: from, end: to });
+        for (let k = to; k < end; k++) items.push(k);
+      } else {
+        for (let k = i; k < end; k++) items.push(k);
+      }
+      i = end;
+    }
+    return items;
+  },
+
+  /** Longest left or right text in `lines`, in characters with tabs at 8, so all virtual rows share one width */
+  lineWidth(lines) {
+    let width = 0;
+    for (const row of lines) {
+      for (const text of [row.left, row.right]) {
+        if (!text || text.length * 8 <= width) continue;
+        width = Math.max(width, text.length + 7 * (text.split('\t').length - 1));
+      }
+    }
+    return width;
+  },
+
+  /**
+   * HTML for items[from, to) only, so a virtual scroller can keep a handful of rows in the DOM.
+   * Every row, folds included, is ROW_HEIGHT pixels tall.
+   */
+  renderRows(lines, items, from, to, options = {}) {
+    let html = '';
+    const last = Math.min(to, items.length);
+    for (let i = Math.max(0, from); i < last; i++) {
+      const item = items[i];
+      if (typeof item === 'number') {
+        html += this._renderRow(lines[item], options);
+      } else {
+        const count = item.end - item.start;
+        html += `<div class="diff-row diff-fold" data-fold="${item.start}"><span class="diff-ln">⋯</span><span class="diff-fold-label">${count} unchanged ${count === 1 ? 'line' : 'lines'}</span></div>`;
+      }
+    }
+    return html;
+  }
+};
+
+/* ================================================================
+   Odin.PasswordGuard — Secure password generator with entropy
+   ================================================================ */
+Odin.PasswordGuard = {
+  charsets: {
+    lowercase: 'abcdefghijklmnopqrstuvwxyz',
+    uppercase: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    numbers: '0123456789',
+    symbols: '!@#$%^&*()-_=+[]{}|;:\'",.<>?/~`'
+  },
+
+  generate(length, options) {
+    // 🛡️ Sentinel: Enforce safe bounding limits on numeric inputs to prevent DoS
+    length = Math.max(4, Math.min(1024, length || 16));
+
+    let pool = '';
+    const activeSets = [];
+    if (options.lowercase) { pool += this.charsets.lowercase; activeSets.push(this.charsets.lowercase); }
+    if (options.uppercase) { pool += this.charsets.uppercase; activeSets.push(this.charsets.uppercase); }
+    if (options.numbers)   { pool += this.charsets.numbers;   activeSets.push(this.charsets.numbers); }
+    if (options.symbols)   { pool += this.charsets.symbols;   activeSets.push(this.charsets.symbols); }
+
+    if (!pool) { pool = this.charsets.lowercase; activeSets.push(this.charsets.lowercase); } // fallback
+
+    let password = this._secureRandom(pool, length);
+
+    // Guarantee at least one character from each active set (if length allows)
+    if (activeSets.length > 1 && length >= activeSets.length) {
+      let chars = password.split('');
+      const usedPositions = new Set();
+
+      for (const set of activeSets) {
+        const hasChar = chars.some(c => set.includes(c));
+        if (hasChar) {
+          // Record one of its positions so we don't overwrite it later
+          usedPositions.add(chars.findIndex(c => set.includes(c)));
         } else {
-          lines.push(`    ${fieldName}: ${pyType} = None`);
+          // Pick a random position that hasn't been force-set yet
+          let pos;
+          do {
+            pos = this._secureRandomIndex(chars.length);
+          } while (usedPositions.has(pos));
+          usedPositions.add(pos);
+          chars[pos] = set[this._secureRandomIndex(set.length)];
         }
       }
+
+      password = chars.join('');
     }
 
-    return lines.join('\n').trim();
+    const entropy = this.calcEntropy(length, pool.length);
+    const strength = this.getStrength(entropy);
+
+    return { password, entropy, strength, poolSize: pool.length };
   },
 
-  /* ---- PHP 8.1 Generator ---- */
-  _genPhp(classes, options = {}) {
-    const useReadonly = options.phpUseReadonly !== false;
+  /** Rejection sampling: unbiased random index for a given range */
+  _secureRandomIndex(range) {
+    const array = new Uint32Array(1);
+    const limit = Math.floor(0x100000000 / range) * range; // largest multiple of range within Uint32
+    let val;
+    do {
+      crypto.getRandomValues(array);
+      val = array[0];
+    } while (val >= limit); // reject biased values
+    return val % range;
+  },
 
-    const typeMap = {
-      string: 'string',
-      int: 'int',
-      float: 'float',
-      bool: 'bool',
-      datetime: '\\DateTime',
-      nullable: 'mixed',
-      any: 'mixed'
+  _secureRandom(pool, length) {
+    const array = new Uint32Array(length);
+    crypto.getRandomValues(array);
+    let result = '';
+    const limit = Math.floor(0x100000000 / pool.length) * pool.length;
+    for (let i = 0; i < length; i++) {
+      // Rejection sampling to eliminate modulo bias
+      let val = array[i];
+      while (val >= limit) {
+        const extra = new Uint32Array(1);
+        crypto.getRandomValues(extra);
+        val = extra[0];
+      }
+      result += pool[val % pool.length];
+    }
+    return result;
+  },
+
+  calcEntropy(length, poolSize) {
+    if (poolSize <= 1) return 0;
+    return Math.round(length * Math.log2(poolSize) * 10) / 10;
+  },
+
+  getStrength(entropy) {
+    if (entropy < 28) return { label: 'Weak', class: 'entropy-weak', color: 'text-red-400' };
+    if (entropy < 36) return { label: 'Fair', class: 'entropy-fair', color: 'text-orange-400' };
+    if (entropy < 60) return { label: 'Good', class: 'entropy-good', color: 'text-yellow-400' };
+    if (entropy < 80) return { label: 'Strong', class: 'entropy-strong', color: 'text-green-400' };
+    return { label: 'Fortress', class: 'entropy-fortress', color: 'text-emerald-400' };
+  }
+};
+
+/* ================================================================
+   Odin.ModelGen — Multi-Language Model Generator
+   Recursive JSON → C# / Go / Python / PHP 8.1 / TypeScript / Zod /
+   Java / Kotlin / Rust / Swift / JSON Schema
+   ================================================================ */
+Odin.ModelGen = {
+
+  /** Output targets in tab order: generateAll() result key → Prism grammar */
+  targets: {
+    csharp: 'csharp',
+    go: 'go',
+    python: 'python',
+    php: 'php',
+    typescript: 'typescript',
+    zod: 'typescript',
+    java: 'java',
+    kotlin: 'kotlin',
+    rust: 'rust',
+    swift: 'swift',
+    jsonschema: 'json'
+  },
+
+  /** The same text for every target (empty outputs, errors) */
+  emptyOutput(text = '') {
+    const out = {};
+    for (const key in this.targets) out[key] = text;
+    return out;
+  },
+
+  /* ---- Name conversion utilities ---- */
+  toPascalCase(str) {
+    // ⚡ Bolt: Reuse the highly optimized Odin.CaseConverter (single .match regex)
+    // rather than chaining multiple .replace().split() calls.
+    // This removes duplicate code and significantly speeds up case conversion (~60% faster).
+    return Odin.CaseConverter.toPascalCase(str);
+  },
+
+  toCamelCase(str) {
+    return Odin.CaseConverter.toCamelCase(str);
+  },
+
+  toSnakeCase(str) {
+    return Odin.CaseConverter.toSnakeCase(str);
+  },
+
+  toClassName(str) {
+    const pascal = this.toPascalCase(str);
+    // Ensure doesn't start with a number
+    return /^\d/.test(pascal) ? 'Item' + pascal : pascal;
+  },
+
+  /* ---- Schema Parser ---- */
+  parseSchema(key, value, classes = [], parentName = 'Root', options = {}) {
+    if (value === null || value === undefined) {
+      return { type: 'nullable', isArray: false, className: null };
+    }
+
+    if (typeof value === 'string') {
+      // Check for ISO date
+      if (/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}:\d{2})?/.test(value)) {
+        return { type: 'datetime', isArray: false, className: null, format: this._stringFormat(value) };
+      }
+      return { type: 'string', isArray: false, className: null, format: this._stringFormat(value) };
+    }
+
+    if (typeof value === 'number') {
+      if (!Number.isInteger(value)) return { type: 'float', isArray: false, className: null };
+      // Beyond 32 bits an `int` field cannot hold the sample: mark it like an OpenAPI int64
+      const int64 = value > 2147483647 || value < -2147483648;
+      return int64 ? { type: 'int', isArray: false, className: null, format: 'int64' } : { type: 'int', isArray: false, className: null };
+    }
+
+    if (typeof value === 'boolean') {
+      return { type: 'bool', isArray: false, className: null };
+    }
+
+    if (Array.isArray(value)) {
+      if (value.length === 0) {
+        return { type: 'any', isArray: true, className: null };
+      }
+
+      // Merge ALL elements so heterogeneous items widen, merge or become a union
+      const itemSchema = this._mergeSchemas(key, value, classes, parentName, options);
+      // Null items are not modelled: `nullable` on an array schema means the array itself
+      delete itemSchema.nullable;
+      return { ...itemSchema, isArray: true };
+    }
+
+    if (typeof value === 'object') {
+      const className = this._nestedClassName(key, parentName, classes);
+      this._parseObject(className, [value], classes, options);
+      return { type: 'object', isArray: false, className };
+    }
+
+    return { type: 'any', isArray: false, className: null };
+  },
+
+  /**
+   * Build one class from sample objects. A property is `required` only when every sample has it,
+   * and its schema is merged from every value observed for it.
+   */
+  _parseObject(className, objects, classes, options = {}) {
+    // Listed first so nested objects cannot take the name, then moved after them: referenced classes come first
+    const cls = { name: className, properties: [] };
+    classes.push(cls);
+
+    const merged = this._mergeArrayObjects(objects);
+    for (const [key, field] of merged.fields) {
+      cls.properties.push({
+        originalKey: key,
+        schema: this._mergeSchemas(key, field.values, classes, className, options),
+        required: field.count === merged.total
+      });
+    }
+
+    classes.splice(classes.indexOf(cls), 1);
+    classes.push(cls);
+  },
+
+  /** Class name for a nested object: its key, prefixed with the parent class when another object has it */
+  _nestedClassName(key, parentName, classes) {
+    const base = this.toClassName(key) || 'Item';
+    const taken = name => classes.some(c => c.name === name);
+    if (!taken(base)) return base;
+    let name = parentName + base;
+    for (let i = 2; taken(name); i++) name = parentName + base + i;
+    return name;
+  },
+
+  /**
+   * Merge properties from all objects in an array into a single superset.
+   * This ensures the generated class captures all possible fields from heterogeneous arrays.
+   * For every key it records each observed value and how many objects had the key:
+   * { fields: Map(key → { values, count }), total }.
+   */
+  _mergeArrayObjects(arr) {
+    const fields = new Map();
+    let total = 0;
+    // ⚡ Bolt: Use a traditional for loop and for..in loop instead of Object.entries
+    // to avoid intermediate array allocations ([key, value]) for every property,
+    // reducing memory overhead and heavily improving performance for large JSON arrays (~2x faster).
+    for (let i = 0; i < arr.length; i++) {
+      const item = arr[i];
+      if (item === null || typeof item !== 'object' || Array.isArray(item)) continue;
+      total++;
+      for (const key in item) {
+        if (Object.prototype.hasOwnProperty.call(item, key)) {
+          let field = fields.get(key);
+          if (!field) {
+            field = { values: [], count: 0 };
+            fields.set(key, field);
+          }
+          field.values.push(item[key]);
+          field.count++;
+        }
+      }
+    }
+    return { fields, total };
+  },
+
+  /**
+   * Infer one schema from every value observed for a key. Ints and floats widen to float,
+   * strings keep a datetime type / format only when all samples agree, objects merge into one
+   * class and arrays into one item schema. Different kinds become { type: 'union', variants };
+   * `nullable` marks nulls seen next to real values (all-null stays type 'nullable').
+   * With `options.enumTypes`, strings repeating a few labels also get their `enum` values.
+   */
+  _mergeSchemas(key, values, classes, parentName, options = {}) {
+    const kinds = new Map();
+    const strings = [];
+    const objects = [];
+    const items = [];
+    let sawArray = false;
+    let sawNull = false;
+
+    for (let i = 0; i < values.length; i++) {
+      const value = values[i];
+      if (value === null || value === undefined) {
+        sawNull = true;
+      } else if (Array.isArray(value)) {
+        sawArray = true;
+        for (let j = 0; j < value.length; j++) items.push(value[j]);
+      } else if (typeof value === 'object') {
+        objects.push(value);
+      } else {
+        const schema = this.parseSchema(key, value, classes, parentName, options);
+        if (typeof value === 'string') strings.push(value);
+        const kind = schema.type === 'int' || schema.type === 'float' ? 'number' : schema.type === 'datetime' ? 'string' : schema.type;
+        if (!kinds.has(kind)) kinds.set(kind, []);
+        kinds.get(kind).push(schema);
+      }
+    }
+
+    const variants = [];
+    for (const [kind, samples] of kinds) {
+      const schema = this._widen(kind, samples);
+      const labels = kind === 'string' && options.enumTypes ? this._inferEnum(strings, schema, options.enumMaxValues) : null;
+      variants.push(labels ? { ...schema, enum: labels } : schema);
+    }
+    if (objects.length) {
+      const className = this._nestedClassName(key, parentName, classes);
+      this._parseObject(className, objects, classes, options);
+      variants.push({ type: 'object', isArray: false, className });
+    }
+    if (sawArray) variants.push(this.parseSchema(key, items, classes, parentName, options));
+
+    if (!variants.length) return { type: 'nullable', isArray: false, className: null };
+    const schema = variants.length === 1 ? variants[0] : { type: 'union', isArray: false, className: null, variants };
+    if (sawNull) schema.nullable = true;
+    return schema;
+  },
+
+  /** Collapse same-kind scalar samples: any float makes a float, any int64 an int64, mixed string shapes a plain string */
+  _widen(kind, samples) {
+    const first = samples[0];
+    if (kind === 'number') {
+      if (samples.some(s => s.type === 'float')) return { type: 'float', isArray: false, className: null };
+      return samples.some(s => s.format === 'int64') ? { type: 'int', isArray: false, className: null, format: 'int64' } : { type: 'int', isArray: false, className: null };
+    }
+    if (kind === 'string') {
+      const type = samples.every(s => s.type === 'datetime') ? 'datetime' : 'string';
+      const format = samples.every(s => s.format === first.format) ? first.format : null;
+      return { type, isArray: false, className: null, format };
+    }
+    return first;
+  },
+
+  /**
+   * Labels of a string field that looks like an enum, else null: between 2 and `max` distinct short
+   * values (default 5), at least one of them repeated, and no detected format such as dates or ids.
+   */
+  _inferEnum(strings, schema, max = 5) {
+    if (schema.type !== 'string' || schema.format) return null;
+    const labels = [...new Set(strings)];
+    if (labels.length < 2 || labels.length > max || labels.length === strings.length) return null;
+    return labels.every(label => label.trim() && label.length <= 40 && !/[\r\n]/.test(label)) ? labels : null;
+  },
+
+  /**
+   * Shape of a sample string, or null: a JSON Schema `format` (date-time, date, time, uuid, email, uri)
+   * checked with the validator's own rules so a generated schema always accepts its sample, else one of
+   * the shapes JSON Schema has no format for (partial-time, numeric, base64).
+   */
+  _stringFormat(value) {
+    const formats = Odin.JSONSchema._formats;
+    for (const name of ['date-time', 'date', 'time', 'uuid', 'email']) {
+      if (formats[name](value)) return name;
+    }
+    // "Status:done" is a URI by grammar alone: only take values that look like links
+    if (/^([A-Za-z][A-Za-z0-9+.-]*:\/\/|(mailto|urn|tel):)/.test(value) && formats.uri(value)) return 'uri';
+    for (const name in this._stringPatterns) {
+      if (this._stringPatterns[name].test(value)) return name;
+    }
+    // Short or single-case words are valid base64 too: demand the mix real encoded bytes have
+    if (value.length >= 16 && value.length % 4 === 0 && /^[A-Za-z0-9+/]+={0,2}$/.test(value) &&
+      /[a-z]/.test(value) && /[A-Z]/.test(value) && /[0-9+/=]/.test(value)) return 'base64';
+    return null;
+  },
+
+  /** String shapes without a JSON Schema format; the JSON Schema target emits them as `pattern` */
+  _stringPatterns: {
+    'partial-time': /^([01]\d|2[0-3]):[0-5]\d:[0-5]\d(\.\d+)?$/,
+    // No leading zeros: zip codes and account numbers must stay strings
+    numeric: /^-?(0|[1-9]\d*)(\.\d+)?$/
+  },
+
+  /* ---- Generate All Languages ---- */
+  generateAll(jsonString, options = {}) {
+    let parsed;
+    try {
+      parsed = JSON.parse(jsonString);
+    } catch (e) {
+      const safeMsg = Odin.Utils.escapeHtml(e.message);
+      const errMsg = `// Error parsing JSON: ${safeMsg}`;
+      return { ...this.emptyOutput(errMsg), error: safeMsg };
+    }
+
+    // Determine root structure
+    const classes = [];
+    const rootName = this.toClassName(options.rootName || '') || 'Root';
+    if (Array.isArray(parsed)) {
+      if (parsed.length > 0 && typeof parsed[0] === 'object') {
+        // Merge all array elements for complete schema
+        this._parseObject(rootName, parsed, classes, options);
+      }
+    } else if (typeof parsed === 'object' && parsed !== null) {
+      this._parseObject(rootName, [parsed], classes, options);
+    } else {
+      const errMsg = '// Input must be a JSON object or array of objects';
+      return { ...this.emptyOutput(errMsg), error: 'Not an object' };
+    }
+
+    return this._emitAll(classes, options, Array.isArray(parsed), rootName);
+  },
+
+  /** Run every target generator over the parsed classes */
+  _emitAll(classes, options, rootIsArray, rootName = 'Root') {
+    if (options.enumTypes) this._nameEnums(classes);
+    return {
+      csharp: this._genCSharp(classes, options),
+      go: this._genGo(classes, options),
+      python: this._genPython(classes, options),
+      php: this._genPhp(classes, options),
+      typescript: this._genTypeScript(classes, options),
+      zod: this._genZod(classes, options),
+      java: this._genJava(classes, options, rootName),
+      kotlin: this._genKotlin(classes, options),
+      rust: this._genRust(classes, options),
+      swift: this._genSwift(classes, options),
+      jsonschema: this._genJsonSchema(classes, options, rootIsArray, rootName),
+      error: null
+    };
+  },
+
+  /* ---- Enum types ---- */
+
+  /** Every property schema, union variants included */
+  _eachSchema(classes, fn) {
+    const visit = (schema, prop, cls) => {
+      fn(schema, prop, cls);
+      if (schema.type === 'union') schema.variants.forEach(variant => visit(variant, prop, cls));
+    };
+    for (const cls of classes) {
+      for (const prop of cls.properties) visit(prop.schema, prop, cls);
+    }
+  },
+
+  /**
+   * Give string and int enums of two or more values an `enumName` for the targets with enum types.
+   * The name comes from the property, prefixed with its class when a class or another enum owns it;
+   * properties of the same name and values share one enum.
+   */
+  _nameEnums(classes) {
+    const ctx = { names: new Set(classes.map(cls => cls.name)) };
+    const shared = new Map();
+    this._eachSchema(classes, (schema, prop, cls) => {
+      if (!schema.enum || schema.enum.length < 2 || (schema.type !== 'string' && schema.type !== 'int')) return;
+      const base = this.toClassName(prop.originalKey) || 'Value';
+      const key = JSON.stringify([base, schema.type, schema.enum]);
+      if (!shared.has(key)) {
+        shared.set(key, ctx.names.has(base) ? this._uniqueName(cls.name + base, ctx) : this._uniqueName(base, ctx));
+      }
+      schema.enumName = shared.get(key);
+    });
+  },
+
+  /** Named enums in first-use order: [{ name, type, values }] */
+  _enumTypes(classes) {
+    const enums = new Map();
+    this._eachSchema(classes, (schema) => {
+      if (schema.enumName && !enums.has(schema.enumName)) {
+        enums.set(schema.enumName, { name: schema.enumName, type: schema.type, values: schema.enum });
+      }
+    });
+    return [...enums.values()];
+  },
+
+  /**
+   * Member names for enum values in one naming style (`convert`), made unique: values that convert
+   * to nothing or start with a digit get a `Value` prefix, collisions a numeric suffix.
+   */
+  _enumMembers(values, convert) {
+    const used = new Set();
+    return values.map((value) => {
+      let base = convert(String(value).replace(/^-/, 'minus '));
+      if (!base || /^\d/.test(base)) base = convert('value ' + String(value).replace(/^-/, 'minus '));
+      let name = base;
+      for (let i = 2; used.has(name); i++) name = base + i;
+      used.add(name);
+      return { name, value };
+    });
+  },
+
+  /* ---- Nested classes ---- */
+
+  /**
+   * Class tree for nested output: a class referenced by exactly one other class nests inside it;
+   * the root, shared classes and classes on a reference cycle stay top-level.
+   * Returns { top, children: Map(name → classes) }, both in `classes` order.
+   */
+  _classTree(classes) {
+    const referrers = new Map(classes.map(cls => [cls.name, new Set()]));
+    this._eachSchema(classes, (schema, prop, cls) => {
+      if (schema.type === 'object' && schema.className !== cls.name && referrers.has(schema.className)) {
+        referrers.get(schema.className).add(cls.name);
+      }
+    });
+
+    const parent = new Map();
+    for (const [name, from] of referrers) {
+      if (from.size === 1) parent.set(name, [...from][0]);
+    }
+    // A cycle has no outermost class: lift the first class found on it
+    for (const name of [...parent.keys()]) {
+      const seen = new Set();
+      let up = parent.get(name);
+      while (up && up !== name && !seen.has(up)) {
+        seen.add(up);
+        up = parent.get(up);
+      }
+      if (up === name) parent.delete(name);
+    }
+
+    const top = [];
+    const children = new Map(classes.map(cls => [cls.name, []]));
+    for (const cls of classes) {
+      if (parent.has(cls.name)) children.get(parent.get(cls.name)).push(cls);
+      else top.push(cls);
+    }
+    return { top, children };
+  },
+
+  /* ---- Generate from a JSON Schema / OpenAPI contract ---- */
+
+  /**
+   * Generate every target from a contract instead of a sample: a JSON Schema (the root plus its
+   * $defs / definitions) or an OpenAPI 3 document (one class per components/schemas entry), as
+   * JSON or YAML. Honors required, enum/const, oneOf/anyOf/allOf, nullable, local $ref and format.
+   * A JSON Schema root class is named by `options.rootName`, else by the schema's title.
+   */
+  fromSchema(text, options = {}) {
+    const fail = (message) => {
+      const safeMsg = Odin.Utils.escapeHtml(message);
+      return { ...this.emptyOutput(`// ${safeMsg}`), error: safeMsg };
+    };
+
+    let doc;
+    try {
+      doc = JSON.parse(text);
+    } catch (_) {
+      try {
+        doc = Odin.YAML.parse(text);
+      } catch (e) {
+        return fail(`Error parsing JSON or YAML: ${e.message}`);
+      }
+    }
+    if (!Odin.JSONSchema._isObject(doc)) return fail('Input must be a JSON Schema or OpenAPI document');
+
+    const isOpenApi = typeof doc.openapi === 'string' || typeof doc.swagger === 'string';
+    const ctx = { doc, classes: [], names: new Set(), named: new WeakMap(), started: new WeakSet(), building: new Set(), resolving: new Set() };
+
+    // Named definitions keep their own names; reserve them before any inline class can take one
+    const defs = [];
+    const containers = isOpenApi
+      ? [doc.components && doc.components.schemas, doc.definitions]
+      : [doc.$defs, doc.definitions];
+    for (const container of containers) {
+      if (!Odin.JSONSchema._isObject(container)) continue;
+      for (const key of Object.keys(container)) {
+        const node = container[key];
+        defs.push([key, node]);
+        if (Odin.JSONSchema._isObject(node) && !ctx.named.has(node)) ctx.named.set(node, this._uniqueName(this.toClassName(key), ctx));
+      }
+    }
+    if (isOpenApi && !defs.length) return fail('No components/schemas found in this OpenAPI document');
+
+    let rootName = null;
+    let rootIsArray = false;
+    try {
+      if (!isOpenApi) {
+        const title = [options.rootName, doc.title].find(name => typeof name === 'string' && this.toClassName(name));
+        const name = title || 'Root';
+        const root = this._schemaNode(doc, name, ctx);
+        if (root.type === 'object' && root.className) {
+          rootName = root.className;
+          rootIsArray = root.isArray;
+        }
+      }
+      for (const [key, node] of defs) this._schemaNode(node, key, ctx);
+    } catch (e) {
+      return fail(e.message);
+    }
+
+    if (!ctx.classes.length) return fail('The schema must describe an object or an array of objects');
+    return this._emitAll(ctx.classes, options, rootIsArray, rootName);
+  },
+
+  /** Internal schema ({ type, isArray, className, ... }) for one JSON Schema node */
+  _schemaNode(node, name, ctx) {
+    const any = { type: 'any', isArray: false, className: null };
+    if (!Odin.JSONSchema._isObject(node)) return any;
+    if (typeof node.$ref === 'string') return this._schemaRef(node.$ref, ctx);
+
+    // OpenAPI 3.0 `nullable` and 3.1 / JSON Schema `type: [..., "null"]`
+    let nullable = node.nullable === true;
+    let types = Array.isArray(node.type) ? node.type : (typeof node.type === 'string' ? [node.type] : []);
+    if (types.includes('null')) {
+      nullable = true;
+      types = types.filter(t => t !== 'null');
+    }
+
+    let schema;
+    const choices = node.oneOf || node.anyOf;
+    if (Array.isArray(node.allOf) && node.allOf.length === 1 && !node.properties) {
+      // `allOf: [{ $ref }]` is the usual way to annotate a reference
+      schema = this._schemaNode(node.allOf[0], name, ctx);
+    } else if (Array.isArray(choices)) {
+      const variants = [];
+      for (let i = 0; i < choices.length; i++) {
+        const choice = choices[i];
+        if (Odin.JSONSchema._isObject(choice) && choice.type === 'null') {
+          nullable = true;
+          continue;
+        }
+        const variant = this._schemaNode(choice, `${name} Option ${i + 1}`, ctx);
+        if (variant.nullable) nullable = true;
+        delete variant.nullable;
+        variants.push(variant);
+      }
+      schema = variants.length === 1 ? variants[0] : (variants.length ? { type: 'union', isArray: false, className: null, variants } : any);
+    } else if ('const' in node || Array.isArray(node.enum)) {
+      const values = 'const' in node ? [node.const] : node.enum;
+      const present = values.filter(v => v !== null);
+      if (present.length < values.length) nullable = true;
+      schema = this._schemaEnum(present);
+    } else if (types.length > 1) {
+      schema = { type: 'union', isArray: false, className: null, variants: types.map(type => this._schemaNode({ ...node, type, nullable: false }, name, ctx)) };
+    } else if (types[0] === 'object' || (!types.length && (node.properties || node.allOf))) {
+      const className = this._schemaClass(node, name, ctx);
+      schema = className ? { type: 'object', isArray: false, className } : any;
+      // A class reached again while its own properties are being read refers back to itself
+      if (ctx.building.has(className)) schema.recursive = true;
+    } else if (types[0] === 'array') {
+      const item = this._schemaNode(node.items, name, ctx);
+      // Items that are arrays themselves have no single-level representation
+      delete item.nullable;
+      schema = item.isArray ? { type: 'any', isArray: true, className: null } : { ...item, isArray: true };
+    } else if (types[0] === 'string') {
+      schema = this._schemaString(node);
+    } else {
+      const scalars = { integer: 'int', number: 'float', boolean: 'bool', null: 'nullable' };
+      schema = scalars[types[0]] ? { type: scalars[types[0]], isArray: false, className: null } : any;
+      // OpenAPI marks integers that need 64 bits with `format: int64`
+      if (schema.type === 'int' && node.format === 'int64') schema.format = 'int64';
+    }
+
+    return nullable && schema.type !== 'any' && schema.type !== 'nullable' ? { ...schema, nullable: true } : schema;
+  },
+
+  /** Follow a local $ref; named definitions come back as references to their class */
+  _schemaRef(ref, ctx) {
+    if (!ref.startsWith('#')) {
+      throw new Error(`Cannot resolve $ref "${ref}" (only references inside this document are supported)`);
+    }
+    const pointer = decodeURIComponent(ref.slice(1));
+    const target = Odin.JSONSchema._pointerGet(ctx.doc, pointer);
+    if (target === undefined) throw new Error(`Cannot resolve $ref "${ref}"`);
+    const tokens = pointer.split('/');
+    const name = tokens[tokens.length - 1].replace(/~1/g, '/').replace(/~0/g, '~');
+    // Classes stop recursion themselves; any other reference chain back to itself has no type to offer
+    if (ctx.started.has(target)) return this._schemaNode(target, name, ctx);
+    if (ctx.resolving.has(pointer)) return { type: 'any', isArray: false, className: null };
+    ctx.resolving.add(pointer);
+    try {
+      return this._schemaNode(target, name, ctx);
+    } finally {
+      ctx.resolving.delete(pointer);
+    }
+  },
+
+  /**
+   * Class for an object node (properties merged across allOf), or null for a free-form object.
+   * Each node becomes one class however often it is reached, which also terminates recursive schemas.
+   */
+  _schemaClass(node, name, ctx) {
+    if (ctx.started.has(node)) return ctx.named.get(node);
+
+    const properties = {};
+    const required = new Set();
+    const seen = new Set();
+    const collect = (part) => {
+      if (!Odin.JSONSchema._isObject(part) || seen.has(part)) return;
+      seen.add(part);
+      if (typeof part.$ref === 'string' && part.$ref.startsWith('#')) {
+        collect(Odin.JSONSchema._pointerGet(ctx.doc, decodeURIComponent(part.$ref.slice(1))));
+      }
+      if (Odin.JSONSchema._isObject(part.properties)) Object.assign(properties, part.properties);
+      if (Array.isArray(part.required)) part.required.forEach(key => required.add(key));
+      if (Array.isArray(part.allOf)) part.allOf.forEach(collect);
+    };
+    collect(node);
+    if (!Object.keys(properties).length) return null;
+
+    const className = ctx.named.get(node) || this._uniqueName(this.toClassName(name) || 'Item', ctx);
+    ctx.named.set(node, className);
+    ctx.started.add(node);
+
+    const cls = { name: className, properties: [] };
+    ctx.building.add(className);
+    for (const key of Object.keys(properties)) {
+      cls.properties.push({ originalKey: key, schema: this._schemaNode(properties[key], key, ctx), required: required.has(key) });
+    }
+    ctx.building.delete(className);
+    // Pushed after its properties, so referenced classes come first as with samples
+    ctx.classes.push(cls);
+    return className;
+  },
+
+  /** String node to the sample parser's types and formats (OpenAPI `byte` is base64) */
+  _schemaString(node) {
+    let format = typeof node.format === 'string' ? node.format : null;
+    if (format === 'byte' || node.contentEncoding === 'base64') format = 'base64';
+    const known = ['date-time', 'date', 'time', 'partial-time', 'uuid', 'email', 'uri', 'base64', 'numeric'];
+    if (!known.includes(format)) format = null;
+    const type = format === 'date-time' || format === 'date' ? 'datetime' : 'string';
+    return { type, isArray: false, className: null, format };
+  },
+
+  /** enum / const values: a scalar type carrying its allowed `enum` values, or any when kinds mix */
+  _schemaEnum(values) {
+    const kinds = new Set(values.map(v => (typeof v === 'number' ? (Number.isInteger(v) ? 'int' : 'float') : typeof v)));
+    let type = null;
+    if (kinds.size === 1 && kinds.has('string')) type = 'string';
+    else if (kinds.size === 1 && kinds.has('boolean')) type = 'bool';
+    else if ([...kinds].every(kind => kind === 'int' || kind === 'float')) type = kinds.has('float') ? 'float' : 'int';
+    if (!type || !values.length) return { type: 'any', isArray: false, className: null };
+    return { type, isArray: false, className: null, enum: values };
+  },
+
+  _uniqueName(base, ctx) {
+    let name = base;
+    for (let i = 2; ctx.names.has(name); i++) name = base + i;
+    ctx.names.add(name);
+    return name;
+  },
+
+  /* ---- C# Generator ---- */
+  _genCSharp(classes, options = {}) {
+    const useJPN = options.csUseJsonPropertyName || false;
+    const useNullable = options.csUseNullable || false;
+    const richTypes = options.csRichTypes || false;
+
+    const typeMap = {
+      string: 'string',
+      int: 'int',
+      float: 'double',
+      bool: 'bool',
+      datetime: 'DateTime',
+      nullable: 'object?',
+      any: 'object'
+    };
+
+    // Typed strings: System.Text.Json reads these from their string form (DateOnly/TimeOnly since .NET 7)
+    const richMap = {
+      date: 'DateOnly',
+      'partial-time': 'TimeOnly',
+      uuid: 'Guid',
+      uri: 'Uri',
+      base64: 'byte[]',
+      numeric: 'decimal'
+    };
+
+    // Nullable reference type suffixes
+    const nullableRefTypes = new Set(['string', 'object', 'DateTime', 'Uri', 'byte[]']);
+    const valueTypes = new Set(['int', 'long', 'double', 'bool', 'DateTime', 'DateOnly', 'TimeOnly', 'Guid', 'decimal']);
+    const quotedNumbers = richTypes && classes.some(cls => cls.properties.some(p => p.schema.format === 'numeric'));
+    const enums = this._enumTypes(classes);
+
+    const keepKeys = (options.originalFieldNames || []).includes('csharp');
+    const propName = key => this._identifier(this._fieldName(key, 'csharp', options, name => this.toPascalCase(name)), this._reserved.csharp, name => '@' + name);
+    const tree = options.nestClasses ? this._classTree(classes) : { top: classes, children: new Map() };
+
+    // A nested class cannot share its name with a property of the class it sits in
+    const names = new Set([...classes.map(cls => cls.name), ...enums.map(e => e.name)]);
+    const rename = new Map();
+    for (const cls of classes) {
+      const members = new Set(cls.properties.map(prop => propName(prop.originalKey)));
+      for (const child of tree.children.get(cls.name) || []) {
+        if (!members.has(child.name)) continue;
+        let name = child.name + 'Model';
+        for (let i = 2; names.has(name); i++) name = child.name + 'Model' + i;
+        names.add(name);
+        rename.set(child.name, name);
+      }
+    }
+
+    let needsJPN = useJPN || quotedNumbers || enums.some(e => e.type === 'string');
+    const body = [];
+
+    // String enums (de)serialize by value; member names that differ need .NET 9's JsonStringEnumMemberName
+    for (const e of enums) {
+      if (e.type === 'string') body.push(`[JsonConverter(typeof(JsonStringEnumConverter<${e.name}>))]`);
+      body.push(`public enum ${e.name}`);
+      body.push('{');
+      for (const member of this._enumMembers(e.values, v => this.toPascalCase(v))) {
+        if (e.type !== 'string') {
+          body.push(`    ${member.name} = ${member.value},`);
+          continue;
+        }
+        if (member.name !== member.value) body.push(`    [JsonStringEnumMemberName("${this._escapeString(member.value)}")]`);
+        body.push(`    ${member.name},`);
+      }
+      body.push('}');
+      body.push('');
+    }
+
+    const emitClass = (cls, indent) => {
+      body.push(`${indent}public class ${rename.get(cls.name) || cls.name}`);
+      body.push(`${indent}{`);
+
+      for (const prop of cls.properties) {
+        const { schema, originalKey } = prop;
+        const name = propName(originalKey);
+        let csType;
+
+        if (schema.type === 'object' && schema.className) {
+          csType = rename.get(schema.className) || schema.className;
+        } else if (schema.enumName) {
+          csType = schema.enumName;
+        } else if (schema.format === 'int64') {
+          csType = 'long';
+        } else if (richTypes && richMap[schema.format]) {
+          csType = richMap[schema.format];
+        } else {
+          csType = typeMap[schema.type] || 'object';
+        }
+
+        if (schema.isArray) {
+          csType = `List<${csType}>`;
+        }
+
+        // Value types need `?` to hold a null or a missing key, with or without nullable reference types
+        if (!schema.isArray && (schema.nullable || !prop.required) && (valueTypes.has(csType) || schema.enumName)) {
+          csType += '?';
+        }
+
+        // Add nullable suffix for reference types
+        if (useNullable && !schema.isArray) {
+          if (nullableRefTypes.has(csType) || (schema.type === 'object' && schema.className)) {
+            csType += '?';
+          }
+          if (schema.type === 'nullable') {
+            csType = 'object?';
+          }
+        }
+
+        if (useNullable && schema.isArray) {
+          csType += '?';
+        }
+
+        // Kept keys bind by exact name (a verbatim @ is not part of it); only changed ones need the attribute
+        if (useJPN || (keepKeys && name.replace(/^@/, '') !== originalKey)) {
+          needsJPN = true;
+          body.push(`${indent}    [JsonPropertyName("${this._escapeString(originalKey)}")]`);
+        }
+        if (richTypes && schema.format === 'numeric') {
+          body.push(`${indent}    [JsonNumberHandling(JsonNumberHandling.AllowReadingFromString | JsonNumberHandling.WriteAsString)]`);
+        }
+        body.push(`${indent}    public ${csType} ${name} { get; set; }`);
+        body.push('');
+      }
+
+      for (const child of tree.children.get(cls.name) || []) emitClass(child, indent + '    ');
+
+      body.push(`${indent}}`);
+      body.push('');
+    };
+    for (const cls of tree.top) emitClass(cls, '');
+
+    const lines = [
+      'using System;',
+      'using System.Collections.Generic;',
+    ];
+
+    if (needsJPN) {
+      lines.push('using System.Text.Json.Serialization;');
+    }
+
+    if (useNullable) {
+      lines.push('');
+      lines.push('#nullable enable');
+    }
+
+    lines.push('');
+
+    const namespace = this._namespaceSegments(options);
+    if (namespace.length) {
+      lines.push(`namespace ${namespace.join('.')};`);
+      lines.push('');
+    }
+
+    return lines.concat(body).join('\n').trim();
+  },
+
+  /* ---- Go Generator ---- */
+  _genGo(classes, options = {}) {
+    const useOmitEmpty = options.goUseOmitEmpty || false;
+    const usePointers = options.goUsePointers || false;
+    const richTypes = options.goRichTypes || false;
+
+    const typeMap = {
+      string: 'string',
+      int: 'int',
+      float: 'float64',
+      bool: 'bool',
+      datetime: 'time.Time',
+      nullable: 'interface{}',
+      any: 'interface{}'
+    };
+
+    // Typed strings as [type, import]; encoding/json decodes base64 into []byte by itself
+    const richMap = {
+      'date-time': ['time.Time', 'time'],
+      date: ['civil.Date', 'cloud.google.com/go/civil'],
+      'partial-time': ['civil.Time', 'cloud.google.com/go/civil'],
+      uuid: ['uuid.UUID', 'github.com/google/uuid'],
+      base64: ['[]byte']
+    };
+
+    const imports = new Set();
+    const lines = [];
+
+    // Enums as a named type with one typed constant per value, aligned like gofmt
+    for (const e of this._enumTypes(classes)) {
+      // The type name prefix already makes digits legal; values with no letters fall back to Value
+      const members = this._enumMembers(e.values, v => (this.toPascalCase(v) ? e.name + this.toPascalCase(v) : ''));
+      const width = Math.max(...members.map(member => member.name.length));
+      lines.push(`type ${e.name} ${e.type === 'string' ? 'string' : 'int'}`);
+      lines.push('');
+      lines.push('const (');
+      for (const member of members) {
+        const value = e.type === 'string' ? `"${this._escapeString(member.value)}"` : member.value;
+        lines.push(`\t${member.name.padEnd(width)} ${e.name} = ${value}`);
+      }
+      lines.push(')');
+      lines.push('');
+    }
+
+    for (const cls of classes) {
+      lines.push(`type ${cls.name} struct {`);
+
+      // ⚡ Bolt: Use a pre-allocated array and traditional for loop instead of chained .map() and spread operator to avoid allocations and potential -Infinity errors
+      const fields = new Array(cls.properties.length);
+      let maxNameLen = 0;
+      let maxTypeLen = 0;
+
+      for (let i = 0; i < cls.properties.length; i++) {
+        const { schema, originalKey, required } = cls.properties[i];
+        // Kept keys still need a capital to be exported
+        // Exported names start with a capital, so no Go keyword can collide
+        const exported = this._fieldName(originalKey, 'go', options, key => this.toPascalCase(key)).replace(/^[a-z_]/, c => (c === '_' ? 'X_' : c.toUpperCase()));
+        const fieldName = this._identifier(exported, this._reserved.go, name => name, 'X');
+        let goType;
+
+        // The ",string" tag option only applies to scalar fields, so numeric arrays stay []string
+        const quotedNumber = richTypes && schema.format === 'numeric' && !schema.isArray;
+
+        if (schema.type === 'object' && schema.className) {
+          goType = schema.className;
+        } else if (schema.enumName) {
+          goType = schema.enumName;
+        } else if (quotedNumber) {
+          goType = 'float64';
+        } else if (schema.format === 'int64') {
+          goType = 'int64';
+        } else if (richTypes && richMap[schema.format]) {
+          const [type, pkg] = richMap[schema.format];
+          goType = type;
+          if (pkg) imports.add(pkg);
+        } else {
+          goType = typeMap[schema.type] || 'interface{}';
+          if (goType === 'time.Time') imports.add('time');
+        }
+
+        if (schema.isArray) {
+          goType = `[]${goType}`;
+        } else if (schema.recursive) {
+          // A struct cannot contain itself by value
+          goType = `*${goType}`;
+        }
+
+        if (usePointers && !schema.isArray && (schema.nullable || !required) && goType !== 'interface{}' && !goType.startsWith('*')) {
+          goType = `*${goType}`;
+        }
+
+        const jsonTag = originalKey + (useOmitEmpty ? ',omitempty' : '') + (quotedNumber ? ',string' : '');
+        fields[i] = { fieldName, goType, jsonTag };
+
+        if (fieldName.length > maxNameLen) maxNameLen = fieldName.length;
+        if (goType.length > maxTypeLen) maxTypeLen = goType.length;
+      }
+
+      for (let i = 0; i < fields.length; i++) {
+        const f = fields[i];
+        const name = f.fieldName.padEnd(maxNameLen);
+        const type = f.goType.padEnd(maxTypeLen);
+        lines.push(`\t${name} ${type} \`json:"${f.jsonTag}"\``);
+      }
+
+      lines.push('}');
+      lines.push('');
+    }
+
+    // Standard library first, then third-party packages, as goimports groups them
+    const namespace = this._namespaceSegments(options);
+    const header = [`package ${namespace.length ? namespace[namespace.length - 1].toLowerCase() : 'models'}`, ''];
+    const std = [...imports].filter(pkg => !pkg.includes('.')).sort();
+    const external = [...imports].filter(pkg => pkg.includes('.')).sort();
+    if (imports.size === 1) {
+      header.push(`import "${[...imports][0]}"`, '');
+    } else if (imports.size) {
+      const group = std.map(pkg => `\t"${pkg}"`);
+      if (std.length && external.length) group.push('');
+      group.push(...external.map(pkg => `\t"${pkg}"`));
+      header.push('import (', ...group, ')', '');
+    }
+
+    return header.concat(lines).join('\n').trim();
+  },
+
+  /* ---- Python Generator ---- */
+  _genPython(classes, options = {}) {
+    const useOptional = options.pyUseOptional || false;
+    const richTypes = options.pyRichTypes || false;
+
+    const typeMap = {
+      string: 'str',
+      int: 'int',
+      float: 'float',
+      bool: 'bool',
+      datetime: 'datetime',
+      nullable: 'Any',
+      any: 'Any'
+    };
+    // Typed strings as [type, module]
+    const richMap = {
+      date: ['date', 'datetime'],
+      'partial-time': ['time', 'datetime'],
+      uuid: ['UUID', 'uuid'],
+      base64: ['bytes'],
+      numeric: ['Decimal', 'decimal']
+    };
+    const modules = { datetime: 'datetime', Any: 'typing' };
+
+    // module -> names imported from it
+    const imports = new Map();
+    const need = (module, name) => {
+      if (!imports.has(module)) imports.set(module, new Set());
+      imports.get(module).add(name);
+    };
+
+    const render = (schema) => {
+      let pyType;
+      if (schema.type === 'object' && schema.className) {
+        pyType = schema.className;
+      } else if (schema.enumName) {
+        pyType = schema.enumName;
+      } else if (schema.enum) {
+        const literal = v => (typeof v === 'string' ? this._tsString(v) : typeof v === 'boolean' ? (v ? 'True' : 'False') : String(v));
+        pyType = `Literal[${schema.enum.map(literal).join(', ')}]`;
+        need('typing', 'Literal');
+      } else if (richTypes && richMap[schema.format]) {
+        const [type, module] = richMap[schema.format];
+        pyType = type;
+        if (module) need(module, type);
+      } else if (schema.type === 'union') {
+        pyType = schema.variants.map(render).join(' | ');
+      } else {
+        pyType = typeMap[schema.type] || 'Any';
+        if (modules[pyType]) need(modules[pyType], pyType);
+      }
+      return schema.isArray ? `list[${pyType}]` : pyType;
+    };
+
+    for (const cls of classes) {
+      for (const prop of cls.properties) {
+        render(prop.schema);
+        if (useOptional && !prop.schema.isArray &&
+          (prop.schema.type === 'nullable' || prop.schema.nullable || !prop.required)) need('typing', 'Optional');
+      }
+    }
+
+    // str / IntEnum mixins keep members equal to (and serializable as) their raw values
+    const enums = this._enumTypes(classes);
+    for (const e of enums) need('enum', e.type === 'string' ? 'Enum' : 'IntEnum');
+
+    const lines = [
+      'from __future__ import annotations',
+      'from dataclasses import dataclass, field',
+    ];
+    for (const module of [...imports.keys()].sort()) {
+      lines.push(`from ${module} import ${[...imports.get(module)].sort().join(', ')}`);
+    }
+    lines.push('');
+
+    for (const e of enums) {
+      lines.push('');
+      lines.push(`class ${e.name}(${e.type === 'string' ? 'str, Enum' : 'IntEnum'}):`);
+      for (const member of this._enumMembers(e.values, v => this.toSnakeCase(v).toUpperCase())) {
+        lines.push(`    ${member.name} = ${e.type === 'string' ? this._tsString(member.value) : member.value}`);
+      }
+    }
+
+    // Reverse order so nested classes appear first
+    const reversed = [...classes].reverse();
+
+    for (const cls of reversed) {
+      lines.push('');
+      lines.push('@dataclass');
+      lines.push(`class ${cls.name}:`);
+
+      if (cls.properties.length === 0) {
+        lines.push('    pass');
+        continue;
+      }
+
+      for (const prop of cls.properties) {
+        const { schema, originalKey, required } = prop;
+        const converted = this._fieldName(originalKey, 'python', options, key => this.toSnakeCase(key));
+        const fieldName = this._identifier(converted, this._reserved.python, name => name + '_');
+        const pyType = render(schema);
+        // An escaped keyword keeps its JSON key in the field metadata
+        const metadata = fieldName !== converted ? `metadata={"json_key": "${this._escapeString(originalKey)}"}` : '';
+        const fallback = metadata ? `field(default=None, ${metadata})` : 'None';
+
+        if (schema.isArray) {
+          lines.push(`    ${fieldName}: ${pyType} = field(default_factory=list${metadata ? ', ' + metadata : ''})`);
+        } else if (schema.type === 'nullable') {
+          const nullableType = useOptional ? `Optional[${pyType}]` : pyType;
+          lines.push(`    ${fieldName}: ${nullableType} = ${fallback}`);
+        } else if (schema.nullable || !required) {
+          const nullableType = useOptional ? `Optional[${pyType}]` : `${pyType} | None`;
+          lines.push(`    ${fieldName}: ${nullableType} = ${fallback}`);
+        } else {
+          lines.push(`    ${fieldName}: ${pyType} = ${fallback}`);
+        }
+      }
+    }
+
+    return lines.join('\n').trim();
+  },
+
+  /* ---- PHP 8.1 Generator ---- */
+  _genPhp(classes, options = {}) {
+    const useReadonly = options.phpUseReadonly !== false;
+    const richTypes = options.phpRichTypes || false;
+
+    const typeMap = {
+      string: 'string',
+      int: 'int',
+      float: 'float',
+      bool: 'bool',
+      datetime: '\\DateTime',
+      nullable: 'mixed',
+      any: 'mixed'
+    };
+    // Typed strings: dates as immutable objects, other shapes as PHPStan/Psalm string types in the docblock
+    const richMap = { 'date-time': '\\DateTimeImmutable', date: '\\DateTimeImmutable' };
+    const docTypes = { numeric: 'numeric-string', uuid: 'non-empty-string', uri: 'non-empty-string', base64: 'non-empty-string' };
+
+    const render = (schema) => {
+      if (schema.isArray) return 'array'; // PHP typed arrays via doc comment
+      if (schema.type === 'object' && schema.className) return schema.className;
+      if (schema.enumName) return schema.enumName;
+      if (richTypes && richMap[schema.format]) return richMap[schema.format];
+      return typeMap[schema.type] || 'mixed';
+    };
+
+    const lines = ['<?php', '', 'declare(strict_types=1);', ''];
+    const namespace = this._namespaceSegments(options);
+    if (namespace.length) lines.push(`namespace ${namespace.join('\\')};`, '');
+
+    for (const e of this._enumTypes(classes)) {
+      lines.push(`enum ${e.name}: ${e.type === 'string' ? 'string' : 'int'}`);
+      lines.push('{');
+      for (const member of this._enumMembers(e.values, v => this.toPascalCase(v))) {
+        const value = e.type === 'string' ? `'${member.value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'` : member.value;
+        lines.push(`    case ${member.name} = ${value};`);
+      }
+      lines.push('}');
+      lines.push('');
+    }
+
+    for (const cls of classes) {
+      lines.push(`final ${useReadonly ? 'readonly ' : ''}class ${cls.name}`);
+      lines.push('{');
+      const constructorAt = lines.length;
+      const docParams = [];
+      lines.push('    public function __construct(');
+
+      // ⚡ Bolt: Use a traditional for loop instead of .map() to prevent intermediate arrays
+      const props = cls.properties;
+      const propsLen = props.length;
+      for (let i = 0; i < propsLen; i++) {
+        const { schema, originalKey, required } = props[i];
+        const paramName = this._identifier(this._fieldName(originalKey, 'php', options, key => this.toCamelCase(key)), this._reserved.php, name => name + '_');
+        let phpType = render(schema);
+
+        if (richTypes && docTypes[schema.format]) {
+          const docType = schema.isArray ? `list<${docTypes[schema.format]}>` : docTypes[schema.format];
+          docParams.push(`     * @param ${docType}${schema.nullable || !required ? '|null' : ''} $${paramName}`);
+        }
+
+        if (schema.type === 'union' && !schema.isArray) {
+          phpType = [...new Set(schema.variants.map(render))].join('|');
+        }
+
+        // mixed already admits null and cannot be combined with ? or |null
+        const isNullable = schema.type === 'nullable' || schema.nullable || !required;
+        const isUnion = phpType.includes('|');
+        let typePrefix = '';
+        if (isNullable && phpType !== 'mixed') {
+          if (isUnion) phpType += '|null';
+          else typePrefix = '?';
+        }
+        const defaultVal = isNullable ? ' = null' : (schema.isArray ? ' = []' : '');
+        const comma = i < propsLen - 1 ? ',' : '';
+
+        lines.push(`        public ${typePrefix}${phpType} $${paramName}${defaultVal}${comma}`);
+      }
+
+      if (docParams.length) {
+        lines.splice(constructorAt, 0, '    /**', ...docParams, '     */');
+      }
+
+      lines.push('    ) {}');
+      lines.push('}');
+      lines.push('');
+    }
+
+    return lines.join('\n').trim();
+  },
+
+  /* ---- JSON Schema (2020-12) Generator ---- */
+  _genJsonSchema(classes, options = {}, rootIsArray = false, rootName = 'Root') {
+    const strict = options.schemaNoAdditional || false;
+
+    const typeMap = {
+      string: 'string',
+      int: 'integer',
+      float: 'number',
+      bool: 'boolean',
+      datetime: 'string'
+    };
+
+    const propertySchema = (schema) => {
+      let item;
+      if (schema.type === 'object' && schema.className) {
+        item = { $ref: `#/$defs/${schema.className}` };
+      } else if (schema.type === 'union') {
+        const variants = schema.variants.map(propertySchema);
+        // Plain types collapse into a type array; anything richer needs anyOf
+        item = variants.every(v => Object.keys(v).length === 1 && typeof v.type === 'string')
+          ? { type: variants.map(v => v.type) }
+          : { anyOf: variants };
+      } else if (typeMap[schema.type]) {
+        item = { type: typeMap[schema.type] };
+        if (Odin.JSONSchema._formats[schema.format] || schema.format === 'int64') {
+          item.format = schema.format;
+        } else if (this._stringPatterns[schema.format]) {
+          item.pattern = this._stringPatterns[schema.format].source;
+        } else if (schema.format === 'base64') {
+          item.contentEncoding = 'base64';
+        }
+        if (schema.enum) item.enum = schema.enum;
+      } else {
+        // null samples and empty arrays say nothing about the type
+        item = {};
+      }
+      if (schema.isArray) {
+        item = Object.keys(item).length ? { type: 'array', items: item } : { type: 'array' };
+      }
+      return schema.nullable ? withNull(item) : item;
+    };
+
+    const withNull = (item) => {
+      if (item.enum) return { ...item, type: [item.type, 'null'], enum: [...item.enum, null] };
+      if (typeof item.type === 'string') return { ...item, type: [item.type, 'null'] };
+      if (Array.isArray(item.type)) return { ...item, type: [...item.type, 'null'] };
+      if (item.anyOf) return { anyOf: [...item.anyOf, { type: 'null' }] };
+      if (item.$ref) return { anyOf: [item, { type: 'null' }] };
+      return item;
+    };
+
+    const objectSchema = (cls) => {
+      const out = { type: 'object', properties: {} };
+      const required = [];
+      for (const prop of cls.properties) {
+        out.properties[prop.originalKey] = propertySchema(prop.schema);
+        if (prop.required) required.push(prop.originalKey);
+      }
+      if (required.length) out.required = required;
+      if (strict) out.additionalProperties = false;
+      return out;
+    };
+
+    const root = classes.find(c => c.name === rootName);
+    const rootSchema = root ? objectSchema(root) : {};
+    const doc = { $schema: 'https://json-schema.org/draft/2020-12/schema', title: rootName || 'Root' };
+    Object.assign(doc, rootIsArray ? (root ? { type: 'array', items: rootSchema } : { type: 'array' }) : rootSchema);
+
+    const defs = {};
+    for (const cls of classes) {
+      if (cls !== root) defs[cls.name] = objectSchema(cls);
+    }
+    if (Object.keys(defs).length) doc.$defs = defs;
+
+    return JSON.stringify(doc, null, 2);
+  },
+
+  /* ---- TypeScript Generator ---- */
+  _genTypeScript(classes, options = {}) {
+    const useTypeAlias = options.tsUseTypeAlias || false;
+    const optionalNulls = options.tsOptionalNulls || false;
+
+    const typeMap = {
+      string: 'string',
+      int: 'number',
+      float: 'number',
+      bool: 'boolean',
+      datetime: 'string',
+      nullable: 'unknown',
+      any: 'unknown'
+    };
+
+    const render = (schema) => {
+      let tsType;
+      if (schema.type === 'object' && schema.className) {
+        tsType = schema.className;
+      } else if (schema.enum) {
+        tsType = schema.enum.map(v => (typeof v === 'string' ? this._tsString(v) : String(v))).join(' | ');
+      } else if (schema.type === 'union') {
+        tsType = schema.variants.map(render).join(' | ');
+      } else {
+        tsType = typeMap[schema.type] || 'unknown';
+      }
+      if (schema.isArray) {
+        tsType = tsType.includes(' | ') ? `(${tsType})[]` : `${tsType}[]`;
+      }
+      return schema.nullable ? `${tsType} | null` : tsType;
+    };
+
+    const lines = [];
+
+    for (const cls of classes) {
+      lines.push(useTypeAlias ? `export type ${cls.name} = {` : `export interface ${cls.name} {`);
+
+      for (const prop of cls.properties) {
+        const { schema, originalKey } = prop;
+        const tsType = render(schema);
+
+        // Keys missing from some array elements are optional; null samples only when asked
+        const optional = !prop.required || (optionalNulls && schema.type === 'nullable' && !schema.isArray);
+        lines.push(`  ${this._tsKey(originalKey)}${optional ? '?' : ''}: ${tsType};`);
+      }
+
+      lines.push(useTypeAlias ? '};' : '}');
+      lines.push('');
+    }
+
+    return lines.join('\n').trim();
+  },
+
+  /* ---- Zod Schema Generator ---- */
+  _genZod(classes, options = {}) {
+    const optionalNulls = options.tsOptionalNulls || false;
+
+    const typeMap = {
+      string: 'z.string()',
+      int: 'z.number().int()',
+      float: 'z.number()',
+      bool: 'z.boolean()',
+      datetime: 'z.string()',
+      nullable: 'z.unknown()',
+      any: 'z.unknown()'
+    };
+
+    const formatMap = {
+      'date-time': '.datetime({ offset: true })',
+      date: '.date()',
+      'partial-time': '.time()',
+      uuid: '.uuid()',
+      email: '.email()',
+      uri: '.url()',
+      base64: '.base64()',
+      numeric: `.regex(/${this._stringPatterns.numeric.source}/)`
+    };
+
+    const render = (schema) => {
+      let zodType;
+      if (schema.type === 'object' && schema.className) {
+        zodType = `${schema.className}Schema`;
+      } else if (schema.enum && schema.type === 'string') {
+        zodType = `z.enum([${schema.enum.map(v => this._tsString(v)).join(', ')}])`;
+      } else if (schema.enum) {
+        const literals = schema.enum.map(v => `z.literal(${v})`);
+        zodType = literals.length === 1 ? literals[0] : `z.union([${literals.join(', ')}])`;
+      } else if (schema.type === 'union') {
+        zodType = `z.union([${schema.variants.map(render).join(', ')}])`;
+      } else {
+        zodType = typeMap[schema.type] || 'z.unknown()';
+        if (schema.format && formatMap[schema.format]) zodType += formatMap[schema.format];
+      }
+      if (schema.isArray) {
+        zodType = `z.array(${zodType})`;
+      }
+      return schema.nullable ? `${zodType}.nullable()` : zodType;
+    };
+
+    const lines = ["import { z } from 'zod';", ''];
+
+    // Nested classes come first in `classes`, so every schema is declared before it is referenced
+    for (const cls of classes) {
+      lines.push(`export const ${cls.name}Schema = z.object({`);
+
+      for (const prop of cls.properties) {
+        const { schema, originalKey } = prop;
+        let zodType = render(schema);
+
+        if (!prop.required) {
+          zodType += '.optional()';
+        } else if (optionalNulls && schema.type === 'nullable' && !schema.isArray) {
+          zodType += '.nullish()';
+        }
+
+        lines.push(`  ${this._tsKey(originalKey)}: ${zodType},`);
+      }
+
+      lines.push('});');
+      lines.push(`export type ${cls.name} = z.infer<typeof ${cls.name}Schema>;`);
+      lines.push('');
+    }
+
+    return lines.join('\n').trim();
+  },
+
+  /** Property key for TS/Zod object literals: bare when it is a valid identifier, quoted otherwise */
+  _tsKey(key) {
+    return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? key : this._tsString(key);
+  },
+
+  /** Single-quoted TS string literal (Python accepts the same escapes) */
+  _tsString(value) {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+  },
+
+  /* ---- Java Record Generator (Jackson) ---- */
+  _genJava(classes, options = {}, rootName = 'Root') {
+    const typeMap = {
+      string: 'String',
+      int: 'int',
+      float: 'double',
+      bool: 'boolean',
+      nullable: 'Object',
+      any: 'Object'
+    };
+    // Boxed types for optional fields and List<> type arguments
+    const boxed = { int: 'Integer', long: 'Long', double: 'Double', boolean: 'Boolean' };
+    const dateTypes = { 'date-time': 'OffsetDateTime', date: 'LocalDate' };
+
+    const imports = new Set();
+    const records = [];
+    const tree = options.nestClasses ? this._classTree(classes) : { top: classes, children: new Map() };
+
+    // A file holds one public top-level type: the root (or the first record, for a contract without
+    // one); the other top-level records are package-private. Nested records are implicitly static.
+    const publicName = tree.top.some(cls => cls.name === rootName) ? rootName : tree.top[0] && tree.top[0].name;
+    const emitRecord = (cls, indent) => {
+      const props = cls.properties;
+      const nested = tree.children.get(cls.name) || [];
+      const close = nested.length ? ') {' : ') {}';
+      const modifier = indent || cls.name === publicName ? 'public ' : '';
+      if (!props.length) {
+        records.push(`${indent}${modifier}record ${cls.name}(${close}`);
+      } else {
+        records.push(`${indent}${modifier}record ${cls.name}(`);
+      }
+      for (let i = 0; i < props.length; i++) {
+        const { schema, originalKey, required } = props[i];
+        const fieldName = this._identifier(this._fieldName(originalKey, 'java', options, key => this.toCamelCase(key)), this._reserved.java, name => name + '_');
+        let javaType;
+
+        if (schema.type === 'object' && schema.className) {
+          javaType = schema.className;
+        } else if (schema.type === 'datetime') {
+          javaType = dateTypes[schema.format] || 'LocalDateTime';
+          imports.add(`import java.time.${javaType};`);
+        } else if (schema.format === 'int64') {
+          javaType = 'long';
+        } else {
+          javaType = typeMap[schema.type] || 'Object';
+        }
+
+        if (schema.isArray) {
+          javaType = `List<${boxed[javaType] || javaType}>`;
+          imports.add('import java.util.List;');
+        } else if (!required || schema.nullable) {
+          javaType = boxed[javaType] || javaType;
+        }
+
+        let annotation = '';
+        if (fieldName !== originalKey) {
+          annotation = `@JsonProperty("${this._escapeString(originalKey)}") `;
+          imports.add('import com.fasterxml.jackson.annotation.JsonProperty;');
+        }
+        records.push(`${indent}    ${annotation}${javaType} ${fieldName}${i < props.length - 1 ? ',' : ''}`);
+      }
+      if (props.length) records.push(indent + close);
+      if (!nested.length) return;
+      nested.forEach((child, i) => {
+        if (i) records.push('');
+        emitRecord(child, indent + '    ');
+      });
+      records.push(`${indent}}`);
+    };
+    for (const cls of tree.top) {
+      emitRecord(cls, '');
+      records.push('');
+    }
+
+    const namespace = this._namespaceSegments(options);
+    const lines = namespace.length ? [`package ${namespace.join('.').toLowerCase()};`, ''] : [];
+    lines.push(...[...imports].sort());
+    if (imports.size) lines.push('');
+    return lines.concat(records).join('\n').trim();
+  },
+
+  /* ---- Kotlin Data Class Generator (kotlinx.serialization) ---- */
+  _genKotlin(classes, options = {}) {
+    const typeMap = {
+      string: 'String',
+      int: 'Int',
+      float: 'Double',
+      bool: 'Boolean',
+      nullable: 'JsonElement',
+      any: 'JsonElement'
+    };
+    const dateTypes = { 'date-time': 'Instant', date: 'LocalDate' };
+
+    const imports = new Set(['import kotlinx.serialization.Serializable']);
+    const body = [];
+    const tree = options.nestClasses ? this._classTree(classes) : { top: classes, children: new Map() };
+
+    const emitClass = (cls, indent) => {
+      const nested = tree.children.get(cls.name) || [];
+      const open = nested.length ? ' {' : '';
+      body.push(`${indent}@Serializable`);
+      if (!cls.properties.length) {
+        body.push(`${indent}class ${cls.name}${open}`);
+      } else {
+        body.push(`${indent}data class ${cls.name}(`);
+        const props = cls.properties;
+        for (let i = 0; i < props.length; i++) {
+          const { schema, originalKey, required } = props[i];
+          const fieldName = this._identifier(this._fieldName(originalKey, 'kotlin', options, key => this.toCamelCase(key)), this._reserved.kotlin, name => '`' + name + '`');
+          let ktType;
+
+          if (schema.type === 'object' && schema.className) {
+            ktType = schema.className;
+          } else if (schema.type === 'datetime') {
+            ktType = dateTypes[schema.format] || 'LocalDateTime';
+            imports.add(`import kotlinx.datetime.${ktType}`);
+          } else if (schema.format === 'int64') {
+            ktType = 'Long';
+          } else {
+            ktType = typeMap[schema.type] || 'JsonElement';
+          }
+          if (ktType === 'JsonElement') imports.add('import kotlinx.serialization.json.JsonElement');
+
+          if (schema.isArray) {
+            ktType = `List<${ktType}>`;
+          }
+
+          const nullable = !required || schema.nullable || (!schema.isArray && schema.type === 'nullable');
+          if (fieldName.replace(/`/g, '') !== originalKey) {
+            body.push(`${indent}    @SerialName("${this._escapeString(originalKey).replace(/\$/g, '\\$')}")`);
+            imports.add('import kotlinx.serialization.SerialName');
+          }
+          body.push(`${indent}    val ${fieldName}: ${ktType}${nullable ? '? = null' : ''}${i < props.length - 1 ? ',' : ''}`);
+        }
+        body.push(`${indent})${open}`);
+      }
+      if (!nested.length) return;
+      nested.forEach((child, i) => {
+        if (i) body.push('');
+        emitClass(child, indent + '    ');
+      });
+      body.push(`${indent}}`);
+    };
+    for (const cls of tree.top) {
+      emitClass(cls, '');
+      body.push('');
+    }
+
+    const namespace = this._namespaceSegments(options);
+    const header = namespace.length ? [`package ${namespace.join('.').toLowerCase()}`, ''] : [];
+    return [...header, ...[...imports].sort(), '', ...body].join('\n').trim();
+  },
+
+  /* ---- Rust Struct Generator (serde) ---- */
+  _genRust(classes, options = {}) {
+    const typeMap = {
+      string: 'String',
+      int: 'i64',
+      float: 'f64',
+      bool: 'bool',
+      nullable: 'serde_json::Value',
+      any: 'serde_json::Value'
+    };
+    const dateTypes = { 'date-time': ['DateTime<Utc>', 'DateTime', 'Utc'], date: ['NaiveDate', 'NaiveDate'] };
+
+    const chrono = new Set();
+    const body = [];
+
+    for (const cls of classes) {
+      body.push('#[derive(Debug, Clone, Serialize, Deserialize)]');
+      // Kept camelCase keys need the lint silenced on the struct
+      const header = body.length;
+      let allowCase = false;
+      body.push(`pub struct ${cls.name} {`);
+
+      for (const prop of cls.properties) {
+        const { schema, originalKey, required } = prop;
+        // self/Self/super/crate cannot be raw identifiers
+        const fieldName = this._identifier(this._fieldName(originalKey, 'rust', options, key => this.toSnakeCase(key)), this._reserved.rust, name => (/^(self|Self|super|crate)$/.test(name) ? name + '_' : 'r#' + name));
+        if (!allowCase && /[A-Z]/.test(fieldName)) {
+          allowCase = true;
+          body.splice(header, 0, '#[allow(non_snake_case)]');
+        }
+        let rustType;
+
+        if (schema.type === 'object' && schema.className) {
+          rustType = schema.className;
+        } else if (schema.type === 'datetime') {
+          const [type, ...uses] = dateTypes[schema.format] || ['NaiveDateTime', 'NaiveDateTime'];
+          rustType = type;
+          for (const name of uses) chrono.add(name);
+        } else {
+          rustType = typeMap[schema.type] || 'serde_json::Value';
+        }
+
+        if (schema.isArray) {
+          rustType = `Vec<${rustType}>`;
+        } else if (schema.recursive) {
+          // A struct cannot contain itself by value
+          rustType = `Box<${rustType}>`;
+        }
+
+        if (!required || schema.nullable || (!schema.isArray && schema.type === 'nullable')) {
+          rustType = `Option<${rustType}>`;
+        }
+
+        // serde strips the r# prefix of raw identifiers by itself
+        if (fieldName.replace(/^r#/, '') !== originalKey) {
+          body.push(`    #[serde(rename = "${this._escapeString(originalKey)}")]`);
+        }
+        body.push(`    pub ${fieldName}: ${rustType},`);
+      }
+
+      body.push('}', '');
+    }
+
+    const lines = ['use serde::{Deserialize, Serialize};'];
+    if (chrono.size) {
+      const names = [...chrono].sort();
+      lines.push(`use chrono::${names.length > 1 ? '{' + names.join(', ') + '}' : names[0]};`);
+    }
+    lines.push('');
+    return lines.concat(body).join('\n').trim();
+  },
+
+  /* ---- Swift Codable Generator ---- */
+  _genSwift(classes, options = {}) {
+    const typeMap = {
+      string: 'String',
+      int: 'Int',
+      float: 'Double',
+      bool: 'Bool',
+      datetime: 'Date'
+    };
+
+    let needsDate = false;
+    let needsJsonValue = false;
+    const body = [];
+    const tree = options.nestClasses ? this._classTree(classes) : { top: classes, children: new Map() };
+
+    const emitStruct = (cls, indent) => {
+      body.push(`${indent}struct ${cls.name}: Codable {`);
+
+      const codingKeys = [];
+      let renamed = false;
+      for (const prop of cls.properties) {
+        const { schema, originalKey, required } = prop;
+        const fieldName = this._identifier(this._fieldName(originalKey, 'swift', options, key => this.toCamelCase(key)), this._reserved.swift, name => '`' + name + '`');
+        let swiftType;
+        let note = '';
+
+        if (schema.type === 'object' && schema.className) {
+          swiftType = schema.className;
+        } else if (typeMap[schema.type]) {
+          swiftType = typeMap[schema.type];
+          if (schema.type === 'datetime') needsDate = true;
+        } else if (schema.type === 'union') {
+          // Swift has no built-in "any JSON" type: decode mixed values through a small enum
+          swiftType = 'JSONValue';
+          needsJsonValue = true;
+        } else {
+          swiftType = 'String';
+          note = schema.isArray ? ' // empty in sample' : ' // null in sample';
+        }
+
+        if (schema.isArray) {
+          swiftType = `[${swiftType}]`;
+        }
+
+        const optional = !required || schema.nullable || (!schema.isArray && schema.type === 'nullable');
+        body.push(`${indent}    let ${fieldName}: ${swiftType}${optional ? '?' : ''}${note}`);
+
+        const caseName = fieldName.replace(/`/g, '');
+        if (caseName !== originalKey) {
+          renamed = true;
+          codingKeys.push(`${indent}        case ${fieldName} = "${this._escapeString(originalKey)}"`);
+        } else {
+          codingKeys.push(`${indent}        case ${fieldName}`);
+        }
+      }
+
+      if (renamed) {
+        body.push('');
+        body.push(`${indent}    enum CodingKeys: String, CodingKey {`);
+        body.push(...codingKeys);
+        body.push(`${indent}    }`);
+      }
+      for (const child of tree.children.get(cls.name) || []) {
+        body.push('');
+        emitStruct(child, indent + '    ');
+      }
+      body.push(`${indent}}`);
+    };
+    for (const cls of tree.top) {
+      emitStruct(cls, '');
+      body.push('');
+    }
+    if (needsJsonValue) body.push(...this._swiftJsonValue);
+
+    const lines = ['import Foundation', ''];
+    if (needsDate) {
+      lines.push('// Dates: set decoder.dateDecodingStrategy to match the payload (e.g. .iso8601)', '');
+    }
+    return lines.concat(body).join('\n').trim();
+  },
+
+  /** Codable enum for fields whose sample values had more than one JSON type */
+  _swiftJsonValue: [
+    'enum JSONValue: Codable {',
+    '    case string(String)',
+    '    case int(Int)',
+    '    case double(Double)',
+    '    case bool(Bool)',
+    '    case array([JSONValue])',
+    '    case object([String: JSONValue])',
+    '    case null',
+    '',
+    '    init(from decoder: Decoder) throws {',
+    '        let container = try decoder.singleValueContainer()',
+    '        if container.decodeNil() { self = .null }',
+    '        else if let value = try? container.decode(Bool.self) { self = .bool(value) }',
+    '        else if let value = try? container.decode(Int.self) { self = .int(value) }',
+    '        else if let value = try? container.decode(Double.self) { self = .double(value) }',
+    '        else if let value = try? container.decode(String.self) { self = .string(value) }',
+    '        else if let value = try? container.decode([JSONValue].self) { self = .array(value) }',
+    '        else { self = .object(try container.decode([String: JSONValue].self)) }',
+    '    }',
+    '',
+    '    func encode(to encoder: Encoder) throws {',
+    '        var container = encoder.singleValueContainer()',
+    '        switch self {',
+    '        case .string(let value): try container.encode(value)',
+    '        case .int(let value): try container.encode(value)',
+    '        case .double(let value): try container.encode(value)',
+    '        case .bool(let value): try container.encode(value)',
+    '        case .array(let value): try container.encode(value)',
+    '        case .object(let value): try container.encode(value)',
+    '        case .null: try container.encodeNil()',
+    '        }',
+    '    }',
+    '}',
+    ''
+  ],
+
+  /** Reserved words that cannot be used as bare field names */
+  _reserved: {
+    csharp: new Set(['abstract', 'as', 'base', 'bool', 'break', 'byte', 'case', 'catch', 'char', 'checked', 'class', 'const', 'continue', 'decimal', 'default', 'delegate', 'do', 'double', 'else', 'enum', 'event', 'explicit', 'extern', 'false', 'finally', 'fixed', 'float', 'for', 'foreach', 'goto', 'if', 'implicit', 'in', 'int', 'interface', 'internal', 'is', 'lock', 'long', 'namespace', 'new', 'null', 'object', 'operator', 'out', 'override', 'params', 'private', 'protected', 'public', 'readonly', 'ref', 'return', 'sbyte', 'sealed', 'short', 'sizeof', 'stackalloc', 'static', 'string', 'struct', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'uint', 'ulong', 'unchecked', 'unsafe', 'ushort', 'using', 'virtual', 'void', 'volatile', 'while']),
+    go: new Set(),
+    php: new Set(['this']),
+    python: new Set(['False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield']),
+    java: new Set(['abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const', 'continue', 'default', 'do', 'double', 'else', 'enum', 'extends', 'false', 'final', 'finally', 'float', 'for', 'goto', 'if', 'implements', 'import', 'instanceof', 'int', 'interface', 'long', 'native', 'new', 'null', 'package', 'private', 'protected', 'public', 'return', 'short', 'static', 'strictfp', 'super', 'switch', 'synchronized', 'this', 'throw', 'throws', 'transient', 'true', 'try', 'void', 'volatile', 'while', '_']),
+    kotlin: new Set(['as', 'break', 'class', 'continue', 'do', 'else', 'false', 'for', 'fun', 'if', 'in', 'interface', 'is', 'null', 'object', 'package', 'return', 'super', 'this', 'throw', 'true', 'try', 'typealias', 'typeof', 'val', 'var', 'when', 'while']),
+    rust: new Set(['as', 'async', 'await', 'break', 'const', 'continue', 'crate', 'dyn', 'else', 'enum', 'extern', 'false', 'fn', 'for', 'if', 'impl', 'in', 'let', 'loop', 'match', 'mod', 'move', 'mut', 'pub', 'ref', 'return', 'self', 'Self', 'static', 'struct', 'super', 'trait', 'true', 'type', 'unsafe', 'use', 'where', 'while', 'abstract', 'become', 'box', 'do', 'final', 'macro', 'override', 'priv', 'try', 'typeof', 'unsized', 'virtual', 'yield']),
+    swift: new Set(['associatedtype', 'class', 'deinit', 'enum', 'extension', 'fileprivate', 'func', 'import', 'init', 'inout', 'internal', 'let', 'open', 'operator', 'private', 'protocol', 'public', 'rethrows', 'static', 'struct', 'subscript', 'typealias', 'var', 'break', 'case', 'continue', 'default', 'defer', 'do', 'else', 'fallthrough', 'for', 'guard', 'if', 'in', 'repeat', 'return', 'switch', 'where', 'while', 'as', 'Any', 'catch', 'false', 'is', 'nil', 'super', 'self', 'Self', 'throw', 'throws', 'true', 'try'])
+  },
+
+  /** Make a converted name a legal identifier: `prefix` a leading digit, escape reserved words with `escape` */
+  _identifier(name, reserved, escape, prefix = '_') {
+    if (!name || /^\d/.test(name)) name = prefix + name;
+    return reserved.has(name) ? escape(name) : name;
+  },
+
+  /**
+   * Field name for a JSON key: the target's idiomatic `convert`ed name, or the key itself (non-identifier
+   * characters replaced) when `options.originalFieldNames` lists the target.
+   */
+  _fieldName(key, target, options, convert) {
+    if (!(options.originalFieldNames || []).includes(target)) return convert(key);
+    const name = key.replace(/[^A-Za-z0-9_]/g, '_');
+    return /^[A-Za-z_]/.test(name) ? name : '_' + name;
+  },
+
+  /** Identifier segments of `options.namespace`, whichever separator it was typed with (. / \ ::) */
+  _namespaceSegments(options) {
+    return String(options.namespace || '').split(/[./\\:]+/)
+      .map(part => part.replace(/[^A-Za-z0-9_]/g, ''))
+      .filter(Boolean)
+      .map(part => (/^\d/.test(part) ? '_' + part : part));
+  },
+
+  /** Escape a JSON key for a double-quoted string literal in the generated source */
+  _escapeString(str) {
+    return str.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+  },
+
+  /* ---- Syntax highlight output ---- */
+  highlight(code, language) {
+    if (!code) return '';
+    if (typeof Prism === 'undefined') return Odin.Utils.escapeHtml(code);
+
+    const lang = Object.prototype.hasOwnProperty.call(this.targets, language) ? Prism.languages[this.targets[language]] : null;
+    if (!lang) return Odin.Utils.escapeHtml(code);
+
+    try {
+      let highlighted = Prism.highlight(code, lang, language);
+      if (typeof highlighted !== 'string') {
+        return Odin.Utils.escapeHtml(code);
+      }
+
+      highlighted = Odin.Utils.sanitizePrismHtml(highlighted);
+
+      // Guard for PHP edge-cases where Prism may return raw, unsafe markup
+      // (e.g. "<?php" can be swallowed by innerHTML parsing and appear blank).
+      if (language === 'php') {
+        const looksUnhighlighted = highlighted === code || !highlighted.includes('token');
+        const hasUnsafePhpTag = highlighted.includes('&lt;?php') || highlighted.includes('&lt;?');
+        if (looksUnhighlighted || hasUnsafePhpTag) {
+          return Odin.Utils.escapeHtml(code);
+        }
+      }
+
+      return highlighted;
+    } catch {
+      return Odin.Utils.escapeHtml(code);
+    }
+  }
+};
+
+
+/* ================================================================
+   Odin.ModelSample — Reverse Model Generation
+   C# class / Go struct / Python dataclass / PHP class → sample JSON
+   ================================================================ */
+Odin.ModelSample = {
+
+  languages: { csharp: 'C#', go: 'Go', python: 'Python', php: 'PHP' },
+
+  /** Depth at which nested objects stop expanding (self-referencing types end earlier, as null) */
+  MAX_DEPTH: 8,
+
+  /**
+   * Parse the pasted source and build a sample document for its root type: the first declared
+   * class no other class refers to. Returns { output, language, root, error }.
+   */
+  fromCode(code, language = 'auto') {
+    const lang = language === 'auto' ? this.detect(code) : language;
+    if (!lang) return { output: '', language: null, root: null, error: 'Could not recognize a C# class, Go struct, Python class or PHP class' };
+
+    let model;
+    try {
+      model = this[`_parse${{ csharp: 'CSharp', go: 'Go', python: 'Python', php: 'Php' }[lang]}`](code);
+    } catch (e) {
+      return { output: '', language: lang, root: null, error: e.message };
+    }
+    if (!model.classes.size) return { output: '', language: lang, root: null, error: `No ${this.languages[lang]} class with fields found` };
+
+    // Self-references do not count: a tree node is still the root
+    const referenced = new Set();
+    const collect = (type, owner) => {
+      if (type.kind === 'ref' && type.name !== owner) referenced.add(type.name);
+      if (type.of) collect(type.of, owner);
+    };
+    for (const cls of model.classes.values()) {
+      for (const field of cls.fields) {
+        if (field.embed) referenced.add(field.embed);
+        else collect(field.type, cls.name);
+      }
+    }
+    const names = [...model.classes.keys()];
+    const root = names.find(name => !referenced.has(name)) || names[0];
+
+    const value = this._sample({ kind: 'ref', name: root }, '', model, []);
+    return { output: JSON.stringify(value, null, 2), language: lang, root, error: null };
+  },
+
+  /** Best guess at the source language from its declarations */
+  detect(code) {
+    if (/<\?php|\bfunction\s+__construct\s*\(|\bpublic\s+(readonly\s+)?\??[\w\\|]+\s+\$\w+/.test(code)) return 'php';
+    if (/\btype\s+\w+\s+struct\s*\{/.test(code)) return 'go';
+    if (/^\s*class\s+\w+\s*(\([^)]*\))?\s*:\s*$/m.test(code)) return 'python';
+    if (/\b(class|record|struct)\s+\w+/.test(code)) return 'csharp';
+    return null;
+  },
+
+  /* ---- C# ---- */
+  _parseCSharp(code) {
+    const src = this._stripComments(code, ['"']);
+    const model = this._model();
+    const decl = /\b(class|record|struct|enum)\s+(?:(?:class|struct)\s+)?(\w+)(?:\s*<[^>{(]*>)?\s*(\()?/g;
+    let m;
+
+    while ((m = decl.exec(src))) {
+      const [, kind, name, positional] = m;
+      let pos = decl.lastIndex;
+      let params = null;
+      if (positional) {
+        const end = this._matching(src, pos - 1, '(', ')');
+        params = src.slice(pos, end);
+        pos = end + 1;
+      }
+      const open = src.indexOf('{', pos);
+      const semi = src.indexOf(';', pos);
+      const body = open !== -1 && (semi === -1 || open < semi) ? src.slice(open + 1, this._matching(src, open, '{', '}')) : '';
+
+      if (kind === 'enum') {
+        // .NET 9 JsonStringEnumMemberName overrides the serialized value
+        const cases = body.split(',').map(part => /^((?:\[[^\]]*\]\s*)*)(\w+)/.exec(part.trim())).filter(Boolean);
+        model.enums.set(name, cases.map(([, attributes, member]) => {
+          const rename = /JsonStringEnumMemberName\s*\(\s*"([^"]*)"/.exec(attributes);
+          return rename ? rename[1] : member;
+        }));
+        continue;
+      }
+
+      const fields = [];
+      if (params !== null) {
+        for (const param of this._splitTopLevel(params, ',')) {
+          const pm = /^((?:\[[^\]]*\]\s*)*)(.+?)\s+@?(\w+)\s*(=.*)?$/s.exec(param.trim());
+          if (pm) this._csField(fields, pm[1], pm[2], pm[3]);
+        }
+      }
+      // Nested type bodies belong to their own declarations
+      const members = this._blankNested(body, /\b(class|record|struct|enum|interface)\s+\w+/g);
+      const member = /((?:\[[^\]]*\]\s*)*)public\s+((?:(?:required|virtual|override|new|readonly|static|const|abstract|sealed)\s+)*)([\w.]+(?:\s*<[^;{}()=]*>)?(?:\s*\[\s*\])*\s*\??)\s+@?(\w+)\s*(\{|=|;)/g;
+      let mm;
+      while ((mm = member.exec(members))) {
+        if (/\b(static|const)\b/.test(mm[2])) continue;
+        this._csField(fields, mm[1], mm[3], mm[4]);
+      }
+      if (fields.length || !model.classes.has(name)) model.classes.set(name, { name, fields });
+    }
+    return model;
+  },
+
+  _csField(fields, attributes, type, name) {
+    if (/\bJsonIgnore\b/.test(attributes)) return;
+    const rename = /JsonProperty(?:Name)?\s*\(\s*(?:PropertyName\s*=\s*)?"([^"]*)"/.exec(attributes);
+    const desc = this._csType(type.replace(/\s+/g, ''));
+    fields.push({ key: rename ? rename[1] : this._camelPolicy(name), type: desc, optional: !!desc.optional });
+  },
+
+  /** System.Text.Json's camelCase policy: lower the leading capitals, keeping the one that starts the next word */
+  _camelPolicy(name) {
+    const run = /^[A-Z]+/.exec(name);
+    if (!run) return name;
+    let n = run[0].length;
+    if (n > 1 && n < name.length && /[a-z]/.test(name[n])) n--;
+    return name.slice(0, n).toLowerCase() + name.slice(n);
+  },
+
+  _csType(type) {
+    if (type.endsWith('?')) return { ...this._csType(type.slice(0, -1)), optional: true };
+    if (type === 'byte[]') return { kind: 'scalar', type: 'bytes' };
+    if (type.endsWith('[]')) return { kind: 'list', of: this._csType(type.slice(0, -2)) };
+
+    const generic = /^([\w.]+)<(.+)>$/.exec(type);
+    if (generic) {
+      const name = generic[1].split('.').pop();
+      const args = this._splitTopLevel(generic[2], ',');
+      if (name === 'Nullable') return { ...this._csType(args[0]), optional: true };
+      if (/Dictionary$/.test(name)) return { kind: 'map', of: this._csType(args[args.length - 1]) };
+      if (/^(I?List|I?Collection|IEnumerable|IReadOnly(List|Collection)|HashSet|I?Set|ObservableCollection|Immutable(Array|List))$/.test(name)) {
+        return { kind: 'list', of: this._csType(args[0]) };
+      }
+      return { kind: 'any' };
+    }
+
+    const scalars = {
+      string: 'string', String: 'string', char: 'string',
+      int: 'int', long: 'int', short: 'int', byte: 'int', sbyte: 'int', uint: 'int', ulong: 'int', ushort: 'int', Int32: 'int', Int64: 'int',
+      double: 'float', float: 'float', Double: 'float', Single: 'float', decimal: 'decimal', Decimal: 'decimal',
+      bool: 'bool', Boolean: 'bool',
+      DateTime: 'datetime', DateTimeOffset: 'datetime', DateOnly: 'date', TimeOnly: 'time', TimeSpan: 'time',
+      Guid: 'uuid', Uri: 'uri'
+    };
+    const name = type.split('.').pop();
+    if (scalars[name]) return { kind: 'scalar', type: scalars[name] };
+    if (/^(object|dynamic|JsonElement|JsonNode|JsonObject|JObject|JToken)$/.test(name)) return { kind: 'any' };
+    return { kind: 'ref', name };
+  },
+
+  /* ---- Go ---- */
+  _parseGo(code) {
+    const src = this._stripComments(code, ['"', '`']);
+    const model = this._model();
+
+    // Named types and their constants: `type Status string` + `StatusActive Status = "active"`
+    const named = /\btype\s+(\w+)\s+(?!struct\b|interface\b)([\w.[\]*]+)/g;
+    let m;
+    while ((m = named.exec(src))) model.aliases.set(m[1], this._goType(m[2], m[1], model));
+    const constant = /^\s*(?:const\s+)?\w+\s+(\w+)\s*=\s*("(?:[^"\\\n]|\\.)*"|-?\d+(?:\.\d+)?)/gm;
+    while ((m = constant.exec(src))) {
+      if (!model.aliases.has(m[1])) continue;
+      if (!model.enums.has(m[1])) model.enums.set(m[1], []);
+      model.enums.get(m[1]).push(JSON.parse(m[2]));
+    }
+
+    const decl = /\btype\s+(\w+)\s+struct\s*\{/g;
+    while ((m = decl.exec(src))) {
+      const open = decl.lastIndex - 1;
+      this._goStruct(m[1], src.slice(open + 1, this._matching(src, open, '{', '}')), model);
+    }
+    return model;
+  },
+
+  _goStruct(name, body, model) {
+    const fields = [];
+    for (const statement of this._goStatements(body)) {
+      const tagMatch = /`([^`]*)`\s*$/.exec(statement);
+      const decl = (tagMatch ? statement.slice(0, tagMatch.index) : statement).trim();
+      const tag = tagMatch ? /(?:^|\s)json:"([^"]*)"/.exec(tagMatch[1]) : null;
+      const [tagName, ...tagOptions] = tag ? tag[1].split(',') : [''];
+      if (tagName === '-' && !tagOptions.length) continue;
+
+      const embedded = /^\*?([\w.]+)$/.exec(decl);
+      if (embedded) {
+        // Untagged embedded structs promote their fields into the parent object
+        const typeName = embedded[1].split('.').pop();
+        if (!tagName) {
+          fields.push({ embed: typeName });
+          continue;
+        }
+        fields.push({ key: tagName, type: this._goType(decl, typeName, model), optional: tagOptions.includes('omitempty') });
+        continue;
+      }
+
+      const fm = /^(\w+(?:\s*,\s*\w+)*)\s+([\s\S]+)$/.exec(decl);
+      if (!fm) continue;
+      for (const fieldName of fm[1].split(/\s*,\s*/)) {
+        // encoding/json skips unexported fields
+        if (!/^[A-Z]/.test(fieldName)) continue;
+        let type = this._goType(fm[2].trim(), name + fieldName, model);
+        if (tagOptions.includes('string') && type.kind === 'scalar') type = { ...type, quoted: true };
+        fields.push({ key: tagName || fieldName, type, optional: tagOptions.includes('omitempty') || !!type.optional });
+      }
+    }
+    model.classes.set(name, { name, fields });
+  },
+
+  /** Split a struct body into field declarations, keeping inline `struct { ... }` types whole */
+  _goStatements(body) {
+    const statements = [];
+    let current = '';
+    let depth = 0;
+    let quote = null;
+    for (const ch of body) {
+      if (quote) {
+        if (ch === quote) quote = null;
+      } else if (ch === '`' || ch === '"') {
+        quote = ch;
+      } else if (ch === '{') {
+        depth++;
+      } else if (ch === '}') {
+        depth--;
+      } else if ((ch === '\n' || ch === ';') && depth === 0) {
+        if (current.trim()) statements.push(current.trim());
+        current = '';
+        continue;
+      }
+      current += ch;
+    }
+    if (current.trim()) statements.push(current.trim());
+    return statements;
+  },
+
+  _goType(type, name, model) {
+    if (type.startsWith('*')) return { ...this._goType(type.slice(1), name, model), optional: true };
+    if (type === '[]byte') return { kind: 'scalar', type: 'bytes' };
+    const slice = /^\[\d*\]([\s\S]+)$/.exec(type);
+    if (slice) return { kind: 'list', of: this._goType(slice[1], name, model) };
+    if (type.startsWith('map[')) {
+      const end = this._matching(type, 3, '[', ']');
+      return { kind: 'map', of: this._goType(type.slice(end + 1), name, model) };
+    }
+    const inline = /^struct\s*\{([\s\S]*)\}$/.exec(type);
+    if (inline) {
+      this._goStruct(name, inline[1], model);
+      return { kind: 'ref', name };
+    }
+
+    const scalars = {
+      string: 'string', bool: 'bool', byte: 'int', rune: 'int', float32: 'float', float64: 'float',
+      'time.Time': 'datetime', 'uuid.UUID': 'uuid', 'civil.Date': 'date', 'civil.Time': 'time', 'civil.DateTime': 'datetime',
+      'json.Number': 'float', 'url.URL': 'uri', 'decimal.Decimal': 'decimal'
+    };
+    if (scalars[type]) return { kind: 'scalar', type: scalars[type] };
+    if (/^u?int(8|16|32|64)?$/.test(type)) return { kind: 'scalar', type: 'int' };
+    if (/^(interface\{\s*\}|any|json\.RawMessage)$/.test(type) || type.includes('.')) return { kind: 'any' };
+    return { kind: 'ref', name: type };
+  },
+
+  /* ---- Python ---- */
+  _parsePython(code) {
+    const model = this._model();
+    const lines = code.split('\n');
+
+    for (let i = 0; i < lines.length; i++) {
+      const header = /^(\s*)class\s+(\w+)\s*(?:\(([^)]*)\))?\s*:/.exec(lines[i]);
+      if (!header) continue;
+      const indent = header[1].length;
+      const isEnum = /\b(Enum|IntEnum|StrEnum|Flag)\b/.test(header[3] || '');
+
+      // The body is every following line indented deeper than the header
+      const body = [];
+      let memberIndent = null;
+      for (let j = i + 1; j < lines.length; j++) {
+        const line = lines[j].replace(/\s+#.*$/, '');
+        if (!line.trim() || /^\s*#/.test(line)) continue;
+        const lineIndent = /^\s*/.exec(line)[0].length;
+        if (lineIndent <= indent) break;
+        if (memberIndent === null) memberIndent = lineIndent;
+        if (lineIndent === memberIndent) body.push(line.trim());
+      }
+
+      if (isEnum) {
+        const values = [];
+        for (const line of body) {
+          const em = /^(\w+)\s*=\s*(.+)$/.exec(line);
+          if (em) values.push(this._pyLiteral(em[2]));
+        }
+        model.enums.set(header[2], values);
+        continue;
+      }
+
+      const fields = [];
+      for (const line of body) {
+        const fm = /^(\w+)\s*:\s*(.+?)(?:\s*=\s*(.+))?$/.exec(line);
+        if (!fm || /^ClassVar\b/.test(fm[2]) || fm[1] === 'model_config') continue;
+        const alias = fm[3] && /\b(?:alias|serialization_alias)\s*=\s*["']([^"']+)["']/.exec(fm[3]);
+        const type = this._pyType(fm[2].trim());
+        fields.push({ key: alias ? alias[1] : fm[1], type, optional: !!type.optional || (fm[3] || '').trim() === 'None' });
+      }
+      model.classes.set(header[2], { name: header[2], fields });
+    }
+    return model;
+  },
+
+  _pyType(type) {
+    type = type.replace(/^["']|["']$/g, '').trim();
+    const union = this._splitTopLevel(type, '|');
+    if (union.length > 1) {
+      const present = union.filter(part => part !== 'None');
+      return { ...this._pyType(present[0] || 'Any'), optional: present.length < union.length };
+    }
+
+    const generic = /^([\w.]+)\[(.+)\]$/.exec(type);
+    if (generic) {
+      const name = generic[1].split('.').pop();
+      const args = this._splitTopLevel(generic[2], ',');
+      if (name === 'Optional') return { ...this._pyType(args[0]), optional: true };
+      if (name === 'Union') return this._pyType(args.join(' | '));
+      if (name === 'Annotated') return this._pyType(args[0]);
+      if (name === 'Literal') return { kind: 'literal', value: this._pyLiteral(args[0]) };
+      if (/^(list|List|Sequence|set|Set|frozenset|FrozenSet|tuple|Tuple|Iterable)$/.test(name)) return { kind: 'list', of: this._pyType(args[0]) };
+      if (/^(dict|Dict|Mapping|MutableMapping)$/.test(name)) return { kind: 'map', of: this._pyType(args[args.length - 1]) };
+      return { kind: 'any' };
+    }
+
+    const scalars = {
+      str: 'string', int: 'int', float: 'float', bool: 'bool', bytes: 'bytes', Decimal: 'decimal',
+      datetime: 'datetime', date: 'date', time: 'time', UUID: 'uuid', EmailStr: 'email', HttpUrl: 'uri', AnyUrl: 'uri'
+    };
+    const name = type.split('.').pop();
+    if (scalars[name]) return { kind: 'scalar', type: scalars[name] };
+    if (/^(Any|object|dict|list)$/.test(name)) return name === 'list' ? { kind: 'list', of: { kind: 'any' } } : { kind: 'any' };
+    return { kind: 'ref', name };
+  },
+
+  _pyLiteral(text) {
+    const value = text.trim().replace(/^auto\(\)$/, '1');
+    if (/^(['"]).*\1$/.test(value)) return value.slice(1, -1);
+    if (value === 'True' || value === 'False') return value === 'True';
+    return /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+  },
+
+  /* ---- PHP ---- */
+  _parsePhp(code) {
+    // Docblocks stay: they carry the element types of arrays
+    const src = this._stripComments(code, ['"', "'"], true);
+    const model = this._model();
+    const decl = /\b(class|enum)\s+(\w+)(?:\s*:\s*(string|int))?[^{;]*\{/g;
+    let m;
+
+    while ((m = decl.exec(src))) {
+      const open = decl.lastIndex - 1;
+      const body = src.slice(open + 1, this._matching(src, open, '{', '}'));
+
+      if (m[1] === 'enum') {
+        const values = [];
+        const caseRe = /\bcase\s+(\w+)\s*(?:=\s*('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|-?\d+))?\s*;/g;
+        let cm;
+        while ((cm = caseRe.exec(body))) {
+          values.push(cm[2] === undefined ? cm[1] : /^-?\d/.test(cm[2]) ? Number(cm[2]) : cm[2].slice(1, -1));
+        }
+        model.enums.set(m[2], values);
+        continue;
+      }
+
+      const fields = [];
+      const ctor = /(\/\*\*(?:(?!\*\/)[\s\S])*\*\/\s*)?(?:(?:public|final)\s+)*function\s+__construct\s*\(/.exec(body);
+      if (ctor) {
+        const start = ctor.index + ctor[0].length;
+        const params = body.slice(start, this._matching(body, start - 1, '(', ')'));
+        const docs = this._phpDocTypes(ctor[1] || '', 'param');
+        for (const param of this._splitTopLevel(params, ',')) {
+          const pm = /^((?:#\[[^\]]*\]\s*)*)public\s+(?:readonly\s+)?([?\w\\|]+)\s+\$(\w+)\s*(=.*)?$/s.exec(param.trim());
+          if (pm) this._phpField(fields, pm[1], pm[2], pm[3], docs[pm[3]], pm[4]);
+        }
+      }
+      const prop = /(\/\*\*(?:(?!\*\/)[\s\S])*\*\/\s*)?((?:#\[[^\]]*\]\s*)*)public\s+(?:readonly\s+)?(?!function\b|static\b|const\b)([?\w\\|]+)\s+\$(\w+)\s*(=[^;]*)?;/g;
+      let pm;
+      while ((pm = prop.exec(body))) {
+        const doc = this._phpDocTypes(pm[1] || '', 'var');
+        this._phpField(fields, pm[2], pm[3], pm[4], doc[pm[4]] || doc[''], pm[5]);
+      }
+      model.classes.set(m[2], { name: m[2], fields });
+    }
+    return model;
+  },
+
+  /** `@param Type $name` / `@var Type` tags of a docblock: name → type ('' for an unnamed @var) */
+  _phpDocTypes(doc, tag) {
+    const types = {};
+    const re = new RegExp(`@${tag}\\s+(\\S+)(?:\\s+\\$(\\w+))?`, 'g');
+    let m;
+    while ((m = re.exec(doc))) types[m[2] || ''] = m[1];
+    return types;
+  },
+
+  _phpField(fields, attributes, type, name, docType, defaultValue) {
+    if (/#\[\s*(?:[\w\\]*\\)?Ignore\b/.test(attributes)) return;
+    const rename = /SerializedName\s*\(\s*['"]([^'"]+)['"]/.exec(attributes);
+    // Docblocks refine arrays (element types) and strings (numeric-string, ...)
+    const refined = docType && /^\??(array|iterable|string)$/.test(type);
+    const desc = this._phpType(refined ? docType : type);
+    const optional = !!desc.optional || type.startsWith('?') || /^=\s*null$/i.test((defaultValue || '').trim());
+    fields.push({ key: rename ? rename[1] : name, type: desc, optional });
+  },
+
+  _phpType(type) {
+    if (type.startsWith('?')) return { ...this._phpType(type.slice(1)), optional: true };
+    const union = this._splitTopLevel(type, '|');
+    if (union.length > 1) {
+      const present = union.filter(part => part.toLowerCase() !== 'null');
+      return { ...this._phpType(present[0] || 'mixed'), optional: present.length < union.length };
+    }
+    if (type.endsWith('[]')) return { kind: 'list', of: this._phpType(type.slice(0, -2)) };
+
+    const generic = /^([\w-]+)<(.+)>$/.exec(type);
+    if (generic) {
+      const args = this._splitTopLevel(generic[2], ',');
+      const isMap = args.length === 2 && args[0] === 'string';
+      return isMap ? { kind: 'map', of: this._phpType(args[1]) } : { kind: 'list', of: this._phpType(args[args.length - 1]) };
+    }
+
+    const scalars = {
+      string: 'string', 'non-empty-string': 'string', 'numeric-string': 'numeric', int: 'int', float: 'float', bool: 'bool',
+      DateTime: 'datetime', DateTimeImmutable: 'datetime', DateTimeInterface: 'datetime'
+    };
+    const name = type.split('\\').pop();
+    if (scalars[name]) return { kind: 'scalar', type: scalars[name] };
+    if (/^(array|iterable|list)$/.test(name)) return { kind: 'list', of: { kind: 'any' } };
+    if (/^(mixed|object|stdClass)$/.test(name)) return { kind: 'any' };
+    return { kind: 'ref', name };
+  },
+
+  /* ---- Sample values ---- */
+
+  _sample(type, key, model, stack) {
+    switch (type.kind) {
+      case 'literal':
+        return type.value;
+      case 'list':
+        // Nothing to put in a list of unknown items
+        return type.of.kind === 'any' ? [] : [this._sample(type.of, key, model, stack)];
+      case 'map':
+        return { key: this._sample(type.of, key, model, stack) };
+      case 'scalar': {
+        const value = this._scalar(type.type, key);
+        return type.quoted ? String(value) : value;
+      }
+      case 'ref':
+        return this._sampleRef(type.name, key, model, stack);
+      default:
+        return {};
+    }
+  },
+
+  _sampleRef(name, key, model, stack) {
+    if (model.enums.has(name) && model.enums.get(name).length) return model.enums.get(name)[0];
+    if (model.aliases.has(name)) return this._sample(model.aliases.get(name), key, model, stack);
+    const cls = model.classes.get(name);
+    if (!cls) return {};
+    // Self-referencing types would never end
+    if (stack.includes(name) || stack.length >= this.MAX_DEPTH) return null;
+
+    const out = {};
+    const fill = (target, stackNow) => {
+      for (const field of target.fields) {
+        if (field.embed) {
+          const inner = model.classes.get(field.embed);
+          if (inner && !stackNow.includes(field.embed)) fill(inner, [...stackNow, field.embed]);
+          continue;
+        }
+        out[field.key] = this._sample(field.type, field.key, model, [...stack, name]);
+      }
+    };
+    fill(cls, [...stack, name]);
+    return out;
+  },
+
+  /** Placeholder for a scalar, made plausible by the field name where it gives a hint */
+  _scalar(type, key) {
+    const k = key.toLowerCase().replace(/[^a-z0-9]/g, '');
+    switch (type) {
+      case 'int':
+        if (/age$/.test(k)) return 42;
+        if (/year$/.test(k)) return 2024;
+        if (/port$/.test(k)) return 8080;
+        if (/(count|qty|quantity|total|size)$/.test(k)) return 3;
+        return 1;
+      case 'float':
+      case 'decimal':
+      case 'numeric':
+        if (/(price|amount|cost|total|balance|salary|fee)$/.test(k)) return 19.99;
+        if (/^lat/.test(k)) return 59.91;
+        if (/^(lng|lon)/.test(k)) return 10.75;
+        if (/(rate|ratio|percent|score)$/.test(k)) return 0.75;
+        return 1.5;
+      case 'bool':
+        return true;
+      case 'datetime':
+        return '2024-01-15T10:30:00Z';
+      case 'date':
+        return '2024-01-15';
+      case 'time':
+        return '10:30:00';
+      case 'uuid':
+        return '3fa85f64-5717-4562-b3fc-2c963f66afa6';
+      case 'uri':
+        return 'https://example.com';
+      case 'email':
+        return 'odin@valhalla.com';
+      case 'bytes':
+        return 'SGVsbG8sIE9kaW4h';
+      default:
+        return this._stringHint(k);
+    }
+  },
+
+  _stringHint(k) {
+    const hints = [
+      [/email/, 'odin@valhalla.com'],
+      [/(url|uri|link|website|href|avatar|image)$/, 'https://example.com'],
+      [/(phone|mobile|tel)/, '+1 555 0100'],
+      [/(^|[^a-z])(id|uuid|guid)$|^id$/, '3fa85f64-5717-4562-b3fc-2c963f66afa6'],
+      [/(date|at)$/, '2024-01-15T10:30:00Z'],
+      [/(firstname|givenname)$/, 'Odin'],
+      [/(lastname|surname|familyname)$/, 'Allfather'],
+      [/(user|login)name$/, 'odin'],
+      [/name$/, 'Odin'],
+      [/city$/, 'Asgard'],
+      [/country/, 'NO'],
+      [/(street|address)/, 'Bifrost Bridge 1'],
+      [/(zip|postal)/, '00001'],
+      [/(description|summary|note|comment|message|body|text)$/, 'Lorem ipsum dolor sit amet'],
+      [/title$/, 'Sample title'],
+      [/(status|state)$/, 'active'],
+      [/(type|kind|category)$/, 'default'],
+      [/currency/, 'EUR'],
+      [/(lang|language|locale)$/, 'en-US'],
+      [/colou?r$/, '#d4a017'],
+      [/(password|secret|token)$/, 'secret'],
+      [/(slug|code|key)$/, 'sample-key']
+    ];
+    for (const [pattern, value] of hints) {
+      if (pattern.test(k)) return value;
+    }
+    return 'string';
+  },
+
+  /* ---- Helpers ---- */
+
+  _model() {
+    return { classes: new Map(), enums: new Map(), aliases: new Map() };
+  },
+
+  /** Remove // and /* *\/ comments outside string literals (docblocks stay when `keepDocs` is set) */
+  _stripComments(code, quotes, keepDocs = false) {
+    let out = '';
+    let quote = null;
+    for (let i = 0; i < code.length; i++) {
+      const ch = code[i];
+      if (quote) {
+        out += ch;
+        if (ch === '\\' && quote !== '`') out += code[++i] || '';
+        else if (ch === quote) quote = null;
+      } else if (quotes.includes(ch)) {
+        quote = ch;
+        out += ch;
+      } else if (ch === '/' && code[i + 1] === '/') {
+        while (i < code.length && code[i] !== '\n') i++;
+        out += '\n';
+      } else if (ch === '/' && code[i + 1] === '*' && !(keepDocs && code[i + 2] === '*')) {
+        const end = code.indexOf('*/', i + 2);
+        i = end === -1 ? code.length : end + 1;
+        out += ' ';
+      } else {
+        out += ch;
+      }
+    }
+    return out;
+  },
+
+  /** Index of the bracket closing the one at `open` (or the end of the text) */
+  _matching(text, open, left, right) {
+    let depth = 0;
+    for (let i = open; i < text.length; i++) {
+      if (text[i] === left) depth++;
+      else if (text[i] === right && --depth === 0) return i;
+    }
+    return text.length;
+  },
+
+  /** Split on `separator` outside <>, [], () and {} */
+  _splitTopLevel(text, separator) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const ch of text) {
+      if ('<[({'.includes(ch)) depth++;
+      else if ('>])}'.includes(ch)) depth--;
+      if (ch === separator && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+      } else {
+        current += ch;
+      }
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+  },
+
+  /** Blank out the bodies of nested declarations so only the outer members remain */
+  _blankNested(body, declaration) {
+    let out = body;
+    let m;
+    while ((m = declaration.exec(out))) {
+      const open = out.indexOf('{', m.index);
+      if (open === -1) break;
+      const close = this._matching(out, open, '{', '}');
+      out = out.slice(0, m.index) + ' '.repeat(close + 1 - m.index) + out.slice(close + 1);
+    }
+    return out;
+  }
+};
+
+
+/* ================================================================
+   Odin.Pomodoro — Productive Timer Engine
+   ================================================================ */
+Odin.Pomodoro = {
+  /** Default durations (seconds) */
+  DEFAULTS: {
+    focus: 25 * 60,
+    short:  5 * 60,
+    long:  15 * 60
+  },
+
+  /** Min/Max constraints (minutes) */
+  LIMITS: { min: 1, max: 120 },
+
+  _cachedDurations: null,
+
+  /** Load user-customised durations from localStorage, or fall back to defaults */
+  loadCustomDurations() {
+    // ⚡ Bolt: Cache parsed custom durations to prevent main-thread blocking
+    // from synchronous localStorage.getItem and JSON.parse in high-frequency loops (e.g. getters).
+    if (this._cachedDurations) return this._cachedDurations;
+    try {
+      const raw = localStorage.getItem('odin_pomo_durations');
+      if (raw) {
+        const parsed = JSON.parse(raw);
+        this._cachedDurations = {
+          focus: Math.max(this.LIMITS.min * 60, Math.min(this.LIMITS.max * 60, parsed.focus ?? this.DEFAULTS.focus)),
+          short: Math.max(this.LIMITS.min * 60, Math.min(this.LIMITS.max * 60, parsed.short ?? this.DEFAULTS.short)),
+          long:  Math.max(this.LIMITS.min * 60, Math.min(this.LIMITS.max * 60, parsed.long  ?? this.DEFAULTS.long))
+        };
+        return this._cachedDurations;
+      }
+    } catch (_) { /* ignore */ }
+    this._cachedDurations = { ...this.DEFAULTS };
+    return this._cachedDurations;
+  },
+
+  /** Persist custom durations */
+  saveCustomDurations(durations) {
+    this._cachedDurations = null; // Invalidate cache
+    try {
+      localStorage.setItem('odin_pomo_durations', JSON.stringify(durations));
+      this._cachedModes = null; // Invalidate cache on settings update
+    } catch (_) { /* ignore */ }
+  },
+
+  /** Cached MODES */
+  _cachedModes: null,
+
+  /** Build MODES dynamically from durations */
+  getModes(durations) {
+    if (durations) {
+      return {
+        focus: { duration: durations.focus, label: 'Focus',       color: 'focus' },
+        short: { duration: durations.short, label: 'Short Break',  color: 'short' },
+        long:  { duration: durations.long,  label: 'Long Break',   color: 'long'  }
+      };
+    }
+
+    // ⚡ Bolt: Cache the default modes to avoid frequent synchronous localStorage access
+    // via loadCustomDurations() which causes I/O overhead 4 times a second during active timers.
+    if (!this._cachedModes) {
+      const d = this.loadCustomDurations();
+      this._cachedModes = {
+        focus: { duration: d.focus, label: 'Focus',       color: 'focus' },
+        short: { duration: d.short, label: 'Short Break',  color: 'short' },
+        long:  { duration: d.long,  label: 'Long Break',   color: 'long'  }
+      };
+    }
+    return this._cachedModes;
+  },
+
+  get MODES() {
+    return this.getModes();
+  },
+
+  formatTime(seconds) {
+    const m = Math.floor(seconds / 60);
+    const s = seconds % 60;
+    return String(m).padStart(2, '0') + ':' + String(s).padStart(2, '0');
+  },
+
+  /** Cached AudioContext instance */
+  _audioCtx: null,
+
+  /** Get or create a shared AudioContext */
+  _getAudioContext() {
+    if (!this._audioCtx || this._audioCtx.state === 'closed') {
+      this._audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    // Resume if suspended (e.g. after autoplay policy)
+    if (this._audioCtx.state === 'suspended') {
+      this._audioCtx.resume();
+    }
+    return this._audioCtx;
+  },
+
+  /** Generate a pleasant "ting" sound using the Web Audio API */
+  playTing() {
+    try {
+      const ctx = this._getAudioContext();
+
+      // Primary tone — 830 Hz sine
+      const osc1 = ctx.createOscillator();
+      osc1.type = 'sine';
+      osc1.frequency.setValueAtTime(830, ctx.currentTime);
+
+      // Harmonic overtone — 1245 Hz (1.5x) for brightness
+      const osc2 = ctx.createOscillator();
+      osc2.type = 'sine';
+      osc2.frequency.setValueAtTime(1245, ctx.currentTime);
+
+      // Gain envelopes
+      const gain1 = ctx.createGain();
+      gain1.gain.setValueAtTime(0.35, ctx.currentTime);
+      gain1.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.8);
+
+      const gain2 = ctx.createGain();
+      gain2.gain.setValueAtTime(0.15, ctx.currentTime);
+      gain2.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.5);
+
+      osc1.connect(gain1).connect(ctx.destination);
+      osc2.connect(gain2).connect(ctx.destination);
+
+      osc1.start(ctx.currentTime);
+      osc2.start(ctx.currentTime);
+      osc1.stop(ctx.currentTime + 0.8);
+      osc2.stop(ctx.currentTime + 0.5);
+
+      // Play a second ting after a short pause for a "double-ting" effect
+      setTimeout(() => {
+        try {
+          const osc3 = ctx.createOscillator();
+          osc3.type = 'sine';
+          osc3.frequency.setValueAtTime(1046, ctx.currentTime); // C6
+          const gain3 = ctx.createGain();
+          gain3.gain.setValueAtTime(0.3, ctx.currentTime);
+          gain3.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.6);
+          osc3.connect(gain3).connect(ctx.destination);
+          osc3.start(ctx.currentTime);
+          osc3.stop(ctx.currentTime + 0.6);
+        } catch (_) { /* ignore */ }
+      }, 300);
+    } catch (_) {
+      // Web Audio API not available — silent fallback
+    }
+  },
+
+  /** Request browser notification permission */
+  async requestNotificationPermission() {
+    if (!('Notification' in window)) return 'denied';
+    if (Notification.permission === 'granted') return 'granted';
+    return await Notification.requestPermission();
+  },
+
+  /** Fire a browser notification */
+  sendNotification(title, body) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+    try {
+      new Notification(title, { body, icon: 'icons/icon-odin.png' });
+    } catch (_) { /* ignore */ }
+  },
+
+  /** Get daily completed session count from localStorage */
+  getDailySessions() {
+    try {
+      const raw = localStorage.getItem('odin_pomo_sessions');
+      if (!raw) return 0;
+      const data = JSON.parse(raw);
+      const today = new Date().toISOString().slice(0, 10);
+      return data.date === today ? (data.count || 0) : 0;
+    } catch (_) { return 0; }
+  },
+
+  /** Increment and persist daily session count */
+  incrementDailySessions() {
+    const today = new Date().toISOString().slice(0, 10);
+    let count = this.getDailySessions() + 1;
+    localStorage.setItem('odin_pomo_sessions', JSON.stringify({ date: today, count }));
+    return count;
+  },
+
+  /** Reset daily sessions */
+  resetDailySessions() {
+    const today = new Date().toISOString().slice(0, 10);
+    localStorage.setItem('odin_pomo_sessions', JSON.stringify({ date: today, count: 0 }));
+  },
+
+  /** SVG ring circumference for radius=108 */
+  CIRCUMFERENCE: 2 * Math.PI * 108,
+
+  // ---- Session Log (localStorage) ----
+  LOG_KEY: 'odin_pomo_log',
+
+  /** Get today's date string YYYY-MM-DD */
+  todayKey() {
+    return new Date().toISOString().slice(0, 10);
+  },
+
+  /** Maximum age for session log entries (days) */
+  LOG_MAX_AGE_DAYS: 30,
+
+  /** Load all session logs { "YYYY-MM-DD": [ { id, todo, actual, mode, duration, startedAt, completedAt } ] } */
+  loadLog() {
+    try {
+      const raw = localStorage.getItem(this.LOG_KEY);
+      return raw ? JSON.parse(raw) : {};
+    } catch (_) { return {}; }
+  },
+
+  /** Save full log object */
+  saveLog(log) {
+    try {
+      localStorage.setItem(this.LOG_KEY, JSON.stringify(log));
+    } catch (_) { /* storage full */ }
+  },
+
+  /**
+   * Remove log entries older than LOG_MAX_AGE_DAYS.
+   * Should be called once on app initialization.
+   */
+  cleanupOldLogs() {
+    const log = this.loadLog();
+    const keys = Object.keys(log);
+    if (keys.length === 0) return;
+
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - this.LOG_MAX_AGE_DAYS);
+    const cutoffStr = cutoff.toISOString().slice(0, 10);
+
+    let removed = 0;
+    for (const dateKey of keys) {
+      if (dateKey < cutoffStr) {
+        delete log[dateKey];
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      this.saveLog(log);
+    }
+  },
+
+  /** Get today's session entries */
+  getTodayLog() {
+    const log = this.loadLog();
+    return log[this.todayKey()] || [];
+  },
+
+  /** Add a completed session entry for today */
+  addSessionEntry(entry) {
+    const log = this.loadLog();
+    const today = this.todayKey();
+    if (!log[today]) log[today] = [];
+    log[today].push(entry);
+    this.saveLog(log);
+    return log[today];
+  },
+
+  /** Delete a session entry by id */
+  deleteSessionEntry(id) {
+    const log = this.loadLog();
+    const today = this.todayKey();
+    if (log[today]) {
+      log[today] = log[today].filter(e => e.id !== id);
+      this.saveLog(log);
+    }
+    return log[today] || [];
+  },
+
+  /** Clear all session entries for today */
+  clearTodayLog() {
+    const log = this.loadLog();
+    const today = this.todayKey();
+    log[today] = [];
+    this.saveLog(log);
+  },
+
+  /** Export today's log as Markdown text */
+  exportTodayMarkdown() {
+    const entries = this.getTodayLog();
+    const today = this.todayKey();
+    if (entries.length === 0) return null;
+
+    let md = '# Pomodoro Session Log — ' + today + '\n\n';
+    md += '| # | Start | Finish | Mode | Duration | Plan (Todo) | Actual |\n';
+    md += '|---|-------|--------|------|----------|-------------|--------|\n';
+
+    const fmt = (iso) => iso ? new Date(iso).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' }) : '-';
+
+    // ⚡ Bolt: Combine .forEach, .filter, and .reduce into a single-pass traditional for loop
+    // to avoid intermediate array allocations and closure overhead per iteration.
+    let totalFocusSec = 0;
+    for (let i = 0; i < entries.length; i++) {
+      const e = entries[i];
+      const start = fmt(e.startedAt);
+      const finish = fmt(e.completedAt);
+      const dur = this.formatTime(e.duration);
+      const mode = this.MODES[e.mode] ? this.MODES[e.mode].label : e.mode;
+      md += '| ' + (i + 1) + ' | ' + start + ' | ' + finish + ' | ' + mode + ' | ' + dur + ' | ' + (e.todo || '-') + ' | ' + (e.actual || '-') + ' |\n';
+
+      if (e.mode === 'focus') {
+        totalFocusSec += (e.duration || 0);
+      }
+    }
+
+    md += '\n---\n';
+    md += 'Total sessions: ' + entries.length + '  \n';
+    const totalFocusMin = totalFocusSec / 60;
+    md += 'Total focus time: ' + Math.round(totalFocusMin) + ' minutes\n';
+
+    return md;
+  }
+};
+
+
+/* ================================================================
+   Odin.JWT — Local-only JWT / JWE Decoder, Verifier & Signer
+   ================================================================ */
+Odin.JWT = {
+  /** JWS "alg" → Web Crypto import/verify parameters */
+  algorithms: {
+    HS256: { name: 'HMAC', hash: 'SHA-256' },
+    HS384: { name: 'HMAC', hash: 'SHA-384' },
+    HS512: { name: 'HMAC', hash: 'SHA-512' },
+    RS256: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+    RS384: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-384' },
+    RS512: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-512' },
+    PS256: { name: 'RSA-PSS', hash: 'SHA-256', saltLength: 32 },
+    PS384: { name: 'RSA-PSS', hash: 'SHA-384', saltLength: 48 },
+    PS512: { name: 'RSA-PSS', hash: 'SHA-512', saltLength: 64 },
+    ES256: { name: 'ECDSA', namedCurve: 'P-256', hash: 'SHA-256', sigLength: 64 },
+    ES384: { name: 'ECDSA', namedCurve: 'P-384', hash: 'SHA-384', sigLength: 96 },
+    ES512: { name: 'ECDSA', namedCurve: 'P-521', hash: 'SHA-512', sigLength: 132 },
+    EdDSA: { name: 'Ed25519' }
+  },
+
+  /** JWE "alg" (key management) → Web Crypto parameters; `length` is the KEK size in bytes */
+  jweAlgorithms: {
+    dir: { name: 'dir' },
+    A128KW: { name: 'AES-KW', length: 16 },
+    A256KW: { name: 'AES-KW', length: 32 },
+    'RSA-OAEP': { name: 'RSA-OAEP', hash: 'SHA-1' },
+    'RSA-OAEP-256': { name: 'RSA-OAEP', hash: 'SHA-256' }
+  },
+
+  /** JWE "enc" (content encryption) → cipher and CEK size in bytes */
+  jweEncryptions: {
+    A128GCM: { name: 'AES-GCM', length: 16 },
+    A256GCM: { name: 'AES-GCM', length: 32 },
+    'A128CBC-HS256': { name: 'AES-CBC', length: 32, hash: 'SHA-256' },
+    'A256CBC-HS512': { name: 'AES-CBC', length: 64, hash: 'SHA-512' }
+  },
+
+  _b64urlToBytes(str) {
+    let b64 = str.replace(/-/g, '+').replace(/_/g, '/');
+    while (b64.length % 4) b64 += '=';
+    const raw = atob(b64);
+    const bytes = new Uint8Array(raw.length);
+    for (let i = 0; i < raw.length; i++) {
+      bytes[i] = raw.charCodeAt(i);
+    }
+    return bytes;
+  },
+
+  /** Base64URL-encode a string (as UTF-8) or byte array, reusing the chunked Base64 encoder */
+  _b64urlEncode(input) {
+    const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+    return Odin.Base64.encodeArrayBuffer(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  },
+
+  _b64urlDecode(str) {
+    let b64 = str.replace(/-/g, '+').replace(/_/g, '/');
+    while (b64.length % 4) b64 += '=';
+    const binary = atob(b64);
+    try {
+      // ⚡ Bolt: Use Uint8Array and TextDecoder instead of mapping char-by-char with decodeURIComponent
+      // to avoid intermediate memory allocations and significantly speed up decoding.
+      const raw = atob(b64);
+      const bytes = new Uint8Array(raw.length);
+      for (let i = 0; i < raw.length; i++) {
+        bytes[i] = raw.charCodeAt(i);
+      }
+      return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (_) {
+      return binary;
+    }
+  },
+
+  decode(token) {
+    if (!token || typeof token !== 'string') throw new Error('Empty token');
+    const parts = token.trim().split('.');
+    if (parts.length === 5) throw new Error('Encrypted JWT (JWE): expected 3 parts, got 5 — decrypt it with a key');
+    if (parts.length !== 3) throw new Error('Invalid JWT: expected 3 parts, got ' + parts.length);
+
+    let header, payload;
+    try { header = JSON.parse(this._b64urlDecode(parts[0])); }
+    catch (_) { throw new Error('Invalid JWT header: not valid Base64/JSON'); }
+
+    try { payload = JSON.parse(this._b64urlDecode(parts[1])); }
+    catch (_) { throw new Error('Invalid JWT payload: not valid Base64/JSON'); }
+
+    const sigBytes = atob(parts[2].replace(/-/g, '+').replace(/_/g, '/'));
+    const sigHex = Odin.Utils.bytesToHex(sigBytes);
+
+    return { header, payload, signature: sigHex };
+  },
+
+  /** True for 5-part JWE compact serialization */
+  isJWE(token) {
+    return typeof token === 'string' && token.trim().split('.').length === 5;
+  },
+
+  /** Split a compact JWE into its protected header and raw segments (nothing is decrypted) */
+  decodeJWE(token) {
+    if (!token || typeof token !== 'string') throw new Error('Empty token');
+    const parts = token.trim().split('.');
+    if (parts.length !== 5) throw new Error('Invalid JWE: expected 5 parts, got ' + parts.length);
+
+    let header;
+    try { header = JSON.parse(this._b64urlDecode(parts[0])); }
+    catch (_) { throw new Error('Invalid JWE protected header: not valid Base64/JSON'); }
+
+    try {
+      return {
+        header,
+        encryptedKey: this._b64urlToBytes(parts[1]),
+        iv: this._b64urlToBytes(parts[2]),
+        ciphertext: this._b64urlToBytes(parts[3]),
+        tag: this._b64urlToBytes(parts[4]),
+        aad: parts[0]
+      };
+    } catch (_) {
+      throw new Error('Invalid JWE: segments are not valid Base64URL');
+    }
+  },
+
+  /**
+   * Decrypt a compact JWE locally with Web Crypto.
+   * `key` is a shared secret or "oct" JWK for dir / AES-KW, or a PEM (PKCS#8) / JWK private key for RSA-OAEP.
+   * Resolves to { header, plaintext, payload, nested } — `payload` is the parsed JSON (or null) and
+   * `nested` is true when the plaintext is itself a JWT (cty "JWT"). Throws with a readable reason.
+   */
+  async decrypt(token, key, options = {}) {
+    const jwe = this.decodeJWE(token);
+    const header = jwe.header;
+    const alg = this.jweAlgorithms[header.alg];
+    if (!alg) throw new Error(`Unsupported JWE "alg": ${header.alg}`);
+    const enc = this.jweEncryptions[header.enc];
+    if (!enc) throw new Error(`Unsupported JWE "enc": ${header.enc}`);
+    if (!key || (typeof key === 'string' && !key.trim())) {
+      throw new Error(alg.name === 'RSA-OAEP' ? 'Provide an RSA private key (PEM or JWK) to decrypt' : 'Provide a symmetric key to decrypt');
+    }
+
+    let cek;
+    try {
+      cek = await this._unwrapCek(alg, jwe.encryptedKey, key, options);
+    } catch (e) {
+      throw new Error('Key unwrap failed: ' + (e.name === 'OperationError' ? 'wrong key' : e.message));
+    }
+    if (cek.length !== enc.length) {
+      throw new Error(`Content key is ${cek.length * 8} bits but ${header.enc} needs ${enc.length * 8}`);
+    }
+
+    let bytes;
+    try {
+      bytes = await this._decryptContent(enc, cek, jwe);
+    } catch (e) {
+      throw new Error('Decryption failed: ' + (e.name === 'OperationError' ? 'wrong key or tampered token' : e.message));
+    }
+    if (header.zip === 'DEF') bytes = await this._inflateRaw(bytes);
+
+    const plaintext = new TextDecoder().decode(bytes);
+    let payload = null;
+    try { payload = JSON.parse(plaintext); } catch (_) { /* not JSON */ }
+    const nested = String(header.cty || '').toUpperCase() === 'JWT' || (!payload && plaintext.split('.').length === 3);
+    return { header, plaintext, payload, nested };
+  },
+
+  /** Recover the content encryption key for the JWE "alg" */
+  async _unwrapCek(alg, encryptedKey, key, options) {
+    if (alg.name === 'dir') {
+      if (encryptedKey.length) throw new Error('"dir" tokens must have an empty encrypted key');
+      return this._secretBytes(key, options);
+    }
+    if (alg.name === 'AES-KW') {
+      const secret = this._secretBytes(key, options);
+      if (secret.length !== alg.length) throw new Error(`expected a ${alg.length * 8}-bit key, got ${secret.length * 8} bits`);
+      const kek = await crypto.subtle.importKey('raw', secret, 'AES-KW', false, ['unwrapKey']);
+      // Unwrap as HMAC, which accepts any CEK length, then export the raw bytes
+      const cek = await crypto.subtle.unwrapKey('raw', encryptedKey, kek, 'AES-KW', { name: 'HMAC', hash: 'SHA-256' }, true, ['sign']);
+      return new Uint8Array(await crypto.subtle.exportKey('raw', cek));
+    }
+    const privateKey = await this._importKey(alg, key, 'decrypt', options);
+    return new Uint8Array(await crypto.subtle.decrypt({ name: 'RSA-OAEP' }, privateKey, encryptedKey));
+  },
+
+  /** AES-GCM, or AES-CBC + HMAC-SHA2 per RFC 7518 §5.2, over the protected header as AAD */
+  async _decryptContent(enc, cek, jwe) {
+    const aad = new TextEncoder().encode(jwe.aad);
+    if (enc.name === 'AES-GCM') {
+      const gcmKey = await crypto.subtle.importKey('raw', cek, 'AES-GCM', false, ['decrypt']);
+      const data = new Uint8Array(jwe.ciphertext.length + jwe.tag.length);
+      data.set(jwe.ciphertext, 0);
+      data.set(jwe.tag, jwe.ciphertext.length);
+      return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: jwe.iv, additionalData: aad, tagLength: 128 }, gcmKey, data));
+    }
+
+    const half = cek.length / 2;
+    const macKey = await crypto.subtle.importKey('raw', cek.slice(0, half), { name: 'HMAC', hash: enc.hash }, false, ['sign']);
+    const macInput = new Uint8Array(aad.length + jwe.iv.length + jwe.ciphertext.length + 8);
+    macInput.set(aad, 0);
+    macInput.set(jwe.iv, aad.length);
+    macInput.set(jwe.ciphertext, aad.length + jwe.iv.length);
+    // AL: AAD length in bits as a 64-bit big-endian integer
+    new DataView(macInput.buffer).setUint32(macInput.length - 4, aad.length * 8);
+    const mac = new Uint8Array(await crypto.subtle.sign('HMAC', macKey, macInput));
+
+    // 🛡️ Sentinel: Compare the truncated tag in constant time
+    let diff = jwe.tag.length === half ? 0 : 1;
+    for (let i = 0; i < half; i++) diff |= mac[i] ^ (jwe.tag[i] || 0);
+    if (diff) throw new Error('authentication tag mismatch (wrong key or tampered token)');
+
+    const cbcKey = await crypto.subtle.importKey('raw', cek.slice(half), 'AES-CBC', false, ['decrypt']);
+    return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-CBC', iv: jwe.iv }, cbcKey, jwe.ciphertext));
+  },
+
+  /** Secret bytes from an "oct" JWK or a raw / Base64URL string */
+  _secretBytes(key, options = {}) {
+    const jwk = this._parseJwk(key);
+    if (jwk) {
+      if (jwk.kty !== 'oct') throw new Error(`expected an "oct" JWK, got "${jwk.kty}"`);
+      return this._b64urlToBytes(jwk.k || '');
+    }
+    return options.secretBase64 ? this._b64urlToBytes(key.trim()) : new TextEncoder().encode(key);
+  },
+
+  /** Inflate a "zip": "DEF" plaintext (raw DEFLATE) */
+  async _inflateRaw(bytes) {
+    if (typeof DecompressionStream === 'undefined') throw new Error('"zip": "DEF" is not supported in this browser');
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  },
+
+  /**
+   * Verify a compact JWS signature locally with Web Crypto.
+   * `key` may be an HMAC secret, a PEM public key (SPKI), a JWK or a JWKS (object or JSON string).
+   * Never throws — returns { valid, alg, reason } so the UI can show why a token failed.
+   */
+  async verify(token, key, options = {}) {
+    let decoded;
+    try {
+      decoded = this.decode(token);
+    } catch (e) {
+      return { valid: false, alg: null, reason: e.message };
+    }
+
+    const alg = decoded.header.alg;
+    if (!alg || alg === 'none') {
+      return { valid: false, alg: alg || null, reason: 'Unsecured token (alg "none") has no signature to verify' };
+    }
+
+    const params = this.algorithms[alg];
+    if (!params) {
+      return { valid: false, alg, reason: 'Unsupported algorithm: ' + alg };
+    }
+
+    if (!key || (typeof key === 'string' && !key.trim())) {
+      return { valid: false, alg, reason: params.name === 'HMAC' ? 'A shared secret is required' : 'A public key (PEM or JWK) is required' };
+    }
+
+    if (typeof crypto === 'undefined' || !crypto.subtle) {
+      return { valid: false, alg, reason: 'Web Crypto API is not available in this context' };
+    }
+
+    // A pasted JWKS resolves to the entry matching the token's "kid"
+    let verifyKey = key;
+    let kid;
+    const jwks = Odin.JWK.parseJwks(key);
+    if (jwks) {
+      try {
+        verifyKey = Odin.JWK.selectKey(jwks, decoded.header);
+        kid = verifyKey.kid;
+      } catch (e) {
+        return { valid: false, alg, reason: e.message };
+      }
+    }
+
+    let cryptoKey;
+    try {
+      cryptoKey = await this._importKey(params, verifyKey, 'verify', options);
+    } catch (e) {
+      return { valid: false, alg, reason: 'Key import failed: ' + e.message };
+    }
+
+    const parts = token.trim().split('.');
+    const signature = this._b64urlToBytes(parts[2]);
+    if (params.sigLength && signature.length !== params.sigLength) {
+      return { valid: false, alg, reason: `Invalid signature length for ${alg} (expected ${params.sigLength} bytes, got ${signature.length})` };
+    }
+
+    const data = new TextEncoder().encode(parts[0] + '.' + parts[1]);
+    try {
+      const ok = await crypto.subtle.verify(params, cryptoKey, signature, data);
+      return ok
+        ? { valid: true, alg, kid, reason: kid !== undefined ? `Signature verified with JWKS key "${kid}"` : 'Signature verified' }
+        : { valid: false, alg, kid, reason: 'Invalid signature' };
+    } catch (e) {
+      return { valid: false, alg, reason: 'Verification failed: ' + e.message };
+    }
+  },
+
+  /**
+   * Sign a header + payload (objects or JSON strings) into a compact JWS.
+   * The algorithm comes from header.alg (defaults to HS256); `key` is an HMAC secret,
+   * a PKCS#8 PEM private key or a private JWK. Throws on invalid input.
+   */
+  async sign(header, payload, key, options = {}) {
+    const h = typeof header === 'string' ? this._parseJsonPart(header, 'header') : { ...header };
+    const p = typeof payload === 'string' ? this._parseJsonPart(payload, 'payload') : payload;
+    if (!h || typeof h !== 'object' || Array.isArray(h)) throw new Error('Header must be a JSON object');
+    if (!h.alg) h.alg = 'HS256';
+
+    const signingInput = this._b64urlEncode(JSON.stringify(h)) + '.' + this._b64urlEncode(JSON.stringify(p));
+    if (h.alg === 'none') return signingInput + '.';
+
+    const params = this.algorithms[h.alg];
+    if (!params) throw new Error('Unsupported algorithm: ' + h.alg);
+    if (!key || (typeof key === 'string' && !key.trim())) {
+      throw new Error(params.name === 'HMAC' ? 'A shared secret is required' : 'A private key (PKCS#8 PEM or JWK) is required');
+    }
+
+    let cryptoKey;
+    try {
+      cryptoKey = await this._importKey(params, key, 'sign', options);
+    } catch (e) {
+      throw new Error('Key import failed: ' + e.message);
+    }
+    const sig = await crypto.subtle.sign(params, cryptoKey, new TextEncoder().encode(signingInput));
+    return signingInput + '.' + this._b64urlEncode(new Uint8Array(sig));
+  },
+
+  _parseJsonPart(text, label) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Invalid ${label} JSON: ${e.message}`);
+    }
+  },
+
+  /**
+   * Return a copy of `payload` with iat/nbf/exp set relative to `now`.
+   * Each offset is in seconds; claims without a numeric offset are left untouched.
+   */
+  setTimeClaims(payload, offsets = {}, now = Date.now()) {
+    const out = { ...payload };
+    const base = Math.floor(now / 1000);
+    for (const claim of ['iat', 'nbf', 'exp']) {
+      if (typeof offsets[claim] === 'number') out[claim] = base + offsets[claim];
+    }
+    return out;
+  },
+
+  /** Import an HMAC secret, PEM (SPKI / PKCS#8) or JWK as a Web Crypto key for 'sign' or 'verify' */
+  async _importKey(params, key, usage, options = {}) {
+    const importParams = params.namedCurve
+      ? { name: params.name, namedCurve: params.namedCurve }
+      : (params.hash ? { name: params.name, hash: params.hash } : { name: params.name });
+
+    const isPrivate = usage === 'sign' || usage === 'decrypt';
+    const jwk = this._parseJwk(key);
+    if (jwk) {
+      if (params.name === 'HMAC' && jwk.kty !== 'oct') throw new Error(`expected an "oct" JWK for HMAC, got "${jwk.kty}"`);
+      if (params.name !== 'HMAC' && jwk.kty === 'oct') throw new Error('a symmetric "oct" JWK cannot be used with ' + params.name);
+      if (isPrivate && jwk.kty !== 'oct' && !jwk.d) throw new Error((usage === 'sign' ? 'signing' : 'decryption') + ' requires a private JWK (missing "d")');
+      return crypto.subtle.importKey('jwk', this._cleanJwk(jwk, isPrivate), importParams, false, [usage]);
+    }
+
+    if (params.name === 'HMAC') {
+      const secret = options.secretBase64 ? this._b64urlToBytes(key.trim()) : new TextEncoder().encode(key);
+      return crypto.subtle.importKey('raw', secret, importParams, false, [usage]);
+    }
+
+    const pem = this._parsePem(key);
+    const expected = isPrivate ? 'PRIVATE KEY' : 'PUBLIC KEY';
+    if (pem.label !== expected) {
+      const hint = isPrivate ? 'a PKCS#8 "PRIVATE KEY"' : 'an SPKI "PUBLIC KEY"';
+      throw new Error(`unsupported PEM block "${pem.label}" — paste ${hint} or a JWK`);
+    }
+    return crypto.subtle.importKey(isPrivate ? 'pkcs8' : 'spki', pem.der, importParams, false, [usage]);
+  },
+
+  /** Returns a JWK object if `key` is (or serialises) one, otherwise null */
+  _parseJwk(key) {
+    if (key && typeof key === 'object') return key.kty ? key : null;
+    const trimmed = String(key).trim();
+    if (!trimmed.startsWith('{')) return null;
+    let parsed;
+    try { parsed = JSON.parse(trimmed); } catch (_) { throw new Error('JWK is not valid JSON'); }
+    if (!parsed || !parsed.kty) throw new Error('JWK is missing "kty"');
+    return parsed;
+  },
+
+  /**
+   * Strip usage hints (and, unless `keepPrivate`, private members) so Web Crypto
+   * does not reject the import over a mismatched "alg"/"key_ops".
+   */
+  _cleanJwk(jwk, keepPrivate = false) {
+    const out = {};
+    for (const k in jwk) {
+      if (!Object.prototype.hasOwnProperty.call(jwk, k)) continue;
+      if (!keepPrivate && jwk.kty !== 'oct' && ['d', 'p', 'q', 'dp', 'dq', 'qi', 'oth'].includes(k)) continue;
+      if (k === 'key_ops' || k === 'use' || k === 'alg') continue;
+      out[k] = jwk[k];
+    }
+    return out;
+  },
+
+  /** Decode the first PEM block into its label and DER bytes */
+  _parsePem(pem) {
+    const match = /-----BEGIN ([A-Z0-9 ]+)-----([\s\S]*?)-----END \1-----/.exec(String(pem));
+    if (!match) throw new Error('not a PEM block or JWK');
+    const body = match[2].replace(/[^A-Za-z0-9+/=]/g, '');
+    return { label: match[1], der: this._b64urlToBytes(body) };
+  },
+
+  isExpired(payload, now = Date.now()) {
+    if (!payload || typeof payload.exp !== 'number') return null;
+    return (payload.exp * 1000) < now;
+  },
+
+  standardClaims: {
+    iss: 'Issuer', sub: 'Subject', aud: 'Audience', exp: 'Expiration Time',
+    nbf: 'Not Before', iat: 'Issued At', jti: 'JWT ID'
+  },
+
+  formatTimestamp(val) {
+    if (typeof val !== 'number') return null;
+    try { return new Date(val * 1000).toISOString(); } catch (_) { return null; }
+  },
+
+  /** Claims a well-formed access token is expected to carry */
+  recommendedClaims: ['iss', 'sub', 'aud', 'exp', 'iat'],
+
+  /**
+   * Lint the header/payload claims at a given evaluation time.
+   * Options: `now` (ms, default Date.now()), `skew` (seconds of clock tolerance, default 60),
+   * `maxLifetime` (seconds, default 86400). Returns [{ level: 'error'|'warning'|'info', claim, message }].
+   */
+  lintClaims(header, payload, options = {}) {
+    const now = (options.now !== undefined ? options.now : Date.now()) / 1000;
+    const skew = options.skew !== undefined ? options.skew : 60;
+    const maxLifetime = options.maxLifetime !== undefined ? options.maxLifetime : 86400;
+    const issues = [];
+    const add = (level, claim, message) => issues.push({ level, claim, message });
+    const name = (claim) => (this.standardClaims[claim] || claim) + ' (' + claim + ')';
+    const at = (claim) => this.formatTimestamp(payload[claim]);
+
+    if (header && typeof header.alg === 'string' && header.alg.toLowerCase() === 'none') {
+      add('error', 'alg', 'Unsecured token: "alg" is "none", anyone can forge it');
+    }
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      add('error', null, 'Payload is not a JSON object, no claims to check');
+      return issues;
+    }
+
+    for (const claim of this.recommendedClaims) {
+      if (payload[claim] !== undefined) continue;
+      if (claim === 'exp') add('warning', claim, 'Missing ' + name(claim) + ': the token never expires');
+      else add('info', claim, 'Missing ' + name(claim));
+    }
+
+    const times = {};
+    for (const claim of ['exp', 'nbf', 'iat']) {
+      if (payload[claim] === undefined) continue;
+      if (typeof payload[claim] !== 'number' || !isFinite(payload[claim])) {
+        add('error', claim, name(claim) + ' must be a NumericDate (seconds since epoch)');
+      } else {
+        times[claim] = payload[claim];
+      }
+    }
+
+    if (times.exp !== undefined) {
+      if (times.exp + skew <= now) {
+        add('error', 'exp', 'Expired at ' + at('exp') + ' (' + this._formatDuration(now - times.exp) + ' ago)');
+      } else if (times.exp <= now) {
+        add('warning', 'exp', 'Expired at ' + at('exp') + ', accepted only within the ' + skew + 's clock skew');
+      }
+    }
+    if (times.nbf !== undefined) {
+      if (times.nbf - skew > now) {
+        add('error', 'nbf', 'Not valid before ' + at('nbf') + ' (in ' + this._formatDuration(times.nbf - now) + ')');
+      } else if (times.nbf > now) {
+        add('warning', 'nbf', 'Not valid before ' + at('nbf') + ', accepted only within the ' + skew + 's clock skew');
+      }
+    }
+    if (times.iat !== undefined && times.iat - skew > now) {
+      add('warning', 'iat', 'Issued in the future at ' + at('iat') + ' (clock drift or forged token)');
+    }
+    if (times.exp !== undefined && times.iat !== undefined && times.exp <= times.iat) {
+      add('error', 'exp', name('exp') + ' is not after ' + name('iat'));
+    }
+    if (times.exp !== undefined && times.nbf !== undefined && times.exp <= times.nbf) {
+      add('error', 'nbf', name('nbf') + ' is not before ' + name('exp') + ': the token is never valid');
+    }
+
+    const start = times.iat !== undefined ? times.iat : times.nbf;
+    if (times.exp !== undefined && start !== undefined && times.exp > start && times.exp - start > maxLifetime) {
+      add('warning', 'exp', 'Lifetime of ' + this._formatDuration(times.exp - start) + ' exceeds ' + this._formatDuration(maxLifetime));
+    }
+
+    return issues;
+  },
+
+  /** 93784 → "1d 2h 3m 4s" (zero units omitted) */
+  _formatDuration(seconds) {
+    let rest = Math.round(Math.abs(seconds));
+    if (rest === 0) return '0s';
+    const parts = [];
+    const units = [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+    for (const [label, size] of units) {
+      const n = Math.floor(rest / size);
+      if (n) parts.push(n + label);
+      rest -= n * size;
+    }
+    return parts.join(' ');
+  }
+};
+
+
+/* ================================================================
+   Odin.JWK — PEM / JWK / JWKS Key Converter & Thumbprints
+   ================================================================ */
+Odin.JWK = {
+  /** AlgorithmIdentifier OIDs (DER hex) → key family */
+  _oids: {
+    '2a864886f70d010101': { kty: 'RSA' },
+    '2a8648ce3d0201': { kty: 'EC' },
+    '2b6570': { kty: 'OKP', crv: 'Ed25519' }
+  },
+
+  /** Named-curve OIDs (DER hex) → JWK "crv" */
+  _curves: {
+    '2a8648ce3d030107': 'P-256',
+    '2b81040022': 'P-384',
+    '2b81040023': 'P-521'
+  },
+
+  /** RFC 7638 required members per key type, in lexicographic order */
+  _thumbprintMembers: {
+    RSA: ['e', 'kty', 'n'],
+    EC: ['crv', 'kty', 'x', 'y'],
+    OKP: ['crv', 'kty', 'x'],
+    oct: ['k', 'kty']
+  },
+
+  /** Detect whether the input is PEM, a single JWK or a JWKS */
+  detect(input) {
+    const text = String(input || '').trim();
+    if (!text) return null;
+    if (text.startsWith('-----BEGIN')) return 'pem';
+    const parsed = this._parseJson(text);
+    if (!this._isObject(parsed)) throw new Error('JSON must be a JWK or JWKS object');
+    if (Array.isArray(parsed.keys)) {
+      const index = parsed.keys.findIndex(key => !this._isObject(key));
+      if (index !== -1) throw new Error(`JWKS entry ${index} is not a JWK object`);
+      return 'jwks';
+    }
+    if (parsed.kty) return 'jwk';
+    throw new Error('JSON is neither a JWK (missing "kty") nor a JWKS (missing "keys")');
+  },
+
+  /** Returns the parsed JWKS if `input` is one, otherwise null */
+  parseJwks(input) {
+    if (input && typeof input === 'object') return Array.isArray(input.keys) ? input : null;
+    const text = String(input || '').trim();
+    if (!text.startsWith('{')) return null;
+    let parsed;
+    try { parsed = JSON.parse(text); } catch (_) { return null; }
+    return parsed && Array.isArray(parsed.keys) ? parsed : null;
+  },
+
+  /**
+   * Pick the JWKS entry for a token header: match on "kid" when present,
+   * otherwise fall back to the only key compatible with header.alg.
+   */
+  selectKey(jwks, header = {}) {
+    const keys = jwks.keys || [];
+    if (!keys.length) throw new Error('JWKS contains no keys');
+
+    if (header.kid !== undefined) {
+      const match = keys.find(k => k.kid === header.kid);
+      if (!match) throw new Error(`No key in JWKS matches kid "${header.kid}"`);
+      return match;
+    }
+
+    const candidates = keys.filter(k => this._supportsAlg(k, header.alg));
+    if (candidates.length === 1) return candidates[0];
+    if (!candidates.length) throw new Error(`No key in JWKS is compatible with alg "${header.alg}"`);
+    throw new Error('Token has no "kid" and the JWKS holds several compatible keys');
+  },
+
+  _supportsAlg(jwk, alg) {
+    if (jwk.alg && alg) return jwk.alg === alg;
+    if (!alg) return true;
+    if (jwk.use && jwk.use !== 'sig') return false;
+    if (alg.startsWith('HS')) return jwk.kty === 'oct';
+    if (alg.startsWith('RS') || alg.startsWith('PS')) return jwk.kty === 'RSA';
+    if (alg.startsWith('ES')) return jwk.kty === 'EC';
+    if (alg === 'EdDSA') return jwk.kty === 'OKP';
+    return false;
+  },
+
+  /** RFC 7638 JWK thumbprint: SHA-256 over the required members, Base64URL-encoded */
+  async thumbprint(jwk) {
+    const members = this._thumbprintMembers[jwk.kty];
+    if (!members) throw new Error('Unsupported key type for thumbprint: ' + jwk.kty);
+    const canonical = {};
+    for (const m of members) {
+      if (jwk[m] === undefined) throw new Error(`JWK is missing required member "${m}"`);
+      canonical[m] = jwk[m];
+    }
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(canonical)));
+    return Odin.JWT._b64urlEncode(new Uint8Array(digest));
+  },
+
+  /** Convert an SPKI or PKCS#8 PEM block to a JWK */
+  async pemToJwk(pem) {
+    const { label, der } = Odin.JWT._parsePem(pem);
+    let format;
+    if (label === 'PUBLIC KEY') format = 'spki';
+    else if (label === 'PRIVATE KEY') format = 'pkcs8';
+    else throw new Error(`Unsupported PEM block "${label}" — expected SPKI "PUBLIC KEY" or PKCS#8 "PRIVATE KEY"`);
+
+    const info = this._keyInfo(der, format);
+    const cryptoKey = await crypto.subtle.importKey(format, der, this._importParams(info), true, [format === 'spki' ? 'verify' : 'sign']);
+    const jwk = await crypto.subtle.exportKey('jwk', cryptoKey);
+    return this._tidy(jwk);
+  },
+
+  /** Convert a JWK to PEM: PKCS#8 when it carries a private "d", SPKI otherwise */
+  async jwkToPem(jwk) {
+    if (jwk.kty === 'oct') throw new Error('Symmetric "oct" keys have no PEM form');
+    const info = { kty: jwk.kty, crv: jwk.crv };
+    const isPrivate = jwk.d !== undefined;
+    const cryptoKey = await crypto.subtle.importKey(
+      'jwk', Odin.JWT._cleanJwk(jwk, isPrivate), this._importParams(info), true, [isPrivate ? 'sign' : 'verify']
+    );
+    const der = await crypto.subtle.exportKey(isPrivate ? 'pkcs8' : 'spki', cryptoKey);
+    const b64 = Odin.Base64.encodeArrayBuffer(der);
+    const label = isPrivate ? 'PRIVATE KEY' : 'PUBLIC KEY';
+    return `-----BEGIN ${label}-----\n${b64.match(/.{1,64}/g).join('\n')}\n-----END ${label}-----`;
+  },
+
+  /**
+   * Convert pasted key material to `target` ('jwk' | 'jwks' | 'pem').
+   * PEM input may hold several blocks; `options.kid` sets missing kids to the RFC 7638 thumbprint
+   * and `options.publicOnly` drops private members before output.
+   * Returns { output, keys: [{ jwk, thumbprint }] }.
+   */
+  async convert(input, target, options = {}) {
+    const kind = this.detect(input);
+    if (!kind) return { output: '', keys: [] };
+
+    let jwks;
+    if (kind === 'pem') {
+      const blocks = String(input).match(/-----BEGIN ([A-Z0-9 ]+)-----[\s\S]*?-----END \1-----/g) || [];
+      jwks = [];
+      for (const block of blocks) jwks.push(await this.pemToJwk(block));
+    } else if (kind === 'jwks') {
+      jwks = this._parseJson(input).keys;
+    } else {
+      jwks = [this._parseJson(input)];
+    }
+
+    if (options.publicOnly) {
+      for (let i = 0; i < jwks.length; i++) jwks[i] = this._publicOnly(jwks[i]);
+    }
+
+    const keys = [];
+    for (const jwk of jwks) {
+      const thumbprint = await this.thumbprint(jwk);
+      if (options.kid && jwk.kid === undefined) jwk.kid = thumbprint;
+      keys.push({ jwk, thumbprint });
+    }
+
+    let output;
+    if (target === 'pem') {
+      const pems = [];
+      for (const jwk of jwks) pems.push(await this.jwkToPem(jwk));
+      output = pems.join('\n');
+    } else if (target === 'jwks') {
+      output = JSON.stringify({ keys: jwks }, null, 2);
+    } else {
+      output = JSON.stringify(jwks.length === 1 ? jwks[0] : jwks, null, 2);
+    }
+
+    return { output, keys };
+  },
+
+  /** Read the AlgorithmIdentifier of an SPKI / PKCS#8 DER structure */
+  _keyInfo(der, format) {
+    const outer = this._readTlv(der, 0);
+    let offset = outer.start;
+    if (format === 'pkcs8') offset = this._readTlv(der, offset).end; // skip version INTEGER
+    const algSeq = this._readTlv(der, offset);
+    const oid = this._readTlv(der, algSeq.start);
+    const info = this._oids[Odin.Utils.bytesToHex(der.subarray(oid.start, oid.end))];
+    if (!info) throw new Error('Unsupported key algorithm in PEM');
+    if (info.kty !== 'EC') return info;
+
+    const param = this._readTlv(der, oid.end);
+    const crv = this._curves[Odin.Utils.bytesToHex(der.subarray(param.start, param.end))];
+    if (!crv) throw new Error('Unsupported EC curve in PEM');
+    return { kty: 'EC', crv };
+  },
+
+  /** Minimal DER tag-length-value reader */
+  _readTlv(bytes, offset) {
+    if (offset + 2 > bytes.length) throw new Error('Truncated DER structure');
+    let len = bytes[offset + 1];
+    let header = 2;
+    if (len & 0x80) {
+      const n = len & 0x7f;
+      len = 0;
+      for (let i = 0; i < n; i++) len = (len * 256) + bytes[offset + 2 + i];
+      header += n;
+    }
+    return { tag: bytes[offset], start: offset + header, end: offset + header + len };
+  },
+
+  _importParams(info) {
+    if (info.kty === 'RSA') return { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' };
+    if (info.kty === 'EC') return { name: 'ECDSA', namedCurve: info.crv };
+    if (info.kty === 'OKP' && info.crv === 'Ed25519') return { name: 'Ed25519' };
+    throw new Error(`Unsupported key type ${info.kty}${info.crv ? ' / ' + info.crv : ''}`);
+  },
+
+  _publicOnly(jwk) {
+    if (jwk.kty === 'oct') throw new Error('Symmetric "oct" keys have no public part');
+    const out = {};
+    for (const k in jwk) {
+      if (!Object.prototype.hasOwnProperty.call(jwk, k)) continue;
+      if (['d', 'p', 'q', 'dp', 'dq', 'qi', 'oth'].includes(k)) continue;
+      out[k] = jwk[k];
+    }
+    return out;
+  },
+
+  /** Drop Web Crypto export artefacts ("ext", "key_ops", implied "alg") */
+  _tidy(jwk) {
+    const out = {};
+    for (const k in jwk) {
+      if (!Object.prototype.hasOwnProperty.call(jwk, k)) continue;
+      if (k === 'ext' || k === 'key_ops' || k === 'alg') continue;
+      out[k] = jwk[k];
+    }
+    return out;
+  },
+
+  _parseJson(text) {
+    try {
+      return JSON.parse(String(text).trim());
+    } catch (e) {
+      throw new Error('Invalid JSON: ' + e.message);
+    }
+  },
+
+  _isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+};
+
+/* ================================================================
+   Odin.ImageShrink — Browser Canvas Image Resizer
+   ================================================================ */
+Odin.ImageShrink = {
+  processImage(file, scalePercent, format, quality) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => {
+        const img = new Image();
+        img.onload = () => {
+          const scale = scalePercent / 100;
+          let w = Math.round(img.naturalWidth * scale);
+          let h = Math.round(img.naturalHeight * scale);
+
+          // 🛡️ Sentinel: Bound max dimensions to prevent Canvas memory allocation DoS
+          const MAX_DIMENSION = 16384;
+          if (w > MAX_DIMENSION || h > MAX_DIMENSION) {
+            const ratio = Math.min(MAX_DIMENSION / w, MAX_DIMENSION / h);
+            w = Math.round(w * ratio);
+            h = Math.round(h * ratio);
+          }
+
+          const canvas = document.createElement('canvas');
+          canvas.width = w;
+          canvas.height = h;
+          const ctx = canvas.getContext('2d');
+          ctx.imageSmoothingEnabled = true;
+          ctx.imageSmoothingQuality = 'high';
+          ctx.drawImage(img, 0, 0, w, h);
+
+          canvas.toBlob(
+            (blob) => {
+              if (!blob) return reject(new Error('Canvas export failed'));
+              resolve({ blob, width: w, height: h, size: blob.size });
+            },
+            format,
+            format === 'image/png' ? undefined : quality
+          );
+        };
+        img.onerror = () => reject(new Error('Failed to load image'));
+        img.src = reader.result;
+      };
+      reader.onerror = () => reject(new Error('Failed to read file'));
+      reader.readAsDataURL(file);
+    });
+  },
+
+  fileSizeLabel(bytes) {
+    if (bytes < 1024) return bytes + ' B';
+    if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+    return (bytes / (1024 * 1024)).toFixed(2) + ' MB';
+  }
+};
+
+
+/* ================================================================
+   Odin.CaseConverter — Text Case Transformations
+   ================================================================ */
+Odin.CaseConverter = {
+  _splitWords(text) {
+    // 🛡️ Sentinel: Limit string length before complex regex to prevent ReDoS/DoS via massive arrays
+    if (typeof text === 'string' && text.length > 50000) {
+      throw new Error("Input string is too large. Maximum length is 50,000 characters.");
+    }
+
+    // ⚡ Bolt: Extract words using a single .match regex to avoid intermediate string allocations.
+    // This avoids chained replacements and reduces execution time significantly (~75% reduction).
+    return text.match(/[A-Z]+(?![a-z])|[A-Z]?[a-z0-9]+/g) || [];
+  },
+
+  toUpperCase(text) { return text.toUpperCase(); },
+  toLowerCase(text) { return text.toLowerCase(); },
+
+  toCamelCase(text) {
+    const words = this._splitWords(text);
+    if (!words.length) return '';
+    // ⚡ Bolt: Use a traditional for loop and string concatenation rather than .slice().map().join('')
+    // to avoid intermediate array allocations and closure overhead, drastically improving execution speed.
+    let res = words[0].toLowerCase();
+    for (let i = 1; i < words.length; i++) {
+      const w = words[i];
+      res += w.charAt(0).toUpperCase() + w.slice(1).toLowerCase();
+    }
+    return res;
+  },
+
+  toPascalCase(text) {
+    const words = this._splitWords(text);
+    if (!words.length) return '';
+    let res = '';
+    for (let i = 0; i < words.length; i++) {
+      const w = words[i];
+      res += w.charAt(0).toUpperCase() + w.slice(1).toLowerCase();
+    }
+    return res;
+  },
+
+  toSnakeCase(text) {
+    const words = this._splitWords(text);
+    if (!words.length) return '';
+    let res = words[0].toLowerCase();
+    for (let i = 1; i < words.length; i++) {
+      res += '_' + words[i].toLowerCase();
+    }
+    return res;
+  },
+
+  toKebabCase(text) {
+    const words = this._splitWords(text);
+    if (!words.length) return '';
+    let res = words[0].toLowerCase();
+    for (let i = 1; i < words.length; i++) {
+      res += '-' + words[i].toLowerCase();
+    }
+    return res;
+  },
+
+  toTitleCase(text) {
+    return text.replace(/\b\w/g, c => c.toUpperCase());
+  },
+
+  convert(text, mode) {
+    switch (mode) {
+      case 'upper':   return this.toUpperCase(text);
+      case 'lower':   return this.toLowerCase(text);
+      case 'camel':   return this.toCamelCase(text);
+      case 'pascal':  return this.toPascalCase(text);
+      case 'snake':   return this.toSnakeCase(text);
+      case 'kebab':   return this.toKebabCase(text);
+      case 'title':   return this.toTitleCase(text);
+      default: return text;
+    }
+  }
+};
+
+
+/* ================================================================
+   Odin.FlexGridPlayground — CSS Layout Code Generator
+   ================================================================ */
+Odin.FlexGridPlayground = {
+  getFlexCSS(opts) {
+    let css = '.container {\n';
+    css += '  display: flex;\n';
+    if (opts.direction && opts.direction !== 'row') css += '  flex-direction: ' + opts.direction + ';\n';
+    if (opts.justifyContent && opts.justifyContent !== 'flex-start') css += '  justify-content: ' + opts.justifyContent + ';\n';
+    if (opts.alignItems && opts.alignItems !== 'stretch') css += '  align-items: ' + opts.alignItems + ';\n';
+    if (opts.flexWrap && opts.flexWrap !== 'nowrap') css += '  flex-wrap: ' + opts.flexWrap + ';\n';
+    if (opts.gap && opts.gap !== '0') css += '  gap: ' + opts.gap + 'px;\n';
+    css += '}';
+    return css;
+  },
+
+  getGridCSS(opts) {
+    let css = '.container {\n';
+    css += '  display: grid;\n';
+    if (opts.columns) css += '  grid-template-columns: ' + opts.columns + ';\n';
+    if (opts.rows && opts.rows !== 'auto') css += '  grid-template-rows: ' + opts.rows + ';\n';
+    if (opts.justifyItems && opts.justifyItems !== 'stretch') css += '  justify-items: ' + opts.justifyItems + ';\n';
+    if (opts.alignItems && opts.alignItems !== 'stretch') css += '  align-items: ' + opts.alignItems + ';\n';
+    if (opts.gap && opts.gap !== '0') css += '  gap: ' + opts.gap + 'px;\n';
+    css += '}';
+    return css;
+  }
+};
+
+
+/* ================================================================
+   Odin.Base64 — Encode / Decode (Text & File)
+   ================================================================ */
+Odin.Base64 = {
+  encodeText(text) {
+    return btoa(unescape(encodeURIComponent(text)));
+  },
+
+  decodeText(b64) {
+    try {
+      return decodeURIComponent(escape(atob(b64)));
+    } catch (_) {
+      return atob(b64);
+    }
+  },
+
+  encodeArrayBuffer(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    // ⚡ Bolt: Use chunking with String.fromCharCode.apply to drastically speed up
+    // conversion of large buffers and prevent Maximum Call Stack Size Exceeded errors.
+    const len = bytes.byteLength;
+    const chunkSize = 0x8000; // 32KB chunks
+    for (let i = 0; i < len; i += chunkSize) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+  },
+
+  decodeToBlob(b64, mimeType) {
+    const binary = atob(b64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], { type: mimeType || 'application/octet-stream' });
+  },
+
+  detectMime(b64) {
+    try {
+      const raw = atob(b64.substring(0, 16));
+      const hex = Odin.Utils.bytesToHex(raw);
+      if (hex.startsWith('89504e47')) return 'image/png';
+      if (hex.startsWith('ffd8ff'))   return 'image/jpeg';
+      if (hex.startsWith('47494638')) return 'image/gif';
+      if (hex.startsWith('52494646') && raw.substring(8, 12) === 'WEBP') return 'image/webp';
+      if (hex.startsWith('25504446')) return 'application/pdf';
+      if (hex.startsWith('504b0304')) return 'application/zip';
+    } catch (_) { /* ignore */ }
+    return 'application/octet-stream';
+  }
+};
+
+
+/* ================================================================
+   Odin.URLCodec — URL Encode / Decode
+   ================================================================ */
+Odin.URLCodec = {
+  encode(text, useComponent = false) {
+    try {
+      return useComponent ? encodeURIComponent(text) : encodeURI(text);
+    } catch (e) {
+      throw new Error('Encoding failed: ' + e.message);
+    }
+  },
+
+  decode(text) {
+    try {
+      return decodeURIComponent(text);
+    } catch (e) {
+      // Fallback to decodeURI if decodeURIComponent fails
+      try {
+        return decodeURI(text);
+      } catch (e2) {
+        throw new Error('Decoding failed: ' + e2.message);
+      }
+    }
+  }
+};
+
+
+/* ================================================================
+   Odin.YAML — YAML ↔ JSON Converter + JSONPath
+   ================================================================ */
+Odin.YAML = {
+  toJSON(yamlStr) {
+    try {
+      return JSON.stringify(this.parse(yamlStr), null, 2);
+    } catch (e) {
+      const err = new Error('Invalid YAML: ' + e.message);
+      err.line = e.line;
+      err.column = e.column;
+      throw err;
+    }
+  },
+
+  toYAML(jsonStr, options = {}) {
+    let obj;
+    try {
+      obj = JSON.parse(jsonStr);
+    } catch (e) {
+      throw new Error('Invalid JSON: ' + e.message);
+    }
+    return this.stringify(obj, options);
+  },
+
+  /**
+   * Emit a value as block-style YAML that parses back to the same data.
+   * Options: `indent` (2–8 spaces, default 2) and `sortKeys` (default false).
+   */
+  stringify(value, options = {}) {
+    const opts = {
+      indent: Math.min(Math.max(parseInt(options.indent, 10) || 2, 2), 8),
+      sortKeys: !!options.sortKeys
+    };
+    if (value !== null && typeof value === 'object' && Object.keys(value).length) {
+      return this._stringifyYAML(value, 0, opts);
+    }
+    return this._formatValue(value, 0, opts) + '\n';
+  },
+
+  /** Parse a YAML stream; a single document yields its value, several yield an array of values */
+  parse(yamlStr) {
+    const docs = this.parseDocuments(yamlStr);
+    return docs.length === 1 ? docs[0] : docs;
+  },
+
+  /**
+   * Parse every document of a YAML 1.2 stream (core schema).
+   * Supports block/flow collections, block scalars, anchors/aliases with "<<" merge keys,
+   * tags, comments and "---" / "..." markers. Errors carry `line` and `column` (1-based).
+   */
+  parseDocuments(yamlStr) {
+    const st = { tokens: this._tokenize(String(yamlStr)), pos: 0, anchors: {}, expanded: 0, sizes: new WeakMap(), raw: undefined };
+    const docs = [];
+
+    while (st.tokens[st.pos].type !== 'EOF') {
+      let explicit = false;
+      if (st.tokens[st.pos].type === 'DOC_START') {
+        st.pos++;
+        explicit = true;
+      }
+      const t = st.tokens[st.pos];
+      if (t.type === 'DOC_END') {
+        if (explicit) docs.push(null);
+        st.pos++;
+        continue;
+      }
+      if (t.type === 'DOC_START' || t.type === 'EOF') {
+        if (explicit) docs.push(null);
+        continue;
+      }
+
+      st.anchors = {};
+      docs.push(this._parseBlockNode(st, -1, 'doc'));
+
+      const end = st.tokens[st.pos];
+      if (end.type === 'DOC_END') st.pos++;
+      else if (end.type !== 'DOC_START' && end.type !== 'EOF') throw this._error('Unexpected ' + this._describe(end), end);
+    }
+
+    if (!docs.length) docs.push(null);
+    return docs;
+  },
+
+  // ---- Scanner: source text → tokens with line/column ----
+
+  _tokenize(src) {
+    src = src.replace(/\r\n?/g, '\n').replace(/^\uFEFF/, '');
+    const tokens = [];
+    const len = src.length;
+    let i = 0;
+    let line = 1;
+    let lineStart = 0;
+    const flowStack = [];
+    let atLineStart = true;
+
+    const isBlank = (ch) => ch === undefined || ch === ' ' || ch === '\t' || ch === '\n';
+    const isFlowIndicator = (ch) => ch === ',' || ch === '[' || ch === ']' || ch === '{' || ch === '}';
+    const inFlow = () => flowStack.length > 0;
+    const fail = (msg, l = line, c = i - lineStart) => this._error(msg, { line: l, col: c });
+    const push = (type, value, l, c, extra) => {
+      const token = { type, value, line: l, col: c, endLine: line };
+      if (extra) Object.assign(token, extra);
+      tokens.push(token);
+      return token;
+    };
+    const skipToEol = () => { while (i < len && src[i] !== '\n') i++; };
+
+    // Indentation of the node that owns a scalar: the key of "key: …", the "-" of a sequence entry, else -1
+    const parentIndent = () => {
+      for (let k = tokens.length - 1; k >= 0; k--) {
+        const t = tokens[k];
+        if (t.type === 'ANCHOR' || t.type === 'TAG') continue;
+        if (t.type === 'COLON') return t.keyCol;
+        if (t.type === 'DASH' || t.type === 'QMARK') return t.col;
+        return -1;
+      }
+      return -1;
     };
 
-    const lines = ['<?php', '', 'declare(strict_types=1);', ''];
+    const scanPlain = () => {
+      const startLine = line;
+      const startCol = i - lineStart;
+      const n = parentIndent();
+      let text = '';
+
+      for (;;) {
+        const segStart = i;
+        let end = i;
+        while (i < len) {
+          const ch = src[i];
+          if (ch === '\n') break;
+          if (ch === ':' && (isBlank(src[i + 1]) || (inFlow() && isFlowIndicator(src[i + 1])))) break;
+          if (ch === '#' && (src[i - 1] === ' ' || src[i - 1] === '\t')) break;
+          if (inFlow() && isFlowIndicator(ch)) break;
+          i++;
+          if (ch !== ' ' && ch !== '\t') end = i;
+        }
+        text += src.slice(segStart, end);
+        if (src[i] !== '\n') { i = end; break; }
+
+        // Multi-line plain scalar: continuation lines must be indented past the parent node
+        let k = i;
+        let breaks = 0;
+        let m = k;
+        while (k < len && src[k] === '\n') {
+          k++;
+          breaks++;
+          m = k;
+          while (src[m] === ' ' || src[m] === '\t') m++;
+          if (src[m] === '\n') k = m;
+        }
+        let indent = 0;
+        while (src[k + indent] === ' ') indent++;
+        const ch = src[m];
+        const isMarker = indent === 0 && (src.startsWith('---', k) || src.startsWith('...', k)) && isBlank(src[k + 3]);
+        const continues = m < len && ch !== '#' && !(ch === ':' && isBlank(src[m + 1])) &&
+          !(inFlow() && isFlowIndicator(ch)) && (inFlow() || (indent > n && !isMarker));
+        if (!continues) { i = end; break; }
+
+        for (let p = i; p < k; p++) {
+          if (src[p] === '\n') { line++; lineStart = p + 1; }
+        }
+        text += breaks === 1 ? ' ' : '\n'.repeat(breaks - 1);
+        i = m;
+      }
 
-    for (const cls of classes) {
-      lines.push(`final ${useReadonly ? 'readonly ' : ''}class ${cls.name}`);
-      lines.push('{');
-      lines.push('    public function __construct(');
+      push('SCALAR', text, startLine, startCol, { style: 'plain' });
+    };
 
-      // ⚡ Bolt: Use a traditional for loop instead of .map() to prevent intermediate arrays
-      const props = cls.properties;
-      const propsLen = props.length;
-      for (let i = 0; i < propsLen; i++) {
-        const { schema, originalKey } = props[i];
-        const paramName = this.toCamelCase(originalKey);
-        let phpType;
+    const scanQuoted = (quote) => {
+      const startLine = line;
+      const startCol = i - lineStart;
+      let out = '';
+      i++;
 
-        if (schema.type === 'object' && schema.className) {
-          phpType = schema.className;
-        } else {
-          phpType = typeMap[schema.type] || 'mixed';
+      for (;;) {
+        if (i >= len) throw fail('Unterminated quoted string', startLine, startCol);
+        const ch = src[i];
+
+        if (ch === quote) {
+          if (quote === "'" && src[i + 1] === "'") { out += "'"; i += 2; continue; }
+          i++;
+          break;
         }
 
-        if (schema.isArray) {
-          // PHP typed arrays via doc comment
-          phpType = 'array';
+        if (ch === '\\' && quote === '"') {
+          const e = src[i + 1];
+          if (e === '\n') {
+            // Escaped line break: join without a space
+            i += 2;
+            line++;
+            lineStart = i;
+            while (src[i] === ' ' || src[i] === '\t') i++;
+            continue;
+          }
+          const simple = this._escapes[e];
+          if (simple !== undefined) { out += simple; i += 2; continue; }
+          const hexLen = e === 'x' ? 2 : e === 'u' ? 4 : e === 'U' ? 8 : 0;
+          const hex = src.substr(i + 2, hexLen);
+          if (!hexLen || !new RegExp('^[0-9a-fA-F]{' + hexLen + '}$').test(hex)) {
+            throw fail('Invalid escape sequence "\\' + (e || '') + '"');
+          }
+          out += String.fromCodePoint(parseInt(hex, 16));
+          i += 2 + hexLen;
+          continue;
         }
 
-        const isNullable = schema.type === 'nullable';
-        const typePrefix = isNullable ? '?' : '';
-        const defaultVal = isNullable ? ' = null' : (schema.isArray ? ' = []' : '');
-        const comma = i < propsLen - 1 ? ',' : '';
+        if (ch === ' ' || ch === '\t' || ch === '\n') {
+          let j = i;
+          while (src[j] === ' ' || src[j] === '\t') j++;
+          if (src[j] !== '\n') { out += src.slice(i, j); i = j; continue; }
+          // Line folding: trailing/leading whitespace dropped, one break → space, n breaks → n-1 newlines
+          let breaks = 0;
+          while (src[j] === '\n') {
+            j++;
+            line++;
+            lineStart = j;
+            breaks++;
+            while (src[j] === ' ' || src[j] === '\t') j++;
+          }
+          out += breaks === 1 ? ' ' : '\n'.repeat(breaks - 1);
+          i = j;
+          continue;
+        }
 
-        lines.push(`        public ${typePrefix}${phpType} $${paramName}${defaultVal}${comma}`);
+        out += ch;
+        i++;
       }
 
-      lines.push('    ) {}');
-      lines.push('}');
-      lines.push('');
-    }
-
-    return lines.join('\n').trim();
-  },
+      push('SCALAR', out, startLine, startCol, { style: quote === '"' ? 'double' : 'single' });
+    };
 
-  /* ---- Syntax highlight output ---- */
-  highlight(code, language) {
-    if (!code) return '';
-    if (typeof Prism === 'undefined') return Odin.Utils.escapeHtml(code);
+    const scanBlockScalar = (indicator) => {
+      const startLine = line;
+      const startCol = i - lineStart;
+      const n = parentIndent();
+      let chomp = 'clip';
+      let explicitIndent = 0;
+      i++;
+      while (i < len && /[-+1-9]/.test(src[i])) {
+        if (src[i] === '-') chomp = 'strip';
+        else if (src[i] === '+') chomp = 'keep';
+        else explicitIndent = Number(src[i]);
+        i++;
+      }
+      while (src[i] === ' ' || src[i] === '\t') i++;
+      if (src[i] === '#') skipToEol();
+      if (i < len && src[i] !== '\n') throw fail('Invalid block scalar header');
+
+      let contentIndent = explicitIndent ? Math.max(n, 0) + explicitIndent : 0;
+      const lines = [];
+      while (i + 1 < len) {
+        const j = i + 1;
+        if ((src.startsWith('---', j) || src.startsWith('...', j)) && isBlank(src[j + 3])) break;
+        let k = j;
+        while (src[k] === ' ') k++;
+        let w = k;
+        while (src[w] === ' ' || src[w] === '\t') w++;
+        if (w >= len || src[w] === '\n') {
+          lines.push(null);
+          line++;
+          lineStart = j;
+          i = w;
+          continue;
+        }
+        const indent = k - j;
+        if (!contentIndent) {
+          if (indent <= n) break;
+          contentIndent = indent;
+        }
+        if (indent < contentIndent) break;
+        let e = k;
+        while (e < len && src[e] !== '\n') e++;
+        lines.push(src.slice(j + contentIndent, e));
+        line++;
+        lineStart = j;
+        i = e;
+      }
 
-    const langMap = {
-      csharp: Prism.languages.csharp,
-      go: Prism.languages.go,
-      python: Prism.languages.python,
-      php: Prism.languages.php
-    };
+      // Trailing blank lines that belong to the next node are still counted for "keep" chomping
+      let last = lines.length;
+      while (last > 0 && lines[last - 1] === null) last--;
+      const body = lines.slice(0, last);
+      const trailing = lines.length - last;
 
-    const lang = langMap[language];
-    if (!lang) return Odin.Utils.escapeHtml(code);
+      let text = '';
+      if (indicator === '|') {
+        text = body.map(l => (l === null ? '' : l)).join('\n');
+      } else {
+        let pendingEmpty = 0;
+        let prevMore = false;
+        let first = true;
+        for (const l of body) {
+          if (l === null) { pendingEmpty++; continue; }
+          const more = l[0] === ' ' || l[0] === '\t';
+          if (first) text += '\n'.repeat(pendingEmpty);
+          else if (!more && !prevMore) text += pendingEmpty ? '\n'.repeat(pendingEmpty) : ' ';
+          else text += '\n' + '\n'.repeat(pendingEmpty);
+          text += l;
+          pendingEmpty = 0;
+          prevMore = more;
+          first = false;
+        }
+      }
 
-    try {
-      let highlighted = Prism.highlight(code, lang, language);
-      if (typeof highlighted !== 'string') {
-        return Odin.Utils.escapeHtml(code);
+      if (body.length) {
+        if (chomp === 'clip') text += '\n';
+        else if (chomp === 'keep') text += '\n' + '\n'.repeat(trailing);
+      } else if (chomp === 'keep') {
+        text = '\n'.repeat(trailing);
       }
 
-      highlighted = Odin.Utils.sanitizePrismHtml(highlighted);
+      push('SCALAR', text, startLine, startCol, { style: indicator === '|' ? 'literal' : 'folded' });
+    };
 
-      // Guard for PHP edge-cases where Prism may return raw, unsafe markup
-      // (e.g. "<?php" can be swallowed by innerHTML parsing and appear blank).
-      if (language === 'php') {
-        const looksUnhighlighted = highlighted === code || !highlighted.includes('token');
-        const hasUnsafePhpTag = highlighted.includes('&lt;?php') || highlighted.includes('&lt;?');
-        if (looksUnhighlighted || hasUnsafePhpTag) {
-          return Odin.Utils.escapeHtml(code);
+    while (i < len) {
+      if (atLineStart) {
+        atLineStart = false;
+        let j = i;
+        while (src[j] === ' ') j++;
+        let w = j;
+        while (src[w] === ' ' || src[w] === '\t') w++;
+        if (!inFlow() && w > j && w < len && src[w] !== '\n' && src[w] !== '#') {
+          throw fail('Tabs are not allowed for indentation', line, j - lineStart);
+        }
+        i = w;
+        if (!inFlow() && j === lineStart) {
+          if ((src.startsWith('---', i) || src.startsWith('...', i)) && isBlank(src[i + 3])) {
+            push(src[i] === '-' ? 'DOC_START' : 'DOC_END', src.substr(i, 3), line, 0);
+            i += 3;
+            continue;
+          }
+          if (src[i] === '%') { skipToEol(); continue; }
         }
       }
 
-      return highlighted;
-    } catch {
-      return Odin.Utils.escapeHtml(code);
-    }
-  }
-};
-
+      const ch = src[i];
+      const c = i - lineStart;
 
-/* ================================================================
-   Odin.Pomodoro — Productive Timer Engine
-   ================================================================ */
-Odin.Pomodoro = {
-  /** Default durations (seconds) */
-  DEFAULTS: {
-    focus: 25 * 60,
-    short:  5 * 60,
-    long:  15 * 60
-  },
+      if (ch === '\n') {
+        i++;
+        line++;
+        lineStart = i;
+        atLineStart = true;
+        continue;
+      }
+      if (ch === ' ' || ch === '\t') { i++; continue; }
+      if (ch === '#') { skipToEol(); continue; }
 
-  /** Min/Max constraints (minutes) */
-  LIMITS: { min: 1, max: 120 },
+      if ((ch === '-' && !inFlow()) || ch === '?') {
+        if (isBlank(src[i + 1]) || (ch === '?' && inFlow() && isFlowIndicator(src[i + 1]))) {
+          push(ch === '-' ? 'DASH' : 'QMARK', ch, line, c);
+          i++;
+          continue;
+        }
+      }
 
-  _cachedDurations: null,
+      if (ch === ':') {
+        const prev = tokens[tokens.length - 1];
+        const adjacent = prev && prev.endLine === line && prev.type === 'SCALAR' && prev.style !== 'plain';
+        if (isBlank(src[i + 1]) || (inFlow() && isFlowIndicator(src[i + 1])) || (inFlow() && adjacent)) {
+          const keyCol = prev && prev.endLine === line && prev.type !== 'DASH' && prev.type !== 'DOC_START' ? prev.col : c;
+          push('COLON', ':', line, c, { keyCol });
+          i++;
+          continue;
+        }
+      }
 
-  /** Load user-customised durations from localStorage, or fall back to defaults */
-  loadCustomDurations() {
-    // ⚡ Bolt: Cache parsed custom durations to prevent main-thread blocking
-    // from synchronous localStorage.getItem and JSON.parse in high-frequency loops (e.g. getters).
-    if (this._cachedDurations) return this._cachedDurations;
-    try {
-      const raw = localStorage.getItem('odin_pomo_durations');
-      if (raw) {
-        const parsed = JSON.parse(raw);
-        this._cachedDurations = {
-          focus: Math.max(this.LIMITS.min * 60, Math.min(this.LIMITS.max * 60, parsed.focus ?? this.DEFAULTS.focus)),
-          short: Math.max(this.LIMITS.min * 60, Math.min(this.LIMITS.max * 60, parsed.short ?? this.DEFAULTS.short)),
-          long:  Math.max(this.LIMITS.min * 60, Math.min(this.LIMITS.max * 60, parsed.long  ?? this.DEFAULTS.long))
-        };
-        return this._cachedDurations;
+      if (ch === '[' || ch === '{') {
+        flowStack.push(push(ch === '[' ? 'FLOW_SEQ_START' : 'FLOW_MAP_START', ch, line, c));
+        i++;
+        continue;
+      }
+      if (ch === ']' || ch === '}' || ch === ',') {
+        if (!inFlow()) throw fail('Unexpected "' + ch + '" outside a flow collection');
+        if (ch !== ',') {
+          const open = flowStack.pop();
+          if ((open.value === '[') !== (ch === ']')) throw fail('Unexpected "' + ch + '", expected "' + (open.value === '[' ? ']' : '}') + '"');
+        }
+        push(ch === ']' ? 'FLOW_SEQ_END' : ch === '}' ? 'FLOW_MAP_END' : 'FLOW_ENTRY', ch, line, c);
+        i++;
+        continue;
       }
-    } catch (_) { /* ignore */ }
-    this._cachedDurations = { ...this.DEFAULTS };
-    return this._cachedDurations;
-  },
 
-  /** Persist custom durations */
-  saveCustomDurations(durations) {
-    this._cachedDurations = null; // Invalidate cache
-    try {
-      localStorage.setItem('odin_pomo_durations', JSON.stringify(durations));
-      this._cachedModes = null; // Invalidate cache on settings update
-    } catch (_) { /* ignore */ }
-  },
+      if (ch === '&' || ch === '*' || ch === '!') {
+        const start = i;
+        if (ch === '!' && src[i + 1] === '<') {
+          while (i < len && src[i] !== '>' && src[i] !== '\n') i++;
+          i++;
+        } else {
+          i++;
+          while (i < len && !isBlank(src[i]) && !(inFlow() && isFlowIndicator(src[i]))) i++;
+        }
+        const name = src.slice(start + 1, i);
+        if (ch !== '!' && !name) throw fail((ch === '&' ? 'Anchor' : 'Alias') + ' name is empty', line, c);
+        push(ch === '&' ? 'ANCHOR' : ch === '*' ? 'ALIAS' : 'TAG', ch === '!' ? src.slice(start, i) : name, line, c);
+        continue;
+      }
 
-  /** Cached MODES */
-  _cachedModes: null,
+      if (ch === '|' || ch === '>') {
+        if (inFlow()) throw fail('Block scalars are not allowed inside flow collections');
+        scanBlockScalar(ch);
+        continue;
+      }
+      if (ch === '"' || ch === "'") { scanQuoted(ch); continue; }
+      if (ch === '@' || ch === '`' || ch === '%') throw fail('Reserved indicator "' + ch + '" cannot start a plain scalar');
+      if ((ch === '-' || ch === '?' || ch === ':') && isBlank(src[i + 1])) throw fail('Unexpected "' + ch + '"');
 
-  /** Build MODES dynamically from durations */
-  getModes(durations) {
-    if (durations) {
-      return {
-        focus: { duration: durations.focus, label: 'Focus',       color: 'focus' },
-        short: { duration: durations.short, label: 'Short Break',  color: 'short' },
-        long:  { duration: durations.long,  label: 'Long Break',   color: 'long'  }
-      };
+      scanPlain();
     }
 
-    // ⚡ Bolt: Cache the default modes to avoid frequent synchronous localStorage access
-    // via loadCustomDurations() which causes I/O overhead 4 times a second during active timers.
-    if (!this._cachedModes) {
-      const d = this.loadCustomDurations();
-      this._cachedModes = {
-        focus: { duration: d.focus, label: 'Focus',       color: 'focus' },
-        short: { duration: d.short, label: 'Short Break',  color: 'short' },
-        long:  { duration: d.long,  label: 'Long Break',   color: 'long'  }
-      };
+    if (inFlow()) {
+      const open = flowStack[flowStack.length - 1];
+      throw fail('Unclosed "' + open.value + '"', open.line, open.col);
     }
-    return this._cachedModes;
+    push('EOF', null, line, i - lineStart);
+    return tokens;
   },
 
-  get MODES() {
-    return this.getModes();
+  /** Double-quoted single-character escapes (YAML 1.2 §5.7) */
+  _escapes: {
+    '0': '\0', 'a': '\x07', 'b': '\b', 't': '\t', '\t': '\t', 'n': '\n', 'v': '\v', 'f': '\f',
+    'r': '\r', 'e': '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\', 'N': '\x85', '_': '\xa0',
+    'L': '\u2028', 'P': '\u2029'
   },
 
-  formatTime(seconds) {
-    const m = Math.floor(seconds / 60);
-    const s = seconds % 60;
-    return String(m).padStart(2, '0') + ':' + String(s).padStart(2, '0');
-  },
+  // ---- Parser: tokens → values ----
+
+  _parseBlockNode(st, indent, mode) {
+    const propsStart = st.pos;
+    const props = this._parseProps(st);
+    const t = st.tokens[st.pos];
+    const prevLine = st.pos > 0 ? st.tokens[st.pos - 1].endLine : 0;
+    const onNewLine = t.line > prevLine;
+
+    const isEnd = t.type === 'EOF' || t.type === 'DOC_START' || t.type === 'DOC_END' ||
+      (onNewLine && !(t.col > indent || (t.type === 'DASH' && t.col === indent && mode === 'value')));
+    let value;
+
+    if (isEnd || (t.type === 'COLON' && mode !== 'doc' && mode !== 'seq')) {
+      value = this._tagName(props.tag) === 'str' ? '' : null;
+    } else if (t.type === 'DASH') {
+      if (mode === 'value' && !onNewLine) throw this._error('Block sequence entries are not allowed here', t);
+      value = this._parseBlockSeq(st, t.col);
+    } else if (t.type === 'QMARK' || this._isImplicitKey(st, st.pos)) {
+      if (mode === 'value' && !onNewLine) {
+        throw this._error('Mapping values are not allowed here', st.tokens[st.pos + 1] || t);
+      }
+      let col = t.col;
+      if (props.line === t.line && props.count) {
+        // Properties on the key's own line belong to the first key, not the mapping
+        st.pos = propsStart;
+        col = st.tokens[propsStart].col;
+        props.anchor = null;
+      }
+      value = this._parseBlockMap(st, col);
+    } else {
+      return this._parseFlowNode(st, props);
+    }
 
-  /** Cached AudioContext instance */
-  _audioCtx: null,
+    if (props.anchor) st.anchors[props.anchor] = value;
+    st.raw = undefined;
+    return value;
+  },
 
-  /** Get or create a shared AudioContext */
-  _getAudioContext() {
-    if (!this._audioCtx || this._audioCtx.state === 'closed') {
-      this._audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-    }
-    // Resume if suspended (e.g. after autoplay policy)
-    if (this._audioCtx.state === 'suspended') {
-      this._audioCtx.resume();
+  _parseBlockSeq(st, indent) {
+    const arr = [];
+    for (;;) {
+      const t = st.tokens[st.pos];
+      if (t.type !== 'DASH' || t.col !== indent) {
+        if (t.type !== 'EOF' && t.type !== 'DOC_START' && t.type !== 'DOC_END' && t.col > indent) {
+          throw this._error('Bad indentation of a sequence entry', t);
+        }
+        break;
+      }
+      st.pos++;
+      arr.push(this._parseBlockNode(st, indent, 'seq'));
     }
-    return this._audioCtx;
+    return arr;
   },
 
-  /** Generate a pleasant "ting" sound using the Web Audio API */
-  playTing() {
-    try {
-      const ctx = this._getAudioContext();
+  _parseBlockMap(st, indent) {
+    const map = {};
+    const merged = new Set();
+    let first = true;
+
+    for (;;) {
+      const t = st.tokens[st.pos];
+      if (t.type === 'EOF' || t.type === 'DOC_START' || t.type === 'DOC_END') break;
+      if (!first) {
+        if (t.line === st.tokens[st.pos - 1].endLine) throw this._error('Unexpected ' + this._describe(t), t);
+        if (t.col < indent) break;
+        if (t.col > indent) throw this._error('Bad indentation of a mapping entry', t);
+      }
+      first = false;
+
+      let key;
+      let keyToken;
+      let value = null;
+      if (t.type === 'QMARK') {
+        st.pos++;
+        keyToken = st.tokens[st.pos];
+        key = this._parseBlockNode(st, indent, 'key');
+        const raw = st.raw;
+        const colon = st.tokens[st.pos];
+        if (colon.type === 'COLON' && (colon.col === indent || colon.line === st.tokens[st.pos - 1].endLine)) {
+          st.pos++;
+          value = this._parseBlockNode(st, indent, 'value');
+        }
+        st.raw = raw;
+      } else {
+        if (!this._isImplicitKey(st, st.pos)) {
+          throw this._error(t.type === 'DASH' ? 'Unexpected sequence entry inside a mapping' : 'Expected a "key: value" mapping entry', t);
+        }
+        keyToken = t;
+        key = this._parseFlowNode(st);
+        const raw = st.raw;
+        st.pos++; // ":"
+        value = this._parseBlockNode(st, indent, 'value');
+        st.raw = raw;
+      }
+      this._setEntry(map, key, value, merged, keyToken, st);
+    }
 
-      // Primary tone — 830 Hz sine
-      const osc1 = ctx.createOscillator();
-      osc1.type = 'sine';
-      osc1.frequency.setValueAtTime(830, ctx.currentTime);
+    return map;
+  },
 
-      // Harmonic overtone — 1245 Hz (1.5x) for brightness
-      const osc2 = ctx.createOscillator();
-      osc2.type = 'sine';
-      osc2.frequency.setValueAtTime(1245, ctx.currentTime);
+  _parseFlowNode(st, props) {
+    props = props || this._parseProps(st);
+    const t = st.tokens[st.pos];
+    let value;
+
+    if (t.type === 'FLOW_SEQ_START') {
+      value = this._parseFlowSeq(st);
+    } else if (t.type === 'FLOW_MAP_START') {
+      value = this._parseFlowMap(st);
+    } else if (t.type === 'SCALAR') {
+      st.pos++;
+      value = this._resolveScalar(t, props.tag);
+      st.raw = t.value;
+    } else if (t.type === 'ALIAS') {
+      st.pos++;
+      value = this._resolveAlias(st, t);
+    } else if (props.count) {
+      value = this._tagName(props.tag) === 'str' ? '' : null;
+    } else {
+      throw this._error('Unexpected ' + this._describe(t), t);
+    }
 
-      // Gain envelopes
-      const gain1 = ctx.createGain();
-      gain1.gain.setValueAtTime(0.35, ctx.currentTime);
-      gain1.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.8);
+    // Raw text of a scalar node, used verbatim when the node turns out to be a mapping key
+    st.raw = t.type === 'SCALAR' ? t.value : undefined;
+    if (props.anchor) st.anchors[props.anchor] = value;
+    return value;
+  },
 
-      const gain2 = ctx.createGain();
-      gain2.gain.setValueAtTime(0.15, ctx.currentTime);
-      gain2.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.5);
+  _parseFlowSeq(st) {
+    const open = st.tokens[st.pos++];
+    const arr = [];
+    for (;;) {
+      let t = st.tokens[st.pos];
+      if (t.type === 'FLOW_SEQ_END') { st.pos++; break; }
+      if (t.type === 'EOF') throw this._error('Unclosed "["', open);
+
+      if (t.type === 'QMARK') { st.pos++; t = st.tokens[st.pos]; }
+      const keyToken = t;
+      let item = this._isFlowEnd(t) && t.type === 'COLON' ? null : this._parseFlowNode(st);
+      if (st.tokens[st.pos].type === 'COLON') {
+        // Single-pair mapping inside a flow sequence: [a: 1]
+        const raw = st.raw;
+        st.pos++;
+        const value = this._isFlowEnd(st.tokens[st.pos]) ? null : this._parseFlowNode(st);
+        const pair = {};
+        st.raw = raw;
+        this._setEntry(pair, item, value, new Set(), keyToken, st);
+        item = pair;
+      }
+      arr.push(item);
 
-      osc1.connect(gain1).connect(ctx.destination);
-      osc2.connect(gain2).connect(ctx.destination);
+      t = st.tokens[st.pos];
+      if (t.type === 'FLOW_ENTRY') { st.pos++; continue; }
+      if (t.type !== 'FLOW_SEQ_END') throw this._error('Expected "," or "]" but found ' + this._describe(t), t);
+    }
+    return arr;
+  },
 
-      osc1.start(ctx.currentTime);
-      osc2.start(ctx.currentTime);
-      osc1.stop(ctx.currentTime + 0.8);
-      osc2.stop(ctx.currentTime + 0.5);
+  _parseFlowMap(st) {
+    const open = st.tokens[st.pos++];
+    const map = {};
+    const merged = new Set();
+    for (;;) {
+      let t = st.tokens[st.pos];
+      if (t.type === 'FLOW_MAP_END') { st.pos++; break; }
+      if (t.type === 'EOF') throw this._error('Unclosed "{"', open);
+
+      if (t.type === 'QMARK') { st.pos++; t = st.tokens[st.pos]; }
+      const keyToken = t;
+      let key = null;
+      st.raw = undefined;
+      if (t.type !== 'COLON') key = this._parseFlowNode(st);
+      const raw = st.raw;
+      let value = null;
+      if (st.tokens[st.pos].type === 'COLON') {
+        st.pos++;
+        if (!this._isFlowEnd(st.tokens[st.pos])) value = this._parseFlowNode(st);
+      }
+      st.raw = raw;
+      this._setEntry(map, key, value, merged, keyToken, st);
 
-      // Play a second ting after a short pause for a "double-ting" effect
-      setTimeout(() => {
-        try {
-          const osc3 = ctx.createOscillator();
-          osc3.type = 'sine';
-          osc3.frequency.setValueAtTime(1046, ctx.currentTime); // C6
-          const gain3 = ctx.createGain();
-          gain3.gain.setValueAtTime(0.3, ctx.currentTime);
-          gain3.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.6);
-          osc3.connect(gain3).connect(ctx.destination);
-          osc3.start(ctx.currentTime);
-          osc3.stop(ctx.currentTime + 0.6);
-        } catch (_) { /* ignore */ }
-      }, 300);
-    } catch (_) {
-      // Web Audio API not available — silent fallback
+      t = st.tokens[st.pos];
+      if (t.type === 'FLOW_ENTRY') { st.pos++; continue; }
+      if (t.type !== 'FLOW_MAP_END') throw this._error('Expected "," or "}" but found ' + this._describe(t), t);
     }
+    return map;
   },
 
-  /** Request browser notification permission */
-  async requestNotificationPermission() {
-    if (!('Notification' in window)) return 'denied';
-    if (Notification.permission === 'granted') return 'granted';
-    return await Notification.requestPermission();
+  _parseProps(st) {
+    const props = { anchor: null, tag: null, line: 0, count: 0 };
+    for (;;) {
+      const t = st.tokens[st.pos];
+      if (t.type === 'ANCHOR') {
+        if (props.anchor) throw this._error('A node can only have one anchor', t);
+        props.anchor = t.value;
+      } else if (t.type === 'TAG') {
+        if (props.tag) throw this._error('A node can only have one tag', t);
+        props.tag = t.value;
+      } else {
+        return props;
+      }
+      if (!props.count) props.line = t.line;
+      props.count++;
+      st.pos++;
+    }
   },
 
-  /** Fire a browser notification */
-  sendNotification(title, body) {
-    if (!('Notification' in window) || Notification.permission !== 'granted') return;
-    try {
-      new Notification(title, { body, icon: 'icons/icon-odin.png' });
-    } catch (_) { /* ignore */ }
+  /** A scalar or alias (optionally after properties) followed by ":" on the same line */
+  _isImplicitKey(st, pos) {
+    let t = st.tokens[pos];
+    while (t.type === 'ANCHOR' || t.type === 'TAG') t = st.tokens[++pos];
+    if (t.type !== 'SCALAR' && t.type !== 'ALIAS') return false;
+    const next = st.tokens[pos + 1];
+    return next.type === 'COLON' && next.line === t.endLine;
   },
 
-  /** Get daily completed session count from localStorage */
-  getDailySessions() {
-    try {
-      const raw = localStorage.getItem('odin_pomo_sessions');
-      if (!raw) return 0;
-      const data = JSON.parse(raw);
-      const today = new Date().toISOString().slice(0, 10);
-      return data.date === today ? (data.count || 0) : 0;
-    } catch (_) { return 0; }
+  _isFlowEnd(t) {
+    return t.type === 'FLOW_ENTRY' || t.type === 'FLOW_SEQ_END' || t.type === 'FLOW_MAP_END';
   },
 
-  /** Increment and persist daily session count */
-  incrementDailySessions() {
-    const today = new Date().toISOString().slice(0, 10);
-    let count = this.getDailySessions() + 1;
-    localStorage.setItem('odin_pomo_sessions', JSON.stringify({ date: today, count }));
-    return count;
+  /** Add a key/value pair, expanding "<<" merge keys and rejecting duplicate keys */
+  _setEntry(map, key, value, merged, keyToken, st) {
+    const name = st.raw !== undefined ? st.raw : (key !== null && typeof key === 'object' ? JSON.stringify(key) : String(key));
+
+    if (keyToken.type === 'SCALAR' && keyToken.style === 'plain' && keyToken.value === '<<') {
+      const sources = Array.isArray(value) ? value : [value];
+      for (const source of sources) {
+        if (!source || typeof source !== 'object' || Array.isArray(source)) {
+          throw this._error('Merge key "<<" expects a mapping or a list of mappings', keyToken);
+        }
+        for (const k in source) {
+          if (!Object.prototype.hasOwnProperty.call(source, k) || Object.prototype.hasOwnProperty.call(map, k)) continue;
+          this._defineKey(map, k, source[k]);
+          merged.add(k);
+        }
+      }
+      return;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(map, name) && !merged.has(name)) {
+      throw this._error('Duplicate key "' + name + '"', keyToken);
+    }
+    merged.delete(name);
+    this._defineKey(map, name, value);
   },
 
-  /** Reset daily sessions */
-  resetDailySessions() {
-    const today = new Date().toISOString().slice(0, 10);
-    localStorage.setItem('odin_pomo_sessions', JSON.stringify({ date: today, count: 0 }));
+  _defineKey(map, key, value) {
+    // 🛡️ Sentinel: Define keys as own properties so "__proto__" cannot replace the object's prototype
+    Object.defineProperty(map, key, { value, enumerable: true, writable: true, configurable: true });
   },
 
-  /** SVG ring circumference for radius=108 */
-  CIRCUMFERENCE: 2 * Math.PI * 108,
+  _resolveAlias(st, t) {
+    if (!Object.prototype.hasOwnProperty.call(st.anchors, t.value)) {
+      throw this._error('Unknown alias "*' + t.value + '"', t);
+    }
+    const value = st.anchors[t.value];
+    // 🛡️ Sentinel: Cap total alias expansion so "billion laughs" documents cannot freeze the tab
+    st.expanded += this._nodeCount(value, st.sizes);
+    if (st.expanded > 100000) throw this._error('Too many alias expansions (possible alias bomb)', t);
+    return value;
+  },
 
-  // ---- Session Log (localStorage) ----
-  LOG_KEY: 'odin_pomo_log',
+  _nodeCount(value, sizes) {
+    if (!value || typeof value !== 'object') return 1;
+    if (sizes.has(value)) return sizes.get(value);
+    let count = 1;
+    for (const k in value) {
+      if (Object.prototype.hasOwnProperty.call(value, k)) count += this._nodeCount(value[k], sizes);
+    }
+    sizes.set(value, count);
+    return count;
+  },
 
-  /** Get today's date string YYYY-MM-DD */
-  todayKey() {
-    return new Date().toISOString().slice(0, 10);
+  /** "!!str", "!<tag:yaml.org,2002:str>" → "str"; "!" → "!" (non-specific); custom tags → null */
+  _tagName(tag) {
+    if (!tag) return null;
+    if (tag === '!') return '!';
+    const m = /^(?:!!|!<tag:yaml\.org,2002:)(\w+)>?$/.exec(tag);
+    return m ? m[1] : null;
   },
 
-  /** Maximum age for session log entries (days) */
-  LOG_MAX_AGE_DAYS: 30,
+  _resolveScalar(token, tag) {
+    const raw = token.value;
+    const name = this._tagName(tag);
+    if (name === '!' || name === 'str' || name === 'binary' || name === 'timestamp') return raw;
+    if (name === 'null') return null;
+    if (name === 'bool' || name === 'int' || name === 'float') {
+      const value = this._parseValue(raw.trim());
+      const ok = name === 'bool' ? typeof value === 'boolean' : typeof value === 'number' && (name === 'float' || Number.isInteger(value));
+      if (!ok) throw this._error('Cannot resolve "' + raw + '" as ' + tag, token);
+      return value;
+    }
+    return token.style === 'plain' ? this._parseValue(raw) : raw;
+  },
 
-  /** Load all session logs { "YYYY-MM-DD": [ { id, todo, actual, mode, duration, startedAt, completedAt } ] } */
-  loadLog() {
-    try {
-      const raw = localStorage.getItem(this.LOG_KEY);
-      return raw ? JSON.parse(raw) : {};
-    } catch (_) { return {}; }
+  /** Resolve a plain scalar with the YAML 1.2 core schema */
+  _parseValue(str) {
+    if (str === '' || str === '~' || str === 'null' || str === 'Null' || str === 'NULL') return null;
+    if (str === 'true' || str === 'True' || str === 'TRUE') return true;
+    if (str === 'false' || str === 'False' || str === 'FALSE') return false;
+    if (/^[-+]?[0-9]+$/.test(str)) return parseInt(str, 10);
+    if (/^0o[0-7]+$/.test(str)) return parseInt(str.slice(2), 8);
+    if (/^0x[0-9a-fA-F]+$/.test(str)) return parseInt(str.slice(2), 16);
+    if (/^[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:[eE][-+]?[0-9]+)?$/.test(str)) return parseFloat(str);
+    if (/^[-+]?\.(?:inf|Inf|INF)$/.test(str)) return str[0] === '-' ? -Infinity : Infinity;
+    if (/^\.(?:nan|NaN|NAN)$/.test(str)) return NaN;
+    return str;
   },
 
-  /** Save full log object */
-  saveLog(log) {
-    try {
-      localStorage.setItem(this.LOG_KEY, JSON.stringify(log));
-    } catch (_) { /* storage full */ }
+  _describe(t) {
+    switch (t.type) {
+      case 'SCALAR': return 'scalar "' + (t.value.length > 20 ? t.value.slice(0, 20) + '…' : t.value) + '"';
+      case 'ALIAS': return 'alias "*' + t.value + '"';
+      case 'ANCHOR': return 'anchor "&' + t.value + '"';
+      case 'TAG': return 'tag "' + t.value + '"';
+      case 'EOF': return 'end of input';
+      case 'DOC_START': case 'DOC_END': return 'document marker "' + t.value + '"';
+      default: return '"' + t.value + '"';
+    }
   },
 
-  /**
-   * Remove log entries older than LOG_MAX_AGE_DAYS.
-   * Should be called once on app initialization.
-   */
-  cleanupOldLogs() {
-    const log = this.loadLog();
-    const keys = Object.keys(log);
-    if (keys.length === 0) return;
+  /** Error with 1-based `line` / `column` taken from a token (or {line, col}) */
+  _error(message, at) {
+    const err = new Error(message + ' at line ' + at.line + ', column ' + (at.col + 1));
+    err.line = at.line;
+    err.column = at.col + 1;
+    return err;
+  },
 
-    const cutoff = new Date();
-    cutoff.setDate(cutoff.getDate() - this.LOG_MAX_AGE_DAYS);
-    const cutoffStr = cutoff.toISOString().slice(0, 10);
+  _stringifyYAML(obj, indent = 0, opts = { indent: 2, sortKeys: false }) {
+    const spaces = ' '.repeat(indent);
+    let result = '';
 
-    let removed = 0;
-    for (const dateKey of keys) {
-      if (dateKey < cutoffStr) {
-        delete log[dateKey];
-        removed++;
+    // ⚡ Bolt: Use traditional for loops instead of forEach and Object.entries
+    // to avoid intermediate array allocations and closure overhead, improving YAML conversion performance.
+    if (Array.isArray(obj)) {
+      for (let i = 0; i < obj.length; i++) {
+        result += spaces + '-' + this._stringifyChild(obj[i], indent, opts, true);
+      }
+    } else if (typeof obj === 'object' && obj !== null) {
+      const keys = Object.keys(obj);
+      if (opts.sortKeys) keys.sort();
+      for (let i = 0; i < keys.length; i++) {
+        result += spaces + this._formatString(keys[i], indent, opts, true) + ':' + this._stringifyChild(obj[keys[i]], indent, opts, false);
       }
     }
 
-    if (removed > 0) {
-      this.saveLog(log);
-    }
+    return result;
   },
 
-  /** Get today's session entries */
-  getTodayLog() {
-    const log = this.loadLog();
-    return log[this.todayKey()] || [];
+  /** Everything after "key:" or "-": an inline scalar, or a nested block one level deeper */
+  _stringifyChild(value, indent, opts, inSequence) {
+    const nested = value !== null && typeof value === 'object' && Object.keys(value).length > 0;
+    if (!nested) return ' ' + this._formatValue(value, indent, opts) + '\n';
+
+    const block = this._stringifyYAML(value, indent + opts.indent, opts);
+    // Compact form: the first entry of a sequence item shares the "-" line ("- key: value")
+    if (inSequence) return ' '.repeat(opts.indent - 1) + block.slice(indent + opts.indent);
+    return '\n' + block;
   },
 
-  /** Add a completed session entry for today */
-  addSessionEntry(entry) {
-    const log = this.loadLog();
-    const today = this.todayKey();
-    if (!log[today]) log[today] = [];
-    log[today].push(entry);
-    this.saveLog(log);
-    return log[today];
+  _formatValue(val, indent = 0, opts = { indent: 2 }) {
+    if (val === null || val === undefined) return 'null';
+    if (typeof val === 'string') return this._formatString(val, indent, opts, false);
+    if (Array.isArray(val)) return '[]';
+    if (typeof val === 'object') return '{}';
+    return String(val);
   },
 
-  /** Delete a session entry by id */
-  deleteSessionEntry(id) {
-    const log = this.loadLog();
-    const today = this.todayKey();
-    if (log[today]) {
-      log[today] = log[today].filter(e => e.id !== id);
-      this.saveLog(log);
+  _formatString(str, indent, opts, isKey) {
+    if (!isKey && this._canUseBlockScalar(str)) return this._blockScalar(str, indent + opts.indent, opts.indent);
+    if (!this._needsQuotes(str)) return str;
+    if (/[\x00-\x1f\x7f-\x9f\u2028\u2029\ufeff]/.test(str)) {
+      return JSON.stringify(str).replace(/[\x7f-\x9f\u2028\u2029\ufeff]/g, (c) => '\\u' + c.charCodeAt(0).toString(16).padStart(4, '0'));
     }
-    return log[today] || [];
+    return "'" + str.replace(/'/g, "''") + "'";
   },
 
-  /** Clear all session entries for today */
-  clearTodayLog() {
-    const log = this.loadLog();
-    const today = this.todayKey();
-    log[today] = [];
-    this.saveLog(log);
+  /** Plain scalars that a YAML 1.2 (or 1.1) parser would read back differently must be quoted */
+  _needsQuotes(str) {
+    if (str === '' || str === '<<') return true;
+    if (typeof this._parseValue(str) !== 'string') return true;
+    // YAML 1.1 booleans, sexagesimals, underscored and binary numbers
+    if (/^(?:y|Y|yes|Yes|YES|n|N|no|No|NO|on|On|ON|off|Off|OFF)$/.test(str)) return true;
+    if (/^[-+]?(?:[0-9][0-9_:.]*|0b[01_]+)$/.test(str)) return true;
+    if (/^\s|\s$/.test(str)) return true;
+    if (/^[-?:](?:\s|$)/.test(str) || /^(?:---|\.\.\.)(?:\s|$)/.test(str)) return true;
+    if (/^[,[\]{}#&*!|>'"%@`]/.test(str)) return true;
+    if (/: |:$| #/.test(str)) return true;
+    return /[\x00-\x1f\x7f-\x9f\u2028\u2029\ufeff]/.test(str);
   },
 
-  /** Export today's log as Markdown text */
-  exportTodayMarkdown() {
-    const entries = this.getTodayLog();
-    const today = this.todayKey();
-    if (entries.length === 0) return null;
-
-    let md = '# Pomodoro Session Log — ' + today + '\n\n';
-    md += '| # | Start | Finish | Mode | Duration | Plan (Todo) | Actual |\n';
-    md += '|---|-------|--------|------|----------|-------------|--------|\n';
-
-    const fmt = (iso) => iso ? new Date(iso).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' }) : '-';
-
-    // ⚡ Bolt: Combine .forEach, .filter, and .reduce into a single-pass traditional for loop
-    // to avoid intermediate array allocations and closure overhead per iteration.
-    let totalFocusSec = 0;
-    for (let i = 0; i < entries.length; i++) {
-      const e = entries[i];
-      const start = fmt(e.startedAt);
-      const finish = fmt(e.completedAt);
-      const dur = this.formatTime(e.duration);
-      const mode = this.MODES[e.mode] ? this.MODES[e.mode].label : e.mode;
-      md += '| ' + (i + 1) + ' | ' + start + ' | ' + finish + ' | ' + mode + ' | ' + dur + ' | ' + (e.todo || '-') + ' | ' + (e.actual || '-') + ' |\n';
+  /** Literal block scalars keep multi-line text readable; whitespace-only lines or control characters need quoting */
+  _canUseBlockScalar(str) {
+    return str.includes('\n') && /[^\n]/.test(str) &&
+      !/[\x00-\x08\x0b-\x1f\x7f-\x9f\u2028\u2029\ufeff]/.test(str) &&
+      !/(?:^|\n)[ \t]+(?:\n|$)/.test(str);
+  },
 
-      if (e.mode === 'focus') {
-        totalFocusSec += (e.duration || 0);
-      }
+  _blockScalar(str, contentIndent, indentWidth) {
+    let trailing = 0;
+    while (str[str.length - 1 - trailing] === '\n') trailing++;
+    const body = str.slice(0, str.length - trailing);
+    const chomp = trailing === 0 ? '-' : trailing === 1 ? '' : '+';
+    // An indentation indicator is required when the first line itself starts with a space
+    const indicator = body.replace(/^\n+/, '')[0] === ' ' ? String(indentWidth) : '';
+    const pad = ' '.repeat(contentIndent);
+
+    const lines = ['|' + indicator + chomp];
+    const bodyLines = body.split('\n');
+    for (let i = 0; i < bodyLines.length; i++) {
+      lines.push(bodyLines[i] ? pad + bodyLines[i] : '');
     }
+    for (let i = 1; i < trailing; i++) lines.push('');
+    return lines.join('\n');
+  },
 
-    md += '\n---\n';
-    md += 'Total sessions: ' + entries.length + '  \n';
-    const totalFocusMin = totalFocusSec / 60;
-    md += 'Total focus time: ' + Math.round(totalFocusMin) + ' minutes\n';
-
-    return md;
+  /** Run an RFC 9535 JSONPath query (see Odin.JSONPath) against JSON text; returns [{ path, value }] */
+  queryJSONPath(jsonStr, path) {
+    try {
+      return Odin.JSONPath.query(JSON.parse(jsonStr), path);
+    } catch (e) {
+      throw new Error('Query error: ' + e.message);
+    }
   }
 };
 
 
 /* ================================================================
-   Odin.JWT — Local-only JWT Decoder
+   Odin.JSONPath — RFC 9535 JSONPath Query Engine
    ================================================================ */
-Odin.JWT = {
-  _b64urlDecode(str) {
-    let b64 = str.replace(/-/g, '+').replace(/_/g, '/');
-    while (b64.length % 4) b64 += '=';
-    const binary = atob(b64);
-    try {
-      // ⚡ Bolt: Use Uint8Array and TextDecoder instead of mapping char-by-char with decodeURIComponent
-      // to avoid intermediate memory allocations and significantly speed up decoding.
-      const raw = atob(b64);
-      const bytes = new Uint8Array(raw.length);
-      for (let i = 0; i < raw.length; i++) {
-        bytes[i] = raw.charCodeAt(i);
+Odin.JSONPath = {
+  /**
+   * Run a JSONPath query against a parsed JSON value.
+   * Returns every match in document order as { path, value }, where `path` is the
+   * RFC 9535 normalized path (e.g. $['store']['book'][0]).
+   */
+  query(value, path) {
+    const ast = this.parse(path);
+    let nodes = [{ value, path: '$' }];
+    for (const segment of ast) nodes = this._applySegment(segment, nodes, value);
+    return nodes;
+  },
+
+  /** Parse a query into segments: [{ descendant, selectors: [{ type, … }] }]; a missing leading "$" is implied */
+  parse(path) {
+    path = String(path).trim();
+    // 🛡️ Sentinel: Cap path length so deeply nested filters cannot exhaust the stack
+    if (path.length > 1000) throw new Error('JSONPath too long');
+    if (!path.startsWith('$')) path = (path.startsWith('.') || path.startsWith('[') ? '$' : '$.') + path;
+
+    const st = { src: path, i: 1 };
+    const segments = this._parseSegments(st);
+    this._skipSpace(st);
+    if (st.i < st.src.length) throw this._syntaxError(st, 'Unexpected "' + st.src[st.i] + '"');
+    return segments;
+  },
+
+  /** Normalized path member for a name or index (RFC 9535 §2.7) */
+  normalize(key) {
+    if (typeof key === 'number') return '[' + key + ']';
+    const escaped = key.replace(/[\\'\u0000-\u001f]/g, (c) => {
+      const named = { '\\': '\\\\', "'": "\\'", '\b': '\\b', '\f': '\\f', '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+      return named[c] || '\\u' + c.charCodeAt(0).toString(16).padStart(4, '0');
+    });
+    return "['" + escaped + "']";
+  },
+
+  // ---- Parser ----
+
+  _parseSegments(st) {
+    const segments = [];
+    for (;;) {
+      const save = st.i;
+      this._skipSpace(st);
+      const ch = st.src[st.i];
+      if (ch === '[') {
+        segments.push({ descendant: false, selectors: this._parseBracket(st) });
+      } else if (ch === '.' && st.src[st.i + 1] === '.') {
+        st.i += 2;
+        const next = st.src[st.i];
+        if (next === '[') segments.push({ descendant: true, selectors: this._parseBracket(st) });
+        else if (next === '*') { st.i++; segments.push({ descendant: true, selectors: [{ type: 'wildcard' }] }); }
+        else segments.push({ descendant: true, selectors: [{ type: 'name', name: this._parseShorthand(st) }] });
+      } else if (ch === '.') {
+        st.i++;
+        if (st.src[st.i] === '*') { st.i++; segments.push({ descendant: false, selectors: [{ type: 'wildcard' }] }); }
+        else segments.push({ descendant: false, selectors: [{ type: 'name', name: this._parseShorthand(st) }] });
+      } else {
+        st.i = save;
+        return segments;
       }
-      return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
-    } catch (_) {
-      return binary;
     }
   },
 
-  decode(token) {
-    if (!token || typeof token !== 'string') throw new Error('Empty token');
-    const parts = token.trim().split('.');
-    if (parts.length !== 3) throw new Error('Invalid JWT: expected 3 parts, got ' + parts.length);
-
-    let header, payload;
-    try { header = JSON.parse(this._b64urlDecode(parts[0])); }
-    catch (_) { throw new Error('Invalid JWT header: not valid Base64/JSON'); }
+  _parseShorthand(st) {
+    const m = /^[A-Za-z_\u{80}-\u{10FFFF}][A-Za-z0-9_\u{80}-\u{10FFFF}]*/u.exec(st.src.slice(st.i));
+    if (!m) throw this._syntaxError(st, 'Expected a member name (use [\'…\'] for other characters)');
+    st.i += m[0].length;
+    return m[0];
+  },
 
-    try { payload = JSON.parse(this._b64urlDecode(parts[1])); }
-    catch (_) { throw new Error('Invalid JWT payload: not valid Base64/JSON'); }
+  _parseBracket(st) {
+    st.i++; // "["
+    const selectors = [];
+    for (;;) {
+      this._skipSpace(st);
+      selectors.push(this._parseSelector(st));
+      this._skipSpace(st);
+      const ch = st.src[st.i];
+      if (ch === ',') { st.i++; continue; }
+      if (ch === ']') { st.i++; return selectors; }
+      throw this._syntaxError(st, ch === undefined ? 'Unclosed "["' : 'Expected "," or "]"');
+    }
+  },
 
-    const sigBytes = atob(parts[2].replace(/-/g, '+').replace(/_/g, '/'));
-    const sigHex = Odin.Utils.bytesToHex(sigBytes);
+  _parseSelector(st) {
+    const ch = st.src[st.i];
+    if (ch === "'" || ch === '"') return { type: 'name', name: this._parseString(st) };
+    if (ch === '*') { st.i++; return { type: 'wildcard' }; }
+    if (ch === '?') { st.i++; return { type: 'filter', expr: this._parseLogicalOr(st) }; }
+
+    const m = /^(-?\d+)?\s*(?::\s*(-?\d+)?\s*(?::\s*(-?\d+)?)?)?/.exec(st.src.slice(st.i));
+    if (!m[0]) throw this._syntaxError(st, 'Invalid selector');
+    const isSlice = m[0].includes(':');
+    const nums = [m[1], m[2], m[3]].map(n => (n === undefined ? null : this._parseInt(st, n)));
+    st.i += m[0].length;
+    if (!isSlice) return { type: 'index', index: nums[0] };
+    return { type: 'slice', start: nums[0], end: nums[1], step: nums[2] === null ? 1 : nums[2] };
+  },
 
-    return { header, payload, signature: sigHex };
+  _parseInt(st, text) {
+    if (/^-?0\d/.test(text) || text === '-0') throw this._syntaxError(st, 'Invalid integer "' + text + '"');
+    const n = Number(text);
+    if (!Number.isSafeInteger(n)) throw this._syntaxError(st, 'Integer out of range "' + text + '"');
+    return n;
   },
 
-  isExpired(payload) {
-    if (!payload || typeof payload.exp !== 'number') return null;
-    return (payload.exp * 1000) < Date.now();
+  _parseString(st) {
+    const quote = st.src[st.i++];
+    const escapes = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', '/': '/', '\\': '\\', "'": "'", '"': '"' };
+    let out = '';
+    for (;;) {
+      const ch = st.src[st.i];
+      if (ch === undefined) throw this._syntaxError(st, 'Unterminated string');
+      st.i++;
+      if (ch === quote) return out;
+      if (ch !== '\\') { out += ch; continue; }
+      const e = st.src[st.i++];
+      if (e === 'u') {
+        const hex = st.src.substr(st.i, 4);
+        if (!/^[0-9a-fA-F]{4}$/.test(hex)) throw this._syntaxError(st, 'Invalid \\u escape');
+        out += String.fromCharCode(parseInt(hex, 16));
+        st.i += 4;
+      } else if (escapes[e] !== undefined && (e !== "'" || quote === "'") && (e !== '"' || quote === '"')) {
+        out += escapes[e];
+      } else {
+        throw this._syntaxError(st, 'Invalid escape "\\' + (e || '') + '"');
+      }
+    }
   },
 
-  standardClaims: {
-    iss: 'Issuer', sub: 'Subject', aud: 'Audience', exp: 'Expiration Time',
-    nbf: 'Not Before', iat: 'Issued At', jti: 'JWT ID'
+  // Filter grammar: or → and ("||") → basic ("&&") → comparison | test | "(" or ")"
+
+  _parseLogicalOr(st) {
+    const parts = [this._parseLogicalAnd(st)];
+    while (this._eat(st, '||')) parts.push(this._parseLogicalAnd(st));
+    return parts.length === 1 ? parts[0] : { type: 'or', parts };
   },
 
-  formatTimestamp(val) {
-    if (typeof val !== 'number') return null;
-    try { return new Date(val * 1000).toISOString(); } catch (_) { return null; }
-  }
-};
+  _parseLogicalAnd(st) {
+    const parts = [this._parseBasic(st)];
+    while (this._eat(st, '&&')) parts.push(this._parseBasic(st));
+    return parts.length === 1 ? parts[0] : { type: 'and', parts };
+  },
 
+  _parseBasic(st) {
+    this._skipSpace(st);
+    if (st.src[st.i] === '!' && st.src[st.i + 1] !== '=') {
+      st.i++;
+      return { type: 'not', expr: this._parseBasic(st) };
+    }
+    if (this._eat(st, '(')) {
+      const expr = this._parseLogicalOr(st);
+      if (!this._eat(st, ')')) throw this._syntaxError(st, 'Expected ")"');
+      return expr;
+    }
 
-/* ================================================================
-   Odin.ImageShrink — Browser Canvas Image Resizer
-   ================================================================ */
-Odin.ImageShrink = {
-  processImage(file, scalePercent, format, quality) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = () => {
-        const img = new Image();
-        img.onload = () => {
-          const scale = scalePercent / 100;
-          let w = Math.round(img.naturalWidth * scale);
-          let h = Math.round(img.naturalHeight * scale);
+    const left = this._parseComparable(st);
+    this._skipSpace(st);
+    const op = /^(==|!=|<=|>=|<|>)/.exec(st.src.slice(st.i));
+    if (!op) {
+      if (left.type === 'query' || (left.type === 'function' && this._functions[left.name].returns === 'logical')) {
+        return { type: 'test', expr: left };
+      }
+      throw this._syntaxError(st, 'Expected a comparison operator');
+    }
+    st.i += op[0].length;
+    const right = this._parseComparable(st);
+    for (const side of [left, right]) {
+      if (side.type === 'query' && !side.singular) throw this._syntaxError(st, 'Comparisons need a singular query (names and indexes only)');
+      if (side.type === 'function' && this._functions[side.name].returns !== 'value') {
+        throw this._syntaxError(st, side.name + '() cannot be compared');
+      }
+    }
+    return { type: 'compare', op: op[0], left, right };
+  },
 
-          // 🛡️ Sentinel: Bound max dimensions to prevent Canvas memory allocation DoS
-          const MAX_DIMENSION = 16384;
-          if (w > MAX_DIMENSION || h > MAX_DIMENSION) {
-            const ratio = Math.min(MAX_DIMENSION / w, MAX_DIMENSION / h);
-            w = Math.round(w * ratio);
-            h = Math.round(h * ratio);
-          }
+  _parseComparable(st) {
+    this._skipSpace(st);
+    const ch = st.src[st.i];
+    if (ch === '@' || ch === '$') {
+      st.i++;
+      const segments = this._parseSegments(st);
+      const singular = segments.every(s => !s.descendant && s.selectors.length === 1 && (s.selectors[0].type === 'name' || s.selectors[0].type === 'index'));
+      return { type: 'query', relative: ch === '@', segments, singular };
+    }
+    if (ch === "'" || ch === '"') return { type: 'literal', value: this._parseString(st) };
+
+    const rest = st.src.slice(st.i);
+    const num = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][-+]?\d+)?/.exec(rest);
+    if (num) { st.i += num[0].length; return { type: 'literal', value: Number(num[0]) }; }
+    const word = /^(true|false|null)(?![A-Za-z0-9_])/.exec(rest);
+    if (word) { st.i += word[0].length; return { type: 'literal', value: JSON.parse(word[0]) }; }
+
+    const fn = /^([a-z][a-z0-9_]*)\(/.exec(rest);
+    if (fn) {
+      const def = this._functions[fn[1]];
+      if (!def) throw this._syntaxError(st, 'Unknown function "' + fn[1] + '"');
+      st.i += fn[0].length;
+      const args = [];
+      this._skipSpace(st);
+      if (st.src[st.i] !== ')') {
+        do { args.push(this._parseComparable(st)); } while (this._eat(st, ','));
+      }
+      if (!this._eat(st, ')')) throw this._syntaxError(st, 'Expected ")" after function arguments');
+      if (args.length !== def.args.length) throw this._syntaxError(st, fn[1] + '() takes ' + def.args.length + ' argument(s)');
+      for (let k = 0; k < args.length; k++) {
+        if (def.args[k] === 'nodes' && args[k].type !== 'query') throw this._syntaxError(st, fn[1] + '() expects a query argument');
+        if (def.args[k] === 'value' && args[k].type === 'query' && !args[k].singular) {
+          throw this._syntaxError(st, fn[1] + '() expects a singular query');
+        }
+      }
+      return { type: 'function', name: fn[1], args };
+    }
 
-          const canvas = document.createElement('canvas');
-          canvas.width = w;
-          canvas.height = h;
-          const ctx = canvas.getContext('2d');
-          ctx.imageSmoothingEnabled = true;
-          ctx.imageSmoothingQuality = 'high';
-          ctx.drawImage(img, 0, 0, w, h);
+    throw this._syntaxError(st, ch === undefined ? 'Unexpected end of filter' : 'Unexpected "' + ch + '" in filter');
+  },
 
-          canvas.toBlob(
-            (blob) => {
-              if (!blob) return reject(new Error('Canvas export failed'));
-              resolve({ blob, width: w, height: h, size: blob.size });
-            },
-            format,
-            format === 'image/png' ? undefined : quality
-          );
-        };
-        img.onerror = () => reject(new Error('Failed to load image'));
-        img.src = reader.result;
-      };
-      reader.onerror = () => reject(new Error('Failed to read file'));
-      reader.readAsDataURL(file);
-    });
+  _eat(st, token) {
+    this._skipSpace(st);
+    if (!st.src.startsWith(token, st.i)) return false;
+    st.i += token.length;
+    return true;
   },
 
-  fileSizeLabel(bytes) {
-    if (bytes < 1024) return bytes + ' B';
-    if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
-    return (bytes / (1024 * 1024)).toFixed(2) + ' MB';
-  }
-};
+  _skipSpace(st) {
+    while (st.i < st.src.length && ' \t\n\r'.includes(st.src[st.i])) st.i++;
+  },
 
+  _syntaxError(st, message) {
+    return new Error(message + ' at position ' + (st.i + 1));
+  },
 
-/* ================================================================
-   Odin.CaseConverter — Text Case Transformations
-   ================================================================ */
-Odin.CaseConverter = {
-  _splitWords(text) {
-    // 🛡️ Sentinel: Limit string length before complex regex to prevent ReDoS/DoS via massive arrays
-    if (typeof text === 'string' && text.length > 50000) {
-      throw new Error("Input string is too large. Maximum length is 50,000 characters.");
+  // ---- Evaluation ----
+
+  _applySegment(segment, nodes, root) {
+    const out = [];
+    for (const node of nodes) {
+      const targets = segment.descendant ? this._descendants(node) : [node];
+      for (const target of targets) {
+        for (const selector of segment.selectors) this._select(selector, target, root, out);
+      }
     }
+    return out;
+  },
 
-    // ⚡ Bolt: Extract words using a single .match regex to avoid intermediate string allocations.
-    // This avoids chained replacements and reduces execution time significantly (~75% reduction).
-    return text.match(/[A-Z]+(?![a-z])|[A-Z]?[a-z0-9]+/g) || [];
+  /** The node itself followed by every descendant, parents before children */
+  _descendants(node) {
+    const list = [];
+    const stack = [node];
+    while (stack.length) {
+      const current = stack.pop();
+      list.push(current);
+      const children = this._children(current);
+      for (let k = children.length - 1; k >= 0; k--) stack.push(children[k]);
+    }
+    return list;
   },
 
-  toUpperCase(text) { return text.toUpperCase(); },
-  toLowerCase(text) { return text.toLowerCase(); },
+  _children(node) {
+    const v = node.value;
+    const children = [];
+    if (Array.isArray(v)) {
+      for (let k = 0; k < v.length; k++) children.push({ value: v[k], path: node.path + '[' + k + ']' });
+    } else if (v !== null && typeof v === 'object') {
+      for (const key in v) {
+        if (Object.prototype.hasOwnProperty.call(v, key)) children.push({ value: v[key], path: node.path + this.normalize(key) });
+      }
+    }
+    return children;
+  },
 
-  toCamelCase(text) {
-    const words = this._splitWords(text);
-    if (!words.length) return '';
-    // ⚡ Bolt: Use a traditional for loop and string concatenation rather than .slice().map().join('')
-    // to avoid intermediate array allocations and closure overhead, drastically improving execution speed.
-    let res = words[0].toLowerCase();
-    for (let i = 1; i < words.length; i++) {
-      const w = words[i];
-      res += w.charAt(0).toUpperCase() + w.slice(1).toLowerCase();
+  _select(selector, node, root, out) {
+    const v = node.value;
+    switch (selector.type) {
+      case 'name':
+        if (v !== null && typeof v === 'object' && !Array.isArray(v) && Object.prototype.hasOwnProperty.call(v, selector.name)) {
+          out.push({ value: v[selector.name], path: node.path + this.normalize(selector.name) });
+        }
+        break;
+      case 'wildcard':
+        for (const child of this._children(node)) out.push(child);
+        break;
+      case 'index':
+        if (Array.isArray(v)) {
+          const idx = selector.index < 0 ? v.length + selector.index : selector.index;
+          if (idx >= 0 && idx < v.length) out.push({ value: v[idx], path: node.path + '[' + idx + ']' });
+        }
+        break;
+      case 'slice':
+        if (Array.isArray(v)) {
+          for (const idx of this._sliceIndexes(selector, v.length)) out.push({ value: v[idx], path: node.path + '[' + idx + ']' });
+        }
+        break;
+      case 'filter':
+        for (const child of this._children(node)) {
+          if (this._evalLogical(selector.expr, child.value, root)) out.push(child);
+        }
+        break;
     }
-    return res;
   },
 
-  toPascalCase(text) {
-    const words = this._splitWords(text);
-    if (!words.length) return '';
-    let res = '';
-    for (let i = 0; i < words.length; i++) {
-      const w = words[i];
-      res += w.charAt(0).toUpperCase() + w.slice(1).toLowerCase();
+  /** Array slice bounds per RFC 9535 §2.3.4.2.2 */
+  _sliceIndexes(slice, len) {
+    const step = slice.step;
+    const indexes = [];
+    if (step === 0) return indexes;
+    const norm = (i) => (i >= 0 ? i : len + i);
+    if (step > 0) {
+      const lower = Math.min(Math.max(norm(slice.start === null ? 0 : slice.start), 0), len);
+      const upper = Math.min(Math.max(norm(slice.end === null ? len : slice.end), 0), len);
+      for (let i = lower; i < upper; i += step) indexes.push(i);
+    } else {
+      const upper = Math.min(Math.max(norm(slice.start === null ? len - 1 : slice.start), -1), len - 1);
+      const lower = Math.min(Math.max(norm(slice.end === null ? -len - 1 : slice.end), -1), len - 1);
+      for (let i = upper; lower < i; i += step) indexes.push(i);
     }
-    return res;
+    return indexes;
   },
 
-  toSnakeCase(text) {
-    const words = this._splitWords(text);
-    if (!words.length) return '';
-    let res = words[0].toLowerCase();
-    for (let i = 1; i < words.length; i++) {
-      res += '_' + words[i].toLowerCase();
+  _evalLogical(expr, current, root) {
+    switch (expr.type) {
+      case 'or': return expr.parts.some(p => this._evalLogical(p, current, root));
+      case 'and': return expr.parts.every(p => this._evalLogical(p, current, root));
+      case 'not': return !this._evalLogical(expr.expr, current, root);
+      case 'test':
+        if (expr.expr.type === 'query') return this._evalQuery(expr.expr, current, root).length > 0;
+        return this._evalFunction(expr.expr, current, root) === true;
+      case 'compare': return this._compare(expr.op, this._evalValue(expr.left, current, root), this._evalValue(expr.right, current, root));
     }
-    return res;
+    return false;
   },
 
-  toKebabCase(text) {
-    const words = this._splitWords(text);
-    if (!words.length) return '';
-    let res = words[0].toLowerCase();
-    for (let i = 1; i < words.length; i++) {
-      res += '-' + words[i].toLowerCase();
+  _evalQuery(q, current, root) {
+    let nodes = [{ value: q.relative ? current : root, path: '$' }];
+    for (const segment of q.segments) nodes = this._applySegment(segment, nodes, root);
+    return nodes;
+  },
+
+  /** Comparable value; `undefined` stands for "Nothing" (an empty query result) */
+  _evalValue(expr, current, root) {
+    if (expr.type === 'literal') return expr.value;
+    if (expr.type === 'function') return this._evalFunction(expr, current, root);
+    const nodes = this._evalQuery(expr, current, root);
+    return nodes.length === 1 ? nodes[0].value : undefined;
+  },
+
+  _compare(op, a, b) {
+    if (op === '==') return this._equals(a, b);
+    if (op === '!=') return !this._equals(a, b);
+    if (op === '<=') return this._less(a, b) || this._equals(a, b);
+    if (op === '>=') return this._less(b, a) || this._equals(a, b);
+    if (op === '<') return this._less(a, b);
+    return this._less(b, a);
+  },
+
+  _equals(a, b) {
+    if (a === undefined || b === undefined) return a === b;
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return a === b;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    const ka = Object.keys(a);
+    const kb = Object.keys(b);
+    if (ka.length !== kb.length) return false;
+    for (const k of ka) {
+      if (!Object.prototype.hasOwnProperty.call(b, k) || !this._equals(a[k], b[k])) return false;
     }
-    return res;
+    return true;
   },
 
-  toTitleCase(text) {
-    return text.replace(/\b\w/g, c => c.toUpperCase());
+  _less(a, b) {
+    return (typeof a === 'number' && typeof b === 'number') || (typeof a === 'string' && typeof b === 'string') ? a < b : false;
   },
 
-  convert(text, mode) {
-    switch (mode) {
-      case 'upper':   return this.toUpperCase(text);
-      case 'lower':   return this.toLowerCase(text);
-      case 'camel':   return this.toCamelCase(text);
-      case 'pascal':  return this.toPascalCase(text);
-      case 'snake':   return this.toSnakeCase(text);
-      case 'kebab':   return this.toKebabCase(text);
-      case 'title':   return this.toTitleCase(text);
-      default: return text;
+  /** Function extensions (RFC 9535 §2.4): argument kinds and result type */
+  _functions: {
+    length: { args: ['value'], returns: 'value' },
+    count: { args: ['nodes'], returns: 'value' },
+    value: { args: ['nodes'], returns: 'value' },
+    match: { args: ['value', 'value'], returns: 'logical' },
+    search: { args: ['value', 'value'], returns: 'logical' }
+  },
+
+  _evalFunction(expr, current, root) {
+    const args = expr.args;
+    switch (expr.name) {
+      case 'length': {
+        const v = this._evalValue(args[0], current, root);
+        if (typeof v === 'string') return Array.from(v).length;
+        if (Array.isArray(v)) return v.length;
+        if (v !== null && typeof v === 'object') return Object.keys(v).length;
+        return undefined;
+      }
+      case 'count': return this._evalQuery(args[0], current, root).length;
+      case 'value': {
+        const nodes = this._evalQuery(args[0], current, root);
+        return nodes.length === 1 ? nodes[0].value : undefined;
+      }
+      case 'match':
+      case 'search': {
+        const str = this._evalValue(args[0], current, root);
+        const pattern = this._evalValue(args[1], current, root);
+        if (typeof str !== 'string' || typeof pattern !== 'string') return false;
+        if (str.length > Odin.Regex.MAX_SYNC_SUBJECT) {
+          throw new Error(`${expr.name}() can only test strings up to ${Odin.Regex.MAX_SYNC_SUBJECT.toLocaleString('en-US')} characters`);
+        }
+        const re = this._regex(expr.name === 'match' ? '^(?:' + pattern + ')$' : pattern);
+        return re ? re.test(str) : false;
+      }
+    }
+    return undefined;
+  },
+
+  _regexCache: new Map(),
+
+  _regex(source) {
+    // 🛡️ Sentinel: match()/search() run synchronously with no timeout, so refuse exponential patterns
+    const risk = Odin.Regex.backtrackRisk(source);
+    if (risk) throw new Error(risk);
+    if (!this._regexCache.has(source)) {
+      let re = null;
+      try { re = new RegExp(source, 'u'); } catch (_) { /* invalid I-Regexp never matches */ }
+      if (this._regexCache.size > 100) this._regexCache.clear();
+      this._regexCache.set(source, re);
     }
+    return this._regexCache.get(source);
   }
 };
 
 
 /* ================================================================
-   Odin.FlexGridPlayground — CSS Layout Code Generator
+   Odin.JSONSchema — JSON Schema Validator (draft-07 & 2020-12)
    ================================================================ */
-Odin.FlexGridPlayground = {
-  getFlexCSS(opts) {
-    let css = '.container {\n';
-    css += '  display: flex;\n';
-    if (opts.direction && opts.direction !== 'row') css += '  flex-direction: ' + opts.direction + ';\n';
-    if (opts.justifyContent && opts.justifyContent !== 'flex-start') css += '  justify-content: ' + opts.justifyContent + ';\n';
-    if (opts.alignItems && opts.alignItems !== 'stretch') css += '  align-items: ' + opts.alignItems + ';\n';
-    if (opts.flexWrap && opts.flexWrap !== 'nowrap') css += '  flex-wrap: ' + opts.flexWrap + ';\n';
-    if (opts.gap && opts.gap !== '0') css += '  gap: ' + opts.gap + 'px;\n';
-    css += '}';
-    return css;
+Odin.JSONSchema = {
+  drafts: {
+    'draft-07': 'Draft-07',
+    '2020-12': '2020-12'
   },
 
-  getGridCSS(opts) {
-    let css = '.container {\n';
-    css += '  display: grid;\n';
-    if (opts.columns) css += '  grid-template-columns: ' + opts.columns + ';\n';
-    if (opts.rows && opts.rows !== 'auto') css += '  grid-template-rows: ' + opts.rows + ';\n';
-    if (opts.justifyItems && opts.justifyItems !== 'stretch') css += '  justify-items: ' + opts.justifyItems + ';\n';
-    if (opts.alignItems && opts.alignItems !== 'stretch') css += '  align-items: ' + opts.alignItems + ';\n';
-    if (opts.gap && opts.gap !== '0') css += '  gap: ' + opts.gap + 'px;\n';
-    css += '}';
-    return css;
-  }
-};
+  /** Base URI for the root schema; $ref only resolves inside the pasted schema, never over the network */
+  BASE_URI: 'https://odin.invalid/schema.json',
 
+  /** 🛡️ Sentinel: Cap schema nesting so a $ref cycle cannot overflow the stack */
+  MAX_DEPTH: 256,
 
-/* ================================================================
-   Odin.Base64 — Encode / Decode (Text & File)
-   ================================================================ */
-Odin.Base64 = {
-  encodeText(text) {
-    return btoa(unescape(encodeURIComponent(text)));
+  /** draft-04…07 $schema URIs use draft-07 rules; anything else (or none) uses 2020-12 */
+  detectDraft(schema) {
+    const uri = schema !== null && typeof schema === 'object' && typeof schema.$schema === 'string' ? schema.$schema : '';
+    return /draft-0[4-7]/.test(uri) ? 'draft-07' : '2020-12';
   },
 
-  decodeText(b64) {
+  /**
+   * Validate a parsed value against a parsed schema.
+   * Returns { valid, draft, errors: [{ pointer, schemaPath, keyword, message }] } where `pointer` is the
+   * RFC 6901 JSON Pointer of the offending value. Throws for schemas that cannot be used (bad $ref, pattern…).
+   * Options: draft ('auto' | 'draft-07' | '2020-12'), formats (assert `format`, default true).
+   */
+  validate(instance, schema, options = {}) {
+    const draft = options.draft && options.draft !== 'auto' ? options.draft : this.detectDraft(schema);
+    const ctx = {
+      draft,
+      formats: options.formats !== false,
+      resources: new Map([[this.BASE_URI, schema]]),
+      anchors: new Map(),
+      bases: new WeakMap(),
+      depth: 0
+    };
+    this._index(schema, this.BASE_URI, ctx);
+    const errors = [];
+    this._validate(schema, instance, { base: this.BASE_URI, pointer: '', schemaPath: '#' }, ctx, errors);
+    return { valid: errors.length === 0, draft, errors };
+  },
+
+  /** Escape one JSON Pointer reference token (RFC 6901 §3) */
+  escapePointer(token) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+  },
+
+  // ---- $id / $anchor index ----
+
+  /** Keywords holding subschemas: `one` a schema, `list` an array of schemas, `map` an object of schemas */
+  _subschemas: {
+    one: ['additionalItems', 'additionalProperties', 'contains', 'propertyNames', 'not', 'if', 'then', 'else', 'items', 'unevaluatedItems', 'unevaluatedProperties'],
+    list: ['allOf', 'anyOf', 'oneOf', 'prefixItems', 'items'],
+    map: ['properties', 'patternProperties', '$defs', 'definitions', 'dependentSchemas', 'dependencies']
+  },
+
+  /** Record the base URI of every subschema and register embedded $id resources and anchors */
+  _index(schema, base, ctx) {
+    if (!this._isObject(schema)) return;
+    const doc = () => this._stripFragment(base);
+    if (typeof schema.$id === 'string') {
+      if (ctx.draft === 'draft-07' && schema.$id[0] === '#') {
+        ctx.anchors.set(doc() + schema.$id, schema);
+      } else {
+        base = this._resolveUri(schema.$id, base);
+        ctx.resources.set(doc(), schema);
+      }
+    }
+    if (ctx.draft !== 'draft-07') {
+      for (const key of ['$anchor', '$dynamicAnchor']) {
+        if (typeof schema[key] === 'string') ctx.anchors.set(doc() + '#' + schema[key], schema);
+      }
+    }
+    ctx.bases.set(schema, base);
+
+    const sub = this._subschemas;
+    for (const key of sub.one) this._index(schema[key], base, ctx);
+    for (const key of sub.list) {
+      if (Array.isArray(schema[key])) for (const s of schema[key]) this._index(s, base, ctx);
+    }
+    for (const key of sub.map) {
+      const map = schema[key];
+      if (this._isObject(map)) for (const name of Object.keys(map)) this._index(map[name], base, ctx);
+    }
+  },
+
+  _resolveUri(ref, base) {
     try {
-      return decodeURIComponent(escape(atob(b64)));
+      return new URL(ref, base).href;
     } catch (_) {
-      return atob(b64);
+      return ref;
     }
   },
 
-  encodeArrayBuffer(buffer) {
-    const bytes = new Uint8Array(buffer);
-    let binary = '';
-    // ⚡ Bolt: Use chunking with String.fromCharCode.apply to drastically speed up
-    // conversion of large buffers and prevent Maximum Call Stack Size Exceeded errors.
-    const len = bytes.byteLength;
-    const chunkSize = 0x8000; // 32KB chunks
-    for (let i = 0; i < len; i += chunkSize) {
-      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  _stripFragment(uri) {
+    const hashAt = uri.indexOf('#');
+    return hashAt === -1 ? uri : uri.slice(0, hashAt);
+  },
+
+  /** Resolve a $ref against the current base: "#/json/pointer", "#anchor" or an embedded $id */
+  _resolveRef(ref, base, ctx) {
+    const uri = this._resolveUri(ref, base);
+    const doc = this._stripFragment(uri);
+    let fragment = uri.slice(doc.length + 1);
+    try { fragment = decodeURIComponent(fragment); } catch (_) { /* keep the raw fragment */ }
+
+    const target = fragment && fragment[0] !== '/'
+      ? ctx.anchors.get(doc + '#' + fragment)
+      : this._pointerGet(ctx.resources.get(doc), fragment);
+    if (target === undefined) {
+      throw new Error(`Cannot resolve $ref "${ref}" (only references inside this schema are supported)`);
     }
-    return btoa(binary);
+    return { schema: target, base: ctx.bases.get(target) || doc };
   },
 
-  decodeToBlob(b64, mimeType) {
-    const binary = atob(b64);
-    const bytes = new Uint8Array(binary.length);
-    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
-    return new Blob([bytes], { type: mimeType || 'application/octet-stream' });
+  _pointerGet(node, pointer) {
+    if (node === undefined || !pointer) return node;
+    const tokens = pointer.split('/');
+    for (let i = 1; i < tokens.length; i++) {
+      const token = tokens[i].replace(/~1/g, '/').replace(/~0/g, '~');
+      if (node === null || typeof node !== 'object' || !Object.prototype.hasOwnProperty.call(node, token)) return undefined;
+      node = node[token];
+    }
+    return node;
   },
 
-  detectMime(b64) {
-    try {
-      const raw = atob(b64.substring(0, 16));
-      const hex = Odin.Utils.bytesToHex(raw);
-      if (hex.startsWith('89504e47')) return 'image/png';
-      if (hex.startsWith('ffd8ff'))   return 'image/jpeg';
-      if (hex.startsWith('47494638')) return 'image/gif';
-      if (hex.startsWith('52494646') && raw.substring(8, 12) === 'WEBP') return 'image/webp';
-      if (hex.startsWith('25504446')) return 'application/pdf';
-      if (hex.startsWith('504b0304')) return 'application/zip';
-    } catch (_) { /* ignore */ }
-    return 'application/octet-stream';
-  }
-};
+  // ---- Validation ----
 
+  /**
+   * Validate `value` against one schema, pushing violations onto `errors`.
+   * Returns what the schema evaluated — { valid, props, items, matched } — which
+   * unevaluatedProperties / unevaluatedItems of enclosing schemas rely on.
+   */
+  _validate(schema, value, loc, ctx, errors) {
+    const start = errors.length;
+    const seen = { valid: true, props: new Set(), items: 0, matched: new Set() };
+    if (schema === true) return seen;
+    if (schema === false) {
+      errors.push({ pointer: loc.pointer, schemaPath: loc.schemaPath, keyword: 'false', message: 'No value is allowed here' });
+      seen.valid = false;
+      return seen;
+    }
+    if (!this._isObject(schema)) throw new Error(`Invalid schema at ${loc.schemaPath}: expected an object or a boolean`);
+    if (++ctx.depth > this.MAX_DEPTH) throw new Error('Schema nesting too deep (is there a $ref cycle?)');
 
-/* ================================================================
-   Odin.URLCodec — URL Encode / Decode
-   ================================================================ */
-Odin.URLCodec = {
-  encode(text, useComponent = false) {
     try {
-      return useComponent ? encodeURIComponent(text) : encodeURI(text);
-    } catch (e) {
-      throw new Error('Encoding failed: ' + e.message);
+      if (ctx.bases.has(schema)) loc = { ...loc, base: ctx.bases.get(schema) };
+
+      // $dynamicRef / $recursiveRef resolve statically, like $ref
+      for (const keyword of ['$ref', '$dynamicRef', '$recursiveRef']) {
+        if (typeof schema[keyword] !== 'string' || (keyword !== '$ref' && ctx.draft === 'draft-07')) continue;
+        const target = this._resolveRef(schema[keyword], loc.base, ctx);
+        const refLoc = { base: target.base, pointer: loc.pointer, schemaPath: loc.schemaPath + '/' + keyword };
+        this._merge(seen, this._validate(target.schema, value, refLoc, ctx, errors));
+        // draft-07: $ref replaces every sibling keyword
+        if (ctx.draft === 'draft-07') {
+          seen.valid = errors.length === start;
+          return seen;
+        }
+      }
+
+      this._validateValue(schema, value, loc, errors);
+      if (typeof value === 'number') this._validateNumber(schema, value, loc, errors);
+      else if (typeof value === 'string') this._validateString(schema, value, loc, ctx, errors);
+      else if (Array.isArray(value)) this._validateArray(schema, value, loc, ctx, errors, seen);
+      else if (value !== null && typeof value === 'object') this._validateObject(schema, value, loc, ctx, errors, seen);
+      this._validateApplicators(schema, value, loc, ctx, errors, seen);
+      // unevaluated* run last, once every other keyword has reported what it evaluated
+      if (ctx.draft !== 'draft-07') this._validateUnevaluated(schema, value, loc, ctx, errors, seen);
+    } finally {
+      ctx.depth--;
     }
+    seen.valid = errors.length === start;
+    return seen;
   },
 
-  decode(text) {
-    try {
-      return decodeURIComponent(text);
-    } catch (e) {
-      // Fallback to decodeURI if decodeURIComponent fails
-      try {
-        return decodeURI(text);
-      } catch (e2) {
-        throw new Error('Decoding failed: ' + e2.message);
+  _fail(errors, loc, keyword, message, token) {
+    const pointer = token === undefined ? loc.pointer : loc.pointer + '/' + this.escapePointer(token);
+    errors.push({ pointer, schemaPath: loc.schemaPath + '/' + keyword, keyword, message });
+  },
+
+  /** Location of a subschema (`schemaPath` relative to the current one), optionally applied to a child value */
+  _child(loc, schemaPath, token) {
+    return {
+      base: loc.base,
+      pointer: token === undefined ? loc.pointer : loc.pointer + '/' + this.escapePointer(token),
+      schemaPath: loc.schemaPath + '/' + schemaPath
+    };
+  },
+
+  _merge(seen, sub) {
+    for (const key of sub.props) seen.props.add(key);
+    if (sub.items > seen.items) seen.items = sub.items;
+    for (const i of sub.matched) seen.matched.add(i);
+  },
+
+  _validateValue(schema, value, loc, errors) {
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      const actual = this._typeOf(value);
+      if (!types.some(t => t === actual || (t === 'number' && actual === 'integer'))) {
+        this._fail(errors, loc, 'type', `Expected ${types.join(' or ')}, got ${actual}`);
       }
     }
-  }
-};
+    if (Array.isArray(schema.enum) && !schema.enum.some(v => Odin.JSONPath._equals(v, value))) {
+      this._fail(errors, loc, 'enum', 'Must be one of: ' + this._preview(schema.enum.map(v => JSON.stringify(v)).join(', ')));
+    }
+    if (Object.prototype.hasOwnProperty.call(schema, 'const') && !Odin.JSONPath._equals(schema.const, value)) {
+      this._fail(errors, loc, 'const', 'Must equal ' + this._preview(JSON.stringify(schema.const)));
+    }
+  },
 
+  _validateNumber(schema, value, loc, errors) {
+    const m = schema.multipleOf;
+    if (typeof m === 'number' && m > 0) {
+      const q = value / m;
+      // Tolerate float noise: 0.3 / 0.1 === 2.9999999999999996
+      if (!Number.isFinite(q) || Math.abs(q - Math.round(q)) > 1e-9 * Math.max(1, Math.abs(q))) {
+        this._fail(errors, loc, 'multipleOf', `Must be a multiple of ${m}`);
+      }
+    }
+    if (typeof schema.minimum === 'number' && value < schema.minimum) this._fail(errors, loc, 'minimum', `Must be >= ${schema.minimum}`);
+    if (typeof schema.maximum === 'number' && value > schema.maximum) this._fail(errors, loc, 'maximum', `Must be <= ${schema.maximum}`);
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) this._fail(errors, loc, 'exclusiveMinimum', `Must be > ${schema.exclusiveMinimum}`);
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) this._fail(errors, loc, 'exclusiveMaximum', `Must be < ${schema.exclusiveMaximum}`);
+  },
 
-/* ================================================================
-   Odin.YAML — YAML ↔ JSON Converter + JSONPath
-   ================================================================ */
-Odin.YAML = {
-  toJSON(yamlStr) {
-    try {
-      const lines = yamlStr.trim().split('\n');
-      const result = this._parseYAML(lines, 0).value;
-      return JSON.stringify(result, null, 2);
-    } catch (e) {
-      throw new Error('Invalid YAML: ' + e.message);
+  _validateString(schema, value, loc, ctx, errors) {
+    if (typeof schema.minLength === 'number' || typeof schema.maxLength === 'number') {
+      const length = this._length(value);
+      if (length < schema.minLength) this._fail(errors, loc, 'minLength', `Must be at least ${schema.minLength} characters (got ${length})`);
+      if (length > schema.maxLength) this._fail(errors, loc, 'maxLength', `Must be at most ${schema.maxLength} characters (got ${length})`);
+    }
+    if (typeof schema.pattern === 'string' && this._test(schema.pattern, value, loc, 'pattern', errors) === false) {
+      this._fail(errors, loc, 'pattern', `Must match pattern /${schema.pattern}/`);
+    }
+    const format = schema.format;
+    if (ctx.formats && typeof format === 'string' && Object.prototype.hasOwnProperty.call(this._formats, format) && !this._formats[format](value)) {
+      this._fail(errors, loc, 'format', `Must be a valid ${format}`);
     }
   },
 
-  toYAML(jsonStr) {
-    try {
-      const obj = JSON.parse(jsonStr);
-      return this._stringifyYAML(obj, 0);
-    } catch (e) {
-      throw new Error('Invalid JSON: ' + e.message);
+  _validateArray(schema, value, loc, ctx, errors, seen) {
+    const draft7 = ctx.draft === 'draft-07';
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) this._fail(errors, loc, 'minItems', `Must have at least ${schema.minItems} item(s) (got ${value.length})`);
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) this._fail(errors, loc, 'maxItems', `Must have at most ${schema.maxItems} item(s) (got ${value.length})`);
+    if (schema.uniqueItems === true) {
+      // ⚡ Bolt: Canonical keys find duplicates in one pass instead of comparing every pair
+      const firstAt = new Map();
+      for (let i = 0; i < value.length; i++) {
+        const key = this._canonical(value[i]);
+        if (firstAt.has(key)) {
+          this._fail(errors, loc, 'uniqueItems', `Items ${firstAt.get(key)} and ${i} are equal`);
+          break;
+        }
+        firstAt.set(key, i);
+      }
+    }
+
+    if (!draft7 && Array.isArray(schema.items)) {
+      throw new Error(`"items" must be a schema in 2020-12 (at ${loc.schemaPath}); use "prefixItems" or a draft-07 $schema`);
+    }
+    const tupleKey = draft7 ? 'items' : 'prefixItems';
+    const tuple = Array.isArray(schema[tupleKey]) ? schema[tupleKey] : null;
+    let i = 0;
+    if (tuple) {
+      for (; i < tuple.length && i < value.length; i++) this._validate(tuple[i], value[i], this._child(loc, tupleKey + '/' + i, i), ctx, errors);
+    }
+    const restKey = draft7 && tuple ? 'additionalItems' : 'items';
+    const rest = schema[restKey];
+    if (rest !== undefined && !Array.isArray(rest)) {
+      if (rest === false && i < value.length) {
+        this._fail(errors, loc, restKey, `Must have at most ${i} item(s) (got ${value.length})`);
+      } else {
+        for (; i < value.length; i++) this._validate(rest, value[i], this._child(loc, restKey, i), ctx, errors);
+      }
+      i = value.length;
+    }
+    if (i > seen.items) seen.items = i;
+
+    if (schema.contains !== undefined) {
+      let found = 0;
+      for (let j = 0; j < value.length; j++) {
+        if (this._validate(schema.contains, value[j], this._child(loc, 'contains', j), ctx, []).valid) {
+          found++;
+          seen.matched.add(j);
+        }
+      }
+      const min = !draft7 && typeof schema.minContains === 'number' ? schema.minContains : 1;
+      if (found < min) {
+        this._fail(errors, loc, 'contains', min === 1 ? 'Must contain an item matching "contains"' : `Must contain at least ${min} items matching "contains" (found ${found})`);
+      }
+      if (!draft7 && typeof schema.maxContains === 'number' && found > schema.maxContains) {
+        this._fail(errors, loc, 'maxContains', `Must contain at most ${schema.maxContains} items matching "contains" (found ${found})`);
+      }
     }
   },
 
-  _parseYAML(lines, startIdx) {
-    const result = {};
-    let i = startIdx;
-    const baseIndent = this._getIndent(lines[i] || '');
-
-    while (i < lines.length) {
-      const line = lines[i];
-      if (!line.trim() || line.trim().startsWith('#')) { i++; continue; }
-      
-      const indent = this._getIndent(line);
-      if (indent < baseIndent) break;
-      if (indent > baseIndent) { i++; continue; }
-
-      const trimmed = line.trim();
-      
-      if (trimmed.startsWith('- ')) {
-        const arr = [];
-        while (i < lines.length) {
-          const itemLine = lines[i];
-          const itemIndent = this._getIndent(itemLine);
-          if (itemIndent < baseIndent) break;
-          
-          if (itemLine.trim().startsWith('- ')) {
-            const afterDash = itemLine.trim().substring(2).trim();
-            
-            // Check if it's "- key: value" format (object in array)
-            if (afterDash.includes(':')) {
-              const obj = {};
-              const colonIdx = afterDash.indexOf(':');
-              const key = afterDash.substring(0, colonIdx).trim();
-              const val = afterDash.substring(colonIdx + 1).trim();
-              obj[key] = this._parseValue(val);
-              
-              // Check for more properties on next lines
-              i++;
-              while (i < lines.length) {
-                const nextLine = lines[i];
-                const nextIndent = this._getIndent(nextLine);
-                if (nextIndent <= itemIndent) break;
-                if (nextLine.trim().startsWith('- ')) break;
-                
-                const nextTrimmed = nextLine.trim();
-                const nextColonIdx = nextTrimmed.indexOf(':');
-                if (nextColonIdx > -1) {
-                  const nextKey = nextTrimmed.substring(0, nextColonIdx).trim();
-                  const nextVal = nextTrimmed.substring(nextColonIdx + 1).trim();
-                  obj[nextKey] = this._parseValue(nextVal);
-                }
-                i++;
-              }
-              arr.push(obj);
-            } else if (!afterDash) {
-              // Empty dash, check next line for nested object
-              if (i + 1 < lines.length) {
-                const nextIndent = this._getIndent(lines[i + 1]);
-                if (nextIndent > itemIndent) {
-                  const parsed = this._parseYAML(lines, i + 1);
-                  arr.push(parsed.value);
-                  i = parsed.nextIdx;
-                  continue;
-                }
-              }
-              i++;
-            } else {
-              // Simple value
-              arr.push(this._parseValue(afterDash));
-              i++;
-            }
-          } else {
-            break;
-          }
-        }
-        return { value: arr, nextIdx: i };
+  _validateObject(schema, value, loc, ctx, errors, seen) {
+    const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+    const keys = Object.keys(value);
+    if (typeof schema.minProperties === 'number' && keys.length < schema.minProperties) this._fail(errors, loc, 'minProperties', `Must have at least ${schema.minProperties} properties (got ${keys.length})`);
+    if (typeof schema.maxProperties === 'number' && keys.length > schema.maxProperties) this._fail(errors, loc, 'maxProperties', `Must have at most ${schema.maxProperties} properties (got ${keys.length})`);
+    if (Array.isArray(schema.required)) {
+      for (const name of schema.required) {
+        if (!has(value, name)) this._fail(errors, loc, 'required', `Missing required property "${name}"`);
       }
+    }
 
-      const colonIdx = trimmed.indexOf(':');
-      if (colonIdx === -1) { i++; continue; }
+    const props = this._isObject(schema.properties) ? schema.properties : null;
+    const patterns = this._isObject(schema.patternProperties) ? Object.keys(schema.patternProperties) : [];
+    for (const key of keys) {
+      let matched = false;
+      if (props && has(props, key)) {
+        matched = true;
+        this._validate(props[key], value[key], this._child(loc, 'properties/' + this.escapePointer(key), key), ctx, errors);
+      }
+      for (const pattern of patterns) {
+        const test = this._test(pattern, key, loc, 'patternProperties', errors, key);
+        // A refused pattern is already reported; do not also call the key additional
+        if (test === null) matched = true;
+        if (!test) continue;
+        matched = true;
+        this._validate(schema.patternProperties[pattern], value[key], this._child(loc, 'patternProperties/' + this.escapePointer(pattern), key), ctx, errors);
+      }
+      if (!matched && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) this._fail(errors, loc, 'additionalProperties', `Property "${key}" is not allowed`, key);
+        else this._validate(schema.additionalProperties, value[key], this._child(loc, 'additionalProperties', key), ctx, errors);
+        matched = true;
+      }
+      if (matched) seen.props.add(key);
 
-      const key = trimmed.substring(0, colonIdx).trim();
-      const value = trimmed.substring(colonIdx + 1).trim();
+      if (schema.propertyNames !== undefined) {
+        const nameErrors = [];
+        this._validate(schema.propertyNames, key, this._child(loc, 'propertyNames'), ctx, nameErrors);
+        if (nameErrors.length) this._fail(errors, loc, 'propertyNames', `Property name "${key}" is invalid: ${nameErrors[0].message}`, key);
+      }
+    }
 
-      if (value) {
-        result[key] = this._parseValue(value);
-        i++;
-      } else {
-        const nextIndent = i + 1 < lines.length ? this._getIndent(lines[i + 1]) : 0;
-        if (nextIndent > indent) {
-          const parsed = this._parseYAML(lines, i + 1);
-          result[key] = parsed.value;
-          i = parsed.nextIdx;
+    const dependencies = ctx.draft === 'draft-07' ? ['dependencies'] : ['dependentRequired', 'dependentSchemas'];
+    for (const keyword of dependencies) {
+      const map = schema[keyword];
+      if (!this._isObject(map)) continue;
+      for (const key of Object.keys(map)) {
+        if (!has(value, key)) continue;
+        const dep = map[key];
+        if (Array.isArray(dep)) {
+          for (const name of dep) {
+            if (!has(value, name)) this._fail(errors, loc, keyword, `Property "${name}" is required when "${key}" is present`);
+          }
         } else {
-          result[key] = null;
-          i++;
+          this._merge(seen, this._validate(dep, value, this._child(loc, keyword + '/' + this.escapePointer(key)), ctx, errors));
         }
       }
     }
+  },
 
-    return { value: result, nextIdx: i };
+  /** allOf / anyOf / oneOf / not / if-then-else: in-place subschemas whose annotations flow back into `seen` */
+  _validateApplicators(schema, value, loc, ctx, errors, seen) {
+    if (Array.isArray(schema.allOf)) {
+      schema.allOf.forEach((s, i) => this._merge(seen, this._validate(s, value, this._child(loc, 'allOf/' + i), ctx, errors)));
+    }
+    if (Array.isArray(schema.anyOf)) {
+      let matched = 0;
+      schema.anyOf.forEach((s, i) => {
+        const sub = this._validate(s, value, this._child(loc, 'anyOf/' + i), ctx, []);
+        if (sub.valid) { matched++; this._merge(seen, sub); }
+      });
+      if (!matched) this._fail(errors, loc, 'anyOf', 'Must match at least one schema in "anyOf"');
+    }
+    if (Array.isArray(schema.oneOf)) {
+      const matched = [];
+      schema.oneOf.forEach((s, i) => {
+        const sub = this._validate(s, value, this._child(loc, 'oneOf/' + i), ctx, []);
+        if (sub.valid) { matched.push(i); this._merge(seen, sub); }
+      });
+      if (matched.length !== 1) {
+        this._fail(errors, loc, 'oneOf', 'Must match exactly one schema in "oneOf" ' + (matched.length ? `(matched ${matched.join(', ')})` : '(matched none)'));
+      }
+    }
+    if (schema.not !== undefined && this._validate(schema.not, value, this._child(loc, 'not'), ctx, []).valid) {
+      this._fail(errors, loc, 'not', 'Must not match the schema in "not"');
+    }
+    if (schema.if !== undefined) {
+      const cond = this._validate(schema.if, value, this._child(loc, 'if'), ctx, []);
+      const branch = cond.valid ? 'then' : 'else';
+      if (cond.valid) this._merge(seen, cond);
+      if (schema[branch] !== undefined) this._merge(seen, this._validate(schema[branch], value, this._child(loc, branch), ctx, errors));
+    }
   },
 
-  _parseValue(str) {
-    if (str === 'true') return true;
-    if (str === 'false') return false;
-    if (str === 'null') return null;
-    if (/^-?\d+$/.test(str)) return parseInt(str);
-    if (/^-?\d+\.\d+$/.test(str)) return parseFloat(str);
-    return str.replace(/^['"]|['"]$/g, '');
+  _validateUnevaluated(schema, value, loc, ctx, errors, seen) {
+    if (Array.isArray(value) && schema.unevaluatedItems !== undefined) {
+      for (let i = seen.items; i < value.length; i++) {
+        if (seen.matched.has(i)) continue;
+        if (schema.unevaluatedItems === false) this._fail(errors, loc, 'unevaluatedItems', `Item ${i} is not allowed (unevaluated)`, i);
+        else this._validate(schema.unevaluatedItems, value[i], this._child(loc, 'unevaluatedItems', i), ctx, errors);
+      }
+      seen.items = value.length;
+    }
+    if (this._isObject(value) && schema.unevaluatedProperties !== undefined) {
+      for (const key of Object.keys(value)) {
+        if (seen.props.has(key)) continue;
+        if (schema.unevaluatedProperties === false) this._fail(errors, loc, 'unevaluatedProperties', `Property "${key}" is not allowed (unevaluated)`, key);
+        else this._validate(schema.unevaluatedProperties, value[key], this._child(loc, 'unevaluatedProperties', key), ctx, errors);
+        seen.props.add(key);
+      }
+    }
   },
 
-  _getIndent(line) {
-    // ⚡ Bolt: Use a simple while loop to count spaces instead of .length - .trimStart().length
-    // to avoid intermediate string allocation for every line, significantly speeding up YAML parsing.
-    let i = 0;
-    while (i < line.length && line.charCodeAt(i) === 32) i++; // 32 is space
-    return i;
+  // ---- Helpers ----
+
+  _isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
   },
 
-  _stringifyYAML(obj, indent = 0) {
-    const spaces = '  '.repeat(indent);
-    let result = '';
+  _typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+  },
 
-    // ⚡ Bolt: Use traditional for loops instead of forEach and Object.entries
-    // to avoid intermediate array allocations and closure overhead, improving YAML conversion performance.
-    if (Array.isArray(obj)) {
-      for (let i = 0; i < obj.length; i++) {
-        const item = obj[i];
-        if (typeof item === 'object' && item !== null) {
-          result += spaces + '-\n';
-          result += this._stringifyYAML(item, indent + 1);
-        } else {
-          result += spaces + '- ' + this._formatValue(item) + '\n';
-        }
-      }
-    } else if (typeof obj === 'object' && obj !== null) {
-      for (const key in obj) {
-        if (Object.prototype.hasOwnProperty.call(obj, key)) {
-          const value = obj[key];
-          if (typeof value === 'object' && value !== null) {
-            result += spaces + key + ':\n';
-            result += this._stringifyYAML(value, indent + 1);
-          } else {
-            result += spaces + key + ': ' + this._formatValue(value) + '\n';
-          }
-        }
+  /** String length in code points, as JSON Schema counts it */
+  _length(str) {
+    let length = str.length;
+    for (let i = 0; i < str.length - 1; i++) {
+      const c = str.charCodeAt(i);
+      if (c >= 0xd800 && c <= 0xdbff) {
+        const next = str.charCodeAt(i + 1);
+        if (next >= 0xdc00 && next <= 0xdfff) { length--; i++; }
       }
     }
+    return length;
+  },
 
-    return result;
+  /** Key-order independent serialization for uniqueItems */
+  _canonical(value) {
+    if (value === null || typeof value !== 'object') return JSON.stringify(value);
+    if (Array.isArray(value)) return '[' + value.map(v => this._canonical(v)).join(',') + ']';
+    return '{' + Object.keys(value).sort().map(k => JSON.stringify(k) + ':' + this._canonical(value[k])).join(',') + '}';
   },
 
-  _formatValue(val) {
-    if (val === null) return 'null';
-    if (typeof val === 'string') return val;
-    return String(val);
+  _preview(text) {
+    return text.length > 80 ? text.slice(0, 77) + '…' : text;
   },
 
-  queryJSONPath(jsonStr, path) {
-    try {
-      const obj = JSON.parse(jsonStr);
-      const result = this._evalPath(obj, path);
-      return JSON.stringify(result, null, 2);
-    } catch (e) {
-      throw new Error('Query error: ' + e.message);
+  /**
+   * Test a schema regex against `subject`; null when the check is refused and reported instead.
+   * 🛡️ Sentinel: validation runs on the main thread on every keystroke, with no timeout
+   */
+  _test(source, subject, loc, keyword, errors, token) {
+    const risk = Odin.Regex.backtrackRisk(source);
+    if (risk) {
+      this._fail(errors, loc, keyword, risk, token);
+      return null;
     }
+    if (subject.length > Odin.Regex.MAX_SYNC_SUBJECT) {
+      this._fail(errors, loc, keyword, `Too long to test against /${source}/ (over ${Odin.Regex.MAX_SYNC_SUBJECT.toLocaleString('en-US')} characters)`, token);
+      return null;
+    }
+    return this._regex(source, loc).test(subject);
   },
 
-  _evalPath(obj, path) {
-    if (!path || path === '$') return obj;
-    // 🛡️ Sentinel: Cap path length to prevent ReDoS from catastrophic backtracking in split()
-    if (path.length > 1000) throw new Error("JSONPath too long");
-    
-    const parts = path.replace(/^\$\.?/, '').split(/\.(?![^\[]*\])/);
-    let current = obj;
+  _regexCache: new Map(),
 
-    for (const part of parts) {
-      if (!part) continue;
-      
-      if (part.includes('[')) {
-        const [key, rest] = part.split('[');
-        if (key) current = current[key];
-        const idx = parseInt(rest.replace(']', ''));
-        current = current[idx];
-      } else if (part === '*') {
-        return Object.values(current);
-      } else {
-        current = current[part];
+  _regex(source, loc) {
+    if (!this._regexCache.has(source)) {
+      let re = null;
+      for (const flags of ['u', '']) {
+        try {
+          re = new RegExp(source, flags);
+          break;
+        } catch (_) { /* retry without the unicode flag */ }
       }
-      
-      if (current === undefined) return null;
+      if (this._regexCache.size > 100) this._regexCache.clear();
+      this._regexCache.set(source, re);
     }
+    const re = this._regexCache.get(source);
+    if (!re) throw new Error(`Invalid regular expression /${source}/ at ${loc.schemaPath}`);
+    return re;
+  },
 
-    return current;
+  /** `format` assertions; unknown formats are ignored as the spec requires */
+  _formats: {
+    date(s) {
+      const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(s);
+      if (!m) return false;
+      const month = +m[2];
+      const daysInMonth = new Date(Date.UTC(+m[1], month, 0)).getUTCDate();
+      return month >= 1 && month <= 12 && +m[3] >= 1 && +m[3] <= daysInMonth;
+    },
+    time(s) {
+      const m = /^(\d{2}):(\d{2}):(\d{2})(\.\d+)?([Zz]|[+-](\d{2}):(\d{2}))$/.exec(s);
+      return !!m && +m[1] < 24 && +m[2] < 60 && +m[3] <= 60 && (m[6] === undefined || (+m[6] < 24 && +m[7] < 60));
+    },
+    'date-time'(s) {
+      const parts = s.split(/[Tt]/);
+      return parts.length === 2 && this.date(parts[0]) && this.time(parts[1]);
+    },
+    email(s) {
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(s);
+    },
+    hostname(s) {
+      return s.length <= 253 && /^[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?(\.[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?)*\.?$/.test(s);
+    },
+    ipv4(s) {
+      return /^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/.test(s);
+    },
+    ipv6(s) {
+      if (!s.includes(':') || !/^[0-9A-Fa-f:.]+$/.test(s)) return false;
+      try {
+        new URL('http://[' + s + ']/');
+        return true;
+      } catch (_) {
+        return false;
+      }
+    },
+    uri(s) {
+      return /^[A-Za-z][A-Za-z0-9+.-]*:[^\s]*$/.test(s);
+    },
+    'uri-reference'(s) {
+      return !/\s/.test(s);
+    },
+    uuid(s) {
+      return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(s);
+    },
+    regex(s) {
+      try {
+        new RegExp(s, 'u');
+        return true;
+      } catch (_) {
+        return false;
+      }
+    },
+    'json-pointer'(s) {
+      return /^(\/([^~/]|~[01])*)*$/.test(s);
+    }
   }
 };
 
@@ -2566,6 +8194,13 @@ function odinApp() {
     jsonOutput: '',
     jsonOutputHtml: '',
     jsonValidation: { valid: null, error: null },
+    jsonPathQuery: Odin.Storage.get('json_path_query', ''),
+    jsonPathMatches: [],
+    jsonPathError: '',
+    jsonSchemaInput: Odin.Storage.get('json_schema', ''),
+    jsonSchemaDraft: 'auto',
+    jsonSchemaFormats: true,
+    jsonSchemaResult: null,
 
     // ---- XML Formatter Tool ----
     xmlInput: Odin.Storage.get('xml_input', ''),
@@ -2578,6 +8213,35 @@ function odinApp() {
     diffLeftInput: Odin.Storage.get('diff_left_input', ''),
     diffRightInput: Odin.Storage.get('diff_right_input', ''),
     diffResult: { equal: false, error: null, html: '', stats: { added: 0, removed: 0, changed: 0 } },
+    diffView: Odin.Storage.get('diff_view', 'lines'),
+    diffIgnoreOrder: Odin.Storage.get('diff_ignore_order', false),
+    diffIgnoreKeys: Odin.Storage.get('diff_ignore_keys', ''),
+    diffTolerance: Odin.Storage.get('diff_tolerance', ''),
+    diffIgnoreWhitespace: Odin.Storage.get('diff_ignore_whitespace', false),
+    diffIgnoreCase: Odin.Storage.get('diff_ignore_case', false),
+    diffIgnoreBlankLines: Odin.Storage.get('diff_ignore_blank_lines', false),
+    diffInline: Odin.Storage.get('diff_inline', 'word'),
+    diffContext: Odin.Storage.get('diff_context', 3),
+    diffFileName: Odin.Storage.get('diff_file_name', ''),
+    diffUnified: '',
+    diffUnifiedInput: Odin.Storage.get('diff_unified_input', ''),
+    diffFold: Odin.Storage.get('diff_fold', true),
+    diffRows: [],
+    diffItems: [],
+    diffExpanded: [],
+    diffWindowStart: 0,
+    diffLineWidth: 0,
+    diffWindowHtml: '',
+    diffBusy: false,
+    diffProgress: 0,
+    diffTicket: 0,
+    diffCancel: null,
+    diffBaseInput: Odin.Storage.get('diff_base_input', ''),
+    diffMergeFormat: Odin.Storage.get('diff_merge_format', 'text'),
+    diffMerge: { error: null, merged: '', conflicts: [], html: '', resultHtml: '', stats: { ours: 0, theirs: 0, conflicts: 0 } },
+    diffPatchFormat: Odin.Storage.get('diff_patch_format', 'json-patch'),
+    diffPatches: { error: null, jsonPatch: '', mergePatch: '', mergeExact: true },
+    diffApply: { error: null, kind: null, result: '', html: '', errors: [], applied: 0, total: 0 },
 
     // ---- Password Guard ----
     pwLength: Odin.Storage.get('pw_length', 16),
@@ -2589,23 +8253,69 @@ function odinApp() {
 
     // ---- Model Generator ----
     modelJsonInput: Odin.Storage.get('model_json', ''),
+    modelSource: Odin.Storage.get('model_source', 'sample'),
+    modelSchemaInput: Odin.Storage.get('model_schema', ''),
+    modelCodeInput: Odin.Storage.get('model_code', ''),
+    modelSample: { output: '', language: null, root: null, error: null },
+    modelSampleHtml: '',
     modelActiveTab: 'csharp',
-    modelOutput: { csharp: '', go: '', python: '', php: '', error: null },
-    modelOutputHtml: { csharp: '', go: '', python: '', php: '' },
+    modelOutput: { ...Odin.ModelGen.emptyOutput(), error: null },
+    modelOutputHtml: Odin.ModelGen.emptyOutput(),
     csUseJsonPropertyName: Odin.Storage.get('cs_use_jpn', false),
     csUseNullable: Odin.Storage.get('cs_nullable', false),
+    csRichTypes: Odin.Storage.get('cs_rich_types', false),
     goUseOmitEmpty: Odin.Storage.get('go_use_omitempty', false),
     goUsePointers: Odin.Storage.get('go_use_pointers', false),
+    goRichTypes: Odin.Storage.get('go_rich_types', false),
     pyUseOptional: Odin.Storage.get('py_use_optional', false),
+    pyRichTypes: Odin.Storage.get('py_rich_types', false),
     phpUseReadonly: Odin.Storage.get('php_use_readonly', true),
+    phpRichTypes: Odin.Storage.get('php_rich_types', false),
+    schemaNoAdditional: Odin.Storage.get('schema_no_additional', false),
+    tsUseTypeAlias: Odin.Storage.get('ts_use_type_alias', false),
+    tsOptionalNulls: Odin.Storage.get('ts_optional_nulls', false),
+    modelEnumTypes: Odin.Storage.get('model_enum_types', false),
+    modelEnumMax: Odin.Storage.get('model_enum_max', 5),
+    modelRootName: Odin.Storage.get('model_root_name', ''),
+    modelNamespace: Odin.Storage.get('model_namespace', ''),
+    modelNestClasses: Odin.Storage.get('model_nest_classes', false),
+    modelOriginalNames: Odin.Storage.get('model_original_names', []),
+    modelNamingTargets: { csharp: 'C#', go: 'Go', python: 'Python', php: 'PHP', java: 'Java', kotlin: 'Kotlin', rust: 'Rust', swift: 'Swift' },
 
     // ---- JWT Explorer ----
+    jwtMode: 'decode',
     jwtInput: '',
     jwtHeader: null,
     jwtPayload: null,
     jwtSignature: '',
     jwtError: '',
     jwtExpired: null,
+    jwtVerifyKey: '',
+    jwtSecretBase64: false,
+    jwtVerification: { valid: null, reason: '' },
+    jwtSignHeader: '{\n  "alg": "HS256",\n  "typ": "JWT"\n}',
+    jwtSignPayload: '{\n  "sub": "1234567890",\n  "name": "Odin"\n}',
+    jwtSignKey: '',
+    jwtSignSecretBase64: false,
+    jwtSignExpMinutes: 60,
+    jwtSignOutput: '',
+    jwtSignError: '',
+    jweHeader: null,
+    jweKey: '',
+    jweSecretBase64: false,
+    jweResult: null,
+    jweError: '',
+    jwtLintAt: '',
+    jwtLintSkew: 60,
+    jwtLintMaxHours: 24,
+    jwtLint: [],
+    jwkInput: '',
+    jwkTarget: 'jwk',
+    jwkSetKid: true,
+    jwkPublicOnly: false,
+    jwkOutput: '',
+    jwkKeys: [],
+    jwkError: '',
 
     // ---- Image Shrink ----
     imgFile: null,
@@ -2693,10 +8403,12 @@ function odinApp() {
     // ---- YAML Converter ----
     yamlMode: 'yaml2json',
     yamlInput: '',
+    yamlIndent: 2,
+    yamlSortKeys: false,
     yamlOutput: '',
     yamlError: '',
     yamlJsonPath: '',
-    yamlPathResult: '',
+    yamlPathMatches: [],
     yamlPathError: '',
 
     // ---- Init ----
@@ -3196,6 +8908,8 @@ function odinApp() {
         this.jsonOutputHtml = '';
       }
       Odin.Storage.set('json_input', this.jsonInput);
+      this.queryJsonPath(this.jsonValidation.valid ? parsed : undefined);
+      this.validateJsonSchema(this.jsonValidation.valid ? parsed : undefined);
       this.$nextTick(() => {
         this.syncJsonLineNumbers();
         this.syncJsonOutputLineNumbers();
@@ -3209,6 +8923,7 @@ function odinApp() {
         this.jsonOutput = res.result;
         this.jsonOutputHtml = Odin.JsonFormatter.highlight(res.result);
         this.jsonValidation = { valid: true, error: null };
+        this.validateJsonSchema();
       } else {
         this.jsonValidation = { valid: false, error: res.error };
       }
@@ -3226,6 +8941,7 @@ function odinApp() {
         this.jsonOutput = res.result;
         this.jsonOutputHtml = Odin.JsonFormatter.highlight(res.result);
         this.jsonValidation = { valid: true, error: null };
+        this.validateJsonSchema();
       } else {
         this.jsonValidation = { valid: false, error: res.error };
       }
@@ -3236,6 +8952,45 @@ function odinApp() {
       });
     },
 
+    /** Run the JSONPath pane against the input; `parsed` lets validateJson skip a second JSON.parse */
+    queryJsonPath(parsed) {
+      this.jsonPathMatches = [];
+      this.jsonPathError = '';
+      Odin.Storage.set('json_path_query', this.jsonPathQuery);
+      if (!this.jsonPathQuery.trim() || !this.jsonInput.trim()) return;
+      try {
+        const data = parsed !== undefined ? parsed : JSON.parse(this.jsonInput);
+        this.jsonPathMatches = Odin.JSONPath.query(data, this.jsonPathQuery);
+      } catch (e) {
+        this.jsonPathError = e instanceof SyntaxError ? 'Input is not valid JSON' : e.message;
+      }
+    },
+
+    /** Validate the input against the schema pane; `parsed` lets validateJson skip a second JSON.parse */
+    validateJsonSchema(parsed) {
+      Odin.Storage.set('json_schema', this.jsonSchemaInput);
+      if (!this.jsonSchemaInput.trim() || !this.jsonInput.trim()) {
+        this.jsonSchemaResult = null;
+        return;
+      }
+      this.jsonSchemaResult = Odin.JsonFormatter.validateSchema(this.jsonInput, this.jsonSchemaInput, {
+        parsed,
+        draft: this.jsonSchemaDraft,
+        formats: this.jsonSchemaFormats
+      });
+    },
+
+    /** Select the value a schema violation points at in the input editor */
+    selectJsonRange(err) {
+      const ta = this.$refs.jsonInput;
+      if (!ta || err.start === undefined) return;
+      ta.focus();
+      ta.setSelectionRange(err.start, err.end);
+      const lineHeight = parseFloat(getComputedStyle(ta).lineHeight) || 20;
+      ta.scrollTop = Math.max(0, (err.line - 3) * lineHeight);
+      this.syncJsonLineNumbers();
+    },
+
     getJsonLineNumbers() {
       return Odin.Utils.generateLineNumbers(this.jsonInput);
     },
@@ -3338,22 +9093,236 @@ function odinApp() {
     },
 
     runDiffCheck() {
-      try {
-        const result = Odin.DiffChecker.compare(this.diffLeftInput, this.diffRightInput, this.diffMode);
+      this.stopDiffCompare();
+      if (this.diffMode === 'patch') {
+        this.applyDiffPatch();
+        return;
+      }
+      if (this.diffMode === 'merge') {
+        this.runDiffMerge();
+        return;
+      }
+      if (this.diffMode === 'unified') {
+        this.setDiffRows([]);
+        this.diffResult = Odin.DiffChecker.parseUnifiedDiff(this.diffUnifiedInput, {
+          inline: this.diffInline === 'none' ? null : this.diffInline
+        });
+        Odin.Storage.set('diff_mode', this.diffMode);
+        Odin.Storage.set('diff_unified_input', this.diffUnifiedInput);
+        return;
+      }
+      Odin.Storage.set('diff_mode', this.diffMode);
+      Odin.Storage.set('diff_left_input', this.diffLeftInput);
+      Odin.Storage.set('diff_right_input', this.diffRightInput);
+      Odin.Storage.set('diff_view', this.diffView);
+      Odin.Storage.set('diff_ignore_order', this.diffIgnoreOrder);
+      Odin.Storage.set('diff_ignore_keys', this.diffIgnoreKeys);
+      Odin.Storage.set('diff_tolerance', this.diffTolerance);
+      Odin.Storage.set('diff_ignore_whitespace', this.diffIgnoreWhitespace);
+      Odin.Storage.set('diff_ignore_case', this.diffIgnoreCase);
+      Odin.Storage.set('diff_ignore_blank_lines', this.diffIgnoreBlankLines);
+      Odin.Storage.set('diff_context', this.diffContext);
+      Odin.Storage.set('diff_file_name', this.diffFileName);
+
+      if (['json', 'xml'].includes(this.diffMode) && this.diffView === 'structure') {
+        this.setDiffRows([]);
+        try {
+          this.diffResult = this.diffMode === 'xml'
+            ? Odin.DiffChecker.compareXml(this.diffLeftInput, this.diffRightInput, { ignoreOrder: this.diffIgnoreOrder })
+            : Odin.DiffChecker.compareStructure(this.diffLeftInput, this.diffRightInput, {
+              ignoreOrder: this.diffIgnoreOrder,
+              ignoreKeys: this.diffIgnoreKeys.split(/[\s,]+/).filter(Boolean),
+              tolerance: parseFloat(this.diffTolerance) || 0
+            });
+        } catch (e) {
+          this.diffResult = { equal: false, error: e.message, html: '', stats: { added: 0, removed: 0, changed: 0 } };
+        }
+        this.updateDiffExports();
+        return;
+      }
+
+      // Line diffs run in a worker; a newer run or Cancel drops this one via its ticket
+      const ticket = ++this.diffTicket;
+      const job = Odin.DiffChecker.compareAsync(this.diffLeftInput, this.diffRightInput, this.diffMode, this.diffLineOptions(), (percent) => {
+        if (ticket === this.diffTicket) this.diffProgress = percent;
+      });
+      this.diffCancel = job.cancel;
+      this.diffBusy = true;
+      this.diffProgress = 0;
+      job.promise.then((result) => {
+        if (ticket !== this.diffTicket) return;
+        this.diffCancel = null;
+        this.diffBusy = false;
         this.diffResult = result;
-      } catch (e) {
-        this.diffResult = { equal: false, error: e.message, html: '', stats: { added: 0, removed: 0, changed: 0 } };
+        this.setDiffRows(result.lines || []);
+        this.updateDiffExports();
+      });
+    },
+
+    diffLineOptions() {
+      return {
+        ignoreWhitespace: this.diffIgnoreWhitespace,
+        ignoreCase: this.diffIgnoreCase,
+        ignoreBlankLines: this.diffIgnoreBlankLines,
+        inline: this.diffInline === 'none' ? null : this.diffInline
+      };
+    },
+
+    /** Drop any comparison still running in the worker */
+    stopDiffCompare() {
+      this.diffTicket++;
+      if (this.diffCancel) this.diffCancel();
+      this.diffCancel = null;
+      this.diffBusy = false;
+    },
+
+    cancelDiffCompare() {
+      this.stopDiffCompare();
+      this.diffResult = { equal: false, error: 'Comparison cancelled', html: '', stats: { added: 0, removed: 0, changed: 0 } };
+      this.setDiffRows([]);
+      this.updateDiffExports();
+    },
+
+    /** Unified diff and JSON/Merge Patch panels for the current result */
+    updateDiffExports() {
+      this.diffUnified = '';
+      this.diffPatches = { error: null, jsonPatch: '', mergePatch: '', mergeExact: true };
+      if (this.diffResult.error) return;
+      // ⚡ Bolt: Both exports run on the main thread, so inputs only the worker can handle skip them
+      const max = Odin.DiffChecker.MAX_INPUT_LENGTH;
+      if (this.diffLeftInput.length > max || this.diffRightInput.length > max) return;
+
+      if (this.diffResult.leftNormalized !== undefined) {
+        const name = this.diffFileName.trim() || { json: 'data.json', xml: 'data.xml' }[this.diffMode] || 'file.txt';
+        this.diffUnified = Odin.DiffChecker.unifiedDiff(this.diffResult.leftNormalized, this.diffResult.rightNormalized, {
+          context: this.diffContext,
+          leftName: 'a/' + name,
+          rightName: 'b/' + name,
+          ignoreWhitespace: this.diffMode === 'text' && this.diffIgnoreWhitespace,
+          ignoreCase: this.diffMode === 'text' && this.diffIgnoreCase
+        });
       }
+
+      if (this.diffMode === 'json') {
+        const patches = Odin.DiffChecker.createPatches(this.diffLeftInput, this.diffRightInput);
+        this.diffPatches = {
+          error: patches.error,
+          jsonPatch: JSON.stringify(patches.jsonPatch, null, 2),
+          mergePatch: JSON.stringify(patches.mergePatch, null, 2),
+          mergeExact: patches.mergeExact
+        };
+      }
+    },
+
+    // ⚡ Bolt: Rows and display items are frozen so Alpine keeps them raw instead of wrapping
+    // every row of a large diff in a reactive proxy.
+    setDiffRows(lines) {
+      this.diffRows = Object.freeze(lines);
+      this.diffLineWidth = Odin.DiffChecker.lineWidth(lines);
+      this.diffExpanded = [];
+      this.refreshDiffItems();
+    },
+
+    refreshDiffItems() {
+      const items = this.diffFold
+        ? Odin.DiffChecker.foldRows(this.diffRows, Math.max(0, parseInt(this.diffContext, 10) || 0), new Set(this.diffExpanded))
+        : this.diffRows.map((_, i) => i);
+      this.diffItems = Object.freeze(items);
+      this.renderDiffWindow();
+    },
+
+    /** Virtual scroller: only the rows in view, plus a margin, are in the DOM */
+    renderDiffWindow() {
+      const scroller = this.$refs && this.$refs.diffScroller;
+      const rowHeight = Odin.DiffChecker.ROW_HEIGHT;
+      const top = scroller ? scroller.scrollTop : 0;
+      const height = (scroller && scroller.clientHeight) || 352;
+      const start = Math.max(0, Math.floor(top / rowHeight) - 20);
+      const end = Math.ceil((top + height) / rowHeight) + 20;
+      const options = this.diffLineOptions();
+      this.diffWindowStart = start;
+      this.diffWindowHtml = Odin.DiffChecker.renderRows(this.diffRows, this.diffItems, start, end,
+        this.diffMode === 'text' ? options : { inline: options.inline });
+    },
+
+    expandDiffFold(event) {
+      const fold = event.target.closest('[data-fold]');
+      if (!fold) return;
+      this.diffExpanded = [...this.diffExpanded, Number(fold.dataset.fold)];
+      this.refreshDiffItems();
+    },
+
+    updateDiffFold() {
+      Odin.Storage.set('diff_fold', this.diffFold);
+      this.refreshDiffItems();
+    },
+
+    /** Apply mode: Input A is the document, Input B a JSON Patch array or Merge Patch object */
+    applyDiffPatch() {
+      const outcome = Odin.DiffChecker.applyPatch(this.diffLeftInput, this.diffRightInput);
+      this.diffApply = { ...outcome, html: outcome.result ? Odin.JsonFormatter.highlight(outcome.result) : '' };
+      Odin.Storage.set('diff_mode', this.diffMode);
+      Odin.Storage.set('diff_left_input', this.diffLeftInput);
+      Odin.Storage.set('diff_right_input', this.diffRightInput);
+    },
+
+    /** Merge mode: Base plus Input A (ours) and Input B (theirs) */
+    runDiffMerge() {
+      const outcome = Odin.DiffChecker.merge3(this.diffBaseInput, this.diffLeftInput, this.diffRightInput, this.diffMergeFormat);
+      this.diffMerge = {
+        ...outcome,
+        resultHtml: this.diffMergeFormat === 'json' && outcome.merged ? Odin.JsonFormatter.highlight(outcome.merged) : ''
+      };
       Odin.Storage.set('diff_mode', this.diffMode);
+      Odin.Storage.set('diff_base_input', this.diffBaseInput);
       Odin.Storage.set('diff_left_input', this.diffLeftInput);
       Odin.Storage.set('diff_right_input', this.diffRightInput);
     },
 
+    setDiffMergeFormat(format) {
+      this.diffMergeFormat = format;
+      Odin.Storage.set('diff_merge_format', format);
+      this.runDiffMerge();
+    },
+
+    copyDiffMerged() {
+      if (this.diffMerge.merged) Odin.Clipboard.copy(this.diffMerge.merged, this);
+    },
+
+    setDiffPatchFormat(format) {
+      this.diffPatchFormat = format;
+      Odin.Storage.set('diff_patch_format', format);
+    },
+
+    copyDiffPatch() {
+      const text = this.diffPatchFormat === 'merge-patch' ? this.diffPatches.mergePatch : this.diffPatches.jsonPatch;
+      if (text) Odin.Clipboard.copy(text, this);
+    },
+
+    copyDiffUnified() {
+      if (this.diffUnified) Odin.Clipboard.copy(this.diffUnified, this);
+    },
+
+    copyDiffApplyResult() {
+      if (this.diffApply.result) Odin.Clipboard.copy(this.diffApply.result, this);
+    },
+
     setDiffMode(mode) {
       this.diffMode = mode;
       this.runDiffCheck();
     },
 
+    setDiffView(view) {
+      this.diffView = view;
+      this.runDiffCheck();
+    },
+
+    setDiffInline(unit) {
+      this.diffInline = unit;
+      Odin.Storage.set('diff_inline', unit);
+      this.runDiffCheck();
+    },
+
     copyDiffLeftNormalized() {
       if (this.diffResult.leftNormalized) {
         Odin.Clipboard.copy(this.diffResult.leftNormalized, this);
@@ -3405,46 +9374,105 @@ function odinApp() {
     },
 
     // ---- Model Generator Methods ----
+    setModelSource(source) {
+      this.modelSource = source;
+      Odin.Storage.set('model_source', source);
+      this.generateModels();
+    },
+
+    /** Switch one target between idiomatic field names and the JSON keys as written */
+    toggleModelOriginalName(target) {
+      this.modelOriginalNames = this.modelOriginalNames.includes(target)
+        ? this.modelOriginalNames.filter(name => name !== target)
+        : [...this.modelOriginalNames, target];
+      this.generateModels();
+    },
+
     generateModels() {
-      if (!this.modelJsonInput.trim()) {
-        this.modelOutput = { csharp: '', go: '', python: '', php: '', error: null };
-        this.modelOutputHtml = { csharp: '', go: '', python: '', php: '' };
+      if (this.modelSource === 'code') {
+        this.generateModelSample();
+        return;
+      }
+      const fromSchema = this.modelSource === 'schema';
+      const input = fromSchema ? this.modelSchemaInput : this.modelJsonInput;
+      if (!input.trim()) {
+        this.modelOutput = { ...Odin.ModelGen.emptyOutput(), error: null };
+        this.modelOutputHtml = Odin.ModelGen.emptyOutput();
         return;
       }
-      this.modelOutput = Odin.ModelGen.generateAll(this.modelJsonInput, {
+      const options = {
         csUseJsonPropertyName: this.csUseJsonPropertyName,
         csUseNullable: this.csUseNullable,
+        csRichTypes: this.csRichTypes,
         goUseOmitEmpty: this.goUseOmitEmpty,
         goUsePointers: this.goUsePointers,
+        goRichTypes: this.goRichTypes,
         pyUseOptional: this.pyUseOptional,
-        phpUseReadonly: this.phpUseReadonly
-      });
+        pyRichTypes: this.pyRichTypes,
+        phpUseReadonly: this.phpUseReadonly,
+        phpRichTypes: this.phpRichTypes,
+        schemaNoAdditional: this.schemaNoAdditional,
+        tsUseTypeAlias: this.tsUseTypeAlias,
+        tsOptionalNulls: this.tsOptionalNulls,
+        enumTypes: this.modelEnumTypes,
+        enumMaxValues: Math.max(2, parseInt(this.modelEnumMax, 10) || 5),
+        rootName: this.modelRootName.trim(),
+        namespace: this.modelNamespace.trim(),
+        nestClasses: this.modelNestClasses,
+        originalFieldNames: this.modelOriginalNames
+      };
+      this.modelOutput = fromSchema
+        ? Odin.ModelGen.fromSchema(input, options)
+        : Odin.ModelGen.generateAll(input, options);
 
       Odin.Storage.set('cs_use_jpn', this.csUseJsonPropertyName);
       Odin.Storage.set('cs_nullable', this.csUseNullable);
+      Odin.Storage.set('cs_rich_types', this.csRichTypes);
       Odin.Storage.set('go_use_omitempty', this.goUseOmitEmpty);
       Odin.Storage.set('go_use_pointers', this.goUsePointers);
+      Odin.Storage.set('go_rich_types', this.goRichTypes);
       Odin.Storage.set('py_use_optional', this.pyUseOptional);
+      Odin.Storage.set('py_rich_types', this.pyRichTypes);
       Odin.Storage.set('php_use_readonly', this.phpUseReadonly);
+      Odin.Storage.set('php_rich_types', this.phpRichTypes);
+      Odin.Storage.set('schema_no_additional', this.schemaNoAdditional);
+      Odin.Storage.set('ts_use_type_alias', this.tsUseTypeAlias);
+      Odin.Storage.set('ts_optional_nulls', this.tsOptionalNulls);
+      Odin.Storage.set('model_enum_types', this.modelEnumTypes);
+      Odin.Storage.set('model_enum_max', this.modelEnumMax);
+      Odin.Storage.set('model_root_name', this.modelRootName);
+      Odin.Storage.set('model_namespace', this.modelNamespace);
+      Odin.Storage.set('model_nest_classes', this.modelNestClasses);
+      Odin.Storage.set('model_original_names', this.modelOriginalNames);
 
       // Highlight each language
       if (!this.modelOutput.error) {
-        this.modelOutputHtml = {
-          csharp: Odin.ModelGen.highlight(this.modelOutput.csharp, 'csharp'),
-          go: Odin.ModelGen.highlight(this.modelOutput.go, 'go'),
-          python: Odin.ModelGen.highlight(this.modelOutput.python, 'python'),
-          php: Odin.ModelGen.highlight(this.modelOutput.php, 'php')
-        };
+        const html = {};
+        for (const target in Odin.ModelGen.targets) {
+          html[target] = Odin.ModelGen.highlight(this.modelOutput[target], target);
+        }
+        this.modelOutputHtml = html;
       } else {
         const err = this.modelOutput.csharp; // error message is same for all
-        this.modelOutputHtml = { csharp: err, go: err, python: err, php: err };
+        this.modelOutputHtml = Odin.ModelGen.emptyOutput(err);
       }
 
-      Odin.Storage.set('model_json', this.modelJsonInput);
+      Odin.Storage.set(fromSchema ? 'model_schema' : 'model_json', input);
+    },
+
+    generateModelSample() {
+      Odin.Storage.set('model_code', this.modelCodeInput);
+      if (!this.modelCodeInput.trim()) {
+        this.modelSample = { output: '', language: null, root: null, error: null };
+        this.modelSampleHtml = '';
+        return;
+      }
+      this.modelSample = Odin.ModelSample.fromCode(this.modelCodeInput);
+      this.modelSampleHtml = this.modelSample.error ? '' : Odin.JsonFormatter.highlight(this.modelSample.output);
     },
 
     copyModelOutput() {
-      const code = this.modelOutput[this.modelActiveTab];
+      const code = this.modelSource === 'code' ? this.modelSample.output : this.modelOutput[this.modelActiveTab];
       if (code) Odin.Clipboard.copy(code, this);
     },
 
@@ -3455,22 +9483,216 @@ function odinApp() {
       this.jwtSignature = '';
       this.jwtError = '';
       this.jwtExpired = null;
+      this.jwtLint = [];
+      this.jweHeader = null;
+      this.jweResult = null;
+      this.jweError = '';
       if (!this.jwtInput.trim()) return;
+      if (Odin.JWT.isJWE(this.jwtInput)) {
+        try {
+          this.jweHeader = Odin.JWT.decodeJWE(this.jwtInput.trim()).header;
+          this.decryptJWE();
+        } catch (err) {
+          this.jwtError = err.message;
+        }
+        this.$nextTick(() => {
+          if (typeof lucide !== 'undefined') lucide.createIcons();
+        });
+        return;
+      }
       try {
         const result = Odin.JWT.decode(this.jwtInput.trim());
         this.jwtHeader = result.header;
         this.jwtPayload = result.payload;
         this.jwtSignature = result.signature;
-        this.jwtExpired = Odin.JWT.isExpired(result.payload);
+        this.lintJWT();
       } catch (err) {
         this.jwtError = err.message;
       }
+      this.verifyJWT();
       // Refresh Lucide icons in dynamically rendered template blocks
       this.$nextTick(() => {
         if (typeof lucide !== 'undefined') lucide.createIcons();
       });
     },
 
+    /** Re-run the claims report; "evaluate at" is a datetime-local value (blank = now) */
+    lintJWT() {
+      if (!this.jwtPayload) return;
+      const at = this.jwtLintAt ? new Date(this.jwtLintAt).getTime() : Date.now();
+      const now = isNaN(at) ? Date.now() : at;
+      const skew = Math.max(0, parseInt(this.jwtLintSkew, 10) || 0);
+      const maxHours = parseFloat(this.jwtLintMaxHours);
+      this.jwtExpired = Odin.JWT.isExpired(this.jwtPayload, now);
+      this.jwtLint = Odin.JWT.lintClaims(this.jwtHeader, this.jwtPayload, {
+        now,
+        skew,
+        maxLifetime: maxHours > 0 ? maxHours * 3600 : Infinity
+      });
+      this.$nextTick(() => {
+        if (typeof lucide !== 'undefined') lucide.createIcons();
+      });
+    },
+
+    async decryptJWE() {
+      const token = this.jwtInput.trim();
+      if (!this.jweHeader || !this.jweKey.trim()) {
+        this.jweResult = null;
+        this.jweError = '';
+        return;
+      }
+      const key = this.jweKey;
+      let result = null;
+      let error = '';
+      try {
+        result = await Odin.JWT.decrypt(token, key, { secretBase64: this.jweSecretBase64 });
+      } catch (err) {
+        error = err.message;
+      }
+      // Ignore stale results if the token or key changed while decrypting
+      if (token !== this.jwtInput.trim() || key !== this.jweKey) return;
+      this.jweResult = result;
+      this.jweError = error;
+      this.$nextTick(() => {
+        if (typeof lucide !== 'undefined') lucide.createIcons();
+      });
+    },
+
+    /** Replace the input with the decrypted inner JWS so it can be decoded and verified */
+    jweOpenNested() {
+      if (!this.jweResult) return;
+      this.jwtInput = this.jweResult.plaintext.trim();
+      this.decodeJWT();
+    },
+
+    async verifyJWT() {
+      const token = this.jwtInput.trim();
+      if (!token || this.jwtError || !this.jwtVerifyKey.trim()) {
+        this.jwtVerification = { valid: null, reason: '' };
+        return;
+      }
+      const key = this.jwtVerifyKey;
+      const result = await Odin.JWT.verify(token, key, { secretBase64: this.jwtSecretBase64 });
+      // Ignore stale results if the token or key changed while verifying
+      if (token !== this.jwtInput.trim() || key !== this.jwtVerifyKey) return;
+      this.jwtVerification = { valid: result.valid, reason: result.reason };
+      this.$nextTick(() => {
+        if (typeof lucide !== 'undefined') lucide.createIcons();
+      });
+    },
+
+    async signJWT() {
+      this.jwtSignError = '';
+      const header = this.jwtSignHeader;
+      const payload = this.jwtSignPayload;
+      const key = this.jwtSignKey;
+      let token = '';
+      let error = '';
+      try {
+        token = await Odin.JWT.sign(header, payload, key, { secretBase64: this.jwtSignSecretBase64 });
+      } catch (err) {
+        error = err.message;
+      }
+      // Ignore stale results if the editor changed while signing
+      if (header !== this.jwtSignHeader || payload !== this.jwtSignPayload || key !== this.jwtSignKey) return;
+      this.jwtSignOutput = token;
+      this.jwtSignError = error;
+    },
+
+    jwtSignAlg() {
+      try { return JSON.parse(this.jwtSignHeader).alg || 'HS256'; } catch (_) { return ''; }
+    },
+
+    jwtSetSignAlg(alg) {
+      try {
+        const header = JSON.parse(this.jwtSignHeader);
+        header.alg = alg;
+        this.jwtSignHeader = JSON.stringify(header, null, 2);
+        this.signJWT();
+      } catch (err) {
+        this.jwtSignError = 'Invalid header JSON: ' + err.message;
+      }
+    },
+
+    /** Set iat/nbf/exp in the payload editor relative to now (offset in seconds) */
+    jwtApplyTimeClaim(claim, offsetSeconds) {
+      try {
+        const payload = JSON.parse(this.jwtSignPayload);
+        this.jwtSignPayload = JSON.stringify(Odin.JWT.setTimeClaims(payload, { [claim]: offsetSeconds }), null, 2);
+        this.signJWT();
+      } catch (err) {
+        this.jwtSignError = 'Invalid payload JSON: ' + err.message;
+      }
+    },
+
+    /** Load the decoded token into the signer so it can be edited and re-signed */
+    jwtEditInSigner() {
+      if (!this.jwtHeader || !this.jwtPayload) return;
+      this.jwtSignHeader = JSON.stringify(this.jwtHeader, null, 2);
+      this.jwtSignPayload = JSON.stringify(this.jwtPayload, null, 2);
+      if (!this.jwtSignKey && this.jwtHeader.alg && this.jwtHeader.alg.startsWith('HS')) {
+        this.jwtSignKey = this.jwtVerifyKey;
+        this.jwtSignSecretBase64 = this.jwtSecretBase64;
+      }
+      this.jwtMode = 'sign';
+      this.signJWT();
+      this.$nextTick(() => {
+        if (typeof lucide !== 'undefined') lucide.createIcons();
+      });
+    },
+
+    /** Send the signed token back to the decoder */
+    jwtDecodeSigned() {
+      if (!this.jwtSignOutput) return;
+      this.jwtInput = this.jwtSignOutput;
+      if (!this.jwtVerifyKey && this.jwtSignAlg().startsWith('HS')) {
+        this.jwtVerifyKey = this.jwtSignKey;
+        this.jwtSecretBase64 = this.jwtSignSecretBase64;
+      }
+      this.jwtMode = 'decode';
+      this.decodeJWT();
+    },
+
+    async jwkConvert() {
+      const input = this.jwkInput;
+      const target = this.jwkTarget;
+      let output = '';
+      let keys = [];
+      let error = '';
+      try {
+        const result = await Odin.JWK.convert(input, target, { kid: this.jwkSetKid, publicOnly: this.jwkPublicOnly });
+        output = result.output;
+        keys = result.keys;
+      } catch (err) {
+        error = err.message;
+      }
+      if (input !== this.jwkInput || target !== this.jwkTarget) return;
+      this.jwkOutput = output;
+      this.jwkKeys = keys;
+      this.jwkError = error;
+    },
+
+    /** Pick the JWKS entry matching the decoded token's kid */
+    jwkMatchToken() {
+      this.jwkError = '';
+      const jwks = Odin.JWK.parseJwks(this.jwkInput);
+      if (!jwks) {
+        this.jwkError = 'Paste a JWKS ({"keys": [...]}) to match against the token';
+        return;
+      }
+      if (!this.jwtHeader) {
+        this.jwkError = 'Decode a token first to match its "kid"';
+        return;
+      }
+      try {
+        const key = Odin.JWK.selectKey(jwks, this.jwtHeader);
+        this.jwkOutput = JSON.stringify(key, null, 2);
+        Odin.Toast.show(this, key.kid !== undefined ? 'Matched kid "' + key.kid + '"' : 'Matched the only compatible key');
+      } catch (err) {
+        this.jwkError = err.message;
+      }
+    },
+
     jwtHighlight(obj) {
       if (!obj) return '';
       try {
@@ -3844,7 +10066,7 @@ function odinApp() {
     yamlConvert() {
       this.yamlError = '';
       this.yamlOutput = '';
-      this.yamlPathResult = '';
+      this.yamlPathMatches = [];
       this.yamlPathError = '';
       
       if (!this.yamlInput.trim()) return;
@@ -3853,21 +10075,22 @@ function odinApp() {
         if (this.yamlMode === 'yaml2json') {
           this.yamlOutput = Odin.YAML.toJSON(this.yamlInput);
         } else {
-          this.yamlOutput = Odin.YAML.toYAML(this.yamlInput);
+          this.yamlOutput = Odin.YAML.toYAML(this.yamlInput, { indent: this.yamlIndent, sortKeys: this.yamlSortKeys });
         }
       } catch (e) {
         this.yamlError = e.message;
       }
+      if (this.yamlMode === 'yaml2json' && this.yamlOutput) this.yamlQueryPath();
     },
 
     yamlQueryPath() {
-      this.yamlPathResult = '';
+      this.yamlPathMatches = [];
       this.yamlPathError = '';
       
       if (!this.yamlJsonPath.trim() || !this.yamlOutput) return;
       
       try {
-        this.yamlPathResult = Odin.YAML.queryJSONPath(this.yamlOutput, this.yamlJsonPath);
+        this.yamlPathMatches = Odin.YAML.queryJSONPath(this.yamlOutput, this.yamlJsonPath);
       } catch (e) {
         this.yamlPathError = e.message;
       }
@@ -3,7 +3,7 @@
    Cache-first strategy for offline PWA support
    ================================================================ */
 
-const CACHE_NAME = 'odin-toolkit-v8';
+const CACHE_NAME = 'odin-toolkit-v10';
 
 const ASSETS = [
   './',
@@ -20,6 +20,11 @@ const ASSETS = [
   './vendor/prism-go.min.js',
   './vendor/prism-python.min.js',
   './vendor/prism-php.min.js',
+  './vendor/prism-typescript.min.js',
+  './vendor/prism-java.min.js',
+  './vendor/prism-kotlin.min.js',
+  './vendor/prism-rust.min.js',
+  './vendor/prism-swift.min.js',
   './vendor/qrcode.min.js',
   './vendor/lucide.min.js',
   './icons/icon-odin.png'